@@ -29,11 +29,13 @@ program
   .version(version)
   .argument('<input>', 'Path to .pptx or .potx file')
   .option('-o, --output <dir>', 'Output directory', './output')
-  .option('--list', 'List all layout names and exit')
+  .option('--list', 'List all layout names, numbered in layout gallery order, and exit')
   .option('--layouts <names>', 'Comma-separated layout names to include (deprecated, use --layout)')
   .option('--layout <name>', 'Layout name or number to include (repeatable, use --list to see numbers)', (val, prev) => prev.concat(val), [])
   .option('--no-preview', 'Skip preview.pptx generation')
   .option('--no-report', 'Skip report.md generation')
+  .option('--image-format <format>', 'Format for pictures stored as SVG with a PNG fallback: svg or png', 'svg')
+  .option('--bake-effects', 'Render shapes with glow, soft edge, reflection or blur effects to PNG')
   .option('-v, --verbose', 'Verbose logging')
   .action(async (input, opts) => {
     try {
@@ -84,15 +86,21 @@ async function run(input, opts) {
     layoutFilters = opts.layouts.split(',').map((s) => s.trim()).filter(Boolean);
   }
 
+  const imageFormat = String(opts.imageFormat).toLowerCase();
+  if (imageFormat !== 'svg' && imageFormat !== 'png') {
+    throw new Error(`Invalid image format: ${opts.imageFormat}. Expected svg or png`);
+  }
+
   // 3. Run extraction
   if (verbose) log('Extracting PPTX archive...');
 
-  const result = await extract(inputPath, { layouts: layoutFilters });
+  const result = await extract(inputPath, { layouts: layoutFilters, imageFormat, bakeEffects: Boolean(opts.bakeEffects) });
 
   const {
     masterData,
     themeColors,
     themeFonts,
+    families,
     dimensions,
     warnings,
     layouts,
@@ -109,7 +117,8 @@ async function run(input, opts) {
   // 4. --list mode
   if (opts.list) {
     for (let i = 0; i < layouts.length; i++) {
-      process.stdout.write(`${i + 1}. ${layouts[i].name}\n`);
+      const family = masterData[i]?.family ? ` (${masterData[i].family})` : '';
+      process.stdout.write(`${i + 1}. ${layouts[i].name}${family}\n`);
     }
     return;
   }
@@ -133,6 +142,7 @@ async function run(input, opts) {
     dimensions,
     themeColors,
     themeFonts,
+    families,
   });
   await writeFile(resolve(outputDir, 'masters.js'), mastersCode, 'utf-8');
 
@@ -168,6 +178,7 @@ async function run(input, opts) {
     themeFonts,
     dimensions,
     templateName,
+    families,
   );
   await writeFile(resolve(outputDir, 'SLIDE_MASTERS.md'), agentInstructions, 'utf-8');
 
@@ -215,13 +226,15 @@ async function run(input, opts) {
       dimensions,
       themeColors,
       themeFonts,
-      layouts: layouts.map((l) => ({
+      // masterData is in layout order; names can repeat across master families
+      layouts: layouts.map((l, i) => ({
         name: l.name,
-        background: masterData.find((m) => m.name === l.name)?.background,
+        background: masterData[i]?.background,
         placeholders: l.placeholders,
         staticShapes: l.staticShapes,
-        slideNumber: masterData.find((m) => m.name === l.name)?.slideNumber,
-        footerObjects: masterData.find((m) => m.name === l.name)?.objects?.filter((o) => o.text) || [],
+        slideNumber: masterData[i]?.slideNumber,
+        footerObjects: masterData[i]?.objects?.filter((o) => o.text) || [],
+        objects: masterData[i]?.objects || [],
         warnings: l.warnings,
       })),
       allWarnings: warnings,
@@ -236,7 +249,13 @@ async function run(input, opts) {
     await mkdir(mediaDir, { recursive: true });
 
     const archive = await extractPptx(inputPath);
-    for (const { archivePath, filename } of mediaFiles) {
+    for (const { archivePath, filename, buffer: rendered } of mediaFiles) {
+      // Rendered fills (gradients) arrive as buffers; everything else is copied
+      if (rendered) {
+        await writeFile(resolve(mediaDir, filename), rendered);
+        if (verbose) log(`  Rendered: ${filename}`);
+        continue;
+      }
       try {
         const buffer = await archive.getBuffer(archivePath);
         await writeFile(resolve(mediaDir, filename), buffer);
@@ -24,6 +24,18 @@ export function toUpperSnakeCase(name) {
     .toUpperCase();
 }
 
+/**
+ * The title a layout is registered under with defineSlideMaster(): its
+ * UPPER_SNAKE_CASE name, prefixed with its master family's in templates
+ * with several slide masters (see extract()).
+ *
+ * @param {{ name: string, title?: string }} master - masterData entry
+ * @returns {string}
+ */
+export function masterTitle(master) {
+  return master.title || toUpperSnakeCase(master.name);
+}
+
 /**
  * Round a number to at most 4 decimal places.
  *
@@ -35,6 +47,11 @@ function round4(n) {
   return Math.round(n * 10000) / 10000;
 }
 
+// PptxGenJS writes rectRadius back as a preset's adj, a fraction of the
+// shape's shorter side; rounding it would shift the adjustment (and turn
+// the stand-in for adj 0 into no adjustment at all)
+const UNROUNDED_KEYS = ['rectRadius'];
+
 /**
  * Deep-clean an object: remove undefined/null values and round numbers.
  *
@@ -50,7 +67,7 @@ function cleanValue(val) {
   if (typeof val === 'object') {
     const cleaned = {};
     for (const [k, v] of Object.entries(val)) {
-      const cv = cleanValue(v);
+      const cv = UNROUNDED_KEYS.includes(k) && typeof v === 'number' ? v : cleanValue(v);
       if (cv !== undefined) {
         cleaned[k] = cv;
       }
@@ -79,6 +96,185 @@ function prettyStringify(val, indent = 4) {
     .join('\n');
 }
 
+/**
+ * Full heading and body font collections (Latin, East Asian, complex
+ * script and per-script faces). Themes parsed without a font scheme get
+ * their Latin faces only.
+ *
+ * @param {{ heading: string, body: string, scheme?: object }} themeFonts - Theme fonts
+ * @returns {{ heading: object, body: object }}
+ */
+function fontScheme(themeFonts) {
+  const collection = (role) => ({
+    latin: themeFonts?.[role] || 'Calibri',
+    ea: themeFonts?.scheme?.[role]?.ea || '',
+    cs: themeFonts?.scheme?.[role]?.cs || '',
+    scripts: { ...themeFonts?.scheme?.[role]?.scripts },
+  });
+  return { heading: collection('heading'), body: collection('body') };
+}
+
+// Object kinds defineSlideMaster() cannot hold — generated masters.js
+// re-adds them on each new slide through MASTERS[title].decorate(slide).
+// Masters stringify text-run arrays, so rich text is a decoration too, and
+// draw preset shapes as text objects, which can't carry a link, so linked
+// shapes are too.
+const DECORATION_KEYS = ['table', 'richText'];
+
+/**
+ * Split a master's objects into those defineSlideMaster() accepts and
+ * decorations that must be added to the slide after addSlide().
+ *
+ * @param {Array<object>} objects - Mapped master objects
+ * @returns {{ masterObjects: Array<object>, decorations: Array<object> }}
+ */
+export function splitDecorations(objects) {
+  const masterObjects = [];
+  const decorations = [];
+  for (const obj of objects || []) {
+    if (DECORATION_KEYS.some((key) => obj[key]) || obj.shape?.options?.hyperlink) decorations.push(obj);
+    else masterObjects.push(obj);
+  }
+  return { masterObjects, decorations };
+}
+
+/**
+ * Convert a `shape` object (preset or custom geometry) into the text object
+ * defineSlideMaster() accepts. Masters have no shape kind, but their text
+ * objects honour the `shape` and `points` options, so an empty text object
+ * draws the shape in place.
+ *
+ * @param {object} obj - Mapped master object
+ * @returns {object} The object unchanged, or a text object for `shape`
+ */
+export function toMasterObject(obj) {
+  if (!obj.shape) return obj;
+  const { type, text, options } = obj.shape;
+  return { text: { text: text || '', options: { ...options, shape: type } } };
+}
+
+/**
+ * Render a decoration object as a slide method call.
+ *
+ * @param {object} obj - Decoration object (e.g. { table: { rows, options } })
+ * @param {number} indent - Indentation level (in spaces)
+ * @returns {string}
+ */
+function formatDecoration(obj, indent) {
+  if (obj.table) {
+    const rows = prettyStringify(obj.table.rows, indent);
+    const opts = prettyStringify(obj.table.options, indent);
+    return `slide.addTable(${rows}, ${opts});`;
+  }
+  if (obj.richText) {
+    const runs = prettyStringify(obj.richText.text, indent);
+    const opts = prettyStringify(obj.richText.options, indent);
+    return `slide.addText(${runs}, ${opts});`;
+  }
+  if (obj.shape) {
+    const opts = prettyStringify(obj.shape.options, indent);
+    return `slide.addShape('${obj.shape.type}', ${opts});`;
+  }
+  return '';
+}
+
+/**
+ * Render a master's MASTERS entry: its registered title and decorate() hook.
+ *
+ * @param {object} master - masterData entry
+ * @param {Array<object>} decorations - Objects decorate() adds
+ * @param {string} pad - Indentation of the entry
+ * @returns {string[]}
+ */
+function masterHookLines(master, decorations, pad) {
+  const lines = [
+    `${pad}${toUpperSnakeCase(master.name)}: {`,
+    `${pad}  title: '${masterTitle(master)}',`,
+    `${pad}  decorate(slide) {`,
+  ];
+  for (const obj of decorations) {
+    const call = formatDecoration(obj, pad.length + 4);
+    if (call) lines.push(`${pad}    ${call}`);
+  }
+  lines.push(`${pad}    return slide;`, `${pad}  },`, `${pad}},`);
+  return lines;
+}
+
+/**
+ * The path of a master's MASTERS entry, as masterHookLines() keys it:
+ * its layout key, under its family key when MASTERS is grouped.
+ *
+ * @param {object} master - masterData entry
+ * @param {Map<string, number[]>|null} families - groupFamilies() result
+ * @returns {string} e.g. `LIGHT.TITLE_SLIDE`
+ */
+function masterHookPath(master, families) {
+  const key = toUpperSnakeCase(master.name);
+  return families ? `${master.family || 'default'}.${key}` : key;
+}
+
+/**
+ * Semantic colors (the THEME aliases, as hex values) and extended palette
+ * of one master family. Limited accent palettes fall back to the family's
+ * master background colors, as THEME and PALETTE do.
+ *
+ * @param {Record<string, string>} themeColors - The family's theme colors
+ * @param {Array<object>} masterData - The family's masters
+ * @param {{ width: number, height: number }} dimensions
+ * @returns {{ theme: Record<string, string>, palette: object }}
+ */
+function familyThemeColors(themeColors, masterData, dimensions) {
+  const { isLimited } = detectLimitedPalette(themeColors);
+  const bgColors = extractBackgroundColors(masterData);
+  const accents = { ...themeColors };
+  if (isLimited && bgColors.length > 0) {
+    bgColors.slice(0, 6).forEach((color, i) => { accents[`accent${i + 1}`] = color; });
+  }
+
+  const theme = {};
+  if (themeColors.dk1) theme.text = themeColors.dk1;
+  if (themeColors.lt1) theme.background = themeColors.lt1;
+  if (accents.accent1) theme.brand = accents.accent1;
+  for (let i = 2; i <= 6; i++) {
+    if (accents[`accent${i}`]) theme[`accent${i}`] = accents[`accent${i}`];
+  }
+  const footerColor = detectMasterFooterColor(masterData, dimensions);
+  if (footerColor) theme.footer = footerColor;
+  return { theme, palette: generateExtendedPalette(accents) };
+}
+
+/**
+ * Group masterData indices by master family, in order of appearance.
+ *
+ * @param {Array<object>} masterData
+ * @returns {Map<string, number[]>|null} null when no entry names a family
+ */
+function groupFamilies(masterData) {
+  if (!masterData.some((m) => m.family)) return null;
+  const families = new Map();
+  masterData.forEach((m, i) => {
+    const key = m.family || 'default';
+    if (!families.has(key)) families.set(key, []);
+    families.get(key).push(i);
+  });
+  return families;
+}
+
+/**
+ * The body text levels of each slide master, keyed as TEXT_STYLES is: by
+ * master family, or `default` for templates with one slide master. Every
+ * masterData entry carries its master's levels; the first entry of each
+ * family supplies them.
+ *
+ * @param {Array<object>} masterData
+ * @param {Map<string, number[]>|null} families - groupFamilies() result
+ * @returns {Array<[string, Array<object>]>}
+ */
+function textStyleMasters(masterData, families) {
+  const groups = families ? [...families] : [['default', masterData.map((_, i) => i)]];
+  return groups.map(([key, indices]) => [key, masterData[indices[0]]?.textStyles || []]);
+}
+
 /**
  * Round to 2 decimal places for display.
  *
@@ -385,7 +581,9 @@ function computeMasterPositions(masterData, dimensions) {
  * @param {string} options.templateName - Source template filename
  * @param {{ width: number, height: number }} options.dimensions - Slide dimensions
  * @param {Record<string, string>} options.themeColors - Theme color map
- * @param {{ heading: string, body: string }} options.themeFonts - Theme fonts
+ * @param {{ heading: string, body: string, scheme?: object }} options.themeFonts - Theme fonts
+ * @param {Array<{ key: string, themeColors: Record<string, string> }>} [options.families] -
+ *   Master families' own theme colors, for THEMES and PALETTES
  * @returns {string} Generated JavaScript source code
  */
 export function generateMastersCode(masterData, options) {
@@ -450,7 +648,46 @@ export function generateMastersCode(masterData, options) {
   lines.push('// Theme Fonts');
   lines.push(`const HEADING_FONT = '${themeFonts?.heading || 'Calibri'}';`);
   lines.push(`const BODY_FONT = '${themeFonts?.body || 'Calibri'}';`);
+  lines.push('// Full font scheme: Latin, East Asian (ea) and complex script (cs) faces,');
+  lines.push('// and per-script fonts by script tag (e.g. FONTS.body.scripts.Jpan).');
+  lines.push('// ea/cs are empty when the theme leaves them to the per-script fonts.');
+  lines.push(`const FONTS = ${JSON.stringify(fontScheme(themeFonts), null, 2)};`);
+  lines.push('');
+
+  // Per-master decorate() hooks for objects defineSlideMaster() cannot hold
+  const split = masterData.map((m) => splitDecorations(m.objects));
+  const hasDecorations = split.some((s) => s.decorations.length > 0);
+
+  // Templates with several slide masters group their layouts by master family
+  const families = groupFamilies(masterData);
+  lines.push('/**');
+  lines.push(' * Per-master hooks. decorate(slide) adds the objects defineSlideMaster()');
+  lines.push(' * cannot hold (tables, rich text); registerMasters() runs it on every addSlide().');
+  if (families) {
+    lines.push(' * Grouped by slide master family: MASTERS.<family>.<LAYOUT>.title is the');
+    lines.push(' * masterName to pass to addSlide().');
+  }
+  lines.push(' */');
+  lines.push('export const MASTERS = {');
+  if (families) {
+    for (const [key, indices] of families) {
+      lines.push(`  ${key}: {`);
+      for (const i of indices) lines.push(...masterHookLines(masterData[i], split[i].decorations, '    '));
+      lines.push('  },');
+    }
+  } else {
+    for (let i = 0; i < masterData.length; i++) {
+      lines.push(...masterHookLines(masterData[i], split[i].decorations, '  '));
+    }
+  }
+  lines.push('};');
   lines.push('');
+  if (families && hasDecorations) {
+    lines.push('// Hooks by registered title, across families');
+    lines.push('const HOOKS = Object.fromEntries(Object.values(MASTERS)');
+    lines.push('  .flatMap((family) => Object.values(family).map((master) => [master.title, master])));');
+    lines.push('');
+  }
 
   // registerMasters function
   lines.push('/**');
@@ -461,7 +698,8 @@ export function generateMastersCode(masterData, options) {
 
   for (let i = 0; i < masterData.length; i++) {
     const master = masterData[i];
-    const title = toUpperSnakeCase(master.name);
+    const title = masterTitle(master);
+    const { masterObjects } = split[i];
 
     if (i > 0) lines.push('');
 
@@ -486,10 +724,10 @@ export function generateMastersCode(masterData, options) {
     }
 
     // Objects
-    if (master.objects && master.objects.length > 0) {
+    if (masterObjects.length > 0) {
       lines.push('    objects: [');
-      for (const obj of master.objects) {
-        const objCleaned = cleanValue(obj);
+      for (const obj of masterObjects) {
+        const objCleaned = cleanValue(toMasterObject(obj));
         if (objCleaned) {
           lines.push(`      ${prettyStringify(objCleaned, 6)},`);
         }
@@ -502,6 +740,17 @@ export function generateMastersCode(masterData, options) {
     lines.push('  });');
   }
 
+  if (hasDecorations) {
+    lines.push('');
+    lines.push('  // Re-add master tables and rich text on every new slide that uses a master');
+    lines.push('  const addSlide = pptx.addSlide.bind(pptx);');
+    lines.push('  pptx.addSlide = (props) => {');
+    lines.push('    const slide = addSlide(props);');
+    lines.push(`    ${families ? 'HOOKS' : 'MASTERS'}[props?.masterName]?.decorate(slide);`);
+    lines.push('    return slide;');
+    lines.push('  };');
+  }
+
   lines.push('}');
   lines.push('');
 
@@ -541,6 +790,33 @@ export function generateMastersCode(masterData, options) {
   lines.push('};');
   lines.push('');
 
+  // Per-family semantic colors and palettes
+  if (families) {
+    const familyColors = [...families].map(([key, indices]) => {
+      const colors = options.families?.find((f) => f.key === key)?.themeColors || themeColors || {};
+      return [key, familyThemeColors(colors, indices.map((i) => masterData[i]), dimensions)];
+    });
+    lines.push("// Semantic Theme Colors and Extended Palettes per master family, from each");
+    lines.push("// master's own theme (THEME and PALETTE are the presentation theme's)");
+    lines.push('const THEMES = {');
+    for (const [key, { theme }] of familyColors) {
+      const vals = Object.entries(theme).map(([k, v]) => `${k}: '${v}'`).join(', ');
+      lines.push(`  ${key}: { ${vals} },`);
+    }
+    lines.push('};');
+    lines.push('const PALETTES = {');
+    for (const [key, { palette }] of familyColors) {
+      lines.push(`  ${key}: {`);
+      for (const [slot, entry] of Object.entries(palette)) {
+        const vals = Object.entries(entry).map(([k, v]) => `${k}: '${v}'`).join(', ');
+        lines.push(`    ${slot}: { ${vals} },`);
+      }
+      lines.push('  },');
+    }
+    lines.push('};');
+    lines.push('');
+  }
+
   // Content positioning areas
   const posEntries = computeMasterPositions(masterData, options.dimensions);
   lines.push('// Content Positioning Areas');
@@ -571,6 +847,49 @@ export function generateMastersCode(masterData, options) {
   lines.push('];');
   lines.push('');
 
+  // Body text levels per slide master and the bullets() helper
+  const textStyleKeys = textStyleMasters(masterData, families);
+  lines.push('// Body Text Styles per slide master (PptxGenJS paragraph options per bullet');
+  lines.push("// level, from the master's body style and body placeholder; index 0 = level 1).");
+  lines.push(families ? '// Keyed by master family.' : '// The template has one slide master, under `default`.');
+  lines.push('const TEXT_STYLES = {');
+  for (const [key, levels] of textStyleKeys) {
+    lines.push(`  ${key}: [`);
+    for (const level of levels) {
+      lines.push(`    ${JSON.stringify(cleanValue(level))},`);
+    }
+    lines.push('  ],');
+  }
+  lines.push('};');
+  lines.push('');
+  const defaultTextStyle = textStyleKeys[0]?.[0] || 'default';
+  lines.push('/**');
+  lines.push(' * Turn nested arrays into bulleted text runs for addText(): a nested array');
+  lines.push(' * holds the sub-points of the item before it. Items are strings or');
+  lines.push(' * { text, options } runs (their options override the level style).');
+  lines.push(' * @param {Array<string|object|Array>} items - e.g. [\'Point\', [\'Sub-point\'], \'Point\']');
+  lines.push(` * @param {Array<object>} [levels] - A TEXT_STYLES entry (default: TEXT_STYLES.${defaultTextStyle})`);
+  lines.push(' * @returns {Array<{ text: string, options: object }>}');
+  lines.push(' */');
+  lines.push(`export function bullets(items, levels = TEXT_STYLES.${defaultTextStyle} || []) {`);
+  lines.push('  const runs = [];');
+  lines.push('  const walk = (list, depth) => {');
+  lines.push('    for (const item of list) {');
+  lines.push('      if (Array.isArray(item)) {');
+  lines.push('        walk(item, depth + 1);');
+  lines.push('        continue;');
+  lines.push('      }');
+  lines.push("      const run = typeof item === 'object' ? item : { text: String(item) };");
+  lines.push('      const style = levels[Math.min(depth, levels.length - 1)] || {};');
+  lines.push('      runs.push({ text: run.text, options: { ...style, indentLevel: Math.min(depth, 8), ...run.options, breakLine: true } });');
+  lines.push('    }');
+  lines.push('  };');
+  lines.push('  walk(items, 0);');
+  lines.push('  if (runs.length > 0) delete runs[runs.length - 1].options.breakLine;');
+  lines.push('  return runs;');
+  lines.push('}');
+  lines.push('');
+
   // createPresentation convenience function
   const slideW = round4(options.dimensions?.width || 13.3333);
   const slideH = round4(options.dimensions?.height || 7.5);
@@ -602,10 +921,11 @@ export function generateMastersCode(masterData, options) {
   }
 
   // Exports
+  const familyExports = families ? ', THEMES, PALETTES' : '';
   if (usesFallback) {
-    lines.push('export { THEME_COLORS, PALETTE, HEADING_FONT, BODY_FONT, THEME, POS, CHART_COLORS, FONT, SLIDE_COLORS };');
+    lines.push(`export { THEME_COLORS, PALETTE, HEADING_FONT, BODY_FONT, FONTS, THEME, POS, CHART_COLORS, FONT, TEXT_STYLES, SLIDE_COLORS${familyExports} };`);
   } else {
-    lines.push('export { THEME_COLORS, PALETTE, HEADING_FONT, BODY_FONT, THEME, POS, CHART_COLORS, FONT };');
+    lines.push(`export { THEME_COLORS, PALETTE, HEADING_FONT, BODY_FONT, FONTS, THEME, POS, CHART_COLORS, FONT, TEXT_STYLES${familyExports} };`);
   }
   lines.push('');
 
@@ -616,7 +936,7 @@ export function generateMastersCode(masterData, options) {
  * Generate a theme.json object containing colors, fonts, and dimensions.
  *
  * @param {Record<string, string>} themeColors - Theme color map
- * @param {{ heading: string, body: string }} themeFonts - Theme fonts
+ * @param {{ heading: string, body: string, scheme?: object }} themeFonts - Theme fonts
  * @param {{ width: number, height: number }} dimensions - Slide dimensions
  * @param {Array<object>} [masterData] - Optional master data (for limited palette detection)
  * @returns {object} Theme JSON object
@@ -644,6 +964,7 @@ export function generateThemeJson(themeColors, themeFonts, dimensions, masterDat
     fonts: {
       heading: themeFonts?.heading || 'Calibri',
       body: themeFonts?.body || 'Calibri',
+      scheme: fontScheme(themeFonts),
     },
     dimensions: {
       width: dimensions?.width || 10,
@@ -786,9 +1107,11 @@ function describePlaceholder(phObj) {
  * @param {{ heading: string, body: string }} themeFonts - Theme fonts
  * @param {{ width: number, height: number }} dimensions - Slide dimensions
  * @param {string} templateName - Source template filename
+ * @param {Array<{ key: string, name: string, themeColors: Record<string, string> }>} [families] -
+ *   Master families, when the template has several slide masters
  * @returns {string} Markdown content
  */
-export function generateAgentInstructions(masterData, themeColors, themeFonts, dimensions, templateName) {
+export function generateAgentInstructions(masterData, themeColors, themeFonts, dimensions, templateName, families = []) {
   const lines = [];
   const headingFont = themeFonts?.heading || 'Calibri';
   const bodyFont = themeFonts?.body || 'Calibri';
@@ -822,7 +1145,7 @@ export function generateAgentInstructions(masterData, themeColors, themeFonts, d
   lines.push('|--------|----------|---------|---------|------------|');
 
   for (const master of masterData) {
-    const title = toUpperSnakeCase(master.name);
+    const title = masterTitle(master);
     const objects = master.objects || [];
     const titlePh = objects.find((o) => o.placeholder?.options?.type === 'title');
     const bodyPh = objects.find((o) => o.placeholder?.options?.type === 'body');
@@ -854,7 +1177,7 @@ export function generateAgentInstructions(masterData, themeColors, themeFonts, d
   // One example per classified master
   const classified = masterData.map((m, i) => ({
     master: m,
-    title: toUpperSnakeCase(m.name),
+    title: masterTitle(m),
     cls: classifyMasterRole(m, i, masterData.length),
   }));
 
@@ -897,12 +1220,14 @@ export function generateAgentInstructions(masterData, themeColors, themeFonts, d
   lines.push('');
 
   // --- Exports Reference ---
+  const grouped = groupFamilies(masterData);
   lines.push('## Exports from masters.js');
   lines.push('');
   lines.push('| Export | Type | Description |');
   lines.push('|--------|------|-------------|');
   lines.push('| `createPresentation(title?)` | `async function` | Returns PptxGenJS instance with masters registered and layout set |');
   lines.push('| `registerMasters(pptx)` | `function` | Register masters on an existing PptxGenJS instance |');
+  lines.push('| `MASTERS` | `object` | Per-master `decorate(slide)` hooks that re-add tables and rich text boxes after `addSlide()` (called automatically) |');
   lines.push('| `THEME` | `object` | Semantic color aliases: `text`, `background`, `brand`, `accent2`\u2013`accent6`, `footer` |');
   lines.push('| `THEME_COLORS` | `object` | Raw theme slots: `dk1`, `lt1`, `dk2`, `lt2`, `accent1`\u2013`accent6`, `hlink`, `folHlink` |');
   lines.push('| `PALETTE` | `object` | Extended palette with tint/shade variants per color slot |');
@@ -910,10 +1235,17 @@ export function generateAgentInstructions(masterData, themeColors, themeFonts, d
   lines.push('| `FONT` | `string` | Primary font name (heading font) |');
   lines.push('| `HEADING_FONT` | `string` | Heading font name |');
   lines.push('| `BODY_FONT` | `string` | Body font name |');
+  lines.push('| `FONTS` | `object` | Full font scheme: `FONTS.heading` / `FONTS.body` with `latin`, `ea` (East Asian), `cs` (complex script) and per-script `scripts` (e.g. `scripts.Jpan`) |');
   lines.push('| `POS` | `object` | Pre-calculated content positioning areas |');
+  lines.push(`| \`TEXT_STYLES\` | \`object\` | Body text levels per slide master (${grouped ? 'keyed by master family' : '`default`'}): PptxGenJS options (bullet, indent, font size, color, spacing) for levels 1\u20139 |`);
+  lines.push('| `bullets(items, levels?)` | `function` | Nested arrays \u2192 levelled bullet runs for `addText()`, styled from a `TEXT_STYLES` entry |');
   if (usesFallback) {
     lines.push('| `SLIDE_COLORS` | `string[]` | Background colors extracted from master slides (fallback for limited accent palettes) |');
   }
+  if (grouped) {
+    lines.push('| `THEMES` | `object` | `THEME` per master family, from each family\'s own theme |');
+    lines.push('| `PALETTES` | `object` | `PALETTE` per master family |');
+  }
   lines.push('');
 
   // --- POS table ---
@@ -1049,18 +1381,44 @@ export function generateAgentInstructions(masterData, themeColors, themeFonts, d
   lines.push(`- \`FONT\` export = \`'${headingFont}'\``);
   lines.push('');
 
+  // --- Master Families ---
+  if (grouped) {
+    lines.push('## Master Families');
+    lines.push('');
+    lines.push('The template has several slide masters, each with its own theme. `MASTERS` is grouped by family; pass a layout\'s registered `title` to `addSlide()` and take colors from that family\'s `THEMES` / `PALETTES` entry (`THEME` and `PALETTE` are the presentation theme\'s):');
+    lines.push('');
+    lines.push('| Family | Master | Layouts | Brand |');
+    lines.push('|--------|--------|---------|-------|');
+    for (const [key, indices] of grouped) {
+      const family = families.find((f) => f.key === key);
+      const brand = family?.themeColors?.accent1 ? `#${family.themeColors.accent1}` : '\u2014';
+      const titles = indices.map((i) => `\`${masterTitle(masterData[i])}\``).join(', ');
+      lines.push(`| \`${key}\` | ${family?.name || key} | ${titles} | ${brand} |`);
+    }
+    lines.push('');
+    const [firstKey, firstIndices] = [...grouped][0];
+    const example = masterHookPath(masterData[firstIndices[0]], grouped);
+    lines.push('```javascript');
+    lines.push(`const slide = pptx.addSlide({ masterName: MASTERS.${example}.title });`);
+    lines.push(`slide.addText('Hello', { ...POS.body, color: THEMES.${firstKey}.text });`);
+    lines.push('```');
+    lines.push('');
+  }
+
   // --- Master Details ---
   lines.push('## Master Details');
   lines.push('');
 
   for (const master of masterData) {
-    const title = toUpperSnakeCase(master.name);
+    const title = masterTitle(master);
+    const hook = `MASTERS.${masterHookPath(master, grouped)}.decorate(slide)`;
     lines.push(`### ${title}`);
     lines.push(`Original name: "${master.name}"`);
 
     const objects = master.objects || [];
     const placeholders = objects.filter((o) => o.placeholder);
-    const statics = objects.filter((o) => !o.placeholder);
+    const { decorations } = splitDecorations(objects);
+    const statics = objects.filter((o) => !o.placeholder && !decorations.includes(o));
 
     if (placeholders.length > 0) {
       lines.push('');
@@ -1091,6 +1449,19 @@ export function generateAgentInstructions(masterData, themeColors, themeFonts, d
       lines.push(`- Static shapes: ${statics.length} (logos, bars, footer text \u2014 automatic)`);
     }
 
+    const tables = decorations.filter((o) => o.table);
+    if (tables.length > 0) {
+      lines.push(`- Tables: ${tables.length} (re-added by \`${hook}\` \u2014 automatic on \`addSlide()\`)`);
+    }
+    const richTexts = decorations.filter((o) => o.richText);
+    if (richTexts.length > 0) {
+      lines.push(`- Rich text boxes: ${richTexts.length} (mixed formatting; re-added by \`${hook}\` \u2014 automatic on \`addSlide()\`)`);
+    }
+    const linkedShapes = decorations.filter((o) => o.shape);
+    if (linkedShapes.length > 0) {
+      lines.push(`- Linked shapes: ${linkedShapes.length} (re-added by \`${hook}\` \u2014 automatic on \`addSlide()\`)`);
+    }
+
     lines.push('');
   }
 
@@ -1099,7 +1470,7 @@ export function generateAgentInstructions(masterData, themeColors, themeFonts, d
   lines.push('');
   const classifiedForGuide = masterData.map((m, i) => ({
     master: m,
-    title: toUpperSnakeCase(m.name),
+    title: masterTitle(m),
     cls: classifyMasterRole(m, i, masterData.length),
   }));
   // Generate smart descriptions based on layout name and structure
@@ -1190,6 +1561,9 @@ export function generateAgentInstructions(masterData, themeColors, themeFonts, d
       if (obj.text?.options && !obj.placeholder && (obj.text.options.y || 0) > (dimensions?.height || 7.5) * 0.8) {
         const text = typeof obj.text.text === 'string' ? obj.text.text : '';
         if (text && text.length > 0) footerTexts.add(text);
+      } else if (obj.richText && (obj.richText.options.y || 0) > (dimensions?.height || 7.5) * 0.8) {
+        const text = obj.richText.text.map((run) => run.text + (run.options.breakLine ? '\n' : '')).join('');
+        if (text.trim()) footerTexts.add(text);
       }
     }
   }
@@ -1320,9 +1694,32 @@ export function generateAgentInstructions(masterData, themeColors, themeFonts, d
   lines.push("// slide.addText([[{text: 'a'}, {text: 'b'}]], { bullet: true }); // DON'T DO THIS");
   lines.push('```');
   lines.push('');
+  const bulletMaster = masterData.find((m) => (m.objects || []).some((o) => o.placeholder?.options?.type === 'body'));
+  const bulletPh = bulletMaster?.objects.find((o) => o.placeholder?.options?.type === 'body').placeholder.options;
+  lines.push('### Template Bullet Levels');
+  lines.push('');
+  const styleKey = bulletMaster?.family || 'default';
+  lines.push(grouped
+    ? "`TEXT_STYLES` holds each slide master's body levels (bullet, indent, size, color, spacing), keyed by master family. `bullets()` turns nested arrays — sub-points follow their parent — into levelled runs:"
+    : "`TEXT_STYLES.default` holds the slide master's body levels (bullet, indent, size, color, spacing); `bullets()` uses them by default. It turns nested arrays — sub-points follow their parent — into levelled runs:");
+  lines.push('');
+  lines.push('```js');
+  lines.push("import { bullets, TEXT_STYLES } from './masters.js';");
+  lines.push('');
+  lines.push(bulletMaster
+    ? `slide.addText(bullets(['First point', ['Detail', 'Detail'], 'Second point'], TEXT_STYLES.${styleKey}), { placeholder: '${bulletPh.name || 'body'}' });`
+    : "slide.addText(bullets(['First point', ['Detail', 'Detail'], 'Second point']), { ...POS.body, fontFace: FONT });");
+  lines.push('```');
+  lines.push('');
   lines.push('### Sizing and Overflow');
   lines.push('');
   lines.push('- PptxGenJS does **not** auto-shrink text to fit. If text overflows the box, it clips or spills.');
+  const shrinkMasters = masterData
+    .filter((m) => (m.objects || []).some((o) => o.placeholder?.options?.fit === 'shrink'))
+    .map((m) => masterTitle(m));
+  if (shrinkMasters.length > 0) {
+    lines.push(`- Placeholders set to shrink text on overflow in the template (${shrinkMasters.join(', ')}) keep \`fit: 'shrink'\`; PowerPoint applies it once the text is edited, so still size content to fit.`);
+  }
   lines.push('- Tables do **not** auto-expand rows. Set `rowH` explicitly or let PptxGenJS calculate (omit `rowH`).');
   lines.push('- When placing multiple elements vertically, **calculate y positions manually**: `nextY = prevY + prevH + gap`.');
   lines.push(`- Body area: ${bodyW}" × ${bodyH}" starting at (${round2(posEntries.find((p) => p.key === 'body')?.x || 0.5)}, ${round2(posEntries.find((p) => p.key === 'body')?.y || 1.84)}). Plan your layout to fill this rectangle.`);
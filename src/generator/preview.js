@@ -6,7 +6,7 @@
 import { resolve } from 'path';
 import { readFile } from 'fs/promises';
 import PptxGenJS from 'pptxgenjs';
-import { toUpperSnakeCase } from './code.js';
+import { masterTitle, splitDecorations, toMasterObject } from './code.js';
 
 /**
  * Generate a preview PPTX file demonstrating all slide masters.
@@ -39,9 +39,7 @@ export async function generatePreview(masterData, themeColors, themeFonts, dimen
           if (!imageCache.has(absPath)) {
             try {
               const buf = await readFile(absPath);
-              const ext = absPath.split('.').pop().toLowerCase();
-              const mime = ext === 'png' ? 'image/png' : ext === 'jpg' || ext === 'jpeg' ? 'image/jpeg' : `image/${ext}`;
-              imageCache.set(absPath, `data:${mime};base64,${buf.toString('base64')}`);
+              imageCache.set(absPath, `data:${imageMimeType(absPath)};base64,${buf.toString('base64')}`);
             } catch {
               // Image not found — skip it
             }
@@ -53,9 +51,7 @@ export async function generatePreview(masterData, themeColors, themeFonts, dimen
         if (!imageCache.has(absPath)) {
           try {
             const buf = await readFile(absPath);
-            const ext = absPath.split('.').pop().toLowerCase();
-            const mime = ext === 'png' ? 'image/png' : ext === 'jpg' || ext === 'jpeg' ? 'image/jpeg' : `image/${ext}`;
-            imageCache.set(absPath, `data:${mime};base64,${buf.toString('base64')}`);
+            imageCache.set(absPath, `data:${imageMimeType(absPath)};base64,${buf.toString('base64')}`);
           } catch {
             // Image not found — skip it
           }
@@ -65,11 +61,12 @@ export async function generatePreview(masterData, themeColors, themeFonts, dimen
   }
 
   for (const master of masterData) {
-    const title = toUpperSnakeCase(master.name);
+    const title = masterTitle(master);
+    const { masterObjects, decorations } = splitDecorations(master.objects);
 
     // Build the master definition, resolving images to base64 data when available
     const safeObjects = [];
-    for (const obj of master.objects || []) {
+    for (const obj of masterObjects) {
       if (obj.image?.path && outputDir) {
         const absPath = resolve(outputDir, obj.image.path);
         const dataUri = imageCache.get(absPath);
@@ -83,7 +80,7 @@ export async function generatePreview(masterData, themeColors, themeFonts, dimen
         // Image not available — skip it
         continue;
       }
-      safeObjects.push(obj);
+      safeObjects.push(toMasterObject(obj));
     }
 
     const masterDef = {
@@ -117,6 +114,13 @@ export async function generatePreview(masterData, themeColors, themeFonts, dimen
     // Add a sample slide using this master
     const slide = pptx.addSlide({ masterName: title });
 
+    // Re-add objects the master cannot hold, as masters.js decorate() does
+    for (const obj of decorations) {
+      if (obj.table) slide.addTable(obj.table.rows, obj.table.options);
+      if (obj.richText) slide.addText(obj.richText.text, obj.richText.options);
+      if (obj.shape) slide.addShape(obj.shape.type, obj.shape.options);
+    }
+
     // Fill placeholders with sample content
     const objects = master.objects || [];
     const titlePh = objects.find((o) => o.placeholder?.options?.type === 'title');
@@ -134,3 +138,17 @@ export async function generatePreview(masterData, themeColors, themeFonts, dimen
 
   return pptx.write({ outputType: 'nodebuffer' });
 }
+
+// --- Internal helpers ---
+
+/**
+ * MIME type of an image file for a data URI, from its extension.
+ * @param {string} path
+ * @returns {string}
+ */
+function imageMimeType(path) {
+  const ext = path.split('.').pop().toLowerCase();
+  if (ext === 'jpg' || ext === 'jpeg') return 'image/jpeg';
+  if (ext === 'svg') return 'image/svg+xml';
+  return `image/${ext}`;
+}
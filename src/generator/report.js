@@ -70,6 +70,45 @@ function describeBackground(bg) {
   return 'Unknown';
 }
 
+/**
+ * Collect the hyperlinks on layout objects (linked images, shapes, lines
+ * and rich text runs), each with the layouts it appears on.
+ *
+ * @param {Array<{ name: string, objects?: Array<object> }>} layouts
+ * @returns {Array<{ label: string, url: string, layouts: string[] }>}
+ */
+function collectLinks(layouts) {
+  const links = new Map();
+  const add = (label, url, layoutName) => {
+    const key = `${label}\u0000${url}`;
+    if (!links.has(key)) links.set(key, { label, url, layouts: [] });
+    const entry = links.get(key);
+    if (!entry.layouts.includes(layoutName)) entry.layouts.push(layoutName);
+  };
+
+  for (const layout of layouts || []) {
+    for (const obj of layout.objects || []) {
+      if (obj.image?.hyperlink) add(`Image \`${obj.image.path}\``, obj.image.hyperlink.url, layout.name);
+      const shape = obj.rect || obj.line || obj.shape?.options;
+      if (shape?.hyperlink) add(`${obj.line ? 'Line' : 'Shape'} at ${round4(shape.x)}, ${round4(shape.y)}`, shape.hyperlink.url, layout.name);
+      for (const run of obj.richText?.text || []) {
+        if (run.options?.hyperlink) add(`Text "${run.text}"`, run.options.hyperlink.url, layout.name);
+      }
+    }
+  }
+  return [...links.values()];
+}
+
+/**
+ * Escape pipes so text can sit in a Markdown table cell.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeCell(text) {
+  return String(text).replace(/\|/g, '\\|');
+}
+
 /**
  * Generate an extraction report in Markdown format.
  *
@@ -78,7 +117,7 @@ function describeBackground(bg) {
  * @param {{ width: number, height: number }} extractionResult.dimensions - Slide dimensions
  * @param {Record<string, string>} extractionResult.themeColors - Theme color map
  * @param {{ heading: string, body: string }} extractionResult.themeFonts - Theme fonts
- * @param {Array<object>} extractionResult.layouts - Layout extraction data
+ * @param {Array<object>} extractionResult.layouts - Layout extraction data (with the mapped `objects`)
  * @param {string[]} extractionResult.allWarnings - All accumulated warnings
  * @returns {string} Markdown report
  */
@@ -187,6 +226,23 @@ export function generateReport(extractionResult) {
     }
   }
 
+  // Hyperlinks section
+  lines.push('## Hyperlinks');
+  lines.push('');
+
+  const links = collectLinks(layouts);
+  if (links.length > 0) {
+    lines.push('| Link | Target | Layouts |');
+    lines.push('|------|--------|---------|');
+    for (const link of links) {
+      lines.push(`| ${escapeCell(link.label)} | ${escapeCell(link.url)} | ${escapeCell(link.layouts.join(', '))} |`);
+    }
+  } else {
+    lines.push('No hyperlinks.');
+  }
+
+  lines.push('');
+
   // Warnings section
   lines.push('## Warnings');
   lines.push('');
@@ -203,9 +259,17 @@ export function generateReport(extractionResult) {
 
   // What's Not Supported section
   lines.push("## What's Not Supported (v1)");
-  lines.push('- Gradient fills (dominant color used as fallback)');
-  lines.push('- Pattern fills (foreground color used as fallback)');
-  lines.push('- Grouped shapes');
+  lines.push('- Gradient fills on placeholders, table cells and preset shapes other than rectangles (first stop color used as fallback; rectangles, rounded rectangles, freeforms and backgrounds are rendered to PNG)');
+  lines.push('- Pattern fills on placeholders, table cells and preset shapes other than rectangles (foreground color used as fallback; rectangles, rounded rectangles, freeforms and backgrounds are rendered to PNG)');
+  lines.push('- Preset shape adjustments other than corner radius and arc angles (preset defaults used)');
+  lines.push('- Freeforms mixing filled and outline-only paths (rendered to PNG)');
+  lines.push('- EMF/WMF pictures using EMF+ records or RLE bitmaps (referenced as-is; listed under Warnings)');
+  lines.push('- Glow, soft edge, reflection and blur effects (dropped and listed under Warnings; --bake-effects renders them to PNG)');
+  lines.push('- Hyperlinks that jump to other slides, run actions or open files inside the template (dropped and listed under Warnings)');
+  lines.push('- Bullet fonts, colors and sizes (bullets in TEXT_STYLES follow their text)');
+  lines.push('- Text in columns (laid out in one column; listed under Warnings)');
+  lines.push('- Picture bullets (a "\u2022" bullet is used; the picture is copied to media/ and listed under Warnings)');
+  lines.push('- All caps on placeholders, small caps, gradient-filled text and kerning (listed under Warnings; kerning inherited from the master\'s text styles is not)');
   lines.push('- Animations and transitions');
   lines.push('- SmartArt / diagrams');
   lines.push('- 3D effects, text warp');
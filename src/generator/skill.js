@@ -5,7 +5,7 @@
  * how to create on-brand presentations using the extracted slide masters.
  */
 
-import { toUpperSnakeCase, detectLimitedPalette, extractBackgroundColors } from './code.js';
+import { masterTitle, detectLimitedPalette, extractBackgroundColors } from './code.js';
 
 /**
  * Round to at most 2 decimal places for display.
@@ -353,7 +353,7 @@ export function generateBrandSkill(masterData, options) {
 
   const lines = [];
 
-  const masterTitles = masterData.map((m) => toUpperSnakeCase(m.name));
+  const masterTitles = masterData.map((m) => masterTitle(m));
   const masterList = masterTitles.join(', ');
   const headingFont = themeFonts?.heading || 'Calibri';
   const bodyFont = themeFonts?.body || 'Calibri';
@@ -364,7 +364,7 @@ export function generateBrandSkill(masterData, options) {
   // Classify masters
   const classified = masterData.map((m, i) => ({
     master: m,
-    title: toUpperSnakeCase(m.name),
+    title: masterTitle(m),
     cls: classifyMaster(m, i, masterData.length),
   }));
 
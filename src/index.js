@@ -11,11 +11,15 @@ import { parseTheme, parseClrMap } from './parser/theme.js';
 import { createColorResolver } from './parser/colors.js';
 import { parseRelationships, resolveRelPath } from './parser/relationships.js';
 import { parseSlideMaster } from './parser/master.js';
-import { parseSlideLayout, parsePresentation } from './parser/layout.js';
+import { parseSlideLayout, parsePresentation, parseMasterIdList } from './parser/layout.js';
+import { readImageSize } from './parser/image.js';
+import { isMetafilePath, metafileToSvg } from './render/metafile.js';
 import { mapShape } from './mapper/shapes.js';
 import { mapPlaceholder } from './mapper/placeholders.js';
 import { mapBackground } from './mapper/backgrounds.js';
 import { mapSlideNumberAndFooters, extractSlideNumberFromShape } from './mapper/slideNumber.js';
+import { mergeListStyles, mapTextStyles } from './mapper/textStyles.js';
+import { extractTextListStyle } from './parser/text.js';
 import { generateMastersCode, generateThemeJson, toUpperSnakeCase, generateAgentInstructions } from './generator/code.js';
 import { generateReport } from './generator/report.js';
 import { generatePreview } from './generator/preview.js';
@@ -24,16 +28,22 @@ import { generatePreview } from './generator/preview.js';
  * Extract slide masters from a PPTX/POTX file.
  *
  * @param {string} inputPath - Path to the .pptx or .potx file
- * @param {{ layouts?: string[], output?: string, preview?: boolean, report?: boolean }} [options]
+ * @param {{ layouts?: string[], output?: string, preview?: boolean, report?: boolean, imageFormat?: 'svg'|'png', bakeEffects?: boolean }} [options]
+ *   `imageFormat` picks the SVG or PNG version of pictures stored with both (default 'svg');
+ *   `bakeEffects` renders shapes with glow, soft edge, reflection or blur effects to PNG
  * @returns {Promise<{
  *   masterData: Array<object>,
  *   themeColors: Record<string, string>,
- *   themeFonts: { heading: string, body: string },
+ *   themeFonts: { heading: string, body: string, scheme?: object },
+ *   families: Array<{ key: string, name: string, themeColors: Record<string, string>, themeFonts: object }>,
  *   dimensions: { width: number, height: number },
  *   warnings: string[],
  *   layouts: Array<object>,
- *   mediaFiles: Array<{ archivePath: string, filename: string }>,
- * }>}
+ *   mediaFiles: Array<{ archivePath?: string, filename: string, buffer?: Buffer }>,
+ * }>} `themeColors`/`themeFonts` are the presentation's theme. In templates whose
+ *   layouts belong to several slide masters, `families` lists each master with its
+ *   own theme, and every masterData entry names its `family`. Each entry's
+ *   `textStyles` are its slide master's body text levels.
  */
 export async function extract(inputPath, options = {}) {
   const absPath = resolve(inputPath);
@@ -46,9 +56,9 @@ export async function extract(inputPath, options = {}) {
 
   // 2. Parse theme — resolve path from presentation.xml.rels, fallback to theme1.xml
   let themePath = 'ppt/theme/theme1.xml';
+  let presRels = {};
   try {
-    const presRelsXml = await archive.getXml('ppt/_rels/presentation.xml.rels');
-    const presRels = parseRelationships(presRelsXml);
+    presRels = parseRelationships(await archive.getXml('ppt/_rels/presentation.xml.rels'));
     const themeRel = Object.values(presRels).find((r) => r.type === 'theme');
     if (themeRel) {
       themePath = resolveRelPath('ppt/presentation.xml', themeRel.target);
@@ -56,16 +66,23 @@ export async function extract(inputPath, options = {}) {
   } catch {
     // No presentation.xml.rels — use default
   }
-  const themeXml = await archive.getXml(themePath);
-  const { colors: themeColors, fonts: themeFonts } = parseTheme(themeXml);
+  const themes = new Map();
+  const presentationTheme = await loadTheme(archive, themePath, themes);
+  const { colors: themeColors, fonts: themeFonts } = presentationTheme;
 
   // 3. Parse presentation dimensions
   const presXml = await archive.getXml('ppt/presentation.xml');
   const dimensions = parsePresentation(presXml);
 
-  // 4. Find and parse slide masters
-  const masterFiles = allFiles
-    .filter((f) => /^ppt\/slideMasters\/slideMaster\d+\.xml$/.test(f));
+  // 4. Find and parse slide masters, in presentation.xml's order
+  const masterOrder = parseMasterIdList(presXml)
+    .map((rId) => presRels[rId])
+    .filter(Boolean)
+    .map((rel) => resolveRelPath('ppt/presentation.xml', rel.target));
+  const masterFiles = orderParts(
+    allFiles.filter((f) => /^ppt\/slideMasters\/slideMaster\d+\.xml$/.test(f)),
+    masterOrder,
+  );
 
   // First pass: parse masters without colorResolver (need clrMap first)
   const masters = [];
@@ -84,16 +101,31 @@ export async function extract(inputPath, options = {}) {
     }
 
     const master = parseSlideMaster(masterXml, masterRels);
-    masters.push({ ...master, _file: masterFile });
+
+    // Each master links its own theme; fall back to the presentation's
+    let theme = presentationTheme;
+    const themeRel = Object.values(master.relationships).find((r) => r.type === 'theme');
+    if (themeRel) {
+      try {
+        theme = await loadTheme(archive, resolveRelPath(masterFile, themeRel.target), themes);
+      } catch {
+        allWarnings.push(`Could not read the theme of ${masterFile}; using the presentation theme`);
+      }
+    }
+    masters.push({ ...master, theme, _file: masterFile });
   }
 
-  // 5. Build color resolver from theme + first master's clrMap
+  // 5. Build color resolver from the presentation theme + first master's clrMap
+  // (for layouts without a master)
   const defaultClrMap = masters.length > 0 ? masters[0].clrMap : {};
   const defaultColorResolver = createColorResolver(themeColors, defaultClrMap, themeFonts);
 
+  // Metafile pictures converted to SVG, by archive path
+  const metafiles = new Map();
+
   // Re-parse placeholder defaults now that we have color resolvers
   for (const master of masters) {
-    const masterResolver = createColorResolver(themeColors, master.clrMap, themeFonts);
+    const masterResolver = createColorResolver(master.theme.colors, master.clrMap, master.theme.fonts);
     const masterXml = await archive.getXml(master._file);
     const masterRelsPath = master._file.replace(
       'ppt/slideMasters/',
@@ -107,16 +139,24 @@ export async function extract(inputPath, options = {}) {
     }
     const reParsed = parseSlideMaster(masterXml, masterRels, null, {
       colorResolver: masterResolver,
-      themeFonts,
+      themeFonts: master.theme.fonts,
+      formatScheme: master.theme.formatScheme,
     });
     master.placeholderDefaults = reParsed.placeholderDefaults;
     master.staticShapes = reParsed.staticShapes;
     master.relationships = reParsed.relationships;
+    await preparePictureMedia(master.staticShapes, master.relationships, master._file, archive, metafiles);
   }
 
-  // 6. Find and parse slide layouts
-  const layoutFiles = allFiles
-    .filter((f) => /^ppt\/slideLayouts\/slideLayout\d+\.xml$/.test(f));
+  // 6. Find and parse slide layouts, master by master in layout gallery order
+  const layoutOrder = masters.flatMap((master) => master.layoutIds
+    .map((rId) => master.relationships[rId])
+    .filter(Boolean)
+    .map((rel) => resolveRelPath(master._file, rel.target)));
+  const layoutFiles = orderParts(
+    allFiles.filter((f) => /^ppt\/slideLayouts\/slideLayout\d+\.xml$/.test(f)),
+    layoutOrder,
+  );
 
   const parsedLayouts = [];
   for (const layoutFile of layoutFiles) {
@@ -166,16 +206,20 @@ export async function extract(inputPath, options = {}) {
     if (layoutClrMapOverride) {
       layoutClrMap = { ...layoutClrMap, ...layoutClrMapOverride };
     }
+    const layoutTheme = masterForLayout?.theme || presentationTheme;
     const layoutColorResolver = masterForLayout
-      ? createColorResolver(themeColors, layoutClrMap, themeFonts)
+      ? createColorResolver(layoutTheme.colors, layoutClrMap, layoutTheme.fonts)
       : defaultColorResolver;
 
     const layout = parseSlideLayout(layoutXml, layoutRels, null, {
       colorResolver: layoutColorResolver,
-      themeFonts,
+      themeFonts: layoutTheme.fonts,
       masterDefaults: masterForLayout?.placeholderDefaults || null,
+      formatScheme: layoutTheme.formatScheme,
     });
 
+    await preparePictureMedia(layout.staticShapes, layout.relationships, layoutFile, archive, metafiles);
+
     parsedLayouts.push({
       ...layout,
       _file: layoutFile,
@@ -183,6 +227,11 @@ export async function extract(inputPath, options = {}) {
     });
   }
 
+  // Master families — when the layouts use several slide masters, each
+  // master's layouts are grouped under it, with its own theme
+  const layoutMasters = masters.filter((m) => parsedLayouts.some((l) => l._masterFile === m._file));
+  const families = layoutMasters.length > 1 ? nameFamilies(layoutMasters) : [];
+
   // 7. Filter layouts if --layouts specified (supports names or 1-based numbers)
   let filteredLayouts = parsedLayouts;
   if (options.layouts && options.layouts.length > 0) {
@@ -211,6 +260,7 @@ export async function extract(inputPath, options = {}) {
 
   // 8. Map each layout to PptxGenJS master data
   const masterData = [];
+  const masterTextStyles = new Map();
   const mediaFiles = [];
 
   for (const layout of filteredLayouts) {
@@ -224,9 +274,13 @@ export async function extract(inputPath, options = {}) {
     if (layout.clrMapOverride) {
       masterClrMap = { ...masterClrMap, ...layout.clrMapOverride };
     }
+    // Colors, fonts and theme styles come from the master's own theme
+    const layoutTheme = masterForLayout?.theme || presentationTheme;
+    const layoutFonts = layoutTheme.fonts;
     const layoutColorResolver = masterForLayout
-      ? createColorResolver(themeColors, masterClrMap, themeFonts)
+      ? createColorResolver(layoutTheme.colors, masterClrMap, layoutFonts)
       : defaultColorResolver;
+    const family = families.find((f) => f._file === masterForLayout?._file) || null;
 
     // Background — inherit from master if layout has none
     // Use the correct relationships for image resolution:
@@ -237,34 +291,45 @@ export async function extract(inputPath, options = {}) {
     const bgRelationships = usingMasterBg
       ? masterForLayout.relationships
       : layout.relationships;
-    const { background, warnings: bgWarnings } = mapBackground(
+    const { background, warnings: bgWarnings, media: bgMedia } = mapBackground(
       bgElement,
       layoutColorResolver,
       bgRelationships,
+      dimensions,
+      layoutTheme,
     );
     layoutWarnings.push(...bgWarnings);
-
-    // Slide number and footers
-    let { slideNumber, footerObjects } = mapSlideNumberAndFooters(
-      layout.placeholders,
-      layoutColorResolver,
-      themeFonts,
-    );
-
-    // Placeholders (non-footer/sldNum)
-    const placeholderObjects = [];
-    for (const ph of layout.placeholders) {
-      const result = mapPlaceholder(ph, layoutColorResolver, themeFonts);
-      if (result) {
-        const { warnings: phWarnings, ...phObject } = result;
-        placeholderObjects.push(phObject);
-        layoutWarnings.push(...phWarnings);
+    addGeneratedMedia(mediaFiles, bgMedia);
+
+    // Layout placeholders, footers and static shapes, in z-order
+    const layoutObjects = [];
+    let slideNumber = null;
+    const styleDefaults = (style) => extractTextListStyle(style, layoutColorResolver, layoutFonts)?.[1]?.defaultRunProps || null;
+    const titleDefaults = styleDefaults(masterForLayout?.textStyles?.title);
+    const bodyDefaults = styleDefaults(masterForLayout?.textStyles?.body);
+    const layoutItems = [
+      ...layout.placeholders.map((ph) => ({ ph, zOrder: ph.zOrder })),
+      ...layout.staticShapes.map((shape) => ({ shape, zOrder: shape.zOrder })),
+    ].sort((a, b) => (a.zOrder ?? 0) - (b.zOrder ?? 0));
+
+    for (const { ph, shape } of layoutItems) {
+      if (ph) {
+        // Slide number and footers
+        const footers = mapSlideNumberAndFooters([ph], layoutColorResolver, layoutFonts);
+        if (footers.slideNumber) slideNumber = footers.slideNumber;
+        layoutObjects.push(...footers.footerObjects);
+
+        // Placeholders (non-footer/sldNum)
+        const isTitle = ph.type === 'title' || ph.type === 'ctrTitle';
+        const result = mapPlaceholder(ph, layoutColorResolver, layoutFonts, isTitle ? titleDefaults : bodyDefaults);
+        if (result) {
+          const { warnings: phWarnings, ...phObject } = result;
+          layoutObjects.push(phObject);
+          layoutWarnings.push(...phWarnings);
+        }
+        continue;
       }
-    }
 
-    // Static shapes from layout
-    const shapeObjects = [];
-    for (const shape of layout.staticShapes) {
       // Detect non-placeholder slidenum field shapes
       const slideNumFromShape = extractSlideNumberFromShape(shape);
       if (slideNumFromShape) {
@@ -272,16 +337,15 @@ export async function extract(inputPath, options = {}) {
         continue;
       }
 
-      const { object, warnings: shapeWarnings } = mapShape(
+      const mapped = mapShape(
         shape,
         layoutColorResolver,
-        themeFonts,
+        layoutFonts,
         layout.relationships,
+        { imageFormat: options.imageFormat, bakeEffects: options.bakeEffects },
       );
-      if (object) {
-        shapeObjects.push(object);
-      }
-      layoutWarnings.push(...shapeWarnings);
+      pushMappedShape(layoutObjects, mapped, mediaFiles);
+      layoutWarnings.push(...mapped.warnings);
     }
 
     // Inherit master static shapes when showMasterSp is true (default)
@@ -295,16 +359,15 @@ export async function extract(inputPath, options = {}) {
           continue;
         }
 
-        const { object, warnings: shapeWarnings } = mapShape(
+        const mapped = mapShape(
           shape,
           layoutColorResolver,
-          themeFonts,
+          layoutFonts,
           masterForLayout.relationships, // Use master's relationships for image resolution
+          { imageFormat: options.imageFormat, bakeEffects: options.bakeEffects },
         );
-        if (object) {
-          masterStaticShapes.push(object);
-        }
-        layoutWarnings.push(...shapeWarnings);
+        pushMappedShape(masterStaticShapes, mapped, mediaFiles);
+        layoutWarnings.push(...mapped.warnings);
       }
     }
 
@@ -321,6 +384,19 @@ export async function extract(inputPath, options = {}) {
       }
     }
 
+    // Body text levels belong to the slide master, shared by all its layouts
+    const masterKey = masterForLayout?._file || null;
+    if (!masterTextStyles.has(masterKey)) {
+      const masterResolver = masterForLayout
+        ? createColorResolver(layoutTheme.colors, masterForLayout.clrMap || {}, layoutFonts)
+        : defaultColorResolver;
+      const resolved = resolveBodyTextStyles(masterForLayout, masterResolver, layoutFonts);
+      masterTextStyles.set(masterKey, resolved.styles);
+      addGeneratedMedia(mediaFiles, resolved.media);
+      const masterLabel = masterForLayout?.name || masterKey?.split('/').pop() || 'default';
+      allWarnings.push(...resolved.warnings.map((w) => `[Slide master ${masterLabel}] ${w}`));
+    }
+
     allWarnings.push(...layoutWarnings.map((w) => `[${layout.name}] ${w}`));
 
     // Collect master media files when inheriting shapes
@@ -336,10 +412,11 @@ export async function extract(inputPath, options = {}) {
       }
     }
 
+    // Master shapes sit behind the layout's, as PowerPoint draws them.
     // Deduplicate text/image objects — some templates have duplicate footer shapes
     // in the layout XML, plus inherited master shapes. Layout shapes take priority
     // (they may override master colors, e.g. white text on dark backgrounds).
-    const allObjects = [...shapeObjects, ...footerObjects, ...placeholderObjects, ...masterStaticShapes];
+    const allObjects = [...masterStaticShapes, ...layoutObjects];
     const deduped = deduplicateObjects(allObjects);
 
     // Clean up footer-zone text: strip paraSpaceBefore/After and ensure color
@@ -357,12 +434,15 @@ export async function extract(inputPath, options = {}) {
       slideNumber.color = isDarkBackground(background) ? 'FFFFFF' : '000000';
     }
 
+    // Layout names repeat across master families; registered titles can't
     masterData.push({
       name: layout.name,
-      title: toUpperSnakeCase(layout.name),
+      title: family ? `${family.prefix}_${toUpperSnakeCase(layout.name)}` : toUpperSnakeCase(layout.name),
+      family: family?.key || null,
       background,
       slideNumber,
       objects: deduped,
+      textStyles: masterTextStyles.get(masterKey),
     });
   }
 
@@ -370,6 +450,9 @@ export async function extract(inputPath, options = {}) {
     masterData,
     themeColors,
     themeFonts,
+    families: families.map(({ key, name, themeColors: colors, themeFonts: fonts }) => ({
+      key, name, themeColors: colors, themeFonts: fonts,
+    })),
     dimensions,
     warnings: allWarnings,
     layouts: filteredLayouts,
@@ -378,10 +461,118 @@ export async function extract(inputPath, options = {}) {
   };
 }
 
+/**
+ * Append a mapShape() result to an objects array: the rendered-fill
+ * underlay (if any) goes directly behind the object, and generated
+ * media is queued for writing.
+ *
+ * @param {Array<object>} objects - Target objects array (mutated)
+ * @param {{ object: object|null, underlay?: object, objects?: Array<object>, media?: Array }} mapped - mapShape() result
+ * @param {Array<object>} mediaFiles - Media list (mutated)
+ */
+function pushMappedShape(objects, mapped, mediaFiles) {
+  if (mapped.underlay) objects.push(mapped.underlay);
+  if (mapped.object) objects.push(mapped.object);
+  if (mapped.objects) objects.push(...mapped.objects);
+  addGeneratedMedia(mediaFiles, mapped.media);
+}
+
+/**
+ * Prepare the media of static pictures for mapShape():
+ * - EMF/WMF pictures are converted to SVG and get `metafile`
+ *   ({ format, filename, svg } or { format, error }), which mapPicture()
+ *   draws instead of the original (PptxGenJS can't display metafiles)
+ * - tiled pictures get the `imageSize` their tiles are laid out from;
+ *   pictures whose media can't be read are left without it and mapped stretched
+ *
+ * @param {Array<object>} shapes - Parsed static shapes (mutated)
+ * @param {Record<string, { target: string }>} relationships - The part's relationships
+ * @param {string} partPath - Archive path of the layout or master
+ * @param {{ getBuffer: Function }} archive - Extracted archive
+ * @param {Map<string, object>} metafiles - Conversions by archive path, shared across parts (mutated)
+ */
+async function preparePictureMedia(shapes, relationships, partPath, archive, metafiles) {
+  for (const shape of shapes || []) {
+    if (shape.type !== 'picture') continue;
+    const rel = relationships?.[shape.imageRef];
+    if (!rel || (!shape.tile && !isMetafilePath(rel.target))) continue;
+    const archivePath = resolveRelPath(partPath, rel.target);
+    let buffer;
+    try {
+      buffer = await archive.getBuffer(archivePath);
+    } catch {
+      // Missing media — reported when the files are copied
+      continue;
+    }
+
+    if (isMetafilePath(rel.target)) {
+      if (!metafiles.has(archivePath)) metafiles.set(archivePath, convertMetafile(archivePath, buffer));
+      shape.metafile = metafiles.get(archivePath);
+      if (shape.tile && shape.metafile.svg) {
+        shape.imageSize = { width: shape.metafile.width, height: shape.metafile.height, dpiX: 96, dpiY: 96 };
+      }
+    } else if (shape.tile) {
+      shape.imageSize = readImageSize(buffer) || undefined;
+    }
+  }
+}
+
+/**
+ * Convert a metafile to SVG, capturing failures.
+ *
+ * @param {string} archivePath
+ * @param {Buffer} buffer
+ * @returns {{ format: string, filename?: string, svg?: Buffer, width?: number, height?: number, error?: string }}
+ *   `filename` is the SVG's name in media/, next to the original
+ */
+function convertMetafile(archivePath, buffer) {
+  const name = basename(archivePath);
+  const format = name.split('.').pop().toUpperCase();
+  try {
+    const { svg, width, height } = metafileToSvg(buffer);
+    return { format, filename: name.replace(/\.(emf|wmf)$/i, (ext) => `-${ext.slice(1).toLowerCase()}.svg`), svg, width, height };
+  } catch (err) {
+    return { format, error: err.message };
+  }
+}
+
+/**
+ * Order a presentation's parts (masters or layouts) the way PowerPoint
+ * lists them: first those an ID list names, in its order, then any it
+ * leaves out, by the number in their filename (slideLayout2 before
+ * slideLayout10).
+ *
+ * @param {string[]} files - Archive paths of the parts
+ * @param {string[]} listed - Archive paths in ID list order
+ * @returns {string[]}
+ */
+function orderParts(files, listed) {
+  const number = (file) => Number(file.match(/(\d+)\.xml$/)?.[1] ?? 0);
+  const inList = listed.filter((file, i) => files.includes(file) && listed.indexOf(file) === i);
+  const rest = files.filter((file) => !inList.includes(file)).sort((a, b) => number(a) - number(b));
+  return [...inList, ...rest];
+}
+
+/**
+ * Queue generated media (rendered PNGs, theme images) for writing, skipping
+ * files that are already queued — identical fills share a content-hashed filename.
+ *
+ * @param {Array<object>} mediaFiles - Media list (mutated)
+ * @param {Array<{ filename: string, buffer?: Buffer, archivePath?: string }>|undefined} media
+ */
+function addGeneratedMedia(mediaFiles, media) {
+  for (const file of media || []) {
+    if (!mediaFiles.some((m) => m.filename === file.filename)) {
+      mediaFiles.push(file);
+    }
+  }
+}
+
 /**
  * Deduplicate objects array — some templates have duplicate static shapes
  * (e.g., footer text appearing multiple times in layout XML and inherited
- * from master). Removes duplicates by comparing text content + position.
+ * from master). Removes duplicates by comparing text content + position,
+ * keeping the topmost copy (objects are in z-order, so the last one).
  * Placeholders are never deduped (they may have same text but different names).
  *
  * @param {Array<object>} objects
@@ -391,7 +582,7 @@ function deduplicateObjects(objects) {
   const seen = new Set();
   const result = [];
 
-  for (const obj of objects) {
+  for (const obj of [...objects].reverse()) {
     // Only dedup text and image objects — never placeholders
     if (obj.placeholder) {
       result.push(obj);
@@ -404,10 +595,17 @@ function deduplicateObjects(objects) {
       const t = obj.text.text || '';
       const o = obj.text.options || {};
       key = `text:${t}:${round2(o.x)}:${round2(o.y)}:${round2(o.w)}:${round2(o.h)}`;
+    } else if (obj.richText) {
+      const o = obj.richText.options || {};
+      key = `richText:${JSON.stringify(obj.richText.text)}:${round2(o.x)}:${round2(o.y)}:${round2(o.w)}:${round2(o.h)}`;
     } else if (obj.image) {
       key = `image:${obj.image.path || ''}:${round2(obj.image.x)}:${round2(obj.image.y)}:${round2(obj.image.w)}:${round2(obj.image.h)}`;
     } else if (obj.rect) {
       key = `rect:${round2(obj.rect.x)}:${round2(obj.rect.y)}:${round2(obj.rect.w)}:${round2(obj.rect.h)}`;
+    } else if (obj.shape) {
+      const o = obj.shape.options || {};
+      const points = o.points ? JSON.stringify(o.points) : '';
+      key = `shape:${obj.shape.type}:${obj.shape.text || ''}:${round2(o.x)}:${round2(o.y)}:${round2(o.w)}:${round2(o.h)}:${points}`;
     }
 
     if (key && seen.has(key)) continue;
@@ -415,7 +613,7 @@ function deduplicateObjects(objects) {
     result.push(obj);
   }
 
-  return result;
+  return result.reverse();
 }
 
 /**
@@ -448,12 +646,15 @@ function cleanupFooterZone(objects, dimensions, background) {
   const fallbackColor = isDarkBackground(background) ? 'FFFFFF' : '000000';
 
   for (const obj of objects) {
-    if (!obj.text?.options) continue;
-    const opts = obj.text.options;
+    const opts = obj.text?.options || obj.richText?.options;
+    if (!opts) continue;
     if ((opts.y ?? 0) < footerThreshold) continue;
 
-    delete opts.paraSpaceBefore;
-    delete opts.paraSpaceAfter;
+    // Rich text runs carry their paragraph's spacing
+    for (const target of [opts, ...(obj.richText?.text || []).map((run) => run.options)]) {
+      delete target.paraSpaceBefore;
+      delete target.paraSpaceAfter;
+    }
 
     if (!opts.color) {
       opts.color = fallbackColor;
@@ -461,6 +662,104 @@ function cleanupFooterZone(objects, dimensions, background) {
   }
 }
 
+/**
+ * Read and parse a theme part with its relationships (image fills in its
+ * format scheme point through them). Parsed themes are cached by path, as
+ * masters often share one.
+ *
+ * @param {{ getXml: Function }} archive
+ * @param {string} themePath - Archive path of the theme
+ * @param {Map<string, object>} cache - Themes parsed so far (mutated)
+ * @returns {Promise<{ name: string, colors: Record<string, string>, fonts: object, formatScheme: object|null,
+ *   relationships: Record<string, object>, path: string }>}
+ */
+async function loadTheme(archive, themePath, cache) {
+  if (cache.has(themePath)) return cache.get(themePath);
+
+  const { name, colors, fonts, formatScheme } = parseTheme(await archive.getXml(themePath));
+  let relationships = {};
+  try {
+    relationships = parseRelationships(
+      await archive.getXml(themePath.replace('ppt/theme/', 'ppt/theme/_rels/') + '.rels'),
+    );
+  } catch {
+    // No rels file — theme has no image fills
+  }
+  const theme = { name, colors, fonts, formatScheme, relationships, path: themePath };
+  cache.set(themePath, theme);
+  return theme;
+}
+
+/**
+ * Name the master families of a multi-master template: a camelCase key
+ * (`MASTERS.dark.TITLE_SLIDE`) and an UPPER_SNAKE_CASE prefix for the
+ * registered titles (`DARK_TITLE_SLIDE`), from the master's name, else
+ * its theme's, made unique.
+ *
+ * @param {Array<object>} masters - Parsed masters, in presentation order
+ * @returns {Array<{ key: string, name: string, prefix: string, themeColors: object, themeFonts: object, _file: string }>}
+ */
+function nameFamilies(masters) {
+  const keys = new Set();
+  return masters.map((master, i) => {
+    const name = master.name || master.theme.name || `Master ${i + 1}`;
+    const words = name.replace(/[^a-zA-Z0-9]+/g, ' ').trim().split(' ').filter(Boolean);
+    let key = words.map((w, j) => (j === 0 ? w.toLowerCase() : w[0].toUpperCase() + w.slice(1).toLowerCase())).join('');
+    if (!/^[a-z]/.test(key)) key = `master${key}`;
+    if (keys.has(key)) key = `${key}${i + 1}`;
+    keys.add(key);
+    return {
+      key,
+      name,
+      prefix: toUpperSnakeCase(key.replace(/([a-z0-9])([A-Z])/g, '$1 $2')),
+      themeColors: master.theme.colors,
+      themeFonts: master.theme.fonts,
+      _file: master._file,
+    };
+  });
+}
+
+/**
+ * Resolve the bullet levels of a slide master's body text: its
+ * p:bodyStyle, overridden by its body placeholder's list style.
+ * PptxGenJS placeholders don't inherit these, so they are exported as
+ * TEXT_STYLES for bulleted text.
+ *
+ * @param {object|null} master - Parsed master
+ * @param {{ resolve: Function }} colorResolver - The master's color resolver
+ * @param {object} themeFonts
+ * @returns {{ styles: Array<object>, warnings: string[], media: Array<object> }} See mapper/textStyles.js
+ */
+function resolveBodyTextStyles(master, colorResolver, themeFonts) {
+  const rels = master?.relationships;
+  const file = master?._file;
+  return mapTextStyles(mergeListStyles(
+    resolvePictureBullets(extractTextListStyle(master?.textStyles?.body, colorResolver, themeFonts), rels, file),
+    resolvePictureBullets(master?.placeholderDefaults?.body?.textProps?.lstStyleProps, rels, file),
+  ));
+}
+
+/**
+ * Point the picture bullets of a list style at their image in the archive.
+ * Each part resolves its own relationships, so this runs before styles merge.
+ *
+ * @param {Record<number, object>|null|undefined} levels - Parsed list style
+ * @param {Record<string, { target: string }>|undefined} relationships - The part's relationships
+ * @param {string|undefined} partPath - The part's archive path
+ * @returns {Record<number, object>|null|undefined} levels, with picture bullets copied
+ */
+function resolvePictureBullets(levels, relationships, partPath) {
+  if (!levels) return levels;
+  const resolved = { ...levels };
+  for (const [i, level] of Object.entries(levels)) {
+    if (level?.bullet?.type !== 'picture') continue;
+    const rel = relationships?.[level.bullet.imageRef];
+    const archivePath = rel && !rel.external && partPath ? resolveRelPath(partPath, rel.target) : undefined;
+    resolved[i] = { ...level, bullet: { ...level.bullet, archivePath } };
+  }
+  return resolved;
+}
+
 /**
  * Resolve the default text color from the master's txStyles.
  * OOXML masters define p:txStyles with default colors for title, body, other.
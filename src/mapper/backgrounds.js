@@ -3,16 +3,23 @@
  * PptxGenJS-compatible background properties.
  */
 
+import { rasterizeFill } from '../render/fill.js';
+import { resolveFillStyle, placeholderResolverFor } from '../parser/styles.js';
+import { resolveRelPath } from '../parser/relationships.js';
+
 /**
  * Map a background element to PptxGenJS background.
  *
  * @param {object|null} bgElement - Raw background element from parser (p:bgPr or { bgRef })
  * @param {{ resolve: Function }} colorResolver - Color resolver
  * @param {Record<string, { type: string, target: string }>} relationships - Resolved relationships
- * @param {string} [basePath] - Base path for resolving relative media paths
- * @returns {{ background: object|null, warnings: string[] }}
+ * @param {{ width: number, height: number }} [dimensions] - Slide size in inches; needed to
+ *   render gradient and pattern backgrounds (without it they fall back to a flat color)
+ * @param {{ formatScheme: object|null, relationships?: Record<string, { type: string, target: string }>, path?: string }} [theme] -
+ *   Theme format scheme, relationships and archive path; needed to resolve bgRef styles
+ * @returns {{ background: object|null, warnings: string[], media?: Array<{ filename: string, buffer: Buffer }> }}
  */
-export function mapBackground(bgElement, colorResolver, relationships, basePath) {
+export function mapBackground(bgElement, colorResolver, relationships, dimensions, theme) {
   const warnings = [];
 
   if (!bgElement) {
@@ -22,7 +29,14 @@ export function mapBackground(bgElement, colorResolver, relationships, basePath)
   // bgRef — theme format scheme reference
   if (bgElement.bgRef) {
     const bgRef = bgElement.bgRef;
-    // Try to resolve the color from bgRef
+    const styleFill = resolveFillStyle(theme?.formatScheme, bgRef['@_idx']);
+    if (styleFill) {
+      // phClr in the style stands for the bgRef's own color
+      const styleResolver = placeholderResolverFor(bgRef, colorResolver) || colorResolver;
+      return mapBackgroundStyle(styleFill, styleResolver, dimensions, theme);
+    }
+
+    // No matching theme style — fall back to the ref's own color
     const resolved = colorResolver?.resolve(bgRef);
     if (resolved) {
       const bg = { color: resolved.color };
@@ -61,8 +75,13 @@ export function mapBackground(bgElement, colorResolver, relationships, basePath)
     return { background: null, warnings };
   }
 
-  // Gradient fill — use dominant stop as fallback
+  // Gradient fill — render to a slide-sized PNG, first stop as fallback
   if (bgElement['a:gradFill']) {
+    const media = renderBackground('gradFill', bgElement['a:gradFill'], colorResolver, dimensions);
+    if (media) {
+      return { background: { path: `./media/${media.filename}` }, warnings, media: [media] };
+    }
+
     const gsLst = bgElement['a:gradFill']['a:gsLst'];
     if (gsLst) {
       const gsItems = Array.isArray(gsLst['a:gs']) ? gsLst['a:gs'] : gsLst['a:gs'] ? [gsLst['a:gs']] : [];
@@ -80,8 +99,13 @@ export function mapBackground(bgElement, colorResolver, relationships, basePath)
     return { background: null, warnings };
   }
 
-  // Pattern fill — use foreground color as fallback
+  // Pattern fill — render to a slide-sized PNG, foreground color as fallback
   if (bgElement['a:pattFill']) {
+    const media = renderBackground('pattFill', bgElement['a:pattFill'], colorResolver, dimensions);
+    if (media) {
+      return { background: { path: `./media/${media.filename}` }, warnings, media: [media] };
+    }
+
     const fgClr = bgElement['a:pattFill']['a:fgClr'];
     if (fgClr) {
       const resolved = colorResolver?.resolve(fgClr);
@@ -101,3 +125,42 @@ export function mapBackground(bgElement, colorResolver, relationships, basePath)
 
   return { background: null, warnings };
 }
+
+// --- Internal helpers ---
+
+/**
+ * Map a background fill style taken from the theme. Image styles point at
+ * the theme's relationships, so their media is reported with its archive path.
+ * @param {object} styleFill - Fill container from resolveFillStyle()
+ * @param {{ resolve: Function }} colorResolver - Resolver with the bgRef color as phClr
+ * @param {{ width: number, height: number }} [dimensions] - Slide size in inches
+ * @param {{ relationships?: object, path?: string }} theme
+ * @returns {{ background: object|null, warnings: string[], media?: Array<object> }}
+ */
+function mapBackgroundStyle(styleFill, colorResolver, dimensions, theme) {
+  const relationships = theme.relationships || {};
+  const result = mapBackground(styleFill, colorResolver, relationships, dimensions);
+
+  const rId = styleFill['a:blipFill']?.['a:blip']?.['@_r:embed'];
+  if (result.background?.path && relationships[rId] && theme.path) {
+    const rel = relationships[rId];
+    result.media = [{
+      archivePath: resolveRelPath(theme.path, rel.target),
+      filename: rel.target.split('/').pop(),
+    }];
+  }
+  return result;
+}
+
+/**
+ * Render a gradient or pattern background to a PNG at slide size.
+ * @param {string} type - Fill type ('gradFill' or 'pattFill')
+ * @param {object} element - Raw fill element
+ * @param {{ resolve: Function }} colorResolver
+ * @param {{ width: number, height: number }} [dimensions] - Slide size in inches
+ * @returns {{ filename: string, buffer: Buffer }|null}
+ */
+function renderBackground(type, element, colorResolver, dimensions) {
+  if (!dimensions) return null;
+  return rasterizeFill({ type, element }, colorResolver, dimensions.width, dimensions.height);
+}
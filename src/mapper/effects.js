@@ -0,0 +1,198 @@
+/**
+ * Effect mapper — carries shape effects (a:effectLst, from spPr or the
+ * theme's a:effectStyle) onto PptxGenJS objects.
+ *
+ * Outer and inner shadows become the `shadow` option. Glow, soft edges,
+ * reflections and blur have no PptxGenJS equivalent: they are dropped
+ * with a warning, or — with the `bakeEffects` option — the shape is
+ * rendered with its effects to a PNG (see render/effects.js).
+ */
+
+import { resolveShadow, resolveLine, mapTextPropsToOptions, mapTextObject, applyTransform } from './shapes.js';
+import { isConnectorPreset, mapPresetAdjustments } from './presets.js';
+import { rasterizeEffects } from '../render/effects.js';
+
+// Effects PptxGenJS can't express, with the names used in warnings
+const UNSUPPORTED_EFFECTS = {
+  'a:glow': 'glow',
+  'a:softEdge': 'soft edge',
+  'a:reflection': 'reflection',
+  'a:blur': 'blur',
+};
+
+/**
+ * Apply a shape's effects to its mapped objects: the shadow is set on the
+ * object (or on the rendered image behind it), and effects PptxGenJS
+ * can't express are reported.
+ *
+ * @param {{ object?: object, objects?: Array<object>, underlay?: object, warnings: string[] }} mapped -
+ *   Result of mapping the shape (mutated)
+ * @param {object} parsedShape - Parsed static shape with `effect` (an a:effectStyle)
+ * @param {{ resolve: Function }} colorResolver - Color resolver
+ * @param {{ bakeEffects?: boolean }} [options]
+ * @returns {object} mapped
+ */
+export function applyEffects(mapped, parsedShape, colorResolver, options = {}) {
+  const effectLst = parsedShape.effect?.['a:effectLst'];
+  const shadow = resolveShadow(effectLst, colorResolver, mapped.warnings, `Shape "${parsedShape.name}"`);
+  if (shadow) {
+    const target = shadowTarget(mapped);
+    if (target) target.shadow = shadow;
+    else mapped.warnings.push(`Shape "${parsedShape.name}" is drawn as several objects; its shadow is dropped`);
+  }
+
+  const unsupported = unsupportedEffects(effectLst);
+  if (unsupported.length > 0) {
+    const hint = options.bakeEffects
+      ? 'only filled or outlined rectangles, rounded rectangles, ellipses, lines and freeforms can be baked'
+      : 'use --bake-effects to render them into an image';
+    mapped.warnings.push(`Shape "${parsedShape.name}" has ${listNames(unsupported)} effects, which PptxGenJS can't express; `
+      + `drawn without them (${hint})`);
+  }
+  return mapped;
+}
+
+/**
+ * Render a shape with effects PptxGenJS can't express to a PNG. Text
+ * stays editable: it is placed over the image without fill or outline.
+ *
+ * @param {object} parsedShape - Parsed static shape with `effect`
+ * @param {{ resolve: Function }} colorResolver - Color resolver
+ * @param {Record<string, { target: string, external?: boolean }>|null} [relationships] - For text hyperlinks
+ * @returns {{ object: object, warnings: string[], underlay?: object, media: Array<{ filename: string, buffer: Buffer }> }|null}
+ *   null when the shape has no such effects, or its geometry or content can't be rendered
+ */
+export function bakeEffects(parsedShape, colorResolver, relationships = null) {
+  const effectLst = parsedShape.effect?.['a:effectLst'];
+  const unsupported = unsupportedEffects(effectLst);
+  const pos = parsedShape.position;
+  if (unsupported.length === 0 || !pos || parsedShape.type === 'picture') return null;
+
+  const line = resolveLine(parsedShape.line, colorResolver);
+  const paths = outlinePaths(parsedShape, line, pos);
+  if (!paths) return null;
+
+  const isLine = parsedShape.geometry === 'line' || isConnectorPreset(parsedShape.geometry);
+  const paint = { fill: isLine ? null : parsedShape.fill, line };
+  const media = rasterizeEffects(paths, paint, effectLst, colorResolver, pos.w, pos.h);
+  if (!media) return null;
+
+  const image = {
+    x: round(pos.x - media.padding.x),
+    y: round(pos.y - media.padding.y),
+    w: round(pos.w + media.padding.x * 2),
+    h: round(pos.h + media.padding.y * 2),
+    path: `./media/${media.filename}`,
+  };
+  applyTransform(image, parsedShape);
+  const warnings = [`Shape "${parsedShape.name}" has ${listNames(unsupported)} effects; rendered as an image`];
+
+  if (!parsedShape.textProps?.plainText) {
+    return { object: { image }, warnings, media: [media] };
+  }
+  const options = mapTextPropsToOptions(parsedShape.textProps);
+  Object.assign(options, { x: pos.x, y: pos.y, w: pos.w, h: pos.h });
+  applyTransform(options, parsedShape);
+  const text = mapTextObject(parsedShape, options, relationships);
+  return { object: text.object, warnings: [...warnings, ...text.warnings], underlay: { image }, media: [media] };
+}
+
+// --- Internal helpers ---
+
+/**
+ * Names of the effects in a list that PptxGenJS can't express.
+ * @param {object|string|undefined} effectLst
+ * @returns {string[]}
+ */
+function unsupportedEffects(effectLst) {
+  if (!effectLst || typeof effectLst !== 'object') return [];
+  return Object.keys(UNSUPPORTED_EFFECTS)
+    .filter((tag) => effectLst[tag] != null)
+    .map((tag) => UNSUPPORTED_EFFECTS[tag]);
+}
+
+/**
+ * Find the options object that carries a mapped shape's shadow: the
+ * rendered image behind it if there is one, otherwise the object itself.
+ * @param {{ object?: object, objects?: Array<object>, underlay?: object }} mapped
+ * @returns {object|null} null when the shape maps to several objects
+ */
+function shadowTarget(mapped) {
+  if (mapped.underlay?.image) return mapped.underlay.image;
+  const object = mapped.object;
+  if (!object || mapped.objects) return null;
+  return object.image || object.rect || object.line || object.text?.options || object.shape?.options
+    || object.richText?.options || null;
+}
+
+/**
+ * Outline of a shape in normalised path commands, for the geometries the
+ * effect renderer supports.
+ * @param {object} parsedShape
+ * @param {object|null} line - Resolved outline
+ * @param {{ w: number, h: number }} pos
+ * @returns {Array<{ fill: boolean, stroke: boolean, commands: Array<object> }>|null}
+ */
+function outlinePaths(parsedShape, line, pos) {
+  const { geometry } = parsedShape;
+  const closed = (commands) => [{ fill: true, stroke: true, commands: [...commands, { type: 'close' }] }];
+
+  if (geometry === 'line' || isConnectorPreset(geometry)) {
+    // Arrowheads can't be drawn by the renderer
+    if (line?.beginArrowType || line?.endArrowType) return null;
+    return [{ fill: false, stroke: true, commands: [{ type: 'moveTo', x: 0, y: 0 }, { type: 'lnTo', x: 1, y: 1 }] }];
+  }
+  if (geometry === 'custGeom') {
+    return parsedShape.custGeom?.paths?.length > 0 ? parsedShape.custGeom.paths : null;
+  }
+  if (geometry === 'rect' || geometry == null) {
+    return closed([
+      { type: 'moveTo', x: 0, y: 0 },
+      { type: 'lnTo', x: 1, y: 0 },
+      { type: 'lnTo', x: 1, y: 1 },
+      { type: 'lnTo', x: 0, y: 1 },
+    ]);
+  }
+  if (geometry === 'ellipse') {
+    return closed([
+      { type: 'moveTo', x: 1, y: 0.5 },
+      { type: 'arcTo', wR: 0.5, hR: 0.5, start: 0, sweep: Math.PI * 2 },
+    ]);
+  }
+  if (geometry === 'roundRect') {
+    const radius = mapPresetAdjustments('roundRect', parsedShape.avLst, pos).options.rectRadius;
+    const rx = Math.min(0.5, radius / pos.w);
+    const ry = Math.min(0.5, radius / pos.h);
+    const corner = (start) => ({ type: 'arcTo', wR: rx, hR: ry, start, sweep: Math.PI / 2 });
+    return closed([
+      { type: 'moveTo', x: rx, y: 0 },
+      { type: 'lnTo', x: 1 - rx, y: 0 },
+      corner(-Math.PI / 2),
+      { type: 'lnTo', x: 1, y: 1 - ry },
+      corner(0),
+      { type: 'lnTo', x: rx, y: 1 },
+      corner(Math.PI / 2),
+      { type: 'lnTo', x: 0, y: ry },
+      corner(Math.PI),
+    ]);
+  }
+  return null;
+}
+
+/**
+ * Join effect names into a phrase ("glow, soft edge and blur").
+ * @param {string[]} names
+ * @returns {string}
+ */
+function listNames(names) {
+  return names.length > 1 ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}` : names[0];
+}
+
+/**
+ * Round to 4 decimal places (the precision of emuToInches()).
+ * @param {number} n
+ * @returns {number}
+ */
+function round(n) {
+  return Math.round(n * 10000) / 10000;
+}
@@ -0,0 +1,151 @@
+/**
+ * Custom geometry mapper — converts parsed freeforms (a:custGeom) into
+ * PptxGenJS custGeom shapes.
+ *
+ * A freeform becomes a `shape` object of type custGeom with its outline
+ * in `points`. Geometry PptxGenJS can't express — several paths with
+ * different fill/stroke settings — and gradient or pattern fills are
+ * rendered to PNG instead.
+ */
+
+import { resolveFill, resolveLine, mapTextPropsToOptions, mapTextObject, applyTransform } from './shapes.js';
+import { rasterizePath } from '../render/path.js';
+
+// Fill types that need the rendered image
+const RENDERED_FILLS = ['gradFill', 'pattFill'];
+
+/**
+ * Map a static shape with custom geometry.
+ *
+ * @param {object} parsedShape - Parsed static shape with `custGeom` paths
+ * @param {{ resolve: Function }} colorResolver - Color resolver
+ * @param {Record<string, { target: string, external?: boolean }>|null} [relationships] - For text hyperlinks
+ * @returns {{ object: object, warnings: string[], underlay?: object, media?: Array<object> }}
+ */
+export function mapCustomGeometry(parsedShape, colorResolver, relationships = null) {
+  const warnings = [];
+  const pos = parsedShape.position || {};
+  const { paths } = parsedShape.custGeom;
+
+  const hasText = Boolean(parsedShape.textProps?.plainText);
+  const options = hasText ? mapTextPropsToOptions(parsedShape.textProps) : {};
+  options.x = pos.x;
+  options.y = pos.y;
+  options.w = pos.w;
+  options.h = pos.h;
+  applyTransform(options, parsedShape);
+
+  const line = resolveLine(parsedShape.line, colorResolver);
+  const uniform = paths.every((p) => p.fill === paths[0].fill && p.stroke === paths[0].stroke);
+
+  if (!uniform || RENDERED_FILLS.includes(parsedShape.fill?.type)) {
+    const media = rasterizePath(paths, { fill: parsedShape.fill, line }, colorResolver, pos.w, pos.h);
+    if (media) {
+      if (!uniform) {
+        warnings.push(`Custom geometry "${parsedShape.name}" mixes filled and outline-only paths; rendered as an image`);
+      }
+      const image = {
+        x: round(pos.x - media.padding),
+        y: round(pos.y - media.padding),
+        w: round(pos.w + media.padding * 2),
+        h: round(pos.h + media.padding * 2),
+        path: `./media/${media.filename}`,
+      };
+      applyTransform(image, parsedShape);
+      if (!hasText) return { object: { image }, warnings, media: [media] };
+      const text = mapTextObject(parsedShape, options, relationships);
+      return { object: text.object, warnings: [...warnings, ...text.warnings], underlay: { image }, media: [media] };
+    }
+  }
+
+  options.points = toCustomPoints(paths, pos.w || 0, pos.h || 0);
+
+  if (paths[0].fill) {
+    const { result: fillResult, warnings: fillWarnings } = resolveFill(parsedShape.fill, colorResolver);
+    warnings.push(...fillWarnings);
+    if (fillResult?.color) options.fill = fillResult;
+  }
+  if (paths[0].stroke && line) options.line = line;
+
+  if (!hasText) return { object: { shape: { type: 'custGeom', options } }, warnings };
+  const text = mapTextObject(parsedShape, options, relationships, 'custGeom');
+  return { object: text.object, warnings: [...warnings, ...text.warnings] };
+}
+
+/**
+ * Convert normalised paths into PptxGenJS custGeom points (inches,
+ * relative to the shape's top-left corner). Paths are concatenated, each
+ * starting with a moveTo.
+ *
+ * @param {Array<{ commands: Array<object> }>} paths - From extractCustomGeometry()
+ * @param {number} w - Shape width in inches
+ * @param {number} h - Shape height in inches
+ * @returns {Array<object>}
+ */
+export function toCustomPoints(paths, w, h) {
+  const points = [];
+  for (const path of paths) {
+    for (const cmd of path.commands) {
+      const x = round(cmd.x * w);
+      const y = round(cmd.y * h);
+      if (cmd.type === 'moveTo') {
+        points.push({ x, y, moveTo: true });
+      } else if (cmd.type === 'lnTo') {
+        points.push({ x, y });
+      } else if (cmd.type === 'cubicBezTo') {
+        points.push({
+          x, y,
+          curve: { type: 'cubic', x1: round(cmd.x1 * w), y1: round(cmd.y1 * h), x2: round(cmd.x2 * w), y2: round(cmd.y2 * h) },
+        });
+      } else if (cmd.type === 'quadBezTo') {
+        points.push({ x, y, curve: { type: 'quadratic', x1: round(cmd.x1 * w), y1: round(cmd.y1 * h) } });
+      } else if (cmd.type === 'arcTo') {
+        points.push({ x, y, curve: arcCurve(cmd, w, h) });
+      } else if (cmd.type === 'close') {
+        points.push({ close: true });
+      }
+    }
+  }
+  return points;
+}
+
+// --- Internal helpers ---
+
+/**
+ * Convert a normalised arc into a PptxGenJS arc curve. Parametric angles
+ * become DrawingML's visual angles for the final radii.
+ * @param {{ wR: number, hR: number, start: number, sweep: number }} arc - Normalised arc
+ * @param {number} w - Shape width in inches
+ * @param {number} h - Shape height in inches
+ * @returns {{ type: 'arc', wR: number, hR: number, stAng: number, swAng: number }}
+ */
+function arcCurve(arc, w, h) {
+  const wR = arc.wR * w;
+  const hR = arc.hR * h;
+  const visual = (t) => Math.atan2(hR * Math.sin(t), wR * Math.cos(t));
+  const delta = (t) => {
+    const d = visual(t) - t;
+    return d - 2 * Math.PI * Math.round(d / (2 * Math.PI));
+  };
+  const stAng = toDegrees(visual(arc.start));
+  const swAng = toDegrees(arc.sweep + delta(arc.start + arc.sweep) - delta(arc.start));
+  return { type: 'arc', wR: round(wR), hR: round(hR), stAng: round((stAng + 360) % 360), swAng: round(swAng) };
+}
+
+/**
+ * Round to 4 decimal places (the precision of emuToInches()).
+ * @param {number} n
+ * @returns {number}
+ */
+function round(n) {
+  return Math.round(n * 10000) / 10000;
+}
+
+/**
+ * Radians → degrees.
+ * @param {number} radians
+ * @returns {number}
+ */
+function toDegrees(radians) {
+  return (radians * 180) / Math.PI;
+}
@@ -0,0 +1,255 @@
+/**
+ * Picture mapper — converts static pictures (p:pic) into PptxGenJS image
+ * objects, keeping their cropping (a:srcRect), stretch insets
+ * (a:fillRect) and tiling (a:tile).
+ *
+ * Crops become PptxGenJS `sizing: { type: 'crop' }`, which writes the
+ * source rectangle back as a:srcRect. A tiled picture becomes a grid of
+ * image objects, each cropped where it meets the edge of the box. EMF and
+ * WMF pictures reference their SVG conversion (see render/metafile.js).
+ */
+
+import { imageSizeInches } from '../parser/image.js';
+import { isMetafilePath } from '../render/metafile.js';
+
+// Most image objects a tiled picture expands to; beyond this it is stretched
+const MAX_TILES = 100;
+
+// Tile grid anchors (a:tile/@algn) as fractions of the box
+const TILE_ALIGNMENT = {
+  tl: [0, 0], t: [0.5, 0], tr: [1, 0],
+  l: [0, 0.5], ctr: [0.5, 0.5], r: [1, 0.5],
+  bl: [0, 1], b: [0.5, 1], br: [1, 1],
+};
+
+const NO_CROP = { l: 0, t: 0, r: 0, b: 0 };
+
+/**
+ * Map a static picture.
+ *
+ * @param {object} parsedShape - Parsed picture (type 'picture'), optionally with
+ *   `crop`, `fillRect`, `tile` (see extractBlipFillProps()), `imageSize`
+ *   (see readImageSize(), needed for tiles) and `metafile` (the SVG
+ *   conversion of an EMF/WMF image)
+ * @param {{ target: string }} rel - The picture's image relationship
+ * @returns {{ object?: object, objects?: Array<object>, warnings: string[], media?: Array<{ filename: string, buffer: Buffer }> }}
+ *   `objects` holds the image grid of a tiled picture; `media` the converted SVG
+ */
+export function mapPicture(parsedShape, rel) {
+  const warnings = [];
+  let path = `./media/${rel.target.split('/').pop()}`;
+  let media;
+
+  // Metafiles are drawn from their SVG conversion
+  const metafile = isMetafilePath(rel.target) ? parsedShape.metafile : null;
+  if (metafile?.svg) {
+    path = `./media/${metafile.filename}`;
+    media = [{ filename: metafile.filename, buffer: metafile.svg }];
+  } else if (metafile?.error) {
+    warnings.push(`${metafile.format} picture "${parsedShape.name}" could not be converted to SVG (${metafile.error}); `
+      + 'it is referenced as-is and may not display');
+  }
+
+  const result = placePicture(parsedShape, path, warnings);
+  if (media) result.media = media;
+  return result;
+}
+
+// --- Internal helpers ---
+
+/**
+ * Lay out a picture's image objects: cropped, inset by its fill rectangle,
+ * or tiled.
+ * @param {object} parsedShape
+ * @param {string} path - Media path
+ * @param {string[]} warnings - Mapping warnings (mutated)
+ * @returns {{ object?: object, objects?: Array<object>, warnings: string[] }}
+ */
+function placePicture(parsedShape, path, warnings) {
+  const pos = parsedShape.position || {};
+  let crop = parsedShape.crop || NO_CROP;
+  if (crop.l + crop.r >= 1 || crop.t + crop.b >= 1) {
+    warnings.push(`Picture "${parsedShape.name}" crops away its whole image; drawn uncropped`);
+    crop = NO_CROP;
+  }
+
+  if (parsedShape.tile) {
+    const grid = tileGrid(parsedShape, crop);
+    if (grid && grid.count <= MAX_TILES) {
+      const objects = grid.tiles.map((tile) => ({ image: placeImage(tile, path, parsedShape) }));
+      return { objects, warnings };
+    }
+    if (grid) {
+      warnings.push(`Picture "${parsedShape.name}" tiles its image ${grid.count} times (more than ${MAX_TILES}); drawn stretched over its box`);
+    } else {
+      warnings.push(`Picture "${parsedShape.name}" is tiled, but its image size could not be read; drawn stretched over its box`);
+    }
+    return { object: { image: placeImage({ rect: pos, src: crop }, path, parsedShape) }, warnings };
+  }
+
+  if (!parsedShape.fillRect && crop === NO_CROP) {
+    return { object: { image: placeImage({ rect: pos, src: NO_CROP }, path, parsedShape) }, warnings };
+  }
+
+  // Stretch insets move the image within the box; whatever falls outside
+  // the box is cropped away
+  const fillRect = parsedShape.fillRect || NO_CROP;
+  const drawn = {
+    x: pos.x + fillRect.l * pos.w,
+    y: pos.y + fillRect.t * pos.h,
+    w: pos.w * (1 - fillRect.l - fillRect.r),
+    h: pos.h * (1 - fillRect.t - fillRect.b),
+  };
+  const visible = clipToBox(drawn, pos, crop);
+  if (!visible) {
+    warnings.push(`Picture "${parsedShape.name}" has an empty fill rectangle; drawn over its whole box`);
+    return { object: { image: placeImage({ rect: pos, src: NO_CROP }, path, parsedShape) }, warnings };
+  }
+  return { object: { image: placeImage(visible, path, parsedShape) }, warnings };
+}
+
+/**
+ * Lay out the tiles of a tiled picture, clipped to its box. Tiles are only
+ * built when there are at most MAX_TILES of them.
+ * @param {object} parsedShape
+ * @param {{ l: number, t: number, r: number, b: number }} crop - Source crop applied to each tile
+ * @returns {{ count: number, tiles: Array<{ rect: object, src: object, flipH?: boolean, flipV?: boolean }> }|null}
+ *   null when the image size is unknown
+ */
+function tileGrid(parsedShape, crop) {
+  const pos = parsedShape.position || {};
+  const { tile, imageSize } = parsedShape;
+  if (!imageSize || !(imageSize.width > 0) || !(imageSize.height > 0)) return null;
+
+  const natural = imageSizeInches(imageSize);
+  const tw = natural.w * (1 - crop.l - crop.r) * tile.sx;
+  const th = natural.h * (1 - crop.t - crop.b) * tile.sy;
+  if (!(tw > 0) || !(th > 0)) return null;
+
+  // Grid origin: the alignment point of the box, shifted by the tile offset
+  const [ax, ay] = TILE_ALIGNMENT[tile.algn] || TILE_ALIGNMENT.tl;
+  const ox = pos.x + ax * (pos.w - tw) + tile.tx;
+  const oy = pos.y + ay * (pos.h - th) + tile.ty;
+
+  const firstCol = Math.floor((pos.x - ox) / tw);
+  const lastCol = Math.ceil((pos.x + pos.w - ox) / tw) - 1;
+  const firstRow = Math.floor((pos.y - oy) / th);
+  const lastRow = Math.ceil((pos.y + pos.h - oy) / th) - 1;
+  const count = (lastCol - firstCol + 1) * (lastRow - firstRow + 1);
+  if (count > MAX_TILES) return { count, tiles: [] };
+
+  const tiles = [];
+  for (let row = firstRow; row <= lastRow; row++) {
+    for (let col = firstCol; col <= lastCol; col++) {
+      // flip="x"/"y"/"xy" mirrors every other tile
+      const flipH = tile.flip.includes('x') && Math.abs(col) % 2 === 1;
+      const flipV = tile.flip.includes('y') && Math.abs(row) % 2 === 1;
+      const rect = { x: ox + col * tw, y: oy + row * th, w: tw, h: th };
+      const visible = clipToBox(rect, pos, crop, { flipH, flipV });
+      if (!visible) continue;
+      if (flipH) visible.flipH = true;
+      if (flipV) visible.flipV = true;
+      tiles.push(visible);
+    }
+  }
+  return { count, tiles };
+}
+
+/**
+ * Clip an image drawn in `drawn` to the shape box, narrowing its source
+ * rectangle to match.
+ * @param {{ x: number, y: number, w: number, h: number }} drawn - Where the whole (cropped) image is drawn
+ * @param {{ x: number, y: number, w: number, h: number }} box - Shape box
+ * @param {{ l: number, t: number, r: number, b: number }} crop - Source crop of the whole image
+ * @param {{ flipH?: boolean, flipV?: boolean }} [flips] - Mirrored drawing (tiles)
+ * @returns {{ rect: object, src: object }|null} null when nothing is visible
+ */
+function clipToBox(drawn, box, crop, flips = {}) {
+  if (!(drawn.w > 0) || !(drawn.h > 0)) return null;
+  const x0 = Math.max(drawn.x, box.x);
+  const y0 = Math.max(drawn.y, box.y);
+  const x1 = Math.min(drawn.x + drawn.w, box.x + box.w);
+  const y1 = Math.min(drawn.y + drawn.h, box.y + box.h);
+  if (x1 - x0 <= 1e-6 || y1 - y0 <= 1e-6) return null;
+
+  // Visible part as fractions of the drawn image, mirrored for flipped tiles
+  let u0 = (x0 - drawn.x) / drawn.w;
+  let u1 = (x1 - drawn.x) / drawn.w;
+  let v0 = (y0 - drawn.y) / drawn.h;
+  let v1 = (y1 - drawn.y) / drawn.h;
+  if (flips.flipH) [u0, u1] = [1 - u1, 1 - u0];
+  if (flips.flipV) [v0, v1] = [1 - v1, 1 - v0];
+
+  // Map onto the source image through its own crop
+  const spanX = 1 - crop.l - crop.r;
+  const spanY = 1 - crop.t - crop.b;
+  return {
+    rect: { x: x0, y: y0, w: x1 - x0, h: y1 - y0 },
+    src: {
+      l: snap(crop.l + u0 * spanX),
+      t: snap(crop.t + v0 * spanY),
+      r: snap(crop.r + (1 - u1) * spanX),
+      b: snap(crop.b + (1 - v1) * spanY),
+    },
+  };
+}
+
+/**
+ * Build a PptxGenJS image object showing the `src` part of the image in
+ * `rect`. PptxGenJS takes the crop as the whole image's size (w, h) and
+ * the visible window within it (sizing), and draws the window at (x, y).
+ * As in the a:xfrm, a flipped picture mirrors each piece within its box
+ * first, then rotation turns it about the centre of the box.
+ * @param {{ rect: object, src: object, flipH?: boolean, flipV?: boolean }} piece
+ * @param {string} path - Media path
+ * @param {object} parsedShape
+ * @returns {object}
+ */
+function placeImage(piece, path, parsedShape) {
+  const { src } = piece;
+  const pos = parsedShape.position || {};
+  const rect = { ...piece.rect };
+  if (parsedShape.flipH) rect.x = 2 * pos.x + pos.w - rect.x - rect.w;
+  if (parsedShape.flipV) rect.y = 2 * pos.y + pos.h - rect.y - rect.h;
+  let { x, y } = rect;
+
+  if (parsedShape.rotation && (rect.w !== pos.w || rect.h !== pos.h || rect.x !== pos.x || rect.y !== pos.y)) {
+    const angle = (parsedShape.rotation * Math.PI) / 180;
+    const dx = rect.x + rect.w / 2 - (pos.x + pos.w / 2);
+    const dy = rect.y + rect.h / 2 - (pos.y + pos.h / 2);
+    x = pos.x + pos.w / 2 + dx * Math.cos(angle) - dy * Math.sin(angle) - rect.w / 2;
+    y = pos.y + pos.h / 2 + dx * Math.sin(angle) + dy * Math.cos(angle) - rect.h / 2;
+  }
+
+  const image = { x: round(x), y: round(y), w: round(rect.w), h: round(rect.h), path };
+  const cropped = src.l !== 0 || src.t !== 0 || src.r !== 0 || src.b !== 0;
+  if (cropped) {
+    const fullW = rect.w / (1 - src.l - src.r);
+    const fullH = rect.h / (1 - src.t - src.b);
+    image.w = round(fullW);
+    image.h = round(fullH);
+    image.sizing = { type: 'crop', x: round(src.l * fullW), y: round(src.t * fullH), w: round(rect.w), h: round(rect.h) };
+  }
+  if (parsedShape.rotation) image.rotate = parsedShape.rotation;
+  if (Boolean(piece.flipH) !== Boolean(parsedShape.flipH)) image.flipH = true;
+  if (Boolean(piece.flipV) !== Boolean(parsedShape.flipV)) image.flipV = true;
+  return image;
+}
+
+/**
+ * Snap floating-point noise around zero to zero, so uncropped edges stay uncropped.
+ * @param {number} n
+ * @returns {number}
+ */
+function snap(n) {
+  return Math.abs(n) < 1e-6 ? 0 : n;
+}
+
+/**
+ * Round to 4 decimal places (the precision of emuToInches()), without -0.
+ * @param {number} n
+ * @returns {number}
+ */
+function round(n) {
+  return Math.round(n * 10000) / 10000 || 0;
+}
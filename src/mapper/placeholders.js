@@ -3,7 +3,7 @@
  * placeholder definitions for defineSlideMaster().
  */
 
-import { resolveFill, resolveLine, mapTextPropsToOptions } from './shapes.js';
+import { resolveFill, resolveLine, mapTextPropsToOptions, typographyOptions, describeTextLimits } from './shapes.js';
 
 // Type mapping: OOXML placeholder type → PptxGenJS placeholder type
 const TYPE_MAP = {
@@ -29,9 +29,12 @@ const SKIP_TYPES = new Set(['sldNum', 'ftr', 'dt', 'hdr']);
  * @param {object} parsedPlaceholder - Parsed placeholder from layout.js
  * @param {{ resolve: Function }} colorResolver - Color resolver
  * @param {{ heading: string, body: string }} themeFonts - Theme fonts
+ * @param {object|null} [textDefaults] - Level 1 run properties of the master's text
+ *   style for this placeholder (p:titleStyle or p:bodyStyle); character spacing,
+ *   underline, strike and outline fall back to them
  * @returns {{ placeholder: object, warnings: string[] }|null}
  */
-export function mapPlaceholder(parsedPlaceholder, colorResolver, themeFonts) {
+export function mapPlaceholder(parsedPlaceholder, colorResolver, themeFonts, textDefaults = null) {
   if (!parsedPlaceholder) return null;
 
   // Skip slide-number-related types
@@ -55,9 +58,8 @@ export function mapPlaceholder(parsedPlaceholder, colorResolver, themeFonts) {
   };
 
   // Text styling from textProps (includes lstStyle fallback)
+  const textOpts = parsedPlaceholder.textProps ? mapTextPropsToOptions(parsedPlaceholder.textProps) : {};
   if (parsedPlaceholder.textProps) {
-    const textOpts = mapTextPropsToOptions(parsedPlaceholder.textProps);
-
     if (textOpts.fontFace) options.fontFace = textOpts.fontFace;
     if (textOpts.fontSize != null) options.fontSize = textOpts.fontSize;
     if (textOpts.color) options.color = textOpts.color;
@@ -70,7 +72,23 @@ export function mapPlaceholder(parsedPlaceholder, colorResolver, themeFonts) {
     if (textOpts.lineSpacingMultiple != null) options.lineSpacingMultiple = textOpts.lineSpacingMultiple;
     if (textOpts.paraSpaceBefore != null) options.paraSpaceBefore = textOpts.paraSpaceBefore;
     if (textOpts.paraSpaceAfter != null) options.paraSpaceAfter = textOpts.paraSpaceAfter;
+    // Carried onto the slide's text when an agent fills the placeholder
+    if (textOpts.fit) options.fit = textOpts.fit;
+    if (textOpts.vert) options.vert = textOpts.vert;
+    if (textOpts.wrap === false) options.wrap = false;
+  }
+
+  // Character spacing, underline, strike and outline — the placeholder's
+  // own, else the master text style's
+  const defaultTypography = textDefaults ? typographyOptions((key) => textDefaults[key]) : {};
+  for (const key of ['charSpacing', 'underline', 'strike', 'outline']) {
+    const value = textOpts[key] ?? defaultTypography[key];
+    if (value != null) options[key] = value;
   }
+  warnings.push(...describeTextLimits(parsedPlaceholder.textProps, `Placeholder "${options.name}"`, {
+    placeholder: true,
+    defaults: textDefaults,
+  }));
 
   // Center title default alignment — use center unless XML or lstStyle explicitly sets alignment
   if (parsedPlaceholder.type === 'ctrTitle') {
@@ -0,0 +1,157 @@
+/**
+ * Preset geometry mapping — OOXML preset shapes (a:prstGeom/@prst) to
+ * PptxGenJS ShapeType values, and the adjust values (a:avLst) PptxGenJS
+ * can carry over.
+ */
+
+// Presets grouped as in PowerPoint's Shapes gallery. PptxGenJS ShapeType
+// values are the OOXML names, written back verbatim into prstGeom/@prst.
+// Not listed: foldedCorner (ShapeType spells it "folderCorner", which
+// PowerPoint rejects) and the connector presets, which are drawn as lines.
+const PRESET_GROUPS = {
+  lines: ['line', 'lineInv'],
+  rectangles: [
+    'rect', 'roundRect', 'round1Rect', 'round2SameRect', 'round2DiagRect',
+    'snipRoundRect', 'snip1Rect', 'snip2SameRect', 'snip2DiagRect',
+  ],
+  basic: [
+    'ellipse', 'triangle', 'rtTriangle', 'parallelogram', 'trapezoid', 'nonIsoscelesTrapezoid',
+    'diamond', 'pentagon', 'hexagon', 'heptagon', 'octagon', 'decagon', 'dodecagon',
+    'pie', 'chord', 'teardrop', 'frame', 'halfFrame', 'corner', 'diagStripe', 'plus', 'plaque',
+    'can', 'cube', 'bevel', 'donut', 'noSmoking', 'blockArc', 'smileyFace', 'heart',
+    'lightningBolt', 'sun', 'moon', 'cloud', 'arc', 'bracketPair', 'bracePair',
+    'leftBracket', 'rightBracket', 'leftBrace', 'rightBrace', 'pieWedge', 'funnel',
+    'gear6', 'gear9', 'cornerTabs', 'squareTabs', 'plaqueTabs', 'chartX', 'chartStar', 'chartPlus',
+  ],
+  arrows: [
+    'rightArrow', 'leftArrow', 'upArrow', 'downArrow', 'leftRightArrow', 'upDownArrow',
+    'quadArrow', 'leftRightUpArrow', 'bentArrow', 'uturnArrow', 'leftUpArrow', 'bentUpArrow',
+    'curvedRightArrow', 'curvedLeftArrow', 'curvedUpArrow', 'curvedDownArrow',
+    'stripedRightArrow', 'notchedRightArrow', 'homePlate', 'chevron',
+    'rightArrowCallout', 'downArrowCallout', 'leftArrowCallout', 'upArrowCallout',
+    'leftRightArrowCallout', 'upDownArrowCallout', 'quadArrowCallout',
+    'circularArrow', 'leftCircularArrow', 'leftRightCircularArrow', 'swooshArrow',
+  ],
+  math: ['mathPlus', 'mathMinus', 'mathMultiply', 'mathDivide', 'mathEqual', 'mathNotEqual'],
+  flowchart: [
+    'flowChartProcess', 'flowChartAlternateProcess', 'flowChartDecision', 'flowChartInputOutput',
+    'flowChartPredefinedProcess', 'flowChartInternalStorage', 'flowChartDocument',
+    'flowChartMultidocument', 'flowChartTerminator', 'flowChartPreparation',
+    'flowChartManualInput', 'flowChartManualOperation', 'flowChartConnector',
+    'flowChartOffpageConnector', 'flowChartPunchedCard', 'flowChartPunchedTape',
+    'flowChartSummingJunction', 'flowChartOr', 'flowChartCollate', 'flowChartSort',
+    'flowChartExtract', 'flowChartMerge', 'flowChartOfflineStorage', 'flowChartOnlineStorage',
+    'flowChartMagneticTape', 'flowChartMagneticDisk', 'flowChartMagneticDrum',
+    'flowChartDisplay', 'flowChartDelay',
+  ],
+  starsAndBanners: [
+    'irregularSeal1', 'irregularSeal2', 'star4', 'star5', 'star6', 'star7', 'star8',
+    'star10', 'star12', 'star16', 'star24', 'star32', 'ribbon2', 'ribbon', 'ellipseRibbon2',
+    'ellipseRibbon', 'verticalScroll', 'horizontalScroll', 'wave', 'doubleWave', 'leftRightRibbon',
+  ],
+  callouts: [
+    'wedgeRectCallout', 'wedgeRoundRectCallout', 'wedgeEllipseCallout', 'cloudCallout',
+    'callout1', 'callout2', 'callout3', 'accentCallout1', 'accentCallout2', 'accentCallout3',
+    'borderCallout1', 'borderCallout2', 'borderCallout3',
+    'accentBorderCallout1', 'accentBorderCallout2', 'accentBorderCallout3',
+  ],
+  actionButtons: [
+    'actionButtonBackPrevious', 'actionButtonForwardNext', 'actionButtonBeginning',
+    'actionButtonEnd', 'actionButtonHome', 'actionButtonInformation', 'actionButtonReturn',
+    'actionButtonMovie', 'actionButtonDocument', 'actionButtonSound', 'actionButtonHelp',
+    'actionButtonBlank',
+  ],
+};
+
+/**
+ * OOXML preset name → PptxGenJS ShapeType value.
+ * @type {Readonly<Record<string, string>>}
+ */
+export const PRESET_SHAPE_TYPES = Object.freeze(
+  Object.fromEntries(Object.values(PRESET_GROUPS).flat().map((name) => [name, name])),
+);
+
+// Connector presets (p:sp with a connector geometry), mapped as lines
+const CONNECTOR_PRESETS = [
+  'straightConnector1',
+  'bentConnector2', 'bentConnector3', 'bentConnector4', 'bentConnector5',
+  'curvedConnector2', 'curvedConnector3', 'curvedConnector4', 'curvedConnector5',
+];
+
+// Presets whose adj1/adj2 are start and end angles (PptxGenJS `angleRange`)
+// and their defaults, so a partial avLst still writes both angles
+const ANGLE_DEFAULTS = {
+  arc: [270, 0],
+  blockArc: [180, 0],
+  chord: [45, 270],
+  pie: [0, 270],
+};
+
+// Default roundRect corner radius in inches when avLst has no adj
+const DEFAULT_RECT_RADIUS = 0.1;
+
+// PptxGenJS drops a rectRadius of 0 (the preset default applies), so an
+// adj of 0 is sent as this fraction of the shorter side, which it rounds
+// back to adj 0
+const ADJ_ZERO = 1e-6;
+
+/**
+ * Look up the PptxGenJS shape type for a preset geometry.
+ *
+ * @param {string|undefined} geometry - a:prstGeom/@prst (undefined → rect)
+ * @returns {string|null} ShapeType value, or null when PptxGenJS has no equivalent
+ */
+export function presetShapeType(geometry) {
+  if (!geometry) return 'rect';
+  return Object.hasOwn(PRESET_SHAPE_TYPES, geometry) ? PRESET_SHAPE_TYPES[geometry] : null;
+}
+
+/**
+ * Whether a preset geometry is a connector (drawn as a line).
+ *
+ * @param {string|undefined} geometry
+ * @returns {boolean}
+ */
+export function isConnectorPreset(geometry) {
+  return CONNECTOR_PRESETS.includes(geometry);
+}
+
+/**
+ * Translate a preset's adjust values into PptxGenJS shape options.
+ *
+ * PptxGenJS writes `rectRadius` back as the single `adj` guide (a fraction
+ * of the shorter side), and `angleRange` / `arcThicknessRatio` as adj1–adj3
+ * of the arc presets. `rectRadius` is left unrounded so adj survives the
+ * round trip. Any other adjustment has no option and is returned in
+ * `unsupported`, so the shape falls back to the preset's default.
+ *
+ * @param {string} geometry - Preset name
+ * @param {Record<string, number>|null} avLst - From extractAvLst()
+ * @param {{ w?: number, h?: number }} pos - Shape size in inches
+ * @returns {{ options: object, unsupported: string[] }}
+ */
+export function mapPresetAdjustments(geometry, avLst, pos) {
+  const options = {};
+  const unsupported = [];
+
+  if (geometry === 'roundRect') options.rectRadius = DEFAULT_RECT_RADIUS;
+
+  for (const [name, value] of Object.entries(avLst || {})) {
+    if (name === 'adj') {
+      // PptxGenJS writes adj = rectRadius / min(w,h) × 100000, so the
+      // inverse carries any preset's single adj (roundRect: 0–50000)
+      const minDim = Math.min(pos.w || 1, pos.h || 1);
+      options.rectRadius = (value === 0 ? ADJ_ZERO : value / 100000) * minDim;
+    } else if (ANGLE_DEFAULTS[geometry] && (name === 'adj1' || name === 'adj2')) {
+      options.angleRange = options.angleRange || [...ANGLE_DEFAULTS[geometry]];
+      options.angleRange[name === 'adj1' ? 0 : 1] = value / 60000;
+    } else if (geometry === 'blockArc' && name === 'adj3') {
+      options.arcThicknessRatio = value / 50000;
+      options.angleRange = options.angleRange || [...ANGLE_DEFAULTS.blockArc];
+    } else {
+      unsupported.push(name);
+    }
+  }
+
+  return { options, unsupported };
+}
@@ -1,10 +1,16 @@
 /**
  * Shape mapper — converts parsed OOXML shapes into PptxGenJS-compatible objects.
  *
- * Handles rectangles, lines, text boxes, and pictures.
+ * Handles preset shapes, lines, text boxes, pictures, tables and freeforms.
  */
 
 import { emuToPoints } from './units.js';
+import { mapTable } from './tables.js';
+import { mapCustomGeometry } from './geometry.js';
+import { mapPicture } from './pictures.js';
+import { presetShapeType, isConnectorPreset, mapPresetAdjustments } from './presets.js';
+import { applyEffects, bakeEffects } from './effects.js';
+import { rasterizeFill } from '../render/fill.js';
 
 // Dash type mapping: OOXML → PptxGenJS
 const DASH_TYPE_MAP = {
@@ -21,6 +27,14 @@ const DASH_TYPE_MAP = {
   dot: 'dot',
 };
 
+// PptxGenJS replaces a shadow blur, offset or angle of 0 with its own
+// defaults (8pt, 4pt, 270°); this stands in for 0 and is written as ~0
+const SHADOW_ZERO = 0.001;
+
+// Text options mapTextPropsToOptions() takes from the first run, which
+// rich text leaves to each run
+const BOX_RUN_KEYS = ['fontFace', 'fontSize', 'color', 'bold', 'italic', 'charSpacing', 'underline', 'strike', 'outline'];
+
 // Arrow type mapping: OOXML → PptxGenJS
 const ARROW_TYPE_MAP = {
   none: 'none',
@@ -166,20 +180,62 @@ export function resolveLine(lineEl, colorResolver) {
   return hasProps ? result : null;
 }
 
+/**
+ * Resolve a click hyperlink (see parser/utils.js extractHyperlink()) to
+ * the PptxGenJS `hyperlink` option. Only links to external targets (web
+ * pages, mail addresses, files) can be kept: PptxGenJS links slides by
+ * number, and slide masters have no slides to jump to.
+ *
+ * @param {{ rId: string|null, tooltip: string|null, action: string|null }|null|undefined} link
+ * @param {Record<string, { target: string, external?: boolean }>|null} relationships - The part's relationships
+ * @param {string[]} warnings - Mapping warnings (mutated)
+ * @param {string} label - What carries the link, for warnings (e.g. 'Picture "Logo"')
+ * @returns {{ url: string, tooltip?: string }|null}
+ */
+export function resolveHyperlink(link, relationships, warnings, label) {
+  if (!link) return null;
+  if (link.action) {
+    warnings.push(`${label} jumps within the presentation (${link.action}), which slide masters can't; link dropped`);
+    return null;
+  }
+  if (!link.rId) return null;
+
+  const rel = relationships?.[link.rId];
+  if (!rel) {
+    warnings.push(`${label} has a link (${link.rId}) that could not be resolved; link dropped`);
+    return null;
+  }
+  if (!rel.external) {
+    warnings.push(`${label} links to "${rel.target}" inside the template, which slide masters can't; link dropped`);
+    return null;
+  }
+
+  const hyperlink = { url: rel.target };
+  if (link.tooltip) hyperlink.tooltip = link.tooltip;
+  return hyperlink;
+}
+
 /**
  * Resolve shadow effects from an effectLst element.
  *
  * @param {object|null} effectLst - Raw a:effectLst element
  * @param {{ resolve: Function }} colorResolver - Color resolver
+ * @param {string[]} [warnings] - Mapping warnings (mutated)
+ * @param {string} [label] - What casts the shadow, for warnings (e.g. 'Shape "Banner"')
  * @returns {object|null} PptxGenJS shadow object
  */
-export function resolveShadow(effectLst, colorResolver) {
+export function resolveShadow(effectLst, colorResolver, warnings = [], label = 'Shape') {
   if (!effectLst) return null;
 
   // Outer shadow
   const outerShdw = effectLst['a:outerShdw'];
   if (outerShdw) {
-    return buildShadow(outerShdw, 'outer', colorResolver);
+    const shadow = buildShadow(outerShdw, 'outer', colorResolver);
+    if (isDistortedShadow(outerShdw)) {
+      warnings.push(`${label} has a scaled or skewed shadow (sx, sy, kx, ky, algn), which PptxGenJS can't express; `
+        + 'drawn unscaled');
+    }
+    return shadow;
   }
 
   // Inner shadow
@@ -192,7 +248,8 @@ export function resolveShadow(effectLst, colorResolver) {
 }
 
 /**
- * Build a PptxGenJS shadow object from a shadow element.
+ * Build a PptxGenJS shadow object from a shadow element. Missing
+ * attributes take OOXML's default of 0.
  * @param {object} shdwEl - Shadow element (a:outerShdw or a:innerShdw)
  * @param {string} type - 'outer' or 'inner'
  * @param {{ resolve: Function }} colorResolver
@@ -201,20 +258,10 @@ export function resolveShadow(effectLst, colorResolver) {
 function buildShadow(shdwEl, type, colorResolver) {
   const shadow = { type };
 
-  // Blur radius in points
-  if (shdwEl['@_blurRad'] != null) {
-    shadow.blur = emuToPoints(Number(shdwEl['@_blurRad']));
-  }
-
-  // Distance in points
-  if (shdwEl['@_dist'] != null) {
-    shadow.offset = emuToPoints(Number(shdwEl['@_dist']));
-  }
-
-  // Direction in degrees (EMU angle)
-  if (shdwEl['@_dir'] != null) {
-    shadow.angle = Number(shdwEl['@_dir']) / 60000;
-  }
+  // Blur radius and distance in points, direction in degrees (EMU angle)
+  shadow.blur = emuToPoints(Number(shdwEl['@_blurRad']) || 0) || SHADOW_ZERO;
+  shadow.offset = emuToPoints(Number(shdwEl['@_dist']) || 0) || SHADOW_ZERO;
+  shadow.angle = (Number(shdwEl['@_dir']) || 0) / 60000 || SHADOW_ZERO;
 
   // Shadow color
   const resolved = colorResolver?.resolve(shdwEl);
@@ -228,6 +275,23 @@ function buildShadow(shdwEl, type, colorResolver) {
   return shadow;
 }
 
+/**
+ * Copy a shape's rotation and flips onto PptxGenJS options, which writes
+ * them back as a:xfrm/@rot, @flipH and @flipV. PowerPoint flips the
+ * geometry inside the box, so line endpoints, custom geometry points and
+ * images need no change of their own.
+ *
+ * @param {object} options - PptxGenJS object options (mutated)
+ * @param {{ rotation?: number, flipH?: boolean, flipV?: boolean }} parsedShape
+ * @returns {object} options
+ */
+export function applyTransform(options, parsedShape) {
+  if (parsedShape.rotation) options.rotate = parsedShape.rotation;
+  if (parsedShape.flipH) options.flipH = true;
+  if (parsedShape.flipV) options.flipV = true;
+  return options;
+}
+
 /**
  * Convert textProps into PptxGenJS-compatible text options.
  * Merges properties from paragraphs, lstStyle (layout-specific defaults),
@@ -250,10 +314,16 @@ export function mapTextPropsToOptions(textProps) {
     // OOXML default anchor is 't' (top), but PptxGenJS defaults to 'ctr'.
     // Always set valign explicitly to match the original template behavior.
     opts.valign = bp.valign || 'top';
+    // Shrink text on overflow / resize shape to fit text
+    if (bp.autoFit === 'shrink' || bp.autoFit === 'resize') opts.fit = bp.autoFit;
+    if (bp.vert && bp.vert !== 'horz') opts.vert = bp.vert;
+    if (bp.wrap === false) opts.wrap = false;
   }
 
   // lstStyle level 1 defaults (layout-specific text formatting)
   const lstLevel = textProps.lstStyleProps?.[1] || textProps.lstStyleProps?.[0] || null;
+  // Font face and color from the shape's p:style, under everything else
+  const styleFont = textProps.styleFont || {};
 
   // First paragraph styling with lstStyle fallback
   if (textProps.paragraphs && textProps.paragraphs.length > 0) {
@@ -280,14 +350,14 @@ export function mapTextPropsToOptions(textProps) {
     if (opts.paraSpaceBefore == null) delete opts.paraSpaceBefore;
     if (opts.paraSpaceAfter == null) delete opts.paraSpaceAfter;
 
-    // Run styling: paragraph defRPr → lstStyle defRPr → first run
+    // Run styling: paragraph defRPr → lstStyle defRPr → first run → p:style fontRef
     const paraDefRPr = para.defaultRunProps || {};
     const lstDefRPr = lstLevel?.defaultRunProps || {};
     const firstRun = (para.runs && para.runs[0]) || {};
 
-    const fontFace = paraDefRPr.fontFace ?? lstDefRPr.fontFace ?? firstRun.fontFace;
+    const fontFace = paraDefRPr.fontFace ?? lstDefRPr.fontFace ?? firstRun.fontFace ?? styleFont.fontFace;
     const fontSize = paraDefRPr.fontSize ?? lstDefRPr.fontSize ?? firstRun.fontSize;
-    const color = paraDefRPr.color ?? lstDefRPr.color ?? firstRun.color;
+    const color = paraDefRPr.color ?? lstDefRPr.color ?? firstRun.color ?? styleFont.color;
     const bold = paraDefRPr.bold ?? lstDefRPr.bold ?? firstRun.bold;
     const italic = paraDefRPr.italic ?? lstDefRPr.italic ?? firstRun.italic;
 
@@ -296,6 +366,7 @@ export function mapTextPropsToOptions(textProps) {
     if (color) opts.color = color;
     if (bold) opts.bold = bold;
     if (italic) opts.italic = italic;
+    Object.assign(opts, typographyOptions((key) => paraDefRPr[key] ?? lstDefRPr[key] ?? firstRun[key]));
   } else if (lstLevel) {
     // No paragraphs — use lstStyle directly
     if (lstLevel.align) opts.align = lstLevel.align;
@@ -305,16 +376,40 @@ export function mapTextPropsToOptions(textProps) {
     if (lstLevel.paraSpaceAfter != null) opts.paraSpaceAfter = lstLevel.paraSpaceAfter;
 
     const rp = lstLevel.defaultRunProps || {};
-    if (rp.fontFace) opts.fontFace = rp.fontFace;
+    if (rp.fontFace || styleFont.fontFace) opts.fontFace = rp.fontFace || styleFont.fontFace;
     if (rp.fontSize != null) opts.fontSize = rp.fontSize;
-    if (rp.color) opts.color = rp.color;
+    if (rp.color || styleFont.color) opts.color = rp.color || styleFont.color;
     if (rp.bold) opts.bold = rp.bold;
     if (rp.italic) opts.italic = rp.italic;
+    Object.assign(opts, typographyOptions((key) => rp[key]));
   }
 
   return opts;
 }
 
+/**
+ * Character-level options PptxGenJS can express: character spacing,
+ * underline style and colour, strikethrough and text outline.
+ *
+ * @param {(key: string) => any} value - Looks a run property up (e.g. through
+ *   the run, its paragraph defaults and its lstStyle level)
+ * @returns {{ charSpacing?: number, underline?: { style: string, color?: string }, strike?: string,
+ *   outline?: { color: string, size: number } }}
+ */
+export function typographyOptions(value) {
+  const options = {};
+  if (value('charSpacing') != null) options.charSpacing = value('charSpacing');
+  const underline = value('underline');
+  if (underline && underline !== 'none') {
+    options.underline = { style: underline };
+    if (value('underlineColor')) options.underline.color = value('underlineColor');
+  }
+  const strike = value('strike');
+  if (strike && strike !== 'noStrike') options.strike = strike;
+  if (value('outline')) options.outline = { ...value('outline') };
+  return options;
+}
+
 /**
  * Map a parsed static shape into a PptxGenJS-compatible object.
  *
@@ -322,37 +417,70 @@ export function mapTextPropsToOptions(textProps) {
  * @param {{ resolve: Function }} colorResolver - Color resolver
  * @param {{ heading: string, body: string }} themeFonts - Theme fonts
  * @param {Record<string, { type: string, target: string }>} relationships - Resolved relationships
- * @returns {{ object: object, warnings: string[] }}
+ * @param {{ imageFormat?: 'svg'|'png', bakeEffects?: boolean }} [options] - `imageFormat` picks the SVG or PNG
+ *   version of pictures that have both (default 'svg'); `bakeEffects` renders shapes with
+ *   effects PptxGenJS can't express (glow, soft edge, reflection, blur) to an image
+ * @returns {{ object: object, warnings: string[], underlay?: object, objects?: Array<object>, media?: Array<{ filename: string, buffer: Buffer }> }}
+ *   `underlay` is an image to place directly behind `object` (rendered fills);
+ *   `objects` replaces `object` when a shape maps to several objects (tiled pictures);
+ *   `media` lists generated files to write into media/.
  */
-export function mapShape(parsedShape, colorResolver, themeFonts, relationships) {
-  const warnings = [];
-
+export function mapShape(parsedShape, colorResolver, themeFonts, relationships, options = {}) {
   if (!parsedShape) {
     return { object: null, warnings: ['Null shape provided'] };
   }
 
+  // Tables (added after addSlide via the generated decorate() hook)
+  if (parsedShape.type === 'table') {
+    return mapTable(parsedShape, colorResolver);
+  }
+
+  // Shrunk text keeps the size PowerPoint last fitted it to — PptxGenJS
+  // writes normAutofit without the scale
+  const scaled = applyAutofitScale(parsedShape);
+
+  // Effects — shadows become the PptxGenJS shadow option; glow, soft edges,
+  // reflections and blur are dropped with a warning unless baked into an image
+  const baked = options.bakeEffects ? bakeEffects(scaled, colorResolver, relationships) : null;
+  const mapped = baked
+    || applyEffects(mapShapeObject(scaled, colorResolver, relationships, options), scaled, colorResolver, options);
+  return applyShapeLink(mapped, scaled, relationships);
+}
+
+/**
+ * Map a static shape, without its effects.
+ *
+ * @param {object} parsedShape - Parsed static shape
+ * @param {{ resolve: Function }} colorResolver - Color resolver
+ * @param {Record<string, { type: string, target: string }>} relationships - Resolved relationships
+ * @param {{ imageFormat?: 'svg'|'png' }} options
+ * @returns {ReturnType<typeof mapShape>}
+ */
+function mapShapeObject(parsedShape, colorResolver, relationships, options) {
+  const warnings = [];
   const pos = parsedShape.position || {};
 
   // Image shapes
   if (parsedShape.type === 'picture' && parsedShape.imageRef) {
     const rel = relationships?.[parsedShape.imageRef];
-    if (rel) {
-      const imagePath = `./media/${rel.target.split('/').pop()}`;
-      const imgObj = {
-        x: pos.x,
-        y: pos.y,
-        w: pos.w,
-        h: pos.h,
-      };
-      if (imagePath) imgObj.path = imagePath;
-      if (parsedShape.rotation) imgObj.rotate = parsedShape.rotation;
-      return { object: { image: imgObj }, warnings };
+    let svgRel;
+    if (parsedShape.svgRef && options.imageFormat !== 'png') {
+      svgRel = relationships?.[parsedShape.svgRef];
+      if (!svgRel) warnings.push(`SVG version of picture "${parsedShape.name}" could not be resolved; using its PNG fallback`);
+    }
+    if (svgRel || rel) {
+      const mapped = mapPicture(parsedShape, svgRel || rel);
+      const hyperlink = resolveHyperlink(parsedShape.hyperlink, relationships, warnings, `Picture "${parsedShape.name}"`);
+      if (hyperlink) {
+        for (const { image } of [mapped.object, ...(mapped.objects || [])].filter(Boolean)) image.hyperlink = { ...hyperlink };
+      }
+      return { ...mapped, warnings: [...warnings, ...mapped.warnings] };
     }
     warnings.push(`Could not resolve image reference ${parsedShape.imageRef}`);
   }
 
-  // Line shapes
-  if (parsedShape.geometry === 'line') {
+  // Line shapes (including p:sp shapes with a connector preset)
+  if (parsedShape.geometry === 'line' || isConnectorPreset(parsedShape.geometry)) {
     const lineProps = resolveLine(parsedShape.line, colorResolver) || {};
     const lineObj = {
       x: pos.x,
@@ -362,10 +490,53 @@ export function mapShape(parsedShape, colorResolver, themeFonts, relationships)
     };
     if (lineProps.color) lineObj.line = lineProps;
     else if (Object.keys(lineProps).length > 0) lineObj.line = lineProps;
-    if (parsedShape.rotation) lineObj.rotate = parsedShape.rotation;
+    applyTransform(lineObj, parsedShape);
+
+    // Elbow and curved connectors have no PptxGenJS equivalent — keep the
+    // start-to-end segment so the connector still reads as a rule
+    const connectorType = parsedShape.connectorType
+      || (parsedShape.geometry !== 'line' ? parsedShape.geometry : undefined);
+    if (connectorType && connectorType !== 'straightConnector1' && connectorType !== 'line') {
+      warnings.push(`Connector "${parsedShape.name}" (${connectorType}) rendered as a straight line`);
+    }
+
     return { object: { line: lineObj }, warnings };
   }
 
+  // Freeforms (custom geometry) — PptxGenJS custGeom points, or a rendered image
+  if (parsedShape.geometry === 'custGeom') {
+    if (parsedShape.custGeom?.paths?.length > 0) {
+      return mapCustomGeometry(parsedShape, colorResolver, relationships);
+    }
+    const reason = parsedShape.custGeom?.error || 'no paths';
+    warnings.push(`Custom geometry "${parsedShape.name}" could not be read (${reason}); drawn as its bounding box`);
+  }
+
+  // Preset geometry — rect is a native master object, every other preset
+  // becomes the `shape` object kind (see generator/code.js toMasterObject)
+  // (unreadable custom geometry falls back to its bounding box)
+  let shapeType = parsedShape.geometry === 'custGeom' ? 'rect' : presetShapeType(parsedShape.geometry);
+  if (!shapeType) {
+    warnings.push(`Shape "${parsedShape.name}" uses preset geometry "${parsedShape.geometry}", which has no PptxGenJS equivalent; drawn as a rectangle`);
+    shapeType = 'rect';
+  }
+  const { options: adjustments, unsupported } = shapeType === 'rect'
+    ? { options: {}, unsupported: [] }
+    : mapPresetAdjustments(parsedShape.geometry, parsedShape.avLst, pos);
+  if (unsupported.length > 0) {
+    warnings.push(`Shape "${parsedShape.name}" (${shapeType}) adjustments ${unsupported.join(', ')} have no PptxGenJS equivalent; preset defaults used`);
+  }
+
+  // Gradients and patterns are rendered to an image, which can only take
+  // the outline of rectangles and rounded rectangles; other presets use
+  // the fallback color, named in their own warning
+  const rectangular = shapeType === 'rect' || shapeType === 'roundRect';
+  const rendered = rectangular
+    ? renderFillImage(parsedShape, colorResolver, adjustments.rectRadius)
+    : null;
+  const fillLimit = rectangular ? null : describeUnrenderedFill(parsedShape, shapeType);
+  if (fillLimit) warnings.push(fillLimit);
+
   // Text box shapes (shapes with text content)
   if (parsedShape.textProps && parsedShape.textProps.plainText) {
     const textOptions = mapTextPropsToOptions(parsedShape.textProps);
@@ -373,12 +544,15 @@ export function mapShape(parsedShape, colorResolver, themeFonts, relationships)
     textOptions.y = pos.y;
     textOptions.w = pos.w;
     textOptions.h = pos.h;
-
-    // Fill
-    const { result: fillResult, warnings: fillWarnings } = resolveFill(parsedShape.fill, colorResolver);
-    warnings.push(...fillWarnings);
-    if (fillResult && fillResult.color) {
-      textOptions.fill = fillResult;
+    Object.assign(textOptions, adjustments);
+
+    // Fill — gradients and patterns are rendered to an image placed behind the text
+    if (!rendered) {
+      const { result: fillResult, warnings: fillWarnings } = resolveFill(parsedShape.fill, colorResolver);
+      if (!fillLimit) warnings.push(...fillWarnings);
+      if (fillResult && fillResult.color) {
+        textOptions.fill = fillResult;
+      }
     }
 
     // Line
@@ -387,64 +561,172 @@ export function mapShape(parsedShape, colorResolver, themeFonts, relationships)
       textOptions.line = lineResult;
     }
 
-    if (parsedShape.rotation) textOptions.rotate = parsedShape.rotation;
+    applyTransform(textOptions, parsedShape);
 
-    // Build text content — flatten to string because PptxGenJS defineSlideMaster
+    // Single-format text is flattened to a string because defineSlideMaster()
     // wraps text.text in [{ text: ... }], so arrays get stringified to [object Object]
-    const textContent = flattenTextContent(parsedShape.textProps);
-
-    return { object: { text: { text: textContent, options: textOptions } }, warnings };
+    const { object, warnings: textWarnings } = mapTextObject(parsedShape, textOptions, relationships, shapeType);
+    warnings.push(...textWarnings);
+    if (rendered) {
+      return { object, warnings, underlay: { image: rendered.image }, media: [rendered.media] };
+    }
+    return { object, warnings };
   }
 
-  // Rectangle / generic shapes
-  const rectObj = {
+  // Rectangles and other preset shapes
+  const shapeObj = {
     x: pos.x,
     y: pos.y,
     w: pos.w,
     h: pos.h,
+    ...adjustments,
   };
-
-  // Fill
-  const { result: fillResult, warnings: fillWarnings } = resolveFill(parsedShape.fill, colorResolver);
-  warnings.push(...fillWarnings);
-  if (fillResult && fillResult.color) {
-    rectObj.fill = fillResult;
-  }
+  const wrap = (options) => (shapeType === 'rect' ? { rect: options } : { shape: { type: shapeType, options } });
 
   // Line
   const lineResult = resolveLine(parsedShape.line, colorResolver);
   if (lineResult) {
-    rectObj.line = lineResult;
-  }
-
-  // Rounded rect radius — extract from avLst if available
-  if (parsedShape.geometry === 'roundRect') {
-    const avLst = parsedShape.avLst;
-    if (avLst?.adj != null) {
-      // OOXML adj ranges 0-50000, representing 0-50% of min(w,h)
-      // So adj/100000 gives the fraction of the shorter dimension
-      const adjVal = Number(avLst.adj);
-      const minDim = Math.min(pos.w || 1, pos.h || 1);
-      rectObj.rectRadius = Math.round((adjVal / 100000) * minDim * 100) / 100 || 0.1;
-    } else {
-      rectObj.rectRadius = 0.1;
+    shapeObj.line = lineResult;
+  }
+
+  applyTransform(shapeObj, parsedShape);
+
+  // Gradient or pattern fill — the rendered image replaces the fill; a
+  // bordered shape keeps its outline as an unfilled shape on top
+  if (rendered) {
+    if (!lineResult) {
+      return { object: { image: rendered.image }, warnings, media: [rendered.media] };
     }
+    return { object: wrap(shapeObj), warnings, underlay: { image: rendered.image }, media: [rendered.media] };
   }
 
-  if (parsedShape.rotation) rectObj.rotate = parsedShape.rotation;
+  // Fill
+  const { result: fillResult, warnings: fillWarnings } = resolveFill(parsedShape.fill, colorResolver);
+  if (!fillLimit) warnings.push(...fillWarnings);
+  if (fillResult && fillResult.color) {
+    shapeObj.fill = fillResult;
+  }
+
+  return { object: wrap(shapeObj), warnings };
+}
+
+/**
+ * Render a shape's gradient or pattern fill to a PNG image covering its box.
+ * Returns null (so callers fall back to a flat color) when the fill is
+ * neither, the shape has no size, or the fill can't be rendered.
+ *
+ * @param {object} parsedShape - Parsed static shape
+ * @param {{ resolve: Function }} colorResolver - Color resolver
+ * @param {number} [radius] - Corner radius in inches (roundRect)
+ * @returns {{ image: object, media: { filename: string, buffer: Buffer } }|null}
+ */
+function renderFillImage(parsedShape, colorResolver, radius) {
+  const pos = parsedShape.position;
+  if (!pos) return null;
+
+  const media = rasterizeFill(parsedShape.fill, colorResolver, pos.w, pos.h, { radius });
+  if (!media) return null;
 
-  // Shadow (if spPr has effectLst — this comes through fill.element sometimes)
-  // PptxGenJS shadow is set directly on the shape
+  const image = { x: pos.x, y: pos.y, w: pos.w, h: pos.h, path: `./media/${media.filename}` };
+  applyTransform(image, parsedShape);
+  return { image, media };
+}
+
+/**
+ * Build the object for a shape's text. Single-format text stays a plain
+ * string, which masters can hold; text whose formatting varies from run
+ * to run, or that carries hyperlinks (on its runs or on the whole shape),
+ * becomes a `richText` decoration holding PptxGenJS text runs (added to
+ * each slide after addSlide(), see generator/code.js).
+ *
+ * @param {{ name: string, textProps: { paragraphs?: Array, plainText?: string, lstStyleProps?: object } }} parsedShape
+ * @param {object} options - PptxGenJS text options (box, fill, line, …)
+ * @param {Record<string, { target: string, external?: boolean }>|null} relationships - For run hyperlinks
+ * @param {string} [shapeType='rect'] - PptxGenJS shape type
+ * @returns {{ object: object, warnings: string[] }} `text`, `shape` or `richText` object
+ */
+export function mapTextObject(parsedShape, options, relationships, shapeType = 'rect') {
+  const warnings = describeTextLimits(parsedShape.textProps, `Text in "${parsedShape.name}"`);
+  const runs = buildTextRuns(parsedShape.textProps, (run) => resolveHyperlink(
+    run.hyperlink, relationships, warnings, `Text "${run.text}" in "${parsedShape.name}"`,
+  ));
+  // A link on the whole shape goes on each of its runs: PptxGenJS writes
+  // a relationship only for run links
+  const hyperlink = resolveHyperlink(parsedShape.hyperlink, relationships, warnings, `Shape "${parsedShape.name}"`);
+  const text = flattenTextContent(parsedShape.textProps);
+  if (runs || hyperlink) {
+    // Runs carry their own formatting; box-level values would leak into
+    // runs that leave them unset
+    const richOptions = { ...options };
+    const boxRunOptions = {};
+    for (const key of BOX_RUN_KEYS) {
+      if (richOptions[key] !== undefined) boxRunOptions[key] = richOptions[key];
+      delete richOptions[key];
+    }
+    if (shapeType !== 'rect') richOptions.shape = shapeType;
+    const richRuns = (runs || [{ text, options: boxRunOptions }]).map((run) => (hyperlink && run.text && !run.options.hyperlink
+      ? { ...run, options: { ...run.options, hyperlink: { ...hyperlink } } }
+      : run));
+    return { object: { richText: { text: richRuns, options: richOptions } }, warnings };
+  }
 
-  return { object: { rect: rectObj }, warnings };
+  const object = shapeType === 'rect' ? { text: { text, options } } : { shape: { type: shapeType, text, options } };
+  return { object, warnings };
 }
 
 /**
- * Build PptxGenJS text content from textProps paragraphs.
+ * Build PptxGenJS text runs from textProps paragraphs, when the text
+ * mixes formatting (run fonts, sizes, colours, styles or paragraph
+ * alignment) or has hyperlinks, which a single string can't carry.
  *
- * @param {{ paragraphs: Array }} textProps
- * @returns {Array|string} PptxGenJS text array or plain string
+ * @param {{ paragraphs?: Array, lstStyleProps?: object }} textProps
+ * @param {(run: object) => ({ url: string, tooltip?: string }|null)} [resolveLink] - Resolves a run's `hyperlink`
+ * @returns {Array<{ text: string, options: object }>|null} null for single-format text without links
  */
+export function buildTextRuns(textProps, resolveLink = () => null) {
+  const paragraphs = (textProps?.paragraphs || []).filter((para) => !isEditInstruction(para));
+  const levelStyle = (para) => textProps.lstStyleProps?.[para.level] || textProps.lstStyleProps?.[1] || textProps.lstStyleProps?.[0] || null;
+
+  const formats = new Set();
+  const aligns = new Set();
+  let linked = false;
+  const paraRuns = paragraphs.map((para) => {
+    const lst = levelStyle(para);
+    const paraOptions = paragraphOptions(para, lst);
+    aligns.add(paraOptions.align);
+
+    const runs = [];
+    let pendingBreak = false;
+    for (const run of para.runs || []) {
+      if (run.isBreak) {
+        if (pendingBreak) runs.push({ text: '', options: { ...paraOptions, softBreakBefore: true } });
+        pendingBreak = runs.length > 0 || pendingBreak;
+        continue;
+      }
+      if (!run.text) continue;
+      const format = runFormat(run, para, lst, textProps.styleFont);
+      formats.add(JSON.stringify(format));
+      const options = { ...paraOptions, ...format };
+      const hyperlink = run.hyperlink ? resolveLink(run) : null;
+      if (hyperlink) {
+        options.hyperlink = hyperlink;
+        linked = true;
+      }
+      if (pendingBreak) options.softBreakBefore = true;
+      pendingBreak = false;
+      runs.push({ text: runText(run, para, lst), options });
+    }
+    return runs.length > 0 ? runs : [{ text: '', options: { ...paraOptions } }];
+  });
+
+  if (formats.size <= 1 && aligns.size <= 1 && !linked) return null;
+
+  paraRuns.slice(0, -1).forEach((runs) => {
+    runs[runs.length - 1].options.breakLine = true;
+  });
+  return paraRuns.flat();
+}
+
 /**
  * Flatten text content to a plain string for PptxGenJS defineSlideMaster.
  *
@@ -457,7 +739,7 @@ export function mapShape(parsedShape, colorResolver, themeFonts, relationships)
  * @param {{ paragraphs?: Array, plainText?: string }} textProps
  * @returns {string} Flat text string
  */
-function flattenTextContent(textProps) {
+export function flattenTextContent(textProps) {
   if (!textProps?.paragraphs || textProps.paragraphs.length === 0) {
     return stripEditInstructions(textProps?.plainText || '');
   }
@@ -468,12 +750,13 @@ function flattenTextContent(textProps) {
       lines.push('');
       continue;
     }
+    const lst = textProps.lstStyleProps?.[para.level] || textProps.lstStyleProps?.[1] || textProps.lstStyleProps?.[0] || null;
     let paraText = '';
     for (const run of para.runs) {
       if (run.isBreak) {
         paraText += '\n';
       } else if (run.text) {
-        paraText += run.text;
+        paraText += runText(run, para, lst);
       }
     }
     lines.push(paraText);
@@ -499,3 +782,192 @@ export function stripEditInstructions(text) {
     .trim();
 }
 
+/**
+ * Describe the text settings of a text body PptxGenJS can't express:
+ * columns, gradient-filled text, small caps and kerning. All caps are
+ * applied to static text, but placeholders can't carry them.
+ *
+ * @param {{ bodyProps?: object, paragraphs?: Array, lstStyleProps?: object }|null} textProps
+ * @param {string} label - Names the text in warnings
+ * @param {{ placeholder?: boolean, defaults?: object|null }} [options] - `defaults` are the
+ *   run properties a placeholder inherits from the master's text styles
+ * @returns {string[]} Warnings
+ */
+export function describeTextLimits(textProps, label, { placeholder = false, defaults = null } = {}) {
+  const warnings = [];
+  const count = textProps?.bodyProps?.columns?.count;
+  if (count > 1) {
+    warnings.push(`${label} is set in ${count} columns, which PptxGenJS can't express; laid out in one column`);
+  }
+
+  const props = [defaults, ...Object.values(textProps?.lstStyleProps || {}).map((level) => level?.defaultRunProps)];
+  for (const para of textProps?.paragraphs || []) props.push(para.defaultRunProps, ...(para.runs || []));
+  const has = (key, val) => props.some((p) => p?.[key] === val);
+  if (has('gradientFill', true)) {
+    warnings.push(`${label} has gradient-filled text, which PptxGenJS can't express; using its first color`);
+  }
+  if (has('caps', 'small')) {
+    warnings.push(`${label} uses small caps, which PptxGenJS can't express; drawn in normal case`);
+  }
+  // Only kerning the text sets itself: PowerPoint writes kern="1200" into
+  // every master's text styles, and kern="0" turns kerning off
+  if (props.slice(1).some((p) => p?.kerning > 0)) {
+    warnings.push(`${label} is kerned, which PptxGenJS can't express; drawn without kerning`);
+  }
+  if (placeholder && has('caps', 'all')) {
+    warnings.push(`${label} is set in all caps, which PptxGenJS placeholders can't carry; type its text in capitals`);
+  }
+  return warnings;
+}
+
+// --- Internal helpers ---
+
+/**
+ * Carry a link on a whole shape or connector (p:cNvPr a:hlinkClick) onto
+ * its mapped object. Text boxes carry theirs through mapTextObject() and
+ * pictures through mapShapeObject(). Masters hold links on rectangles,
+ * lines and images; other preset shapes, which masters draw as text
+ * objects that can't carry a link, are added after addSlide() when linked
+ * (see generator/code.js splitDecorations()).
+ *
+ * @param {ReturnType<typeof mapShape>} mapped - Mapped shape (mutated)
+ * @param {object} parsedShape - Parsed static shape with `hyperlink`
+ * @param {Record<string, { target: string, external?: boolean }>|null} relationships
+ * @returns {ReturnType<typeof mapShape>} mapped
+ */
+function applyShapeLink(mapped, parsedShape, relationships) {
+  const object = mapped.object;
+  if (!parsedShape.hyperlink || parsedShape.type === 'picture' || !object) return mapped;
+  if (object.richText || object.text || object.shape?.text) return mapped;
+
+  const label = parsedShape.type === 'connector' ? `Connector "${parsedShape.name}"` : `Shape "${parsedShape.name}"`;
+  const hyperlink = resolveHyperlink(parsedShape.hyperlink, relationships, mapped.warnings, label);
+  if (!hyperlink) return mapped;
+
+  const target = object.rect || object.line || object.image || object.shape?.options;
+  if (target) target.hyperlink = hyperlink;
+  return mapped;
+}
+
+/**
+ * Describe a gradient or pattern fill on a preset shape whose outline the
+ * fill renderer can't take (anything but rectangles and rounded
+ * rectangles), which falls back to a flat color.
+ * @param {object} parsedShape
+ * @param {string} shapeType - PptxGenJS shape type
+ * @returns {string|null} Warning, or null for other fills
+ */
+function describeUnrenderedFill(parsedShape, shapeType) {
+  const type = parsedShape.fill?.type;
+  if (type !== 'gradFill' && type !== 'pattFill') return null;
+  const [kind, fallback] = type === 'gradFill' ? ['gradient', 'first stop color'] : ['pattern', 'foreground color'];
+  return `Shape "${parsedShape.name}" (${shapeType}) has a ${kind} fill, which is only rendered to PNG on rectangles and rounded rectangles; using its ${fallback}`;
+}
+
+/**
+ * Whether an outer shadow is scaled or skewed. Its alignment (algn) only
+ * anchors the scaling and skew, so it alone changes nothing.
+ * @param {object} shdwEl - a:outerShdw element
+ * @returns {boolean}
+ */
+function isDistortedShadow(shdwEl) {
+  const scaled = ['@_sx', '@_sy'].some((key) => shdwEl[key] != null && Number(shdwEl[key]) !== 100000);
+  const skewed = ['@_kx', '@_ky'].some((key) => shdwEl[key] != null && Number(shdwEl[key]) !== 0);
+  return scaled || skewed;
+}
+
+/**
+ * Apply the autofit scale a shape's text was last shrunk to
+ * (a:normAutofit fontScale and lnSpcReduction) to its font sizes and line
+ * spacing, so static text keeps the size it has in the template.
+ * @param {object} parsedShape
+ * @returns {object} parsedShape, or a copy with scaled textProps
+ */
+function applyAutofitScale(parsedShape) {
+  const textProps = parsedShape.textProps;
+  const { fontScale, lineSpacingReduction: reduction } = textProps?.bodyProps || {};
+  const shrink = fontScale > 0 && fontScale < 1;
+  if (!shrink && !(reduction > 0)) return parsedShape;
+
+  const scaleRun = (props) => (shrink && props?.fontSize != null
+    ? { ...props, fontSize: Math.round(props.fontSize * fontScale * 100) / 100 }
+    : props);
+  const reduce = (value) => Math.round(value * (1 - reduction) * 100) / 100;
+  const lstStyleProps = textProps.lstStyleProps && Object.fromEntries(Object.entries(textProps.lstStyleProps)
+    .map(([level, props]) => [level, { ...props, defaultRunProps: scaleRun(props.defaultRunProps) }]));
+
+  const paragraphs = (textProps.paragraphs || []).map((para) => {
+    const scaled = { ...para, defaultRunProps: scaleRun(para.defaultRunProps), runs: (para.runs || []).map(scaleRun) };
+    if (reduction > 0) {
+      // Paragraph spacing, else its lstStyle level's, else single
+      const lst = textProps.lstStyleProps?.[para.level] || textProps.lstStyleProps?.[1] || textProps.lstStyleProps?.[0];
+      const own = para.lineSpacing != null || para.lineSpacingMultiple != null ? para : lst || {};
+      if (own.lineSpacing != null) scaled.lineSpacing = reduce(own.lineSpacing);
+      else scaled.lineSpacingMultiple = reduce(own.lineSpacingMultiple ?? 1);
+    }
+    return scaled;
+  });
+  return { ...parsedShape, textProps: { ...textProps, paragraphs, lstStyleProps } };
+}
+
+/**
+ * Whether a paragraph is a template editing instruction (see
+ * stripEditInstructions()).
+ * @param {{ runs?: Array }} para
+ * @returns {boolean}
+ */
+function isEditInstruction(para) {
+  const text = (para.runs || []).map((run) => run.text || '').join('');
+  return text.trim() !== '' && stripEditInstructions(text) === '';
+}
+
+/**
+ * Paragraph-level PptxGenJS options, falling back to the lstStyle level.
+ * @param {object} para
+ * @param {object|null} lst - lstStyle level properties
+ * @returns {object}
+ */
+function paragraphOptions(para, lst) {
+  const options = {};
+  const align = para._explicitAlign || lst?.align || para.align;
+  if (align) options.align = align;
+  for (const key of ['lineSpacing', 'lineSpacingMultiple', 'paraSpaceBefore', 'paraSpaceAfter']) {
+    const value = para[key] ?? lst?.[key];
+    if (value != null) options[key] = value;
+  }
+  return options;
+}
+
+/**
+ * A run's effective formatting as PptxGenJS run options: its own
+ * properties, then the paragraph's and the lstStyle level's defaults,
+ * then the shape's p:style font.
+ * @param {object} run
+ * @param {object} para
+ * @param {object|null} lst - lstStyle level properties
+ * @param {{ fontFace?: string, color?: string }} [styleFont] - From applyStyleFont()
+ * @returns {object}
+ */
+function runFormat(run, para, lst, styleFont) {
+  const value = (key) => run[key] ?? para.defaultRunProps?.[key] ?? lst?.defaultRunProps?.[key] ?? styleFont?.[key];
+  const format = {};
+  for (const key of ['fontFace', 'fontSize', 'color', 'highlight']) {
+    if (value(key) != null) format[key] = value(key);
+  }
+  for (const key of ['bold', 'italic', 'superscript', 'subscript']) {
+    if (value(key)) format[key] = true;
+  }
+  return Object.assign(format, typographyOptions(value));
+}
+
+/**
+ * A run's text, in capitals when it is set in all caps.
+ * @param {object} run
+ * @param {object} para
+ * @param {object|null} lst - The paragraph's lstStyle level
+ * @returns {string}
+ */
+function runText(run, para, lst) {
+  const caps = run.caps ?? para.defaultRunProps?.caps ?? lst?.defaultRunProps?.caps;
+  return caps === 'all' ? run.text.toUpperCase() : run.text;
+}
@@ -0,0 +1,111 @@
+/**
+ * Table mapper — converts parsed a:tbl tables into PptxGenJS addTable()
+ * arguments.
+ *
+ * defineSlideMaster() has no table object, so the generated masters.js
+ * re-adds these after addSlide() through each master's decorate() hook.
+ */
+
+import { resolveFill, resolveLine, mapTextPropsToOptions } from './shapes.js';
+
+// Text options that carry over from a cell's txBody to PptxGenJS cell options
+const CELL_TEXT_KEYS = ['align', 'bold', 'italic', 'color', 'fontFace', 'fontSize'];
+
+/**
+ * Map a parsed table (from parser/table.js) to a PptxGenJS table object.
+ *
+ * @param {object} parsedTable - Parsed table from extractTable()
+ * @param {{ resolve: Function }} colorResolver - Color resolver
+ * @returns {{ object: { table: { rows: Array<Array<object>>, options: object } }|null, warnings: string[] }}
+ */
+export function mapTable(parsedTable, colorResolver) {
+  const warnings = [];
+
+  if (!parsedTable?.rows?.length) {
+    return { object: null, warnings: [`Table "${parsedTable?.name || ''}" has no rows, skipped`] };
+  }
+
+  const rows = [];
+  for (const row of parsedTable.rows) {
+    const cells = [];
+    for (const cell of row.cells) {
+      // PptxGenJS inserts the covered cells itself from colspan/rowspan
+      if (cell.merged) continue;
+      const { cell: mapped, warnings: cellWarnings } = mapCell(cell, colorResolver);
+      cells.push(mapped);
+      warnings.push(...cellWarnings);
+    }
+    rows.push(cells);
+  }
+
+  if (parsedTable.styleId) {
+    warnings.push(`Table "${parsedTable.name}" uses a table style; only explicit cell formatting is kept`);
+  }
+
+  const pos = parsedTable.position || {};
+  const options = {
+    x: pos.x,
+    y: pos.y,
+    w: pos.w,
+    h: pos.h,
+  };
+  if (parsedTable.columns?.length) options.colW = parsedTable.columns;
+  if (parsedTable.rows.some((r) => r.height)) options.rowH = parsedTable.rows.map((r) => r.height);
+
+  return { object: { table: { rows, options } }, warnings };
+}
+
+/**
+ * Map a single cell to a PptxGenJS table cell ({ text, options }).
+ *
+ * @param {object} cell - Cell model from extractTable()
+ * @param {{ resolve: Function }} colorResolver
+ * @returns {{ cell: { text: string, options: object }, warnings: string[] }}
+ */
+function mapCell(cell, colorResolver) {
+  const options = {};
+
+  // Text formatting — the cell's own tcPr decides margins and anchor
+  const textOptions = mapTextPropsToOptions(cell.textProps);
+  for (const key of CELL_TEXT_KEYS) {
+    if (textOptions[key] != null) options[key] = textOptions[key];
+  }
+
+  const { result: fillResult, warnings } = resolveFill(cell.fill, colorResolver);
+  if (fillResult?.color) options.fill = fillResult;
+
+  const { top, right, bottom, left } = cell.borders || {};
+  if (top || right || bottom || left) {
+    options.border = [top, right, bottom, left].map((ln) => resolveBorder(ln, colorResolver));
+  }
+
+  if (cell.margin) {
+    const { top: t, right: r, bottom: b, left: l } = cell.margin;
+    options.margin = [t, r, b, l];
+  }
+  if (cell.valign) options.valign = cell.valign;
+  if (cell.colspan > 1) options.colspan = cell.colspan;
+  if (cell.rowspan > 1) options.rowspan = cell.rowspan;
+
+  return { cell: { text: cell.textProps?.plainText || '', options }, warnings };
+}
+
+/**
+ * Resolve a cell border line (a:lnL/a:lnR/a:lnT/a:lnB) to a PptxGenJS
+ * border ({ type, pt, color }).
+ *
+ * @param {object|null} lineEl - Raw border line element
+ * @param {{ resolve: Function }} colorResolver
+ * @returns {{ type: string, pt?: number, color?: string }}
+ */
+function resolveBorder(lineEl, colorResolver) {
+  if (!lineEl || lineEl['a:noFill'] != null) return { type: 'none' };
+
+  const line = resolveLine(lineEl, colorResolver) || {};
+  const border = {
+    type: line.dashType && line.dashType !== 'solid' ? 'dash' : 'solid',
+  };
+  if (line.width != null) border.pt = line.width;
+  if (line.color) border.color = line.color;
+  return border;
+}
@@ -0,0 +1,183 @@
+/**
+ * Text style mapper — turns body list styles (the master's p:bodyStyle and
+ * the lstStyle of body placeholders) into PptxGenJS paragraph options per
+ * bullet level, exported from masters.js as TEXT_STYLES.
+ */
+
+// Autonumber schemes PptxGenJS accepts as bullet numberType
+const NUMBER_TYPES = new Set([
+  'alphaLcParenBoth', 'alphaLcParenR', 'alphaLcPeriod',
+  'alphaUcParenBoth', 'alphaUcParenR', 'alphaUcPeriod',
+  'arabicParenBoth', 'arabicParenR', 'arabicPeriod', 'arabicPlain',
+  'romanLcParenBoth', 'romanLcParenR', 'romanLcPeriod',
+  'romanUcParenBoth', 'romanUcParenR', 'romanUcPeriod',
+]);
+
+// The other OOXML schemes (ST_TextAutonumberScheme), mapped to the
+// documented numberType with the same punctuation. PptxGenJS writes the
+// scheme itself from `style`, so these round-trip exactly
+const NUMBER_TYPE_FALLBACKS = {
+  arabicDbPeriod: 'arabicPeriod',
+  arabicDbPlain: 'arabicPlain',
+  arabic1Minus: 'arabicPlain',
+  arabic2Minus: 'arabicPlain',
+  hebrew2Minus: 'arabicPlain',
+  circleNumDbPlain: 'arabicPlain',
+  circleNumWdBlackPlain: 'arabicPlain',
+  circleNumWdWhitePlain: 'arabicPlain',
+  ea1ChsPeriod: 'arabicPeriod',
+  ea1ChsPlain: 'arabicPlain',
+  ea1ChtPeriod: 'arabicPeriod',
+  ea1ChtPlain: 'arabicPlain',
+  ea1JpnChsDbPeriod: 'arabicPeriod',
+  ea1JpnKorPeriod: 'arabicPeriod',
+  ea1JpnKorPlain: 'arabicPlain',
+  thaiAlphaPeriod: 'alphaLcPeriod',
+  thaiAlphaParenR: 'alphaLcParenR',
+  thaiAlphaParenBoth: 'alphaLcParenBoth',
+  thaiNumPeriod: 'arabicPeriod',
+  thaiNumParenR: 'arabicParenR',
+  thaiNumParenBoth: 'arabicParenBoth',
+  hindiAlphaPeriod: 'alphaLcPeriod',
+  hindiAlpha1Period: 'alphaLcPeriod',
+  hindiNumPeriod: 'arabicPeriod',
+  hindiNumParenR: 'arabicParenR',
+};
+
+// Character drawn in place of picture bullets
+const PICTURE_BULLET_CHAR = '2022';
+
+// Level properties copied onto the PptxGenJS options as-is
+const PARAGRAPH_KEYS = ['align', 'lineSpacing', 'lineSpacingMultiple', 'paraSpaceBefore', 'paraSpaceAfter'];
+const RUN_KEYS = ['fontFace', 'fontSize', 'color', 'bold', 'italic'];
+
+/**
+ * Merge level-keyed list styles (see parser/text.js extractTextListStyle()),
+ * later styles overriding earlier ones property by property.
+ *
+ * @param {...(Record<number, object>|null|undefined)} styles - Outermost first
+ *   (e.g. master bodyStyle, master body placeholder, layout body placeholder)
+ * @returns {Record<number, object>} Levels 1-9 that any style defines
+ */
+export function mergeListStyles(...styles) {
+  const levels = {};
+  for (const style of styles) {
+    if (!style) continue;
+    for (let i = 1; i <= 9; i++) {
+      if (!style[i]) continue;
+      const merged = { ...levels[i] };
+      for (const [key, value] of Object.entries(style[i])) {
+        if (value === undefined) continue;
+        merged[key] = key === 'defaultRunProps' ? mergeDefined(merged[key], value) : value;
+      }
+      levels[i] = merged;
+    }
+  }
+  return levels;
+}
+
+/**
+ * Map merged body levels to PptxGenJS text options, one entry per level
+ * from level 1 to the deepest defined one.
+ *
+ * PptxGenJS derives a bulleted paragraph's left margin from
+ * `bullet.indent` × (indentLevel + 1), so `indent` is chosen to put each
+ * level's text where the template does; the bullet's own font, colour and
+ * size can't be set and follow the text. Numbering schemes PptxGenJS lacks
+ * and picture bullets fall back to the closest it can draw, with a warning;
+ * pictures are still copied to media/.
+ *
+ * @param {Record<number, object>} levels - From mergeListStyles(); picture
+ *   bullets carry the `archivePath` of their image
+ * @returns {{ styles: Array<object>, warnings: string[], media: Array<{ archivePath: string, filename: string }> }}
+ *   PptxGenJS text options (indentLevel 0 = level 1)
+ */
+export function mapTextStyles(levels) {
+  const depth = Math.max(0, ...Object.keys(levels).map(Number));
+  const styles = [];
+  const warnings = [];
+  const media = [];
+  for (let i = 1; i <= depth; i++) {
+    const level = levels[i] || {};
+    const options = { indentLevel: i - 1 };
+    for (const key of PARAGRAPH_KEYS) {
+      if (level[key] != null) options[key] = level[key];
+    }
+    for (const key of RUN_KEYS) {
+      if (level.defaultRunProps?.[key] != null) options[key] = level.defaultRunProps[key];
+    }
+
+    const bullet = mapBullet(level.bullet, level.marginLeft, i, warnings, media);
+    if (bullet !== undefined) options.bullet = bullet;
+    styles.push(options);
+  }
+  return { styles, warnings, media };
+}
+
+// --- Internal helpers ---
+
+/**
+ * Map a parsed bullet to the PptxGenJS `bullet` option.
+ * @param {object|false|undefined} bullet - From parser/text.js extractBullet()
+ * @param {number|undefined} marginLeft - Level's left margin (inches)
+ * @param {number} level - 1-based level
+ * @param {string[]} warnings - Mutated
+ * @param {Array<object>} media - Picture bullet images (mutated)
+ * @returns {object|false|undefined}
+ */
+function mapBullet(bullet, marginLeft, level, warnings, media) {
+  if (bullet === false) return false;
+  if (!bullet) return undefined;
+
+  let mapped;
+  if (bullet.type === 'number') {
+    const { numberType, style } = mapNumberType(bullet.numberType, level, warnings);
+    // PptxGenJS 3.12 documents numberType but writes the scheme from `style`
+    mapped = { type: 'number', numberType, style };
+    if (bullet.startAt > 1) mapped.numberStartAt = bullet.startAt;
+  } else if (bullet.type === 'picture') {
+    const filename = bullet.archivePath?.split('/').pop();
+    if (filename) {
+      if (!media.some((m) => m.archivePath === bullet.archivePath)) {
+        media.push({ archivePath: bullet.archivePath, filename });
+      }
+      warnings.push(`Body text level ${level} bullet is a picture (media/${filename}), which PptxGenJS can't draw; using a "\u2022" bullet`);
+    } else {
+      warnings.push(`Body text level ${level} bullet is a picture that could not be resolved; using a "\u2022" bullet`);
+    }
+    mapped = { characterCode: PICTURE_BULLET_CHAR };
+  } else {
+    mapped = bullet.characterCode ? { characterCode: bullet.characterCode.padStart(4, '0') } : {};
+  }
+  if (marginLeft > 0) mapped.indent = Math.round((marginLeft * 72 / level) * 100) / 100;
+  return mapped;
+}
+
+/**
+ * Map an OOXML autonumber scheme to the PptxGenJS `style` (the scheme
+ * written to the file) and the closest documented numberType.
+ * @param {string} type - a:buAutoNum type
+ * @param {number} level - 1-based level, for warnings
+ * @param {string[]} warnings - Mutated
+ * @returns {{ numberType: string, style: string }}
+ */
+function mapNumberType(type, level, warnings) {
+  if (NUMBER_TYPES.has(type)) return { numberType: type, style: type };
+  if (NUMBER_TYPE_FALLBACKS[type]) return { numberType: NUMBER_TYPE_FALLBACKS[type], style: type };
+  warnings.push(`Body text level ${level} numbering "${type || '(none)'}" is not an OOXML scheme; using "arabicPeriod"`);
+  return { numberType: 'arabicPeriod', style: 'arabicPeriod' };
+}
+
+/**
+ * Shallow-merge two objects, skipping undefined values of the second.
+ * @param {object|undefined} base
+ * @param {object} override
+ * @returns {object}
+ */
+function mergeDefined(base, override) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    if (value !== undefined) merged[key] = value;
+  }
+  return merged;
+}
@@ -5,6 +5,8 @@
  *   schemeClr val → clrMap lookup → theme slot → hex → HSL modifiers → final hex
  */
 
+import { resolveThemeFont } from './theme.js';
+
 // --- OOXML Preset Color Table (ECMA-376 ST_PresetColorVal) ---
 
 /**
@@ -345,10 +347,11 @@ const DEFAULT_CLR_MAP = {
  *   e.g. { dk1: '000000', lt1: 'FFFFFF', accent1: '4472C4', ... }
  * @param {Record<string, string>} [clrMap] - Logical names → scheme slot names
  *   e.g. { bg1: 'lt1', tx1: 'dk1', ... }
- * @param {{ heading: string, body: string }} [themeFonts] - Theme font faces
- * @returns {{ resolve, resolveSchemeColor, resolveFontRef }}
+ * @param {{ heading: string, body: string, scheme?: object }} [themeFonts] - Theme font faces (see theme.js)
+ * @param {string} [placeholderColor] - Hex used for `phClr`; see withPlaceholderColor()
+ * @returns {{ resolve, resolveSchemeColor, resolveFontRef, withPlaceholderColor }}
  */
-export function createColorResolver(themeColors, clrMap, themeFonts) {
+export function createColorResolver(themeColors, clrMap, themeFonts, placeholderColor) {
   const map = clrMap || DEFAULT_CLR_MAP;
   const fonts = themeFonts || { heading: 'Calibri Light', body: 'Calibri' };
 
@@ -371,19 +374,14 @@ export function createColorResolver(themeColors, clrMap, themeFonts) {
   }
 
   /**
-   * Resolve a font reference like '+mj-lt' or '+mn-lt'.
+   * Resolve a font reference like '+mj-lt' or '+mn-ea' (see theme.js
+   * resolveThemeFont()); other names are returned as-is.
    * @param {string} fontRef - Font reference string
+   * @param {string[]} [langs] - The run's language tags, for per-script fonts
    * @returns {string} Font face name
    */
-  function resolveFontRef(fontRef) {
-    if (fontRef === '+mj-lt' || fontRef === '+mj-ea' || fontRef === '+mj-cs') {
-      return fonts.heading;
-    }
-    if (fontRef === '+mn-lt' || fontRef === '+mn-ea' || fontRef === '+mn-cs') {
-      return fonts.body;
-    }
-    // Not a theme font ref — return as-is
-    return fontRef;
+  function resolveFontRef(fontRef, langs) {
+    return resolveThemeFont(fontRef, fonts, langs);
   }
 
   /**
@@ -462,12 +460,12 @@ export function createColorResolver(themeColors, clrMap, themeFonts) {
    */
   function resolveSchemeClrElement(el) {
     const schemeName = el['@_val'];
-    // phClr (placeholder color) cannot be resolved without shape context
-    if (schemeName === 'phClr') {
+    // phClr (placeholder color) needs context from the referencing element
+    if (schemeName === 'phClr' && !placeholderColor) {
       return { color: '000000' };
     }
 
-    let hex = resolveSchemeColor(schemeName);
+    let hex = schemeName === 'phClr' ? placeholderColor : resolveSchemeColor(schemeName);
     const modifiers = extractModifiers(el);
     if (hasModifiers(modifiers)) {
       hex = applyColorModifiers(hex, modifiers);
@@ -479,7 +477,20 @@ export function createColorResolver(themeColors, clrMap, themeFonts) {
     return result;
   }
 
-  return { resolve, resolveSchemeColor, resolveFontRef };
+  /**
+   * Derive a resolver that resolves `phClr` to the given color. Theme
+   * styles (p:style refs, p:bgRef) and bullets are written against phClr;
+   * the referencing element supplies the actual color. Modifiers on the
+   * phClr element still apply on top of it.
+   *
+   * @param {string|null|undefined} hex - 'RRGGBB', or nothing to leave phClr unresolved
+   * @returns {{ resolve, resolveSchemeColor, resolveFontRef, withPlaceholderColor }}
+   */
+  function withPlaceholderColor(hex) {
+    return createColorResolver(themeColors, clrMap, themeFonts, hex || undefined);
+  }
+
+  return { resolve, resolveSchemeColor, resolveFontRef, withPlaceholderColor };
 }
 
 // --- Modifier extraction helpers ---
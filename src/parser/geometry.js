@@ -0,0 +1,325 @@
+/**
+ * Custom geometry parser — reads a:custGeom paths (freeforms) into drawing
+ * commands with coordinates normalised to the shape's box (0–1).
+ *
+ * The grouped object form produced by the XML parser loses the order of
+ * moveTo/lnTo/... siblings, so zip.js keeps a:pathLst as raw XML (a stop
+ * node) and it is re-parsed here with preserveOrder. Coordinates may name
+ * shape guides (a:gdLst), which are evaluated with the DrawingML formula
+ * language.
+ */
+
+import { XMLParser } from 'fast-xml-parser';
+import { toArray } from './utils.js';
+
+const orderedParser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  preserveOrder: true,
+});
+
+// Path drawing commands (a:path children)
+const PATH_COMMANDS = ['a:moveTo', 'a:lnTo', 'a:cubicBezTo', 'a:quadBezTo', 'a:arcTo', 'a:close'];
+
+// Angles in guide formulas are in 60000ths of a degree
+const ANGLE_UNIT = 60000;
+
+// Divisors of the built-in wdN / hdN / ssdN guides
+const BUILTIN_DIVISORS = [2, 3, 4, 5, 6, 8, 10, 12, 16, 32];
+
+// Guide formula operators (ST_GeomGuideFormula), applied to evaluated arguments
+const FORMULAS = {
+  val: (x) => x,
+  '*/': (x, y, z) => (x * y) / z,
+  '+-': (x, y, z) => x + y - z,
+  '+/': (x, y, z) => (x + y) / z,
+  '?:': (x, y, z) => (x > 0 ? y : z),
+  abs: (x) => Math.abs(x),
+  at2: (x, y) => toAngle(Math.atan2(y, x)),
+  cat2: (x, y, z) => x * Math.cos(Math.atan2(z, y)),
+  cos: (x, y) => x * Math.cos(fromAngle(y)),
+  max: (x, y) => Math.max(x, y),
+  min: (x, y) => Math.min(x, y),
+  mod: (x, y, z) => Math.sqrt(x * x + y * y + z * z),
+  pin: (x, y, z) => Math.min(Math.max(y, x), z),
+  sat2: (x, y, z) => x * Math.sin(Math.atan2(z, y)),
+  sin: (x, y) => x * Math.sin(fromAngle(y)),
+  sqrt: (x) => Math.sqrt(x),
+  tan: (x, y) => x * Math.tan(fromAngle(y)),
+};
+
+/**
+ * Parse an a:custGeom element into normalised drawing commands.
+ *
+ * Each path is scaled from its own coordinate space (a:path w/h, or the
+ * shape extent when unset) to the unit box, so callers multiply by the
+ * shape's width and height. Arc angles are converted from DrawingML's
+ * visual angles to parametric ellipse angles (radians), which survive
+ * non-uniform scaling; each arc also carries its end point.
+ *
+ * @param {object|null} custGeom - Parsed a:custGeom element
+ * @param {object|null} xfrm - The shape's a:xfrm; its extent sizes built-in guides such as `w` and `hc`
+ * @returns {{
+ *   paths: Array<{ fill: boolean, stroke: boolean, commands: Array<object> }>,
+ *   error?: string,
+ * }|null} null when there is no custom geometry; `error` says why no paths could be read
+ */
+export function extractCustomGeometry(custGeom, xfrm) {
+  if (custGeom == null) return null;
+
+  const w = Number(xfrm?.['a:ext']?.['@_cx']) || 0;
+  const h = Number(xfrm?.['a:ext']?.['@_cy']) || 0;
+
+  try {
+    const guides = evaluateGuides(custGeom, w, h);
+    const paths = readPaths(custGeom['a:pathLst']).map((path) => normalisePath(path, guides, w, h));
+    if (paths.length === 0) return { paths: [], error: 'no paths' };
+    return { paths };
+  } catch (err) {
+    return { paths: [], error: err.message };
+  }
+}
+
+/**
+ * Evaluate a single guide formula.
+ *
+ * @param {string} fmla - Formula, e.g. "*\/ w 1 2"
+ * @param {Record<string, number>} guides - Guides evaluated so far
+ * @returns {number}
+ */
+export function evaluateFormula(fmla, guides) {
+  const [op, ...args] = String(fmla).trim().split(/\s+/);
+  const fn = FORMULAS[op];
+  if (!fn) throw new Error(`unsupported guide formula "${fmla}"`);
+  return fn(...args.map((arg) => resolveValue(arg, guides)));
+}
+
+// --- Internal helpers ---
+
+/**
+ * Evaluate built-in, adjust (a:avLst) and shape (a:gdLst) guides in order.
+ * @param {object} custGeom
+ * @param {number} w - Shape width in EMU
+ * @param {number} h - Shape height in EMU
+ * @returns {Record<string, number>}
+ */
+function evaluateGuides(custGeom, w, h) {
+  const ss = Math.min(w, h);
+  const guides = {
+    l: 0, t: 0, r: w, b: h, w, h,
+    hc: w / 2, vc: h / 2,
+    ls: Math.max(w, h), ss,
+    cd2: 10800000, cd4: 5400000, cd8: 2700000,
+    '3cd4': 16200000, '3cd8': 8100000, '5cd8': 13500000, '7cd8': 18900000,
+  };
+  for (const n of BUILTIN_DIVISORS) {
+    guides[`wd${n}`] = w / n;
+    guides[`hd${n}`] = h / n;
+    guides[`ssd${n}`] = ss / n;
+  }
+
+  for (const list of [custGeom['a:avLst'], custGeom['a:gdLst']]) {
+    for (const gd of toArray(list?.['a:gd'])) {
+      if (gd['@_name']) guides[gd['@_name']] = evaluateFormula(gd['@_fmla'] || 'val 0', guides);
+    }
+  }
+  return guides;
+}
+
+/**
+ * Resolve a coordinate or formula argument: a number or a guide name.
+ * @param {string|number|undefined} value
+ * @param {Record<string, number>} guides
+ * @returns {number}
+ */
+function resolveValue(value, guides) {
+  if (value == null || value === '') return 0;
+  const n = Number(value);
+  if (!Number.isNaN(n)) return n;
+  if (Object.hasOwn(guides, value)) return guides[value];
+  throw new Error(`unknown guide "${value}"`);
+}
+
+/**
+ * Read the paths of an a:pathLst as { attrs, commands: [{ tag, attrs, pts }] }.
+ * Accepts the raw XML kept by the archive parser, or the grouped object
+ * form when the command order is unambiguous.
+ * @param {string|object|undefined} pathLst
+ * @returns {Array<{ attrs: object, commands: Array<{ tag: string, attrs: object, pts: object[] }> }>}
+ */
+function readPaths(pathLst) {
+  if (pathLst == null || pathLst === '') return [];
+
+  if (typeof pathLst === 'string') {
+    return orderedParser.parse(pathLst)
+      .filter((node) => node['a:path'])
+      .map((node) => ({
+        attrs: node[':@'] || {},
+        commands: node['a:path']
+          .map((child) => {
+            const tag = PATH_COMMANDS.find((t) => child[t]);
+            if (!tag) return null;
+            const pts = child[tag].filter((c) => c['a:pt']).map((c) => c[':@'] || {});
+            return { tag, attrs: child[':@'] || {}, pts };
+          })
+          .filter(Boolean),
+      }));
+  }
+
+  return toArray(pathLst['a:path']).map((path) => ({ attrs: path, commands: groupedCommands(path) }));
+}
+
+/**
+ * Rebuild the command list of a grouped a:path object. Only a single
+ * leading moveTo, one kind of drawing command and a trailing close can be
+ * put back in order.
+ * @param {object} path
+ * @returns {Array<{ tag: string, attrs: object, pts: object[] }>}
+ */
+function groupedCommands(path) {
+  const present = PATH_COMMANDS.filter((tag) => path[tag] != null);
+  const drawing = present.filter((tag) => tag !== 'a:moveTo' && tag !== 'a:close');
+  if (toArray(path['a:moveTo']).length > 1 || drawing.length > 1) {
+    throw new Error('path command order is unavailable');
+  }
+
+  const commands = [];
+  for (const tag of ['a:moveTo', ...drawing]) {
+    for (const el of toArray(path[tag])) {
+      commands.push({ tag, attrs: el || {}, pts: toArray(el?.['a:pt']) });
+    }
+  }
+  if (path['a:close'] != null) commands.push({ tag: 'a:close', attrs: {}, pts: [] });
+  return commands;
+}
+
+/**
+ * Scale a path's commands to the unit box.
+ * @param {{ attrs: object, commands: Array }} path
+ * @param {Record<string, number>} guides
+ * @param {number} w - Shape width in EMU
+ * @param {number} h - Shape height in EMU
+ * @returns {{ fill: boolean, stroke: boolean, commands: Array<object> }}
+ */
+function normalisePath(path, guides, w, h) {
+  const pathW = Number(path.attrs['@_w']) || w;
+  const pathH = Number(path.attrs['@_h']) || h;
+  if (!(pathW > 0) || !(pathH > 0)) throw new Error('path has no size');
+
+  const point = (pt) => {
+    if (!pt) throw new Error('path command is missing a point');
+    return { x: resolveValue(pt['@_x'], guides) / pathW, y: resolveValue(pt['@_y'], guides) / pathH };
+  };
+
+  const commands = [];
+  let current = { x: 0, y: 0 };
+  let start = current;
+
+  for (const { tag, attrs, pts } of path.commands) {
+    if (tag === 'a:moveTo') {
+      current = start = point(pts[0]);
+      commands.push({ type: 'moveTo', ...current });
+    } else if (tag === 'a:lnTo') {
+      current = point(pts[0]);
+      commands.push({ type: 'lnTo', ...current });
+    } else if (tag === 'a:cubicBezTo') {
+      const [c1, c2, end] = [point(pts[0]), point(pts[1]), point(pts[2])];
+      commands.push({ type: 'cubicBezTo', x1: c1.x, y1: c1.y, x2: c2.x, y2: c2.y, ...end });
+      current = end;
+    } else if (tag === 'a:quadBezTo') {
+      const [c1, end] = [point(pts[0]), point(pts[1])];
+      commands.push({ type: 'quadBezTo', x1: c1.x, y1: c1.y, ...end });
+      current = end;
+    } else if (tag === 'a:arcTo') {
+      const arc = normaliseArc(attrs, guides, pathW, pathH, current);
+      commands.push(arc);
+      current = { x: arc.x, y: arc.y };
+    } else if (tag === 'a:close') {
+      commands.push({ type: 'close' });
+      current = start;
+    }
+  }
+
+  const flag = (value, fallback) => (value == null ? fallback : value !== '0' && value !== 'false');
+  return {
+    fill: path.attrs['@_fill'] !== 'none',
+    stroke: flag(path.attrs['@_stroke'], true),
+    commands,
+  };
+}
+
+/**
+ * Convert an a:arcTo (visual angles, path units) into a normalised arc
+ * with parametric angles and its end point.
+ * @param {object} attrs - a:arcTo attributes
+ * @param {Record<string, number>} guides
+ * @param {number} pathW
+ * @param {number} pathH
+ * @param {{ x: number, y: number }} current - Normalised current point
+ * @returns {{ type: 'arcTo', wR: number, hR: number, start: number, sweep: number, x: number, y: number }}
+ */
+function normaliseArc(attrs, guides, pathW, pathH, current) {
+  const wR = resolveValue(attrs['@_wR'], guides);
+  const hR = resolveValue(attrs['@_hR'], guides);
+  const stAng = fromAngle(resolveValue(attrs['@_stAng'], guides));
+  const swAng = fromAngle(resolveValue(attrs['@_swAng'], guides));
+
+  const start = parametricAngle(stAng, wR, hR);
+  const sweep = swAng + angleDelta(stAng + swAng, wR, hR) - angleDelta(stAng, wR, hR);
+
+  const rx = wR / pathW;
+  const ry = hR / pathH;
+  const cx = current.x - rx * Math.cos(start);
+  const cy = current.y - ry * Math.sin(start);
+  return {
+    type: 'arcTo',
+    wR: rx,
+    hR: ry,
+    start,
+    sweep,
+    x: cx + rx * Math.cos(start + sweep),
+    y: cy + ry * Math.sin(start + sweep),
+  };
+}
+
+/**
+ * Parametric ellipse angle for a visual angle (the direction from the centre).
+ * @param {number} angle - Radians
+ * @param {number} wR
+ * @param {number} hR
+ * @returns {number}
+ */
+function parametricAngle(angle, wR, hR) {
+  return Math.atan2(wR * Math.sin(angle), hR * Math.cos(angle));
+}
+
+/**
+ * Difference between the parametric and visual angle, in (-π, π].
+ * @param {number} angle - Visual angle in radians
+ * @param {number} wR
+ * @param {number} hR
+ * @returns {number}
+ */
+function angleDelta(angle, wR, hR) {
+  let delta = parametricAngle(angle, wR, hR) - angle;
+  delta -= 2 * Math.PI * Math.round(delta / (2 * Math.PI));
+  return delta;
+}
+
+/**
+ * 60000ths of a degree → radians.
+ * @param {number} value
+ * @returns {number}
+ */
+function fromAngle(value) {
+  return (value / ANGLE_UNIT) * (Math.PI / 180);
+}
+
+/**
+ * Radians → 60000ths of a degree.
+ * @param {number} radians
+ * @returns {number}
+ */
+function toAngle(radians) {
+  return (radians * 180 * ANGLE_UNIT) / Math.PI;
+}
@@ -0,0 +1,115 @@
+/**
+ * Image header reader — pixel size and resolution of PNG, JPEG and GIF
+ * media, read from the file headers without decoding the image.
+ *
+ * PowerPoint sizes an image's tiles from its natural size: pixels at the
+ * image's own resolution, 96 DPI when the file doesn't record one.
+ */
+
+// Resolution assumed when the image has none
+const DEFAULT_DPI = 96;
+
+// JPEG start-of-frame markers (baseline, progressive, lossless, ...)
+const SOF_MARKERS = [0xc0, 0xc1, 0xc2, 0xc3, 0xc5, 0xc6, 0xc7, 0xc9, 0xca, 0xcb, 0xcd, 0xce, 0xcf];
+
+/**
+ * Read an image's pixel size and resolution.
+ *
+ * @param {Buffer} buffer - Image file contents
+ * @returns {{ width: number, height: number, dpiX: number, dpiY: number }|null}
+ *   null when the format isn't recognised or the header is truncated
+ */
+export function readImageSize(buffer) {
+  if (!buffer || buffer.length < 24) return null;
+
+  if (buffer.readUInt32BE(0) === 0x89504e47) return readPngSize(buffer);
+  if (buffer[0] === 0xff && buffer[1] === 0xd8) return readJpegSize(buffer);
+  if (buffer.toString('ascii', 0, 3) === 'GIF') {
+    return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8), dpiX: DEFAULT_DPI, dpiY: DEFAULT_DPI };
+  }
+  return null;
+}
+
+/**
+ * Natural size of an image in inches.
+ *
+ * @param {{ width: number, height: number, dpiX: number, dpiY: number }} size - From readImageSize()
+ * @returns {{ w: number, h: number }}
+ */
+export function imageSizeInches(size) {
+  return { w: size.width / size.dpiX, h: size.height / size.dpiY };
+}
+
+// --- Internal helpers ---
+
+/**
+ * PNG: size from IHDR, resolution from pHYs (pixels per metre).
+ * @param {Buffer} buffer
+ * @returns {{ width: number, height: number, dpiX: number, dpiY: number }|null}
+ */
+function readPngSize(buffer) {
+  const size = { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20), dpiX: DEFAULT_DPI, dpiY: DEFAULT_DPI };
+
+  // Chunks: length (4), type (4), data, CRC (4); pHYs must precede IDAT
+  let offset = 8;
+  while (offset + 8 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('ascii', offset + 4, offset + 8);
+    if (type === 'IDAT' || type === 'IEND') break;
+    if (type === 'pHYs' && length >= 9 && offset + 17 <= buffer.length && buffer[offset + 16] === 1) {
+      const metresPerInch = 0.0254;
+      const x = buffer.readUInt32BE(offset + 8) * metresPerInch;
+      const y = buffer.readUInt32BE(offset + 12) * metresPerInch;
+      if (x > 0 && y > 0) {
+        size.dpiX = x;
+        size.dpiY = y;
+      }
+      break;
+    }
+    offset += length + 12;
+  }
+  return size;
+}
+
+/**
+ * JPEG: size from the first SOF segment, resolution from the JFIF APP0
+ * segment.
+ * @param {Buffer} buffer
+ * @returns {{ width: number, height: number, dpiX: number, dpiY: number }|null}
+ */
+function readJpegSize(buffer) {
+  let dpiX = DEFAULT_DPI;
+  let dpiY = DEFAULT_DPI;
+  let offset = 2;
+
+  while (offset + 4 <= buffer.length) {
+    if (buffer[offset] !== 0xff) return null;
+    const marker = buffer[offset + 1];
+    // Fill bytes and markers without a length
+    if (marker === 0xff) {
+      offset++;
+      continue;
+    }
+    if (marker === 0xd8 || marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+      offset += 2;
+      continue;
+    }
+    const length = buffer.readUInt16BE(offset + 2);
+
+    if (marker === 0xe0 && buffer.toString('ascii', offset + 4, offset + 9) === 'JFIF\0' && offset + 16 <= buffer.length) {
+      const units = buffer[offset + 11];
+      const x = buffer.readUInt16BE(offset + 12);
+      const y = buffer.readUInt16BE(offset + 14);
+      // Units: 1 = dots per inch, 2 = dots per cm, 0 = aspect ratio only
+      if (x > 0 && y > 0 && (units === 1 || units === 2)) {
+        const scale = units === 2 ? 2.54 : 1;
+        dpiX = x * scale;
+        dpiY = y * scale;
+      }
+    } else if (SOF_MARKERS.includes(marker) && offset + 9 <= buffer.length) {
+      return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5), dpiX, dpiY };
+    }
+    offset += 2 + length;
+  }
+  return null;
+}
@@ -8,7 +8,11 @@
 import { parseRelationships } from './relationships.js';
 import { extractTextProps } from './text.js';
 import { emuToInches, emuAngleToDegrees } from '../mapper/units.js';
-import { toArray, extractBackground, extractPosition, extractAvLst } from './utils.js';
+import { extractBackground, extractPosition, extractAvLst, extractConnector, extractBlipFillProps, extractFlips, extractEffect, extractHyperlink, toArray } from './utils.js';
+import { extractShapeTree } from './shapeTree.js';
+import { extractTable } from './table.js';
+import { extractCustomGeometry } from './geometry.js';
+import { resolveShapeStyle, mergeShapeStyle, applyStyleFont } from './styles.js';
 
 /**
  * Extract color map override from p:clrMapOvr element.
@@ -49,18 +53,19 @@ function extractRotation(xfrm) {
 }
 
 /**
- * Extract shape properties (geometry, fill, line) from p:spPr.
+ * Extract shape properties (geometry, fill, line, effects) from p:spPr.
  *
  * @param {object} spPr - Parsed p:spPr element
- * @returns {{ geometry: string|undefined, fill: object|null, line: object|null }}
+ * @returns {{ geometry: string|undefined, fill: object|null, line: object|null, effect: object|null, avLst: object|null, custGeom: object|null }}
  */
 function extractShapeProps(spPr) {
   if (!spPr) {
-    return { geometry: undefined, fill: null, line: null };
+    return { geometry: undefined, fill: null, line: null, effect: null, avLst: null, custGeom: null };
   }
 
-  // Geometry
-  const geometry = spPr['a:prstGeom']?.['@_prst'] || undefined;
+  // Geometry — presets by name; freeforms carry their paths
+  const geometry = spPr['a:prstGeom']?.['@_prst'] || (spPr['a:custGeom'] != null ? 'custGeom' : undefined);
+  const custGeom = extractCustomGeometry(spPr['a:custGeom'], spPr['a:xfrm']);
 
   // Adjustment values (e.g., corner radius for roundRect)
   const avLst = extractAvLst(spPr);
@@ -78,7 +83,10 @@ function extractShapeProps(spPr) {
   // Line
   const line = spPr['a:ln'] || null;
 
-  return { geometry, fill, line, avLst };
+  // Effects (shadows, glow, …)
+  const effect = extractEffect(spPr);
+
+  return { geometry, fill, line, effect, avLst, custGeom };
 }
 
 /**
@@ -100,6 +108,26 @@ function extractPlaceholder(nvPr) {
   };
 }
 
+// Body properties a layout placeholder inherits from its master placeholder
+const INHERITED_BODY_PROPS = ['vert', 'autoFit', 'wrap', 'columns'];
+
+/**
+ * Fill the body properties a layout placeholder leaves unset from its
+ * master placeholder.
+ *
+ * @param {object} bodyProps - The layout placeholder's body properties
+ * @param {object|undefined} masterBodyProps - The master placeholder's
+ * @returns {object}
+ */
+function inheritBodyProps(bodyProps, masterBodyProps) {
+  if (!masterBodyProps) return bodyProps;
+  const merged = { ...bodyProps };
+  for (const key of INHERITED_BODY_PROPS) {
+    if (merged[key] === undefined && masterBodyProps[key] !== undefined) merged[key] = masterBodyProps[key];
+  }
+  return merged;
+}
+
 /**
  * Process a p:sp (shape) element.
  *
@@ -107,9 +135,10 @@ function extractPlaceholder(nvPr) {
  * @param {object|null} colorResolver - Optional color resolver
  * @param {object|null} themeFonts - Optional theme fonts
  * @param {Record<string, { position: object|null, textProps: object|null }>|null} masterDefaults - Master placeholder defaults for inheritance
+ * @param {object|null} formatScheme - Theme format scheme for p:style references
  * @returns {{ isPlaceholder: boolean, data: object }}
  */
-function processShape(sp, colorResolver, themeFonts, masterDefaults) {
+function processShape(sp, colorResolver, themeFonts, masterDefaults, formatScheme) {
   const nvSpPr = sp['p:nvSpPr'] || {};
   const cNvPr = nvSpPr['p:cNvPr'] || {};
   const nvPr = nvSpPr['p:nvPr'];
@@ -121,29 +150,41 @@ function processShape(sp, colorResolver, themeFonts, masterDefaults) {
   const xfrm = spPr['a:xfrm'];
   let position = extractPosition(xfrm);
   const rotation = extractRotation(xfrm);
-  const { geometry, fill, line, avLst } = extractShapeProps(spPr);
+  const { flipH, flipV } = extractFlips(xfrm);
+  const { geometry, avLst, custGeom, ...ownProps } = extractShapeProps(spPr);
+
+  // Theme style references (p:style) fill in whatever spPr leaves unset
+  const shapeStyle = resolveShapeStyle(sp['p:style'], formatScheme, colorResolver);
+  const { fill, line, effect } = mergeShapeStyle(ownProps, shapeStyle);
 
   // Extract text props if txBody exists
   let textProps = null;
   if (txBody) {
-    textProps = extractTextProps(txBody, colorResolver, themeFonts);
+    textProps = applyStyleFont(extractTextProps(txBody, colorResolver, themeFonts), shapeStyle?.font);
   }
 
   if (ph) {
+    const masterPh = masterDefaults
+      ? (ph.type && masterDefaults[ph.type]) || (ph.idx != null && masterDefaults[`idx:${ph.idx}`]) || null
+      : null;
+
     // Inherit position from master if not defined locally
-    if (!position && masterDefaults) {
-      const masterPh = (ph.type && masterDefaults[ph.type])
-        || (ph.idx != null && masterDefaults[`idx:${ph.idx}`])
-        || null;
-      if (masterPh?.position) {
+    if (!position && masterPh) {
+      if (masterPh.position) {
         position = masterPh.position;
       }
       // Also inherit text props if not present locally
-      if (!textProps && masterPh?.textProps) {
+      if (!textProps && masterPh.textProps) {
         textProps = masterPh.textProps;
       }
     }
 
+    // Autofit, direction, wrapping and columns the layout leaves unset
+    // come from the master placeholder
+    if (textProps && masterPh?.textProps && textProps !== masterPh.textProps) {
+      textProps = { ...textProps, bodyProps: inheritBodyProps(textProps.bodyProps, masterPh.textProps.bodyProps) };
+    }
+
     // Placeholder shape
     return {
       isPlaceholder: true,
@@ -167,12 +208,17 @@ function processShape(sp, colorResolver, themeFonts, masterDefaults) {
       name,
       position,
       rotation,
+      flipH,
+      flipV,
       geometry,
       fill,
       line,
+      effect,
       avLst,
+      custGeom,
       textProps,
       imageRef: undefined,
+      hyperlink: extractHyperlink(cNvPr['a:hlinkClick']),
     },
   };
 }
@@ -181,9 +227,11 @@ function processShape(sp, colorResolver, themeFonts, masterDefaults) {
  * Process a p:pic (picture) element.
  *
  * @param {object} pic - Parsed p:pic element
+ * @param {object|null} colorResolver - Optional color resolver
+ * @param {object|null} formatScheme - Theme format scheme for p:style references
  * @returns {{ isPlaceholder: boolean, data: object }}
  */
-function processPicture(pic) {
+function processPicture(pic, colorResolver, formatScheme) {
   const nvPicPr = pic['p:nvPicPr'] || {};
   const cNvPr = nvPicPr['p:cNvPr'] || {};
   const nvPr = nvPicPr['p:nvPr'];
@@ -195,11 +243,14 @@ function processPicture(pic) {
   const xfrm = spPr['a:xfrm'];
   const position = extractPosition(xfrm);
   const rotation = extractRotation(xfrm);
+  const { flipH, flipV } = extractFlips(xfrm);
 
   // Image reference
   const imageRef = blipFill['a:blip']?.['@_r:embed'] || undefined;
 
-  const { geometry, fill, line } = extractShapeProps(spPr);
+  const { geometry, fill, line, effect: ownEffect } = extractShapeProps(spPr);
+  const shapeStyle = resolveShapeStyle(pic['p:style'], formatScheme, colorResolver);
+  const { effect } = mergeShapeStyle({ fill: null, line: null, effect: ownEffect }, shapeStyle);
 
   if (ph) {
     return {
@@ -224,11 +275,16 @@ function processPicture(pic) {
       name,
       position,
       rotation,
+      flipH,
+      flipV,
       geometry,
       fill,
       line,
+      effect,
       textProps: null,
       imageRef,
+      hyperlink: extractHyperlink(cNvPr['a:hlinkClick']),
+      ...extractBlipFillProps(blipFill),
     },
   };
 }
@@ -239,7 +295,7 @@ function processPicture(pic) {
  * @param {object} layoutXml - Parsed slideLayout XML (from fast-xml-parser)
  * @param {object} layoutRels - Parsed .rels XML for this layout
  * @param {object} [pptxArchive] - PPTX archive (unused for now)
- * @param {{ colorResolver?: object, themeFonts?: object, masterDefaults?: Record<string, object> }} [options] - Optional resolvers
+ * @param {{ colorResolver?: object, themeFonts?: object, masterDefaults?: Record<string, object>, formatScheme?: object }} [options] - Optional resolvers
  * @returns {{
  *   name: string,
  *   type: string|undefined,
@@ -249,7 +305,7 @@ function processPicture(pic) {
  *   staticShapes: Array,
  *   warnings: string[],
  *   relationships: Record<string, { type: string, target: string }>,
- * }}
+ * }} Placeholders and static shapes carry `zOrder`, their position in the shape tree
  */
 export function parseSlideLayout(layoutXml, layoutRels, pptxArchive, options) {
   const layout = layoutXml?.['p:sldLayout'];
@@ -269,6 +325,7 @@ export function parseSlideLayout(layoutXml, layoutRels, pptxArchive, options) {
   const colorResolver = options?.colorResolver || null;
   const themeFonts = options?.themeFonts || null;
   const masterDefaults = options?.masterDefaults || null;
+  const formatScheme = options?.formatScheme || null;
   const cSld = layout['p:cSld'] || {};
 
   // 1. Layout name — check p:sldLayout @_name first, then p:cSld @_name
@@ -286,27 +343,31 @@ export function parseSlideLayout(layoutXml, layoutRels, pptxArchive, options) {
   // 4. Background
   const background = extractBackground(cSld['p:bg']);
 
-  // 5. Walk shape tree
-  const spTree = cSld['p:spTree'] || {};
+  // 5. Walk shape tree in z-order (grouped shapes are flattened into their children)
+  const shapes = extractShapeTree(cSld['p:spTree']);
   const placeholders = [];
   const staticShapes = [];
   const warnings = [];
-
-  // Process p:sp elements
-  const spElements = toArray(spTree['p:sp']);
-  for (const sp of spElements) {
-    const result = processShape(sp, colorResolver, themeFonts, masterDefaults);
-    if (result.isPlaceholder) {
-      placeholders.push(result.data);
-    } else {
-      staticShapes.push(result.data);
+  let graphicFrameCount = 0;
+
+  for (const [zOrder, shape] of shapes.entries()) {
+    let result = null;
+    if (shape.type === 'p:sp') {
+      result = processShape(shape.element, colorResolver, themeFonts, masterDefaults, formatScheme);
+    } else if (shape.type === 'p:pic') {
+      result = processPicture(shape.element, colorResolver, formatScheme);
+    } else if (shape.type === 'p:cxnSp') {
+      result = { isPlaceholder: false, data: extractConnector(shape.element, { colorResolver, formatScheme }) };
+    } else if (shape.type === 'p:graphicFrame') {
+      const table = extractTable(shape.element, colorResolver, themeFonts);
+      if (table) result = { isPlaceholder: false, data: table };
+      else graphicFrameCount++;
     }
-  }
+    if (!result) continue;
 
-  // Process p:pic elements
-  const picElements = toArray(spTree['p:pic']);
-  for (const pic of picElements) {
-    const result = processPicture(pic);
+    // Position in the shape tree, so placeholders and static shapes can be
+    // stacked back together
+    result.data.zOrder = zOrder;
     if (result.isPlaceholder) {
       placeholders.push(result.data);
     } else {
@@ -314,20 +375,9 @@ export function parseSlideLayout(layoutXml, layoutRels, pptxArchive, options) {
     }
   }
 
-  // Log warnings for unsupported shape types
-  const grpSpElements = toArray(spTree['p:grpSp']);
-  if (grpSpElements.length > 0) {
-    warnings.push(`Found ${grpSpElements.length} grouped shape(s) (not supported in v1)`);
-  }
-
-  const cxnSpElements = toArray(spTree['p:cxnSp']);
-  if (cxnSpElements.length > 0) {
-    warnings.push(`Found ${cxnSpElements.length} connection shape(s) (not supported in v1)`);
-  }
-
-  const graphicFrameElements = toArray(spTree['p:graphicFrame']);
-  if (graphicFrameElements.length > 0) {
-    warnings.push(`Found ${graphicFrameElements.length} graphic frame(s) (tables/charts, not supported in v1)`);
+  // Log warnings for unsupported shape types (tables are handled above)
+  if (graphicFrameCount > 0) {
+    warnings.push(`Found ${graphicFrameCount} graphic frame(s) (charts/diagrams, not supported in v1)`);
   }
 
   // 6. Relationships
@@ -368,3 +418,16 @@ export function parsePresentation(presentationXml) {
 
   return { width, height };
 }
+
+/**
+ * Read the presentation's slide masters, in the order PowerPoint lists
+ * them (p:sldMasterIdLst).
+ *
+ * @param {object} presentationXml - Parsed presentation.xml
+ * @returns {string[]} Relationship IDs of the masters, in presentation.xml.rels
+ */
+export function parseMasterIdList(presentationXml) {
+  return toArray(presentationXml?.['p:presentation']?.['p:sldMasterIdLst']?.['p:sldMasterId'])
+    .map((entry) => entry['@_r:id'])
+    .filter(Boolean);
+}
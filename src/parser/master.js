@@ -7,7 +7,11 @@ import { parseRelationships } from './relationships.js';
 import { parseClrMap } from './theme.js';
 import { emuAngleToDegrees } from '../mapper/units.js';
 import { extractTextProps } from './text.js';
-import { toArray, extractBackground, extractPosition, extractAvLst } from './utils.js';
+import { extractBackground, extractPosition, extractAvLst, extractConnector, extractBlipFillProps, extractFlips, extractEffect, extractHyperlink, toArray } from './utils.js';
+import { extractShapeTree } from './shapeTree.js';
+import { extractTable } from './table.js';
+import { extractCustomGeometry } from './geometry.js';
+import { resolveShapeStyle, mergeShapeStyle, applyStyleFont } from './styles.js';
 
 /**
  * Extract text styles from p:txStyles element.
@@ -29,30 +33,6 @@ function extractTextStyles(txStyles) {
   };
 }
 
-/**
- * Extract shape tree children from p:spTree element.
- * Returns the raw child elements (p:sp, p:pic, p:grpSp, etc.).
- *
- * @param {object} spTree - Parsed p:spTree element
- * @returns {Array} Raw shape elements
- */
-function extractShapeTree(spTree) {
-  if (!spTree) return [];
-
-  const shapes = [];
-
-  // Collect all shape types
-  const shapeTypes = ['p:sp', 'p:pic', 'p:grpSp', 'p:cxnSp', 'p:graphicFrame'];
-  for (const type of shapeTypes) {
-    const items = toArray(spTree[type]);
-    for (const item of items) {
-      shapes.push({ type, element: item });
-    }
-  }
-
-  return shapes;
-}
-
 /**
  * Extract placeholder defaults from the master's shape tree.
  * Walks all p:sp shapes looking for those with p:ph elements,
@@ -110,7 +90,7 @@ function extractPlaceholderDefaults(shapes, colorResolver, themeFonts) {
  * @param {object} masterXml - Parsed slideMaster XML (from fast-xml-parser)
  * @param {object} masterRels - Parsed .rels XML for this master
  * @param {object} [pptxArchive] - PPTX archive (unused for now, reserved for future)
- * @param {{ colorResolver?: object, themeFonts?: object }} [options] - Optional resolvers
+ * @param {{ colorResolver?: object, themeFonts?: object, formatScheme?: object }} [options] - Optional resolvers
  * @returns {{
  *   clrMap: Record<string, string>,
  *   background: object|null,
@@ -118,7 +98,10 @@ function extractPlaceholderDefaults(shapes, colorResolver, themeFonts) {
  *   textStyles: { title: object|null, body: object|null, other: object|null },
  *   relationships: Record<string, { type: string, target: string }>,
  *   placeholderDefaults: Record<string, { position: object|null, textProps: object|null }>,
- * }}
+ *   layoutIds: string[],
+ *   name: string,
+ * }} `layoutIds` are the relationship IDs of the master's layouts, in the
+ *   order PowerPoint's layout gallery shows them (p:sldLayoutIdLst)
  */
 export function parseSlideMaster(masterXml, masterRels, pptxArchive, options) {
   const master = masterXml?.['p:sldMaster'];
@@ -130,6 +113,8 @@ export function parseSlideMaster(masterXml, masterRels, pptxArchive, options) {
       textStyles: { title: null, body: null, other: null },
       relationships: {},
       placeholderDefaults: {},
+      layoutIds: [],
+      name: '',
     };
   }
 
@@ -140,7 +125,7 @@ export function parseSlideMaster(masterXml, masterRels, pptxArchive, options) {
   const cSld = master['p:cSld'];
   const background = extractBackground(cSld?.['p:bg']);
 
-  // 3. Shape tree children
+  // 3. Shape tree children (grouped shapes flattened into slide coordinates)
   const shapes = extractShapeTree(cSld?.['p:spTree']);
 
   // 4. Text styles
@@ -149,13 +134,19 @@ export function parseSlideMaster(masterXml, masterRels, pptxArchive, options) {
   // 5. Relationships
   const relationships = parseRelationships(masterRels);
 
-  // 6. Placeholder defaults (position + text props for inheritance)
+  // 6. Layouts, in gallery order
+  const layoutIds = toArray(master['p:sldLayoutIdLst']?.['p:sldLayoutId'])
+    .map((entry) => entry['@_r:id'])
+    .filter(Boolean);
+
+  // 7. Placeholder defaults (position + text props for inheritance)
   const colorResolver = options?.colorResolver || null;
   const themeFonts = options?.themeFonts || null;
+  const formatScheme = options?.formatScheme || null;
   const placeholderDefaults = extractPlaceholderDefaults(shapes, colorResolver, themeFonts);
 
-  // 7. Static (non-placeholder) shapes for showMasterSp inheritance
-  const staticShapes = processNonPlaceholderShapes(shapes, colorResolver, themeFonts);
+  // 8. Static (non-placeholder) shapes for showMasterSp inheritance
+  const staticShapes = processNonPlaceholderShapes(shapes, colorResolver, themeFonts, formatScheme);
 
   return {
     clrMap,
@@ -165,20 +156,23 @@ export function parseSlideMaster(masterXml, masterRels, pptxArchive, options) {
     relationships,
     placeholderDefaults,
     staticShapes,
+    layoutIds,
+    name: cSld?.['@_name'] || '',
   };
 }
 
 /**
  * Process non-placeholder shapes from the master's shape tree.
- * These are decorative elements (text boxes, images, lines) that layouts
+ * These are decorative elements (text boxes, images, lines, connectors, tables) that layouts
  * inherit when showMasterSp is true (default).
  *
  * @param {Array} shapes - Shape tree items from extractShapeTree()
  * @param {object|null} colorResolver
  * @param {object|null} themeFonts
+ * @param {object|null} formatScheme - Theme format scheme for p:style references
  * @returns {Array} Static shapes in the same format as layout.js staticShapes
  */
-function processNonPlaceholderShapes(shapes, colorResolver, themeFonts) {
+function processNonPlaceholderShapes(shapes, colorResolver, themeFonts, formatScheme) {
   const staticShapes = [];
 
   for (const shape of shapes) {
@@ -202,30 +196,36 @@ function processNonPlaceholderShapes(shapes, colorResolver, themeFonts) {
       const rotation = xfrm?.['@_rot'] != null
         ? emuAngleToDegrees(Number(xfrm['@_rot']))
         : undefined;
+      const { flipH, flipV } = extractFlips(xfrm);
 
-      // Geometry
-      const geometry = spPr['a:prstGeom']?.['@_prst'] || undefined;
+      // Geometry — presets by name; freeforms carry their paths
+      const geometry = spPr['a:prstGeom']?.['@_prst'] || (spPr['a:custGeom'] != null ? 'custGeom' : undefined);
+      const custGeom = extractCustomGeometry(spPr['a:custGeom'], xfrm);
 
       // Adjustment values (e.g., corner radius for roundRect)
       const avLst = extractAvLst(spPr);
 
       // Fill
-      let fill = null;
+      let ownFill = null;
       const fillTypes = ['a:solidFill', 'a:gradFill', 'a:blipFill', 'a:pattFill', 'a:noFill'];
       for (const ft of fillTypes) {
         if (spPr[ft] != null) {
-          fill = { type: ft.replace('a:', ''), element: spPr[ft] };
+          ownFill = { type: ft.replace('a:', ''), element: spPr[ft] };
           break;
         }
       }
 
-      // Line
-      const line = spPr['a:ln'] || null;
+      // Theme style references (p:style) fill in whatever spPr leaves unset
+      const shapeStyle = resolveShapeStyle(sp['p:style'], formatScheme, colorResolver);
+      const { fill, line, effect } = mergeShapeStyle(
+        { fill: ownFill, line: spPr['a:ln'] || null, effect: extractEffect(spPr) },
+        shapeStyle,
+      );
 
       // Text props
       let textProps = null;
       if (txBody) {
-        textProps = extractTextProps(txBody, colorResolver, themeFonts);
+        textProps = applyStyleFont(extractTextProps(txBody, colorResolver, themeFonts), shapeStyle?.font);
       }
 
       staticShapes.push({
@@ -233,12 +233,17 @@ function processNonPlaceholderShapes(shapes, colorResolver, themeFonts) {
         name,
         position,
         rotation,
+        flipH,
+        flipV,
         geometry,
         fill,
         line,
+        effect,
         avLst,
+        custGeom,
         textProps,
         imageRef: undefined,
+        hyperlink: extractHyperlink(cNvPr['a:hlinkClick']),
       });
     } else if (shape.type === 'p:pic') {
       const pic = shape.element;
@@ -260,19 +265,33 @@ function processNonPlaceholderShapes(shapes, colorResolver, themeFonts) {
       const rotation = xfrm?.['@_rot'] != null
         ? emuAngleToDegrees(Number(xfrm['@_rot']))
         : undefined;
+      const { flipH, flipV } = extractFlips(xfrm);
       const imageRef = blipFill['a:blip']?.['@_r:embed'] || undefined;
+      const shapeStyle = resolveShapeStyle(pic['p:style'], formatScheme, colorResolver);
+      const { effect } = mergeShapeStyle({ fill: null, line: null, effect: extractEffect(spPr) }, shapeStyle);
 
       staticShapes.push({
         type: 'picture',
         name,
         position,
         rotation,
+        flipH,
+        flipV,
         geometry: undefined,
         fill: null,
         line: null,
+        effect,
         textProps: null,
         imageRef,
+        hyperlink: extractHyperlink(cNvPr['a:hlinkClick']),
+        ...extractBlipFillProps(blipFill),
       });
+    } else if (shape.type === 'p:cxnSp') {
+      if (!shape.element) continue;
+      staticShapes.push(extractConnector(shape.element, { colorResolver, formatScheme }));
+    } else if (shape.type === 'p:graphicFrame') {
+      const table = extractTable(shape.element, colorResolver, themeFonts);
+      if (table) staticShapes.push(table);
     }
   }
 
@@ -17,8 +17,11 @@
  *   "http://schemas.openxmlformats.org/officeDocument/2006/relationships/slideLayout"
  *   becomes "slideLayout"
  *
+ * Targets outside the package (TargetMode="External", e.g. hyperlink URLs)
+ * are flagged with `external: true`.
+ *
  * @param {object} relsXml - Parsed .rels XML object
- * @returns {Record<string, { type: string, target: string }>}
+ * @returns {Record<string, { type: string, target: string, external?: boolean }>}
  */
 export function parseRelationships(relsXml) {
   const result = {};
@@ -41,6 +44,7 @@ export function parseRelationships(relsXml) {
     const type = lastSlash >= 0 ? typeUrl.slice(lastSlash + 1) : typeUrl;
 
     result[id] = { type, target };
+    if (rel['@_TargetMode'] === 'External') result[id].external = true;
   }
 
   return result;
@@ -0,0 +1,318 @@
+/**
+ * Shape tree walker — collects the children of a p:spTree and flattens
+ * grouped shapes (p:grpSp) into absolutely positioned elements.
+ *
+ * A group's a:xfrm maps its child coordinate space (a:chOff/a:chExt) onto
+ * the group's own box (a:off/a:ext), then flips and rotates the result
+ * around the box centre. Nested groups are resolved innermost first, so
+ * every leaf element comes out in slide coordinates and can be processed
+ * exactly like a top-level shape.
+ *
+ * Children come back in document order, which is their z-order (first is
+ * backmost). The grouped object form produced by the XML parser keeps
+ * only the order within each element type, so zip.js records the order
+ * of every shape tree's children with recordShapeOrder().
+ */
+
+import { XMLParser } from 'fast-xml-parser';
+import { isTrue, toArray } from './utils.js';
+
+// Shape tree child types; without a recorded order, children are taken
+// type by type in this order
+const SHAPE_TYPES = ['p:sp', 'p:pic', 'p:grpSp', 'p:cxnSp', 'p:graphicFrame'];
+
+// Key under which recordShapeOrder() stores a shape tree's child order
+const SHAPE_ORDER = Symbol('shapeOrder');
+
+// Only element names and their order are needed; shape contents are skipped
+const orderedParser = new XMLParser({
+  preserveOrder: true,
+  stopNodes: ['*.p:txBody', '*.p:spPr', '*.p:style', '*.p:blipFill', '*.a:graphic'],
+});
+
+// Full circle in OOXML angle units (60000ths of a degree)
+const FULL_CIRCLE = 21600000;
+
+/**
+ * Extract shape tree children from a p:spTree (or p:grpSp) element.
+ * Grouped shapes are flattened: their children are returned in place of
+ * the group, with each child's xfrm rewritten into the parent's space.
+ *
+ * @param {object} spTree - Parsed p:spTree element
+ * @returns {Array<{ type: string, element: object }>} Leaf shape elements
+ */
+export function extractShapeTree(spTree) {
+  if (!spTree) return [];
+
+  const queues = Object.fromEntries(SHAPE_TYPES.map((type) => [type, [...toArray(spTree[type])]]));
+  const order = spTree[SHAPE_ORDER] || SHAPE_TYPES.flatMap((type) => queues[type].map(() => type));
+  const shapes = [];
+
+  for (const type of order) {
+    const item = queues[type].shift();
+    if (item === undefined) continue;
+    if (type === 'p:grpSp') {
+      shapes.push(...flattenGroup(item));
+    } else {
+      shapes.push({ type, element: item });
+    }
+  }
+
+  return shapes;
+}
+
+/**
+ * Record the document order of the children of every p:spTree and
+ * p:grpSp in a parsed part, read from a second, order-preserving parse of
+ * its XML. extractShapeTree() then returns shapes in z-order.
+ *
+ * @param {object} parsed - The part as parsed by zip.js (mutated)
+ * @param {string} xml - The part's XML text
+ * @returns {object} parsed
+ */
+export function recordShapeOrder(parsed, xml) {
+  markShapeTrees(parsed, orderedParser.parse(xml), null);
+  return parsed;
+}
+
+/**
+ * Flatten a p:grpSp element into its leaf shapes, expressed in the
+ * coordinate space of the group's parent.
+ *
+ * @param {object} grpSp - Parsed p:grpSp element
+ * @returns {Array<{ type: string, element: object }>}
+ */
+export function flattenGroup(grpSp) {
+  if (!grpSp) return [];
+
+  const grpSpPr = grpSp['p:grpSpPr'] || {};
+  const transform = readGroupTransform(grpSpPr['a:xfrm']);
+  const groupFill = findFill(grpSpPr);
+
+  // extractShapeTree recurses into nested groups, so the children come
+  // back already resolved into this group's child coordinate space
+  const children = extractShapeTree(grpSp);
+
+  return children.map(({ type, element }) => {
+    let result = element;
+    if (transform) {
+      const box = readBox(getXfrm(type, result));
+      if (box) {
+        result = setXfrm(type, result, writeBox(transformBox(box, transform)));
+      }
+    }
+    if (groupFill) {
+      result = applyGroupFill(type, result, groupFill);
+    }
+    return { type, element: result };
+  });
+}
+
+// --- Internal helpers ---
+
+/**
+ * Walk a grouped element alongside its order-preserving parse, storing
+ * the shape child order on shape trees and groups.
+ *
+ * @param {object} element - Grouped form of the element
+ * @param {Array<object>} children - Its children in the order-preserving form
+ * @param {string|null} tag - The element's name
+ */
+function markShapeTrees(element, children, tag) {
+  const seen = {};
+  const order = [];
+  for (const child of children) {
+    const name = Object.keys(child).find((key) => key !== ':@');
+    if (!name || name.startsWith('#') || name.startsWith('?')) continue;
+    const index = seen[name] = (seen[name] ?? -1) + 1;
+    if (SHAPE_TYPES.includes(name)) order.push(name);
+
+    const value = toArray(element[name])[index];
+    if (value && typeof value === 'object' && Array.isArray(child[name])) {
+      markShapeTrees(value, child[name], name);
+    }
+  }
+  if (tag === 'p:spTree' || tag === 'p:grpSp') {
+    element[SHAPE_ORDER] = order;
+  }
+}
+
+/**
+ * Read a group's transform (box, child space, rotation and flips).
+ *
+ * @param {object} xfrm - Parsed a:xfrm element from p:grpSpPr
+ * @returns {object|null} null when the group has no usable transform
+ */
+function readGroupTransform(xfrm) {
+  const box = readBox(xfrm);
+  if (!box) return null;
+
+  const chOff = xfrm['a:chOff'];
+  const chExt = xfrm['a:chExt'];
+
+  return {
+    ...box,
+    chX: chOff ? Number(chOff['@_x'] || 0) : box.x,
+    chY: chOff ? Number(chOff['@_y'] || 0) : box.y,
+    chCx: chExt ? Number(chExt['@_cx'] || 0) : box.cx,
+    chCy: chExt ? Number(chExt['@_cy'] || 0) : box.cy,
+  };
+}
+
+/**
+ * Read an a:xfrm element into a numeric box (EMU) with rotation and flips.
+ *
+ * @param {object} xfrm - Parsed a:xfrm element
+ * @returns {{ x: number, y: number, cx: number, cy: number, rot: number, flipH: boolean, flipV: boolean }|null}
+ */
+function readBox(xfrm) {
+  if (!xfrm) return null;
+
+  const off = xfrm['a:off'];
+  const ext = xfrm['a:ext'];
+  if (!off && !ext) return null;
+
+  return {
+    x: off ? Number(off['@_x'] || 0) : 0,
+    y: off ? Number(off['@_y'] || 0) : 0,
+    cx: ext ? Number(ext['@_cx'] || 0) : 0,
+    cy: ext ? Number(ext['@_cy'] || 0) : 0,
+    rot: xfrm['@_rot'] != null ? Number(xfrm['@_rot']) : 0,
+    flipH: isTrue(xfrm['@_flipH']),
+    flipV: isTrue(xfrm['@_flipV']),
+  };
+}
+
+/**
+ * Map a child box from group child space into the group's parent space.
+ * Order follows the OOXML transform: scale/offset, then flip, then rotate,
+ * both around the group's centre.
+ *
+ * @param {object} box - Child box from readBox()
+ * @param {object} group - Group transform from readGroupTransform()
+ * @returns {object} Transformed box
+ */
+function transformBox(box, group) {
+  const sx = group.chCx ? group.cx / group.chCx : 1;
+  const sy = group.chCy ? group.cy / group.chCy : 1;
+
+  const cx = box.cx * sx;
+  const cy = box.cy * sy;
+  let centerX = group.x + (box.x - group.chX) * sx + cx / 2;
+  let centerY = group.y + (box.y - group.chY) * sy + cy / 2;
+
+  const groupCenterX = group.x + group.cx / 2;
+  const groupCenterY = group.y + group.cy / 2;
+
+  let rot = box.rot;
+  let flipH = box.flipH;
+  let flipV = box.flipV;
+
+  // Mirroring reflects the child's centre and reverses its rotation direction
+  if (group.flipH) {
+    centerX = 2 * groupCenterX - centerX;
+    flipH = !flipH;
+    rot = -rot;
+  }
+  if (group.flipV) {
+    centerY = 2 * groupCenterY - centerY;
+    flipV = !flipV;
+    rot = -rot;
+  }
+
+  if (group.rot) {
+    const theta = (group.rot / 60000) * (Math.PI / 180);
+    const dx = centerX - groupCenterX;
+    const dy = centerY - groupCenterY;
+    centerX = groupCenterX + dx * Math.cos(theta) - dy * Math.sin(theta);
+    centerY = groupCenterY + dx * Math.sin(theta) + dy * Math.cos(theta);
+    rot += group.rot;
+  }
+
+  rot = ((rot % FULL_CIRCLE) + FULL_CIRCLE) % FULL_CIRCLE;
+
+  return {
+    x: centerX - cx / 2,
+    y: centerY - cy / 2,
+    cx,
+    cy,
+    rot,
+    flipH,
+    flipV,
+  };
+}
+
+/**
+ * Serialize a box back into an a:xfrm element (string attributes, like
+ * fast-xml-parser output).
+ *
+ * @param {object} box
+ * @returns {object} Parsed-style a:xfrm element
+ */
+function writeBox(box) {
+  const xfrm = {
+    'a:off': { '@_x': String(Math.round(box.x)), '@_y': String(Math.round(box.y)) },
+    'a:ext': { '@_cx': String(Math.round(box.cx)), '@_cy': String(Math.round(box.cy)) },
+  };
+  if (Math.round(box.rot)) xfrm['@_rot'] = String(Math.round(box.rot));
+  if (box.flipH) xfrm['@_flipH'] = '1';
+  if (box.flipV) xfrm['@_flipV'] = '1';
+  return xfrm;
+}
+
+/**
+ * Get the a:xfrm element of a shape tree child.
+ *
+ * @param {string} type - Element type (p:sp, p:pic, ...)
+ * @param {object} element
+ * @returns {object|undefined}
+ */
+function getXfrm(type, element) {
+  if (type === 'p:graphicFrame') return element?.['p:xfrm'];
+  return element?.['p:spPr']?.['a:xfrm'];
+}
+
+/**
+ * Return a shallow copy of a shape tree child with a replaced a:xfrm.
+ *
+ * @param {string} type
+ * @param {object} element
+ * @param {object} xfrm
+ * @returns {object}
+ */
+function setXfrm(type, element, xfrm) {
+  if (type === 'p:graphicFrame') {
+    return { ...element, 'p:xfrm': xfrm };
+  }
+  return { ...element, 'p:spPr': { ...element['p:spPr'], 'a:xfrm': xfrm } };
+}
+
+/**
+ * Find the fill element declared on a group (used by children with a:grpFill).
+ *
+ * @param {object} grpSpPr - Parsed p:grpSpPr element
+ * @returns {{ key: string, value: object }|null}
+ */
+function findFill(grpSpPr) {
+  const fillTypes = ['a:solidFill', 'a:gradFill', 'a:blipFill', 'a:pattFill', 'a:noFill'];
+  for (const ft of fillTypes) {
+    if (grpSpPr[ft] != null) return { key: ft, value: grpSpPr[ft] };
+  }
+  return null;
+}
+
+/**
+ * Replace a child's a:grpFill with the group's own fill.
+ *
+ * @param {string} type
+ * @param {object} element
+ * @param {{ key: string, value: object }} groupFill
+ * @returns {object}
+ */
+function applyGroupFill(type, element, groupFill) {
+  const spPr = element?.['p:spPr'];
+  if (type === 'p:graphicFrame' || spPr?.['a:grpFill'] == null) return element;
+
+  const { 'a:grpFill': _grpFill, ...rest } = spPr;
+  return { ...element, 'p:spPr': { ...rest, [groupFill.key]: groupFill.value } };
+}
@@ -0,0 +1,286 @@
+/**
+ * Theme style matrix — resolves style references (p:bgRef, and the
+ * a:fillRef/a:lnRef/a:effectRef/a:fontRef children of p:style) into the
+ * fill, line, effect and font definitions stored in the theme.
+ *
+ * Theme styles are written against the placeholder color `phClr`; the
+ * referencing element supplies the actual color, which is substituted in
+ * before the style is handed to the regular fill/line mappers.
+ */
+
+import { XMLParser } from 'fast-xml-parser';
+
+// Fill elements that can appear in a:fillStyleLst / a:bgFillStyleLst
+const FILL_TAGS = ['a:noFill', 'a:solidFill', 'a:gradFill', 'a:blipFill', 'a:pattFill', 'a:grpFill'];
+
+// Fill elements that can appear inside a:ln
+const LINE_FILL_TAGS = ['a:noFill', 'a:solidFill', 'a:gradFill', 'a:pattFill'];
+
+// Style indices: 1–999 select a:fillStyleLst, 1001+ select a:bgFillStyleLst
+const BG_STYLE_OFFSET = 1000;
+
+// a:fontRef idx → theme font reference
+const FONT_REFS = { major: '+mj-lt', minor: '+mn-lt' };
+
+// Style lists whose entries mix element types
+const ORDERED_LISTS = ['a:fillStyleLst', 'a:bgFillStyleLst'];
+
+// Key under which recordStyleOrder() stores a style list's entry order
+const STYLE_ORDER = Symbol('styleOrder');
+
+// Only element names and their order are needed; fill contents are skipped
+const orderedParser = new XMLParser({
+  preserveOrder: true,
+  stopNodes: FILL_TAGS.map((tag) => `*.${tag}`),
+});
+
+/**
+ * List the entries of a theme style list in document order.
+ *
+ * The XML parser groups repeated children by tag name, so the original
+ * interleaving of different fill types is lost; zip.js records it on the
+ * theme's fill style lists with recordStyleOrder(). Lists without a
+ * recorded order are taken tag group by tag group.
+ *
+ * @param {object|null} styleLst - Parsed style list (e.g. a:fillStyleLst)
+ * @param {string[]} tags - Child tags to collect
+ * @returns {Array<object>} One single-key object per entry, e.g. { 'a:solidFill': {...} }
+ */
+export function listStyles(styleLst, tags) {
+  if (!styleLst || typeof styleLst !== 'object') return [];
+
+  const entries = (key) => (Array.isArray(styleLst[key]) ? [...styleLst[key]] : [styleLst[key]]);
+  const order = styleLst[STYLE_ORDER]
+    || Object.keys(styleLst).flatMap((key) => entries(key).map(() => key));
+  const queues = {};
+  const styles = [];
+  for (const key of order) {
+    if (!tags.includes(key)) continue;
+    queues[key] = queues[key] || entries(key);
+    if (queues[key].length > 0) styles.push({ [key]: queues[key].shift() });
+  }
+  return styles;
+}
+
+/**
+ * Record the document order of the entries of every a:fillStyleLst and
+ * a:bgFillStyleLst in a parsed part, read from a second, order-preserving
+ * parse of its XML, so style indices select the right entry when fill
+ * types are interleaved (e.g. solid, gradient, solid).
+ *
+ * @param {object} parsed - The part as parsed by zip.js (mutated)
+ * @param {string} xml - The part's XML text
+ * @returns {object} parsed
+ */
+export function recordStyleOrder(parsed, xml) {
+  markStyleLists(parsed, orderedParser.parse(xml));
+  return parsed;
+}
+
+/**
+ * Look up the fill style selected by a style index.
+ *
+ * @param {{ fillStyleLst: any, bgFillStyleLst: any }|null} formatScheme - From parseTheme()
+ * @param {number|string} idx - Style index (0 and 1000 mean "no fill")
+ * @returns {object|null} Fill container such as { 'a:gradFill': {...} }, or null
+ */
+export function resolveFillStyle(formatScheme, idx) {
+  const index = Number(idx);
+  if (!formatScheme || !Number.isInteger(index) || index <= 0 || index === BG_STYLE_OFFSET) return null;
+
+  const list = index > BG_STYLE_OFFSET
+    ? listStyles(formatScheme.bgFillStyleLst, FILL_TAGS)
+    : listStyles(formatScheme.fillStyleLst, FILL_TAGS);
+  const position = (index > BG_STYLE_OFFSET ? index - BG_STYLE_OFFSET : index) - 1;
+  return list[position] || null;
+}
+
+/**
+ * Replace every `phClr` scheme color in a style element with the concrete
+ * color it stands for, resolved (modifiers included) by a resolver that
+ * carries the referencing element's color — see withPlaceholderColor().
+ *
+ * Shape styles are resolved here, while the shape is parsed, because the
+ * fill and line mappers only see the layout's resolver.
+ *
+ * @param {*} element - Parsed style element (not mutated)
+ * @param {{ resolve: Function }|null} placeholderResolver - Resolver with placeholder context
+ * @returns {*} A copy of the element with phClr replaced by a:srgbClr
+ */
+export function applyPlaceholderColor(element, placeholderResolver) {
+  if (!placeholderResolver || element == null || typeof element !== 'object') return element;
+  if (Array.isArray(element)) return element.map((item) => applyPlaceholderColor(item, placeholderResolver));
+
+  const result = {};
+  for (const [key, value] of Object.entries(element)) {
+    if (key === 'a:schemeClr' && value?.['@_val'] === 'phClr') {
+      result['a:srgbClr'] = toSrgbClr(placeholderResolver.resolve({ [key]: value }));
+    } else {
+      result[key] = applyPlaceholderColor(value, placeholderResolver);
+    }
+  }
+  return result;
+}
+
+/**
+ * Derive the resolver for a style reference: phClr becomes the color the
+ * reference itself carries (e.g. the schemeClr inside a:fillRef or p:bgRef).
+ *
+ * @param {object|null} ref - Style reference element
+ * @param {{ resolve: Function, withPlaceholderColor?: Function }|null} colorResolver
+ * @returns {{ resolve: Function }|null} null when the ref has no resolvable color
+ */
+export function placeholderResolverFor(ref, colorResolver) {
+  const color = ref && colorResolver?.resolve(ref)?.color;
+  if (!color || !colorResolver.withPlaceholderColor) return null;
+  return colorResolver.withPlaceholderColor(color);
+}
+
+/**
+ * Resolve a shape's p:style element (a:lnRef, a:fillRef, a:effectRef and
+ * a:fontRef) against the theme format scheme. Each ref's color replaces
+ * phClr in the style it selects.
+ *
+ * @param {object|null} style - Parsed p:style element
+ * @param {{ fillStyleLst: any, lnStyleLst: any, effectStyleLst: any, bgFillStyleLst: any }|null} formatScheme - From parseTheme()
+ * @param {{ resolve: Function, resolveFontRef?: Function }|null} colorResolver - Color resolver
+ * @returns {{
+ *   fill: { type: string, element: object }|null,
+ *   line: object|null,
+ *   effect: object|null,
+ *   font: { fontFace?: string, color?: string }|null,
+ * }|null} Raw fill/line/effect elements in spPr form; null without a style
+ */
+export function resolveShapeStyle(style, formatScheme, colorResolver) {
+  if (!style) return null;
+
+  const pick = (list, tag, ref) => {
+    const index = Number(ref?.['@_idx']);
+    if (!Number.isInteger(index) || index <= 0) return null;
+    const entry = listStyles(list, [tag])[index - 1];
+    return entry ? applyPlaceholderColor(entry[tag], placeholderResolverFor(ref, colorResolver)) : null;
+  };
+
+  const fillRef = style['a:fillRef'];
+  const fillStyle = applyPlaceholderColor(
+    resolveFillStyle(formatScheme, fillRef?.['@_idx']),
+    placeholderResolverFor(fillRef, colorResolver),
+  );
+  const fillTag = fillStyle && Object.keys(fillStyle)[0];
+
+  return {
+    fill: fillTag ? { type: fillTag.replace('a:', ''), element: fillStyle[fillTag] } : null,
+    line: pick(formatScheme?.lnStyleLst, 'a:ln', style['a:lnRef']),
+    effect: pick(formatScheme?.effectStyleLst, 'a:effectStyle', style['a:effectRef']),
+    font: resolveFontRef(style['a:fontRef'], colorResolver),
+  };
+}
+
+/**
+ * Combine a shape's explicit properties with its resolved p:style.
+ * Explicit spPr values win: a local fill replaces the style fill, and a
+ * local a:ln overrides the style line attribute by attribute (its fill
+ * replaces the style line's fill as a whole), and a local a:effectLst
+ * replaces the style effects.
+ *
+ * @param {{ fill: object|null, line: object|null, effect?: object|null }} props - Properties read from spPr
+ * @param {ReturnType<typeof resolveShapeStyle>} shapeStyle - Resolved p:style
+ * @returns {{ fill: object|null, line: object|null, effect: object|null }}
+ */
+export function mergeShapeStyle(props, shapeStyle) {
+  if (!shapeStyle) return { fill: props.fill, line: props.line, effect: props.effect || null };
+
+  let line = props.line || shapeStyle.line;
+  if (props.line && shapeStyle.line) {
+    const ownFill = LINE_FILL_TAGS.some((tag) => props.line[tag] != null);
+    const base = Object.fromEntries(
+      Object.entries(shapeStyle.line).filter(([key]) => !(ownFill && LINE_FILL_TAGS.includes(key))),
+    );
+    line = { ...base, ...props.line };
+  }
+
+  return {
+    fill: props.fill || shapeStyle.fill,
+    line: line || null,
+    effect: props.effect || shapeStyle.effect,
+  };
+}
+
+/**
+ * Attach a shape's a:fontRef font face and color to its text as the
+ * lowest-precedence run defaults (`styleFont`): the run itself, its
+ * paragraph's defRPr and the lstStyle all win over them, as in PowerPoint.
+ *
+ * @param {object|null} textProps - From extractTextProps() (mutated)
+ * @param {{ fontFace?: string, color?: string }|null} font - Resolved fontRef
+ * @returns {object|null} The same textProps
+ */
+export function applyStyleFont(textProps, font) {
+  if (!textProps || !font) return textProps;
+
+  textProps.styleFont = { ...font };
+  return textProps;
+}
+
+// --- Internal helpers ---
+
+/**
+ * Walk a grouped element alongside its order-preserving parse, storing
+ * the entry order on the fill style lists within it.
+ *
+ * @param {object} element - Grouped form of the element
+ * @param {Array<object>} children - Its children in the order-preserving form
+ */
+function markStyleLists(element, children) {
+  const seen = {};
+  for (const child of children) {
+    const name = childName(child);
+    if (!name) continue;
+    const index = seen[name] = (seen[name] ?? -1) + 1;
+    const value = Array.isArray(element[name]) ? element[name][index] : index === 0 ? element[name] : undefined;
+    if (!value || typeof value !== 'object' || !Array.isArray(child[name])) continue;
+
+    if (ORDERED_LISTS.includes(name)) value[STYLE_ORDER] = child[name].map(childName).filter(Boolean);
+    else markStyleLists(value, child[name]);
+  }
+}
+
+/**
+ * Element name of a node in the order-preserving parse.
+ * @param {object} node
+ * @returns {string|undefined} undefined for text, comments and declarations
+ */
+function childName(node) {
+  const name = Object.keys(node).find((key) => key !== ':@');
+  return name && !name.startsWith('#') && !name.startsWith('?') ? name : undefined;
+}
+
+/**
+ * Resolve an a:fontRef to a font face and color.
+ * @param {object|null} fontRef
+ * @param {{ resolve: Function, resolveFontRef?: Function }|null} colorResolver
+ * @returns {{ fontFace?: string, color?: string }|null}
+ */
+function resolveFontRef(fontRef, colorResolver) {
+  if (fontRef == null || fontRef === '') return null;
+
+  const font = {};
+  const ref = FONT_REFS[fontRef['@_idx']];
+  if (ref && colorResolver?.resolveFontRef) font.fontFace = colorResolver.resolveFontRef(ref);
+  const color = colorResolver?.resolve(fontRef)?.color;
+  if (color) font.color = color;
+  return Object.keys(font).length > 0 ? font : null;
+}
+
+/**
+ * Build an a:srgbClr element for a resolved color.
+ * @param {{ color: string, transparency?: number }} resolved
+ * @returns {object}
+ */
+function toSrgbClr(resolved) {
+  const srgb = { '@_val': resolved.color };
+  if (resolved.transparency != null) {
+    srgb['a:alpha'] = { '@_val': String((100 - resolved.transparency) * 1000) };
+  }
+  return srgb;
+}
@@ -0,0 +1,122 @@
+/**
+ * Table parser — extracts a:tbl tables from p:graphicFrame elements.
+ *
+ * Produces a grid model (column widths, row heights, cells with text,
+ * fill, borders, margins and merge flags) that the table mapper turns
+ * into PptxGenJS addTable() arguments.
+ */
+
+import { extractTextProps } from './text.js';
+import { extractPosition, isTrue, toArray } from './utils.js';
+import { emuToInches } from '../mapper/units.js';
+
+// graphicData URI identifying a DrawingML table
+const TABLE_URI = 'http://schemas.openxmlformats.org/drawingml/2006/table';
+
+// Cell anchor → PptxGenJS valign
+const ANCHOR_MAP = {
+  t: 'top',
+  ctr: 'middle',
+  b: 'bottom',
+};
+
+// Default cell margins in EMU (OOXML spec defaults for a:tcPr)
+const DEFAULT_MAR_LR = 91440;
+const DEFAULT_MAR_TB = 45720;
+
+/**
+ * Check whether a p:graphicFrame holds a table.
+ *
+ * @param {object} graphicFrame - Parsed p:graphicFrame element
+ * @returns {boolean}
+ */
+export function isTableFrame(graphicFrame) {
+  const graphicData = graphicFrame?.['a:graphic']?.['a:graphicData'];
+  if (!graphicData) return false;
+  return graphicData['a:tbl'] != null || graphicData['@_uri'] === TABLE_URI;
+}
+
+/**
+ * Extract a table from a p:graphicFrame element.
+ *
+ * @param {object} graphicFrame - Parsed p:graphicFrame element
+ * @param {object|null} colorResolver - Color resolver (for cell text colors)
+ * @param {object|null} themeFonts - Theme fonts (for +mj/+mn font refs)
+ * @returns {{
+ *   type: 'table',
+ *   name: string,
+ *   position: object|null,
+ *   columns: number[],
+ *   rows: Array<{ height: number, cells: Array<object> }>,
+ *   styleId: string|undefined,
+ * }|null} null when the frame does not hold a table
+ */
+export function extractTable(graphicFrame, colorResolver, themeFonts) {
+  if (!isTableFrame(graphicFrame)) return null;
+
+  const tbl = graphicFrame['a:graphic']['a:graphicData']['a:tbl'] || {};
+  const cNvPr = graphicFrame['p:nvGraphicFramePr']?.['p:cNvPr'] || {};
+
+  const columns = toArray(tbl['a:tblGrid']?.['a:gridCol'])
+    .map((col) => emuToInches(Number(col['@_w'] || 0)));
+
+  const rows = toArray(tbl['a:tr']).map((tr) => ({
+    height: emuToInches(Number(tr['@_h'] || 0)),
+    cells: toArray(tr['a:tc']).map((tc) => extractCell(tc, colorResolver, themeFonts)),
+  }));
+
+  const styleId = tbl['a:tblPr']?.['a:tableStyleId'];
+
+  return {
+    type: 'table',
+    name: cNvPr['@_name'] || '',
+    position: extractPosition(graphicFrame['p:xfrm']),
+    columns,
+    rows,
+    styleId: typeof styleId === 'string' && styleId ? styleId : undefined,
+  };
+}
+
+/**
+ * Extract a single table cell (a:tc).
+ *
+ * @param {object} tc - Parsed a:tc element
+ * @param {object|null} colorResolver
+ * @param {object|null} themeFonts
+ * @returns {object} Cell model
+ */
+function extractCell(tc, colorResolver, themeFonts) {
+  const tcPr = tc?.['a:tcPr'] || {};
+
+  // Fill
+  let fill = null;
+  const fillTypes = ['a:solidFill', 'a:gradFill', 'a:blipFill', 'a:pattFill', 'a:noFill'];
+  for (const ft of fillTypes) {
+    if (tcPr[ft] != null) {
+      fill = { type: ft.replace('a:', ''), element: tcPr[ft] };
+      break;
+    }
+  }
+
+  return {
+    textProps: tc?.['a:txBody'] ? extractTextProps(tc['a:txBody'], colorResolver, themeFonts) : null,
+    fill,
+    borders: {
+      top: tcPr['a:lnT'] ?? null,
+      right: tcPr['a:lnR'] ?? null,
+      bottom: tcPr['a:lnB'] ?? null,
+      left: tcPr['a:lnL'] ?? null,
+    },
+    margin: {
+      top: emuToInches(Number(tcPr['@_marT'] ?? DEFAULT_MAR_TB)),
+      right: emuToInches(Number(tcPr['@_marR'] ?? DEFAULT_MAR_LR)),
+      bottom: emuToInches(Number(tcPr['@_marB'] ?? DEFAULT_MAR_TB)),
+      left: emuToInches(Number(tcPr['@_marL'] ?? DEFAULT_MAR_LR)),
+    },
+    valign: ANCHOR_MAP[tcPr['@_anchor']] || undefined,
+    colspan: tc?.['@_gridSpan'] != null ? Number(tc['@_gridSpan']) : undefined,
+    rowspan: tc?.['@_rowSpan'] != null ? Number(tc['@_rowSpan']) : undefined,
+    // Cells covered by a neighbour's gridSpan/rowSpan
+    merged: isTrue(tc?.['@_hMerge']) || isTrue(tc?.['@_vMerge']),
+  };
+}
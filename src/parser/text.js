@@ -5,7 +5,9 @@
  * text content and styling from PowerPoint elements.
  */
 
-import { emuToInches, emuAngleToDegrees } from '../mapper/units.js';
+import { emuToInches, emuAngleToDegrees, emuToPoints } from '../mapper/units.js';
+import { extractHyperlink } from './utils.js';
+import { resolveThemeFont } from './theme.js';
 
 // Default body margins in EMU (OOXML spec defaults)
 const DEFAULT_LINS = 91440;
@@ -20,6 +22,12 @@ const ANCHOR_MAP = {
   b: 'bottom',
 };
 
+// Characters PowerPoint draws with a run's East Asian (a:ea) or complex
+// script (a:cs) font: CJK, kana, hangul and fullwidth forms; Hebrew,
+// Arabic, Indic, Thai and other right-to-left or complex scripts
+const EAST_ASIAN_CHARS = /[\u1100-\u11FF\u2E80-\u9FFF\uA960-\uA97F\uAC00-\uD7AF\uF900-\uFAFF\uFE30-\uFE4F\uFF00-\uFFEF]/;
+const COMPLEX_SCRIPT_CHARS = /[\u0590-\u08FF\u0900-\u0DFF\u0E00-\u0EFF\u1780-\u17FF\uFB1D-\uFDFF\uFE70-\uFEFF]/;
+
 // Paragraph alignment mapping
 const ALIGN_MAP = {
   l: 'left',
@@ -58,6 +66,19 @@ export function extractTextProps(txBody, colorResolver, themeFonts) {
   return { bodyProps, paragraphs, plainText, lstStyleProps };
 }
 
+/**
+ * Extract a text list style — an a:lstStyle, or a slide master's
+ * p:titleStyle / p:bodyStyle / p:otherStyle, which share its schema.
+ *
+ * @param {object|null} listStyle - Parsed list style element
+ * @param {{ resolve: Function, resolveFontRef: Function }} colorResolver
+ * @param {{ heading: string, body: string }} themeFonts
+ * @returns {Record<number, object>|null} Level-keyed properties (0 = defPPr, 1-9), or null
+ */
+export function extractTextListStyle(listStyle, colorResolver, themeFonts) {
+  return extractLstStyle(listStyle, colorResolver, themeFonts);
+}
+
 /**
  * Extract default text style from a defRPr element.
  * Useful for extracting styling from placeholder defaults.
@@ -89,6 +110,10 @@ function buildDefaultBodyProps() {
     rotation: undefined,
     vert: undefined,
     autoFit: undefined,
+    fontScale: undefined,
+    lineSpacingReduction: undefined,
+    wrap: undefined,
+    columns: undefined,
   };
 }
 
@@ -127,15 +152,30 @@ function extractBodyProps(bodyPr) {
   // Note: fast-xml-parser parses self-closing tags like <a:spAutoFit/> as ""
   // (empty string), which is falsy. Must check with != null instead of truthiness.
   let autoFit;
+  let fontScale;
+  let lineSpacingReduction;
   if (bodyPr['a:normAutofit'] != null) {
     autoFit = 'shrink';
+    // The scale PowerPoint last applied to fit the text (percent × 1000)
+    const normAutofit = bodyPr['a:normAutofit'] || {};
+    if (normAutofit['@_fontScale'] != null) fontScale = Number(normAutofit['@_fontScale']) / 100000;
+    if (normAutofit['@_lnSpcReduction'] != null) lineSpacingReduction = Number(normAutofit['@_lnSpcReduction']) / 100000;
   } else if (bodyPr['a:spAutoFit'] != null) {
     autoFit = 'resize';
   } else if (bodyPr['a:noAutofit'] != null) {
     autoFit = 'none';
   }
 
-  return { margin, valign, rotation: rot, vert, autoFit };
+  // Wrapping — "none" keeps each paragraph on one line
+  const wrap = bodyPr['@_wrap'] != null ? bodyPr['@_wrap'] !== 'none' : undefined;
+
+  // Columns (spacing EMU → inches)
+  const numCol = bodyPr['@_numCol'] != null ? Number(bodyPr['@_numCol']) : undefined;
+  const columns = numCol != null
+    ? { count: numCol, spacing: emuToInches(Number(bodyPr['@_spcCol'] || 0)) }
+    : undefined;
+
+  return { margin, valign, rotation: rot, vert, autoFit, fontScale, lineSpacingReduction, wrap, columns };
 }
 
 /**
@@ -186,9 +226,6 @@ function extractParagraph(p, colorResolver, themeFonts) {
   const paraSpaceBefore = extractSpacing(pPr['a:spcBef']);
   const paraSpaceAfter = extractSpacing(pPr['a:spcAft']);
 
-  // Bullets
-  const bullet = extractBullet(pPr, colorResolver);
-
   // Default run properties
   const defRPr = pPr['a:defRPr']
     ? extractRunProps(pPr['a:defRPr'], colorResolver, themeFonts)
@@ -197,6 +234,9 @@ function extractParagraph(p, colorResolver, themeFonts) {
   // Runs
   const runs = extractRuns(p, colorResolver, themeFonts);
 
+  // Bullets
+  const bullet = extractBullet(pPr, colorResolver, defRPr?.color ?? runs[0]?.color);
+
   return {
     align,
     _explicitAlign,
@@ -262,9 +302,11 @@ function extractSpacing(spc) {
  * Extract bullet properties from paragraph properties.
  * @param {object} pPr - Paragraph properties
  * @param {object} colorResolver
- * @returns {{ type: string, characterCode?: string, numberType?: string, fontFace?: string, color?: string, sizePercent?: number } | false | undefined}
+ * @param {string} [textColor] - Paragraph text color; a phClr bullet color follows it
+ * @returns {{ type: 'char'|'number'|'picture', characterCode?: string, numberType?: string, startAt?: number,
+ *   imageRef?: string, fontFace?: string, color?: string, sizePercent?: number } | false | undefined}
  */
-function extractBullet(pPr, colorResolver) {
+function extractBullet(pPr, colorResolver, textColor) {
   if (!pPr) return undefined;
 
   // Explicit no bullet
@@ -272,8 +314,9 @@ function extractBullet(pPr, colorResolver) {
 
   const isBuChar = pPr['a:buChar'] != null;
   const isBuAutoNum = pPr['a:buAutoNum'] != null;
+  const isBuBlip = pPr['a:buBlip'] != null;
 
-  if (!isBuChar && !isBuAutoNum) return undefined;
+  if (!isBuChar && !isBuAutoNum && !isBuBlip) return undefined;
 
   const bullet = {};
 
@@ -282,9 +325,12 @@ function extractBullet(pPr, colorResolver) {
     bullet.fontFace = pPr['a:buFont']['@_typeface'] || '';
   }
 
-  // Bullet color
+  // Bullet color (phClr stands for the paragraph's text color)
   if (pPr['a:buClr']) {
-    const resolved = colorResolver?.resolve(pPr['a:buClr']);
+    const bulletResolver = textColor && colorResolver?.withPlaceholderColor
+      ? colorResolver.withPlaceholderColor(textColor)
+      : colorResolver;
+    const resolved = bulletResolver?.resolve(pPr['a:buClr']);
     bullet.color = resolved?.color || '000000';
   }
 
@@ -301,12 +347,17 @@ function extractBullet(pPr, colorResolver) {
   }
 
   if (isBuAutoNum) {
+    const autoNum = pPr['a:buAutoNum'];
     bullet.type = 'number';
-    bullet.numberType = pPr['a:buAutoNum']['@_type'] || '';
+    bullet.numberType = autoNum['@_type'] || '';
+    if (autoNum['@_startAt'] != null) bullet.startAt = Number(autoNum['@_startAt']);
     return bullet;
   }
 
-  return undefined;
+  // Picture bullet — the image is resolved through the part's relationships
+  bullet.type = 'picture';
+  bullet.imageRef = pPr['a:buBlip']['a:blip']?.['@_r:embed'] || undefined;
+  return bullet;
 }
 
 /**
@@ -329,7 +380,7 @@ function extractRuns(p, colorResolver, themeFonts) {
       const text = r['a:t'] != null ? String(r['a:t']) : '';
       const rPr = r['a:rPr'] || {};
       const props = extractRunProps(rPr, colorResolver, themeFonts);
-      contentRuns.push({ text, ...props });
+      contentRuns.push({ text, ...props, fontFace: scriptFontFace(text, props) });
     }
   }
 
@@ -340,7 +391,7 @@ function extractRuns(p, colorResolver, themeFonts) {
       const text = fld['a:t'] != null ? String(fld['a:t']) : '';
       const rPr = fld['a:rPr'] || {};
       const props = extractRunProps(rPr, colorResolver, themeFonts);
-      contentRuns.push({ text, ...props, isField: true, fieldType: fld['@_type'] || '' });
+      contentRuns.push({ text, ...props, fontFace: scriptFontFace(text, props), isField: true, fieldType: fld['@_type'] || '' });
     }
   }
 
@@ -386,11 +437,19 @@ function extractRunProps(rPr, colorResolver, themeFonts) {
       underline: undefined,
       strike: undefined,
       fontFace: undefined,
+      fontFaceEa: undefined,
+      fontFaceCs: undefined,
       color: undefined,
       highlight: undefined,
       superscript: false,
       subscript: false,
       charSpacing: undefined,
+      kerning: undefined,
+      caps: undefined,
+      underlineColor: undefined,
+      outline: undefined,
+      gradientFill: undefined,
+      hyperlink: undefined,
     };
   }
 
@@ -419,27 +478,55 @@ function extractRunProps(rPr, colorResolver, themeFonts) {
   // Character spacing (spc attribute, in hundredths of a point)
   const charSpacing = rPr['@_spc'] != null ? Number(rPr['@_spc']) / 100 : undefined;
 
-  // Font face
-  let fontFace;
-  if (rPr['a:latin']) {
-    const typeface = rPr['a:latin']['@_typeface'];
-    if (typeface) {
-      // Resolve theme font references
-      if (typeface.startsWith('+')) {
-        fontFace = colorResolver?.resolveFontRef
-          ? colorResolver.resolveFontRef(typeface)
-          : resolveThemeFont(typeface, themeFonts);
-      } else {
-        fontFace = typeface;
-      }
-    }
-  }
+  // Smallest font size kerned (hundredths of a point; 0 turns kerning off)
+  const kerning = rPr['@_kern'] != null ? Number(rPr['@_kern']) / 100 : undefined;
+
+  // Capitalization: 'all', 'small' or 'none'
+  const caps = rPr['@_cap'] || undefined;
+
+  // Font faces — Latin, East Asian and complex script; theme references
+  // (+mj-ea, …) pick per-script fonts by the run's language
+  const langs = [rPr['@_lang'], rPr['@_altLang']].filter(Boolean);
+  const resolveFace = (fontEl) => {
+    const typeface = fontEl?.['@_typeface'];
+    if (!typeface) return undefined;
+    if (!typeface.startsWith('+')) return typeface;
+    return colorResolver?.resolveFontRef
+      ? colorResolver.resolveFontRef(typeface, langs)
+      : resolveThemeFont(typeface, themeFonts, langs);
+  };
+  const fontFace = resolveFace(rPr['a:latin']);
+  const fontFaceEa = resolveFace(rPr['a:ea']);
+  const fontFaceCs = resolveFace(rPr['a:cs']);
 
-  // Color: look for a:solidFill child
+  // Color: look for a:solidFill child; gradient-filled text falls back
+  // to its first stop
   let color;
+  let gradientFill;
   if (rPr['a:solidFill']) {
     const resolved = colorResolver?.resolve(rPr['a:solidFill']);
     color = resolved?.color;
+  } else if (rPr['a:gradFill']) {
+    gradientFill = true;
+    const stops = rPr['a:gradFill']['a:gsLst']?.['a:gs'];
+    const first = Array.isArray(stops) ? stops[0] : stops;
+    color = first ? colorResolver?.resolve(first)?.color : undefined;
+  }
+
+  // Underline color (a:uFillTx, the default, follows the text)
+  let underlineColor;
+  if (rPr['a:uFill']?.['a:solidFill']) {
+    underlineColor = colorResolver?.resolve(rPr['a:uFill']['a:solidFill'])?.color;
+  }
+
+  // Text outline (a:ln with a solid fill)
+  let outline;
+  const ln = rPr['a:ln'];
+  if (ln?.['a:solidFill']) {
+    const outlineColor = colorResolver?.resolve(ln['a:solidFill'])?.color;
+    if (outlineColor) {
+      outline = { color: outlineColor, size: ln['@_w'] != null ? emuToPoints(Number(ln['@_w'])) : 0.75 };
+    }
   }
 
   // Highlight
@@ -456,29 +543,34 @@ function extractRunProps(rPr, colorResolver, themeFonts) {
     underline,
     strike,
     fontFace,
+    fontFaceEa,
+    fontFaceCs,
     color,
     highlight,
     superscript,
     subscript,
     charSpacing,
+    kerning,
+    caps,
+    underlineColor,
+    outline,
+    gradientFill,
+    hyperlink: extractHyperlink(rPr['a:hlinkClick']) || undefined,
   };
 }
 
 /**
- * Resolve a theme font reference when no colorResolver.resolveFontRef is available.
- * @param {string} ref - Font reference like '+mj-lt'
- * @param {{ heading: string, body: string }} themeFonts
- * @returns {string}
+ * Pick the face a run's text is drawn in: PptxGenJS runs take a single
+ * font, so text in an East Asian or complex script uses the run's a:ea or
+ * a:cs face, and other text its Latin face.
+ * @param {string} text
+ * @param {{ fontFace?: string, fontFaceEa?: string, fontFaceCs?: string }} props
+ * @returns {string|undefined}
  */
-function resolveThemeFont(ref, themeFonts) {
-  if (!themeFonts) return ref;
-  if (ref === '+mj-lt' || ref === '+mj-ea' || ref === '+mj-cs') {
-    return themeFonts.heading;
-  }
-  if (ref === '+mn-lt' || ref === '+mn-ea' || ref === '+mn-cs') {
-    return themeFonts.body;
-  }
-  return ref;
+function scriptFontFace(text, props) {
+  if (props.fontFaceEa && EAST_ASIAN_CHARS.test(text)) return props.fontFaceEa;
+  if (props.fontFaceCs && COMPLEX_SCRIPT_CHARS.test(text)) return props.fontFaceCs;
+  return props.fontFace;
 }
 
 /**
@@ -528,12 +620,12 @@ function extractLevelProps(lvlPr, colorResolver, themeFonts) {
   const { lineSpacing, lineSpacingMultiple } = extractLineSpacing(lvlPr['a:lnSpc']);
   const paraSpaceBefore = extractSpacing(lvlPr['a:spcBef']);
   const paraSpaceAfter = extractSpacing(lvlPr['a:spcAft']);
-  const bullet = extractBullet(lvlPr, colorResolver);
-
   const defRPr = lvlPr['a:defRPr']
     ? extractRunProps(lvlPr['a:defRPr'], colorResolver, themeFonts)
     : undefined;
 
+  const bullet = extractBullet(lvlPr, colorResolver, defRPr?.color);
+
   return {
     align,
     marginLeft,
@@ -9,14 +9,28 @@ const SCHEME_COLOR_NAMES = [
   'hlink', 'folHlink',
 ];
 
+/**
+ * Script tags of a:font entries (ECMA-376 §20.1.4.1.16) by language tag,
+ * for theme font references in runs that only name their language.
+ * Looked up by full tag first, then by primary subtag.
+ */
+const LANG_SCRIPTS = {
+  ja: 'Jpan', ko: 'Hang', zh: 'Hans', 'zh-CN': 'Hans', 'zh-SG': 'Hans', 'zh-TW': 'Hant', 'zh-HK': 'Hant', 'zh-MO': 'Hant',
+  ar: 'Arab', fa: 'Arab', ur: 'Arab', he: 'Hebr', yi: 'Hebr', th: 'Thai', lo: 'Laoo', km: 'Khmr', my: 'Mymr',
+  hi: 'Deva', mr: 'Deva', ne: 'Deva', bn: 'Beng', gu: 'Gujr', pa: 'Guru', or: 'Orya', ta: 'Taml', te: 'Telu',
+  kn: 'Knda', ml: 'Mlym', si: 'Sinh', bo: 'Tibt', dv: 'Thaa', syr: 'Syrc', am: 'Ethi', ti: 'Ethi',
+  ug: 'Uigh', mn: 'Mong', ka: 'Geor', hy: 'Armn', vi: 'Viet',
+};
+
 /**
  * Parse a theme XML object (already parsed by fast-xml-parser) and extract
  * scheme colors, fonts, and format scheme.
  *
  * @param {object} themeXml - Parsed ppt/theme/theme1.xml
  * @returns {{
+ *   name: string,
  *   colors: Record<string, string>,
- *   fonts: { heading: string, body: string },
+ *   fonts: { heading: string, body: string, scheme?: { heading: FontCollection, body: FontCollection } },
  *   formatScheme: { fillStyleLst: any, lnStyleLst: any, effectStyleLst: any, bgFillStyleLst: any } | null
  * }}
  */
@@ -35,7 +49,7 @@ export function parseTheme(themeXml) {
   const fonts = extractFontScheme(elements['a:fontScheme']);
   const formatScheme = extractFormatScheme(elements['a:fmtScheme']);
 
-  return { colors, fonts, formatScheme };
+  return { name: theme['@_name'] || '', colors, fonts, formatScheme };
 }
 
 /**
@@ -71,27 +85,74 @@ function extractSchemeColors(clrScheme) {
 }
 
 /**
- * Extract heading and body font faces from a:fontScheme.
+ * @typedef {{ latin: string, ea: string, cs: string, scripts: Record<string, string> }} FontCollection
+ *   Typefaces of a:majorFont or a:minorFont: Latin, East Asian, complex
+ *   script, and per-script overrides (a:font, keyed by script tag, e.g. Jpan)
+ */
+
+/**
+ * Extract heading and body font faces from a:fontScheme. `heading` and
+ * `body` are the Latin typefaces; `scheme` keeps the full collections.
  *
  * @param {object} fontScheme - Parsed a:fontScheme element
- * @returns {{ heading: string, body: string }}
+ * @returns {{ heading: string, body: string, scheme?: { heading: FontCollection, body: FontCollection } }}
  */
 function extractFontScheme(fontScheme) {
   const result = { heading: '', body: '' };
 
   if (!fontScheme) return result;
 
-  const majorFont = fontScheme['a:majorFont'];
-  if (majorFont?.['a:latin']) {
-    result.heading = majorFont['a:latin']['@_typeface'] || '';
-  }
+  const heading = extractFontCollection(fontScheme['a:majorFont']);
+  const body = extractFontCollection(fontScheme['a:minorFont']);
+  result.heading = heading.latin;
+  result.body = body.latin;
+  result.scheme = { heading, body };
+
+  return result;
+}
 
-  const minorFont = fontScheme['a:minorFont'];
-  if (minorFont?.['a:latin']) {
-    result.body = minorFont['a:latin']['@_typeface'] || '';
+/**
+ * Extract a font collection (a:majorFont or a:minorFont).
+ *
+ * @param {object|undefined} fontEl - Parsed font collection element
+ * @returns {FontCollection}
+ */
+function extractFontCollection(fontEl) {
+  const scripts = {};
+  for (const font of [].concat(fontEl?.['a:font'] || [])) {
+    if (font['@_script'] && font['@_typeface']) scripts[font['@_script']] = font['@_typeface'];
   }
+  return {
+    latin: fontEl?.['a:latin']?.['@_typeface'] || '',
+    ea: fontEl?.['a:ea']?.['@_typeface'] || '',
+    cs: fontEl?.['a:cs']?.['@_typeface'] || '',
+    scripts,
+  };
+}
 
-  return result;
+/**
+ * Resolve a theme font reference (+mj-lt, +mn-ea, +mj-cs, …) to a face.
+ * East Asian and complex script references use the collection's ea/cs
+ * typeface, then the per-script font for the run's language, then the
+ * Latin typeface.
+ *
+ * @param {string} ref - Font reference, or a typeface (returned as-is)
+ * @param {{ heading: string, body: string, scheme?: object }} themeFonts
+ * @param {string[]} [langs] - The run's language tags (lang, altLang)
+ * @returns {string}
+ */
+export function resolveThemeFont(ref, themeFonts, langs = []) {
+  const match = /^\+(mj|mn)-(lt|ea|cs)$/.exec(ref || '');
+  if (!match || !themeFonts) return ref;
+
+  const role = match[1] === 'mj' ? 'heading' : 'body';
+  const collection = themeFonts.scheme?.[role];
+  if (match[2] === 'lt' || !collection) return themeFonts[role];
+
+  const scriptFont = langs
+    .map((lang) => collection.scripts[LANG_SCRIPTS[lang] || LANG_SCRIPTS[lang.split('-')[0]]])
+    .find(Boolean);
+  return collection[match[2]] || scriptFont || themeFonts[role];
 }
 
 /**
@@ -2,7 +2,8 @@
  * Shared parser utilities — common helpers used by both master.js and layout.js.
  */
 
-import { emuToInches } from '../mapper/units.js';
+import { emuToInches, emuAngleToDegrees } from '../mapper/units.js';
+import { resolveShapeStyle, mergeShapeStyle } from './styles.js';
 
 /**
  * Normalize a value to an array.
@@ -14,6 +15,15 @@ export function toArray(el) {
   return Array.isArray(el) ? el : el ? [el] : [];
 }
 
+/**
+ * Interpret an OOXML boolean attribute ("1"/"true").
+ * @param {*} val
+ * @returns {boolean}
+ */
+export function isTrue(val) {
+  return val === '1' || val === 'true' || val === true;
+}
+
 /**
  * Extract the background element from a p:bg element.
  * Looks for p:bgPr (inline fill) or p:bgRef (theme reference).
@@ -56,7 +66,7 @@ export function extractAvLst(spPr) {
   for (const gd of gdItems) {
     const name = gd['@_name'];
     const fmla = gd['@_fmla'] || '';
-    const match = fmla.match(/^val\s+(\d+)/);
+    const match = fmla.match(/^val\s+(-?\d+)/);
     if (name && match) {
       avLst[name] = Number(match[1]);
     }
@@ -79,3 +89,153 @@ export function extractPosition(xfrm) {
     h: ext ? emuToInches(Number(ext['@_cy'] || 0)) : 0,
   };
 }
+
+// a:blip extension holding the SVG version of a picture (asvg:svgBlip)
+const SVG_BLIP_URI = '{96DAC541-7B7A-43D3-8B79-37D633B846F1}';
+
+/**
+ * Extract cropping, fill mode and SVG version from a picture's p:blipFill.
+ * Crop and stretch insets (1000ths of a percent) become fractions — of the
+ * image for a:srcRect, of the shape box for a:stretch/a:fillRect.
+ *
+ * @param {object} blipFill - Parsed p:blipFill element
+ * @returns {{
+ *   svgRef?: string,
+ *   crop?: { l: number, t: number, r: number, b: number },
+ *   fillRect?: { l: number, t: number, r: number, b: number },
+ *   tile?: { tx: number, ty: number, sx: number, sy: number, flip: string, algn: string },
+ * }} Only the properties that differ from a plain stretched picture
+ */
+export function extractBlipFillProps(blipFill) {
+  const props = {};
+
+  // Office 2016+ keeps the SVG in an extension; r:embed is its PNG fallback
+  for (const ext of toArray(blipFill?.['a:blip']?.['a:extLst']?.['a:ext'])) {
+    if (ext['@_uri'] !== SVG_BLIP_URI) continue;
+    const svgBlip = Object.entries(ext).find(([key]) => key.endsWith(':svgBlip'))?.[1];
+    if (svgBlip?.['@_r:embed']) props.svgRef = svgBlip['@_r:embed'];
+  }
+
+  const crop = extractRelativeRect(blipFill?.['a:srcRect']);
+  if (crop) props.crop = crop;
+
+  const tile = blipFill?.['a:tile'];
+  if (tile != null) {
+    props.tile = {
+      tx: emuToInches(Number(tile['@_tx'] || 0)),
+      ty: emuToInches(Number(tile['@_ty'] || 0)),
+      sx: Number(tile['@_sx'] ?? 100000) / 100000,
+      sy: Number(tile['@_sy'] ?? 100000) / 100000,
+      flip: tile['@_flip'] || 'none',
+      algn: tile['@_algn'] || 'tl',
+    };
+  } else {
+    const fillRect = extractRelativeRect(blipFill?.['a:stretch']?.['a:fillRect']);
+    if (fillRect) props.fillRect = fillRect;
+  }
+  return props;
+}
+
+/**
+ * Extract flip flags from an a:xfrm element.
+ *
+ * @param {object} xfrm - Parsed a:xfrm element
+ * @returns {{ flipH: boolean, flipV: boolean }}
+ */
+export function extractFlips(xfrm) {
+  return {
+    flipH: isTrue(xfrm?.['@_flipH']),
+    flipV: isTrue(xfrm?.['@_flipV']),
+  };
+}
+
+/**
+ * Extract a shape's own effects (p:spPr/a:effectLst) in the form of a
+ * theme a:effectStyle, so they can stand in for an a:effectRef. An empty
+ * a:effectLst is kept: it switches off the style's effects.
+ *
+ * @param {object|null} spPr - Parsed p:spPr element
+ * @returns {{ 'a:effectLst': object|string }|null}
+ */
+export function extractEffect(spPr) {
+  const effectLst = spPr?.['a:effectLst'];
+  return effectLst != null ? { 'a:effectLst': effectLst } : null;
+}
+
+/**
+ * Extract a click hyperlink (a:hlinkClick on a run's a:rPr or a shape's
+ * p:cNvPr). The r:id points into the part's relationships; `action` is
+ * set for links that jump within the presentation (ppaction://…).
+ *
+ * @param {object|string|undefined} hlinkClick - Parsed a:hlinkClick element
+ * @returns {{ rId: string|null, tooltip: string|null, action: string|null }|null}
+ */
+export function extractHyperlink(hlinkClick) {
+  if (hlinkClick == null) return null;
+  const el = typeof hlinkClick === 'object' ? hlinkClick : {};
+  return {
+    rId: el['@_r:id'] || null,
+    tooltip: el['@_tooltip'] || null,
+    action: el['@_action'] || null,
+  };
+}
+
+/**
+ * Extract a connector shape (p:cxnSp) as a static line shape.
+ * Straight, elbow and curved connectors all span their xfrm box from
+ * corner to corner; flips decide which diagonal the line follows.
+ *
+ * @param {object} cxnSp - Parsed p:cxnSp element
+ * @param {{ colorResolver?: object|null, formatScheme?: object|null }} [options] - Resolvers for p:style
+ *   references (connectors inserted from PowerPoint usually take their line from the theme)
+ * @returns {object} Static shape in the same format as layout.js staticShapes
+ */
+export function extractConnector(cxnSp, options = {}) {
+  const nvCxnSpPr = cxnSp?.['p:nvCxnSpPr'] || {};
+  const cNvPr = nvCxnSpPr['p:cNvPr'] || {};
+  const spPr = cxnSp?.['p:spPr'] || {};
+  const xfrm = spPr['a:xfrm'];
+
+  const rotation = xfrm?.['@_rot'] != null
+    ? emuAngleToDegrees(Number(xfrm['@_rot']))
+    : undefined;
+  const { flipH, flipV } = extractFlips(xfrm);
+  const shapeStyle = resolveShapeStyle(cxnSp?.['p:style'], options.formatScheme, options.colorResolver);
+  const { line, effect } = mergeShapeStyle(
+    { fill: null, line: spPr['a:ln'] || null, effect: extractEffect(spPr) },
+    shapeStyle,
+  );
+
+  return {
+    type: 'connector',
+    name: cNvPr['@_name'] || '',
+    position: extractPosition(xfrm),
+    rotation,
+    flipH,
+    flipV,
+    geometry: 'line',
+    connectorType: spPr['a:prstGeom']?.['@_prst'] || 'straightConnector1',
+    fill: null,
+    line,
+    effect,
+    textProps: null,
+    imageRef: undefined,
+    hyperlink: extractHyperlink(cNvPr['a:hlinkClick']),
+  };
+}
+
+// --- Internal helpers ---
+
+/**
+ * Read an a:srcRect / a:fillRect as fractions, or null when all edges are 0.
+ * @param {object|undefined} rect
+ * @returns {{ l: number, t: number, r: number, b: number }|null}
+ */
+function extractRelativeRect(rect) {
+  if (!rect || typeof rect !== 'object') return null;
+  const edges = {};
+  for (const edge of ['l', 't', 'r', 'b']) {
+    edges[edge] = Number(rect[`@_${edge}`] || 0) / 100000;
+  }
+  return Object.values(edges).some((v) => v !== 0) ? edges : null;
+}
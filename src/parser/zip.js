@@ -1,11 +1,16 @@
 import { readFile } from 'fs/promises';
 import JSZip from 'jszip';
 import { XMLParser } from 'fast-xml-parser';
+import { recordShapeOrder } from './shapeTree.js';
+import { recordStyleOrder } from './styles.js';
 
+// a:pathLst stays raw XML: grouping its children by tag would lose the
+// order of path commands (see parser/geometry.js)
 const xmlParser = new XMLParser({
   ignoreAttributes: false,
   attributeNamePrefix: '@_',
   allowBooleanAttributes: true,
+  stopNodes: ['*.a:pathLst'],
 });
 
 /**
@@ -54,7 +59,12 @@ export async function extractPptx(filePath, { extractor } = {}) {
     async getXml(path) {
       const buffer = await archive.getFile(path);
       const text = buffer.toString('utf-8');
-      return xmlParser.parse(text);
+      const parsed = xmlParser.parse(text);
+      // Shape trees keep their z-order (see parser/shapeTree.js), and
+      // theme fill style lists their entry order (see parser/styles.js)
+      if (text.includes('<p:spTree')) return recordShapeOrder(parsed, text);
+      if (text.includes('<a:fmtScheme')) return recordStyleOrder(parsed, text);
+      return parsed;
     },
 
     /**
@@ -0,0 +1,410 @@
+/**
+ * Effect rasterizer — bakes shape effects (a:effectLst) PptxGenJS can't
+ * express into a PNG of the shape: glow, soft edges, reflections and blur.
+ * The shape's shadows are drawn into the same image so every effect
+ * stacks in PowerPoint's order.
+ *
+ * Works on premultiplied float layers. Blurs are three box-blur passes,
+ * close to the Gaussian blur PowerPoint uses.
+ */
+
+import { hexToRgb } from '../parser/colors.js';
+import { renderPathPixels } from './path.js';
+import { encodePng, mediaFilename } from './png.js';
+
+const EMU_PER_INCH = 914400;
+
+// Percentages are stored in 1000ths of a percent, angles in 60000ths of a degree
+const PERCENT = 100000;
+const DEGREE = 60000;
+
+// Most padding added on any side of the shape, in pixels
+const MAX_PADDING = 500;
+
+/**
+ * Render a shape's geometry and effects to a PNG. The image covers the
+ * shape's box plus padding for everything drawn outside it; the padding
+ * is the same on opposite sides so the image rotates about the shape's
+ * centre.
+ *
+ * @param {Array<{ fill: boolean, stroke: boolean, commands: Array<object> }>} paths - Shape outline
+ *   (the format of extractCustomGeometry())
+ * @param {{ fill?: { type: string, element: object }|null, line?: { color?: string, width?: number }|null }} paint -
+ *   Shape fill and resolved outline (from resolveLine())
+ * @param {object} effectLst - Raw a:effectLst element
+ * @param {{ resolve: Function }} colorResolver - Color resolver
+ * @param {number} w - Box width in inches
+ * @param {number} h - Box height in inches
+ * @returns {{ filename: string, buffer: Buffer, padding: { x: number, y: number } }|null}
+ *   padding in inches; null when the box has no size or nothing is visible
+ */
+export function rasterizeEffects(paths, paint, effectLst, colorResolver, w, h) {
+  const body = renderPathPixels(paths, paint, colorResolver, w, h);
+  if (!body) return null;
+
+  const toPixels = (emu) => ((Number(emu) || 0) / EMU_PER_INCH) * body.pixelsPerInch;
+  const effects = readEffects(effectLst, colorResolver, toPixels);
+
+  const { glow, softEdge, blur, outer, inner, reflection } = effects;
+  const reach = Math.max(
+    glow?.radius || 0,
+    blur?.grow ? blur.radius : 0,
+    outer ? outer.distance + outer.radius : 0,
+  );
+  const reflectionReach = reflection
+    ? reflection.distance + reflection.endPos * body.height + reflection.radius
+    : 0;
+  const padX = Math.min(MAX_PADDING, Math.ceil(reach));
+  const padY = Math.min(MAX_PADDING, Math.ceil(Math.max(reach, reflectionReach)));
+  const width = body.width + padX * 2;
+  const height = body.height + padY * 2;
+  const size = { width, height };
+
+  let shape = toLayer(body, size, padX, padY);
+  if (blur) {
+    const original = shape.a;
+    shape = blurLayer(shape, size, blur.radius);
+    if (!blur.grow) scaleLayer(shape, original);
+  }
+  if (softEdge) {
+    const edge = blurChannel(shape.a, size, softEdge.radius);
+    scaleLayer(shape, edge.map((v) => clamp(2 * v - 1)));
+  }
+
+  const coverage = shape.a;
+  if (inner) {
+    const outside = shiftChannel(coverage.map((v) => 1 - v), size, inner.dx, inner.dy, 1);
+    const shadow = blurChannel(outside, size, inner.radius, 1).map((v, i) => v * coverage[i]);
+    composite(shape, colorLayer(shadow, inner));
+  }
+
+  // Layers under the shape, back to front
+  const result = createLayer(width * height);
+  if (outer) {
+    const shadow = blurChannel(shiftChannel(coverage, size, outer.dx, outer.dy, 0), size, outer.radius);
+    composite(result, colorLayer(shadow, outer));
+  }
+  if (glow) {
+    const halo = blurChannel(coverage, size, glow.radius).map((v) => clamp(2 * v));
+    composite(result, colorLayer(halo, glow));
+  }
+  if (reflection) {
+    composite(result, reflectLayer(shape, size, padY, body.height, reflection));
+  }
+  composite(result, shape);
+
+  if (!result.a.some((v) => v > 0)) return null;
+
+  const buffer = encodePng(width, height, toRgba(result));
+  return {
+    filename: mediaFilename('effects', buffer),
+    buffer,
+    padding: {
+      x: (padX + body.padding) / body.pixelsPerInch,
+      y: (padY + body.padding) / body.pixelsPerInch,
+    },
+  };
+}
+
+// --- Internal helpers ---
+
+/**
+ * Read the effects of an a:effectLst into pixel units. Effects whose
+ * color doesn't resolve are skipped.
+ * @param {object} effectLst
+ * @param {{ resolve: Function }} colorResolver
+ * @param {(emu: any) => number} toPixels
+ * @returns {{ glow?: object, softEdge?: object, blur?: object, outer?: object, inner?: object, reflection?: object }}
+ */
+function readEffects(effectLst, colorResolver, toPixels) {
+  const effects = {};
+  if (!effectLst || typeof effectLst !== 'object') return effects;
+
+  const color = (el) => {
+    const resolved = colorResolver?.resolve(el);
+    if (!resolved?.color) return null;
+    const alpha = resolved.transparency != null ? 1 - resolved.transparency / 100 : 1;
+    return { rgb: hexToRgb(resolved.color), alpha };
+  };
+  const shadow = (el) => {
+    const paint = color(el);
+    if (!paint) return null;
+    const distance = toPixels(el['@_dist']);
+    const angle = ((Number(el['@_dir']) || 0) / DEGREE) * (Math.PI / 180);
+    return {
+      ...paint,
+      radius: toPixels(el['@_blurRad']),
+      distance,
+      dx: distance * Math.cos(angle),
+      dy: distance * Math.sin(angle),
+    };
+  };
+  const percent = (value, fallback) => (value != null ? Number(value) / PERCENT : fallback);
+
+  const glow = effectLst['a:glow'];
+  if (glow != null) {
+    const paint = color(glow);
+    if (paint) effects.glow = { ...paint, radius: toPixels(glow['@_rad']) };
+  }
+  const softEdge = effectLst['a:softEdge'];
+  if (softEdge != null) effects.softEdge = { radius: toPixels(softEdge['@_rad']) };
+  const blur = effectLst['a:blur'];
+  if (blur != null) {
+    effects.blur = { radius: toPixels(blur['@_rad']), grow: blur['@_grow'] !== '0' && blur['@_grow'] !== 'false' };
+  }
+  if (effectLst['a:outerShdw'] != null) effects.outer = shadow(effectLst['a:outerShdw']) || undefined;
+  if (effectLst['a:innerShdw'] != null) effects.inner = shadow(effectLst['a:innerShdw']) || undefined;
+  const reflection = effectLst['a:reflection'];
+  if (reflection != null) {
+    effects.reflection = {
+      radius: toPixels(reflection['@_blurRad']),
+      distance: toPixels(reflection['@_dist']),
+      startAlpha: percent(reflection['@_stA'], 1),
+      startPos: percent(reflection['@_stPos'], 0),
+      endAlpha: percent(reflection['@_endA'], 0),
+      endPos: percent(reflection['@_endPos'], 1),
+    };
+  }
+
+  for (const key of Object.keys(effects)) {
+    if (!effects[key]) delete effects[key];
+  }
+  return effects;
+}
+
+/**
+ * Allocate an empty premultiplied RGBA layer.
+ * @param {number} count - Pixels
+ * @returns {{ r: Float32Array, g: Float32Array, b: Float32Array, a: Float32Array }}
+ */
+function createLayer(count) {
+  return {
+    r: new Float32Array(count),
+    g: new Float32Array(count),
+    b: new Float32Array(count),
+    a: new Float32Array(count),
+  };
+}
+
+/**
+ * Place straight RGBA pixels into a larger premultiplied layer.
+ * @param {{ rgba: Uint8Array, width: number, height: number }} pixels
+ * @param {{ width: number, height: number }} size - Layer size
+ * @param {number} left - Column of the pixels' left edge
+ * @param {number} top - Row of the pixels' top edge
+ * @returns {ReturnType<typeof createLayer>}
+ */
+function toLayer(pixels, size, left, top) {
+  const layer = createLayer(size.width * size.height);
+  for (let y = 0; y < pixels.height; y++) {
+    for (let x = 0; x < pixels.width; x++) {
+      const si = (y * pixels.width + x) * 4;
+      const di = (y + top) * size.width + x + left;
+      const a = pixels.rgba[si + 3] / 255;
+      layer.r[di] = (pixels.rgba[si] / 255) * a;
+      layer.g[di] = (pixels.rgba[si + 1] / 255) * a;
+      layer.b[di] = (pixels.rgba[si + 2] / 255) * a;
+      layer.a[di] = a;
+    }
+  }
+  return layer;
+}
+
+/**
+ * Convert a premultiplied layer to straight 8-bit RGBA.
+ * @param {ReturnType<typeof createLayer>} layer
+ * @returns {Uint8Array}
+ */
+function toRgba(layer) {
+  const rgba = new Uint8Array(layer.a.length * 4);
+  for (let i = 0; i < layer.a.length; i++) {
+    const a = clamp(layer.a[i]);
+    if (a <= 0) continue;
+    rgba[i * 4] = Math.round(clamp(layer.r[i] / a) * 255);
+    rgba[i * 4 + 1] = Math.round(clamp(layer.g[i] / a) * 255);
+    rgba[i * 4 + 2] = Math.round(clamp(layer.b[i] / a) * 255);
+    rgba[i * 4 + 3] = Math.round(a * 255);
+  }
+  return rgba;
+}
+
+/**
+ * Build a single-color layer from a coverage mask.
+ * @param {Float32Array} mask - Coverage 0–1
+ * @param {{ rgb: number[], alpha: number }} paint
+ * @returns {ReturnType<typeof createLayer>}
+ */
+function colorLayer(mask, paint) {
+  const layer = createLayer(mask.length);
+  const [r, g, b] = paint.rgb.map((v) => v / 255);
+  for (let i = 0; i < mask.length; i++) {
+    const a = clamp(mask[i]) * paint.alpha;
+    layer.r[i] = r * a;
+    layer.g[i] = g * a;
+    layer.b[i] = b * a;
+    layer.a[i] = a;
+  }
+  return layer;
+}
+
+/**
+ * Composite a layer over another (source-over), in place.
+ * @param {ReturnType<typeof createLayer>} dst
+ * @param {ReturnType<typeof createLayer>} src
+ */
+function composite(dst, src) {
+  for (let i = 0; i < dst.a.length; i++) {
+    const keep = 1 - src.a[i];
+    dst.r[i] = src.r[i] + dst.r[i] * keep;
+    dst.g[i] = src.g[i] + dst.g[i] * keep;
+    dst.b[i] = src.b[i] + dst.b[i] * keep;
+    dst.a[i] = src.a[i] + dst.a[i] * keep;
+  }
+}
+
+/**
+ * Multiply every channel of a layer by a mask, in place.
+ * @param {ReturnType<typeof createLayer>} layer
+ * @param {Float32Array} mask
+ */
+function scaleLayer(layer, mask) {
+  for (const channel of [layer.r, layer.g, layer.b, layer.a]) {
+    for (let i = 0; i < channel.length; i++) channel[i] *= mask[i];
+  }
+}
+
+/**
+ * Blur every channel of a layer.
+ * @param {ReturnType<typeof createLayer>} layer
+ * @param {{ width: number, height: number }} size
+ * @param {number} radius - Pixels
+ * @returns {ReturnType<typeof createLayer>}
+ */
+function blurLayer(layer, size, radius) {
+  return {
+    r: blurChannel(layer.r, size, radius),
+    g: blurChannel(layer.g, size, radius),
+    b: blurChannel(layer.b, size, radius),
+    a: blurChannel(layer.a, size, radius),
+  };
+}
+
+/**
+ * Blur one channel with three horizontal and three vertical box passes.
+ * @param {Float32Array} channel
+ * @param {{ width: number, height: number }} size
+ * @param {number} radius - Blur radius in pixels
+ * @param {number} [outside=0] - Value assumed beyond the edges
+ * @returns {Float32Array}
+ */
+function blurChannel(channel, size, radius, outside = 0) {
+  const box = radius > 0 ? Math.max(1, Math.round(radius / 3)) : 0;
+  let src = Float32Array.from(channel);
+  if (box === 0) return src;
+
+  let dst = new Float32Array(src.length);
+  for (const horizontal of [true, false]) {
+    for (let pass = 0; pass < 3; pass++) {
+      boxPass(src, dst, size, box, horizontal, outside);
+      [src, dst] = [dst, src];
+    }
+  }
+  return src;
+}
+
+/**
+ * One box-blur pass along rows or columns, using a running sum.
+ * @param {Float32Array} src
+ * @param {Float32Array} dst
+ * @param {{ width: number, height: number }} size
+ * @param {number} box - Box radius in pixels
+ * @param {boolean} horizontal
+ * @param {number} outside - Value assumed beyond the edges
+ */
+function boxPass(src, dst, size, box, horizontal, outside) {
+  const lines = horizontal ? size.height : size.width;
+  const length = horizontal ? size.width : size.height;
+  const step = horizontal ? 1 : size.width;
+  const lineStep = horizontal ? size.width : 1;
+  const norm = 1 / (box * 2 + 1);
+
+  for (let line = 0; line < lines; line++) {
+    const base = line * lineStep;
+    const at = (i) => (i < 0 || i >= length ? outside : src[base + i * step]);
+    let sum = 0;
+    for (let i = -box; i <= box; i++) sum += at(i);
+    for (let i = 0; i < length; i++) {
+      dst[base + i * step] = sum * norm;
+      sum += at(i + box + 1) - at(i - box);
+    }
+  }
+}
+
+/**
+ * Move a channel by whole pixels.
+ * @param {Float32Array} channel
+ * @param {{ width: number, height: number }} size
+ * @param {number} dx
+ * @param {number} dy
+ * @param {number} outside - Value shifted in from beyond the edges
+ * @returns {Float32Array}
+ */
+function shiftChannel(channel, size, dx, dy, outside) {
+  const sx = Math.round(dx);
+  const sy = Math.round(dy);
+  const shifted = new Float32Array(channel.length).fill(outside);
+  for (let y = 0; y < size.height; y++) {
+    const from = y - sy;
+    if (from < 0 || from >= size.height) continue;
+    for (let x = 0; x < size.width; x++) {
+      const fromX = x - sx;
+      if (fromX >= 0 && fromX < size.width) shifted[y * size.width + x] = channel[from * size.width + fromX];
+    }
+  }
+  return shifted;
+}
+
+/**
+ * Build a shape's reflection: the shape mirrored below its bottom edge,
+ * faded from the start to the end opacity and blurred.
+ * @param {ReturnType<typeof createLayer>} shape
+ * @param {{ width: number, height: number }} size
+ * @param {number} top - Row of the shape's top edge
+ * @param {number} height - Shape height in pixels
+ * @param {{ radius: number, distance: number, startAlpha: number, startPos: number, endAlpha: number, endPos: number }} reflection
+ * @returns {ReturnType<typeof createLayer>}
+ */
+function reflectLayer(shape, size, top, height, reflection) {
+  const layer = createLayer(shape.a.length);
+  const axis = top + height;
+  const gap = Math.round(reflection.distance);
+  const { startAlpha, startPos, endAlpha, endPos } = reflection;
+
+  for (let i = 0; i < height; i++) {
+    const y = axis + gap + i;
+    if (y >= size.height) break;
+    const t = (i + 0.5) / height;
+    if (t > endPos) break;
+    const fade = t <= startPos || endPos <= startPos
+      ? startAlpha
+      : startAlpha + ((t - startPos) / (endPos - startPos)) * (endAlpha - startAlpha);
+    const from = (axis - 1 - i) * size.width;
+    const to = y * size.width;
+    for (let x = 0; x < size.width; x++) {
+      layer.r[to + x] = shape.r[from + x] * fade;
+      layer.g[to + x] = shape.g[from + x] * fade;
+      layer.b[to + x] = shape.b[from + x] * fade;
+      layer.a[to + x] = shape.a[from + x] * fade;
+    }
+  }
+  return blurLayer(layer, size, reflection.radius);
+}
+
+/**
+ * Clamp to 0–1.
+ * @param {number} v
+ * @returns {number}
+ */
+function clamp(v) {
+  return v < 0 ? 0 : v > 1 ? 1 : v;
+}
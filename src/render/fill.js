@@ -0,0 +1,73 @@
+/**
+ * Fill rasterizer — renders fills PptxGenJS can't express natively
+ * (gradients and preset patterns) to PNG.
+ */
+
+import { hexToRgb } from '../parser/colors.js';
+import { rasterizeGradient, renderGradientFill } from './gradient.js';
+import { rasterizePattern, renderPatternFill } from './pattern.js';
+
+// Fill types that are rendered to images
+const RENDERERS = {
+  gradFill: rasterizeGradient,
+  pattFill: rasterizePattern,
+};
+
+// Fill types that can be rendered to raw pixels
+const PIXEL_RENDERERS = {
+  solidFill: renderSolidFill,
+  gradFill: renderGradientFill,
+  pattFill: renderPatternFill,
+};
+
+/**
+ * Render a gradient or pattern fill to a PNG covering a box of the given size.
+ *
+ * @param {{ type: string, element: object }|null} fill - Parsed fill
+ * @param {{ resolve: Function }} colorResolver - Color resolver
+ * @param {number} w - Box width in inches
+ * @param {number} h - Box height in inches
+ * @param {{ radius?: number }} [options] - Corner radius in inches (for roundRect)
+ * @returns {{ filename: string, buffer: Buffer }|null} null for other fill types or unrenderable fills
+ */
+export function rasterizeFill(fill, colorResolver, w, h, options = {}) {
+  const render = fill && Object.hasOwn(RENDERERS, fill.type) ? RENDERERS[fill.type] : null;
+  if (!render || !(w > 0) || !(h > 0)) return null;
+  return render(fill.element, colorResolver, w, h, options);
+}
+
+/**
+ * Render a solid, gradient or pattern fill to raw RGBA pixels, for
+ * renderers that clip the fill to a shape outline.
+ *
+ * @param {{ type: string, element: object }|null} fill - Parsed fill
+ * @param {{ resolve: Function }} colorResolver - Color resolver
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @returns {Uint8Array|null} RGBA pixels, or null for other fill types or unrenderable fills
+ */
+export function renderFillPixels(fill, colorResolver, width, height) {
+  const render = fill && Object.hasOwn(PIXEL_RENDERERS, fill.type) ? PIXEL_RENDERERS[fill.type] : null;
+  return render ? render(fill.element, colorResolver, width, height) : null;
+}
+
+// --- Internal helpers ---
+
+/**
+ * Render an a:solidFill element as uniform pixels.
+ * @param {object} solidFill
+ * @param {{ resolve: Function }} colorResolver
+ * @param {number} width
+ * @param {number} height
+ * @returns {Uint8Array|null}
+ */
+function renderSolidFill(solidFill, colorResolver, width, height) {
+  const resolved = colorResolver?.resolve(solidFill);
+  if (!resolved?.color) return null;
+
+  const alpha = resolved.transparency != null ? 1 - resolved.transparency / 100 : 1;
+  const pixel = [...hexToRgb(resolved.color), Math.round(alpha * 255)];
+  const rgba = new Uint8Array(width * height * 4);
+  for (let i = 0; i < rgba.length; i += 4) rgba.set(pixel, i);
+  return rgba;
+}
@@ -0,0 +1,795 @@
+/**
+ * GDI drawing surface — the device-context model shared by EMF and WMF
+ * (pens, brushes, fonts, mapping modes, paths and clipping), drawn as SVG
+ * markup. The record players in emf.js and wmf.js decode records and call
+ * into it with logical coordinates.
+ */
+
+import { encodePng } from './png.js';
+
+// Brush styles (LOGBRUSH lbStyle)
+export const BS_SOLID = 0;
+export const BS_NULL = 1;
+export const BS_HATCHED = 2;
+
+// Pen styles (low nibble of the pen style)
+const PS_DASH = 1;
+const PS_DOT = 2;
+const PS_DASHDOT = 3;
+const PS_DASHDOTDOT = 4;
+const PS_NULL = 5;
+
+// Mapping modes with fixed units, in millimetres per logical unit
+const METRIC_MAP_MODES = { 2: 0.1, 3: 0.01, 4: 0.254, 5: 0.0254, 6: 25.4 / 1440 };
+const MM_ISOTROPIC = 7;
+const MM_ANISOTROPIC = 8;
+
+// Poly fill modes
+const WINDING = 2;
+
+// Text alignment flags
+const TA_RIGHT = 2;
+const TA_CENTER = 6;
+const TA_BOTTOM = 8;
+const TA_BASELINE = 24;
+
+// Background modes
+const OPAQUE = 2;
+
+// Region combine modes for clipping
+const RGN_AND = 1;
+const RGN_COPY = 5;
+
+// Stock objects, selected in EMF by index with the high bit set
+const DEFAULT_FONT = { kind: 'font', height: -12, weight: 400, italic: false, underline: false, strikeOut: false, escapement: 0, face: 'Arial' };
+const STOCK_OBJECTS = [
+  { kind: 'brush', style: BS_SOLID, color: 'FFFFFF' },
+  { kind: 'brush', style: BS_SOLID, color: 'C0C0C0' },
+  { kind: 'brush', style: BS_SOLID, color: '808080' },
+  { kind: 'brush', style: BS_SOLID, color: '404040' },
+  { kind: 'brush', style: BS_SOLID, color: '000000' },
+  { kind: 'brush', style: BS_NULL },
+  { kind: 'pen', style: 0, width: 0, color: 'FFFFFF' },
+  { kind: 'pen', style: 0, width: 0, color: '000000' },
+  { kind: 'pen', style: PS_NULL, width: 0, color: '000000' },
+  null,
+  DEFAULT_FONT, DEFAULT_FONT, DEFAULT_FONT, DEFAULT_FONT, DEFAULT_FONT,
+  null,
+  DEFAULT_FONT, DEFAULT_FONT,
+  { kind: 'brush', style: BS_SOLID, color: 'FFFFFF' },
+  { kind: 'pen', style: 0, width: 0, color: '000000' },
+];
+
+// Hatch lines on an 8×8 cell (HS_HORIZONTAL … HS_DIAGCROSS)
+const HATCH_PATHS = [
+  'M0 3.5H8',
+  'M3.5 0V8',
+  'M0 0L8 8',
+  'M0 8L8 0',
+  'M0 3.5H8M3.5 0V8',
+  'M0 0L8 8M0 8L8 0',
+];
+
+// Cubic Bézier control distance for a quarter ellipse
+const KAPPA = 0.5522847498;
+
+// Segments used to flatten a full elliptical arc
+const ARC_SEGMENTS = 64;
+
+/**
+ * Create a GDI drawing surface.
+ *
+ * @param {{ pixelsPerMm?: number[] }} [options] - `pixelsPerMm` is the
+ *   reference device resolution for metric mapping modes (EMF)
+ * @returns {object} Surface with the drawing state (`dc`) and drawing calls
+ */
+export function createGdiCanvas(options = {}) {
+  const pixelsPerMm = options.pixelsPerMm || [96 / 25.4, 96 / 25.4];
+  let dc = defaultState();
+  const stack = [];
+  const defs = [];
+  const body = [];
+  const patterns = new Map();
+  let nextId = 1;
+  let path = null;
+  let drawn = 0;
+
+  // --- Coordinate mapping ---
+
+  function pageScale() {
+    const metric = METRIC_MAP_MODES[dc.mapMode];
+    if (metric) return [metric * pixelsPerMm[0], -metric * pixelsPerMm[1]];
+    if (dc.mapMode !== MM_ISOTROPIC && dc.mapMode !== MM_ANISOTROPIC) return [1, 1];
+    const sx = dc.windowExt[0] ? dc.viewportExt[0] / dc.windowExt[0] : 1;
+    const sy = dc.windowExt[1] ? dc.viewportExt[1] / dc.windowExt[1] : 1;
+    if (dc.mapMode === MM_ANISOTROPIC) return [sx, sy];
+    const s = Math.min(Math.abs(sx), Math.abs(sy));
+    return [Math.sign(sx || 1) * s, Math.sign(sy || 1) * s];
+  }
+
+  function toDevice(x, y) {
+    const [a, b, c, d, e, f] = dc.xform;
+    const px = a * x + c * y + e;
+    const py = b * x + d * y + f;
+    const [sx, sy] = pageScale();
+    return [(px - dc.windowOrg[0]) * sx + dc.viewportOrg[0], (py - dc.windowOrg[1]) * sy + dc.viewportOrg[1]];
+  }
+
+  function lengthScale() {
+    const [x0, y0] = toDevice(0, 0);
+    const [x1, y1] = toDevice(1, 0);
+    const [x2, y2] = toDevice(0, 1);
+    return (Math.hypot(x1 - x0, y1 - y0) + Math.hypot(x2 - x0, y2 - y0)) / 2;
+  }
+
+  function pt(x, y) {
+    const [dx, dy] = toDevice(x, y);
+    return `${fmt(dx)} ${fmt(dy)}`;
+  }
+
+  // --- Paint attributes ---
+
+  function fillAttrs() {
+    const brush = dc.brush;
+    const rule = dc.polyFillMode === WINDING ? 'nonzero' : 'evenodd';
+    if (!brush || brush.style === BS_NULL) return { fill: 'none' };
+    if (brush.style === BS_SOLID) return { fill: `#${brush.color}`, 'fill-rule': rule };
+    if (brush.style === BS_HATCHED) return { fill: `url(#${hatchPattern(brush)})`, 'fill-rule': rule };
+    if (brush.image) return { fill: `url(#${imagePattern(brush)})`, 'fill-rule': rule };
+    return { fill: 'none' };
+  }
+
+  function strokeAttrs() {
+    const pen = dc.pen;
+    const style = (pen?.style ?? PS_NULL) & 0xf;
+    if (!pen || style === PS_NULL) return { stroke: 'none' };
+    const width = pen.width > 0 ? Math.max(pen.width * lengthScale(), 0.5) : 1;
+    const attrs = { stroke: `#${pen.color}`, 'stroke-width': fmt(width) };
+    const dash = { [PS_DASH]: [3, 1], [PS_DOT]: [1, 1], [PS_DASHDOT]: [3, 1, 1, 1], [PS_DASHDOTDOT]: [3, 1, 1, 1, 1, 1] }[style];
+    if (dash) attrs['stroke-dasharray'] = dash.map((n) => fmt(n * Math.max(width, 1))).join(' ');
+    const cap = pen.style & 0xf00;
+    attrs['stroke-linecap'] = cap === 0x100 ? 'square' : cap === 0x200 ? 'butt' : 'round';
+    const join = pen.style & 0xf000;
+    attrs['stroke-linejoin'] = join === 0x1000 ? 'bevel' : join === 0x2000 ? 'miter' : 'round';
+    return attrs;
+  }
+
+  function hatchPattern(brush) {
+    const key = `hatch:${brush.hatch}:${brush.color}:${dc.bkMode === OPAQUE ? dc.bkColor : ''}`;
+    if (!patterns.has(key)) {
+      const id = `p${nextId++}`;
+      const background = dc.bkMode === OPAQUE ? `<rect width="8" height="8" fill="#${dc.bkColor}"/>` : '';
+      defs.push(`<pattern id="${id}" patternUnits="userSpaceOnUse" width="8" height="8">${background}`
+        + `<path d="${HATCH_PATHS[brush.hatch] || HATCH_PATHS[0]}" stroke="#${brush.color}" stroke-width="1"/></pattern>`);
+      patterns.set(key, id);
+    }
+    return patterns.get(key);
+  }
+
+  function imagePattern(brush) {
+    const key = `image:${brush.image.href}`;
+    if (!patterns.has(key)) {
+      const id = `p${nextId++}`;
+      const { width, height, href } = brush.image;
+      defs.push(`<pattern id="${id}" patternUnits="userSpaceOnUse" width="${width}" height="${height}">`
+        + `<image width="${width}" height="${height}" href="${href}"/></pattern>`);
+      patterns.set(key, id);
+    }
+    return patterns.get(key);
+  }
+
+  function emit(tag, attrs, content) {
+    if (dc.clip) attrs['clip-path'] = `url(#${dc.clip})`;
+    const attrText = Object.entries(attrs).map(([k, v]) => ` ${k}="${v}"`).join('');
+    body.push(content == null ? `<${tag}${attrText}/>` : `<${tag}${attrText}>${content}</${tag}>`);
+    drawn++;
+  }
+
+  function draw(d, { fill, stroke }) {
+    if (!d) return;
+    const attrs = { d, ...(fill ? fillAttrs() : { fill: 'none' }), ...(stroke ? strokeAttrs() : { stroke: 'none' }) };
+    if (attrs.fill === 'none' && attrs.stroke === 'none') return;
+    emit('path', attrs);
+  }
+
+  /**
+   * Add figure data to the open path bracket, or draw it straight away.
+   */
+  function output(d, paint) {
+    if (path) path.push(d);
+    else draw(d, paint);
+  }
+
+  // --- Shapes in logical coordinates ---
+
+  function figure(points, close) {
+    if (points.length === 0) return '';
+    return `M${points.map(([x, y]) => pt(x, y)).join('L')}${close ? 'Z' : ''}`;
+  }
+
+  function ellipsePath(l, t, r, b) {
+    const cx = (l + r) / 2;
+    const cy = (t + b) / 2;
+    const rx = (r - l) / 2;
+    const ry = (b - t) / 2;
+    const kx = rx * KAPPA;
+    const ky = ry * KAPPA;
+    return `M${pt(r, cy)}`
+      + `C${pt(r, cy + ky)} ${pt(cx + kx, b)} ${pt(cx, b)}`
+      + `C${pt(cx - kx, b)} ${pt(l, cy + ky)} ${pt(l, cy)}`
+      + `C${pt(l, cy - ky)} ${pt(cx - kx, t)} ${pt(cx, t)}`
+      + `C${pt(cx + kx, t)} ${pt(r, cy - ky)} ${pt(r, cy)}Z`;
+  }
+
+  /** Points along the arc of the ellipse in (l, t, r, b) between two radial points. */
+  function arcPoints(l, t, r, b, xs, ys, xe, ye) {
+    const cx = (l + r) / 2;
+    const cy = (t + b) / 2;
+    const rx = Math.abs(r - l) / 2;
+    const ry = Math.abs(b - t) / 2;
+    // Logical y grows downwards, so GDI's counterclockwise is decreasing angle
+    const start = Math.atan2((ys - cy) / (ry || 1), (xs - cx) / (rx || 1));
+    let end = Math.atan2((ye - cy) / (ry || 1), (xe - cx) / (rx || 1));
+    const clockwise = dc.arcDirection === 2;
+    if (clockwise) {
+      while (end <= start) end += 2 * Math.PI;
+    } else {
+      while (end >= start) end -= 2 * Math.PI;
+    }
+    const steps = Math.max(2, Math.ceil((Math.abs(end - start) / (2 * Math.PI)) * ARC_SEGMENTS));
+    const points = [];
+    for (let i = 0; i <= steps; i++) {
+      const angle = start + ((end - start) * i) / steps;
+      points.push([cx + rx * Math.cos(angle), cy + ry * Math.sin(angle)]);
+    }
+    return points;
+  }
+
+  // --- Clipping ---
+
+  function setClip(shape, mode) {
+    if (mode !== RGN_AND && mode !== RGN_COPY) return;
+    const id = `c${nextId++}`;
+    const parent = mode === RGN_AND && dc.clip ? ` clip-path="url(#${dc.clip})"` : '';
+    defs.push(`<clipPath id="${id}"${parent}>${shape}</clipPath>`);
+    dc.clip = id;
+  }
+
+  return {
+    /** Current drawing state; replaced on restore(), so read it afresh. */
+    get dc() {
+      return dc;
+    },
+
+    /**
+     * Object for a stock object index (EMF, high bit already stripped).
+     * @param {number} index
+     * @returns {object|null}
+     */
+    stockObject(index) {
+      return STOCK_OBJECTS[index] || null;
+    },
+
+    /**
+     * Select a pen, brush or font into the drawing state.
+     * @param {object|null} obj
+     */
+    select(obj) {
+      if (obj?.kind === 'pen') dc.pen = obj;
+      else if (obj?.kind === 'brush') dc.brush = obj;
+      else if (obj?.kind === 'font') dc.font = obj;
+    },
+
+    save() {
+      stack.push({ ...dc });
+    },
+
+    /**
+     * Restore a saved state: a negative index counts back from the most
+     * recent save, a positive one is an absolute save level.
+     * @param {number} index
+     */
+    restore(index) {
+      const level = index < 0 ? stack.length + index : index - 1;
+      if (level < 0 || level >= stack.length) return;
+      dc = stack[level];
+      stack.length = level;
+    },
+
+    /**
+     * Combine the world transform with a matrix [a, b, c, d, e, f]
+     * (x' = ax + cy + e, y' = bx + dy + f).
+     * @param {number[]} matrix
+     * @param {'set'|'identity'|'left'|'right'} mode - left: matrix applies first
+     */
+    transform(matrix, mode) {
+      if (mode === 'identity') dc.xform = [1, 0, 0, 1, 0, 0];
+      else if (mode === 'set') dc.xform = matrix;
+      else if (mode === 'left') dc.xform = multiply(matrix, dc.xform);
+      else if (mode === 'right') dc.xform = multiply(dc.xform, matrix);
+    },
+
+    moveTo(x, y) {
+      dc.position = [x, y];
+      if (path) path.push(`M${pt(x, y)}`);
+    },
+
+    lineTo(x, y) {
+      const [x0, y0] = dc.position;
+      if (path) path.push(path.length ? `L${pt(x, y)}` : `M${pt(x0, y0)}L${pt(x, y)}`);
+      else draw(figure([[x0, y0], [x, y]], false), { stroke: true });
+      dc.position = [x, y];
+    },
+
+    /**
+     * Polygon (closed, filled and outlined) or polyline (outlined).
+     * @param {number[][]} points
+     * @param {{ close?: boolean, fromCurrent?: boolean }} [opts] - fromCurrent:
+     *   continue from the current position and move it to the last point (…To records)
+     */
+    poly(points, { close = false, fromCurrent = false } = {}) {
+      if (points.length === 0) return;
+      if (fromCurrent) {
+        if (path && path.length) path.push(points.map(([x, y]) => `L${pt(x, y)}`).join(''));
+        else output(figure([dc.position, ...points], false), { stroke: true });
+        dc.position = points[points.length - 1];
+        return;
+      }
+      output(figure(points, close), { fill: close, stroke: true });
+    },
+
+    /**
+     * Several polygons (one compound shape) or polylines.
+     * @param {number[][][]} polys
+     * @param {boolean} close
+     */
+    polyPoly(polys, close) {
+      output(polys.map((points) => figure(points, close)).join(''), { fill: close, stroke: true });
+    },
+
+    /**
+     * Cubic Béziers: a start point then three points per curve, or only
+     * the triples when continuing from the current position.
+     * @param {number[][]} points
+     * @param {{ fromCurrent?: boolean }} [opts]
+     */
+    bezier(points, { fromCurrent = false } = {}) {
+      const start = fromCurrent ? dc.position : points[0];
+      const rest = fromCurrent ? points : points.slice(1);
+      let d = fromCurrent && path && path.length ? '' : `M${pt(start[0], start[1])}`;
+      for (let i = 0; i + 2 < rest.length; i += 3) {
+        d += `C${pt(...rest[i])} ${pt(...rest[i + 1])} ${pt(...rest[i + 2])}`;
+      }
+      output(d, { stroke: true });
+      if (fromCurrent && rest.length >= 3) dc.position = rest[Math.floor(rest.length / 3) * 3 - 1];
+    },
+
+    /**
+     * Mixed move/line/curve figure (PolyDraw).
+     * @param {number[][]} points
+     * @param {number[]} types - PT_MOVETO (6), PT_LINETO (2), PT_BEZIERTO (4), | PT_CLOSEFIGURE (1)
+     */
+    polyDraw(points, types) {
+      let d = '';
+      for (let i = 0; i < points.length; i++) {
+        const type = types[i] & ~1;
+        if (type === 6) d += `M${pt(...points[i])}`;
+        else if (type === 2) d += `${d ? '' : `M${pt(...dc.position)}`}L${pt(...points[i])}`;
+        else if (type === 4 && i + 2 < points.length) {
+          d += `${d ? '' : `M${pt(...dc.position)}`}C${pt(...points[i])} ${pt(...points[i + 1])} ${pt(...points[i + 2])}`;
+          i += 2;
+        }
+        if (types[i] & 1) d += 'Z';
+      }
+      if (points.length) dc.position = points[points.length - 1];
+      output(d, { stroke: true });
+    },
+
+    rectangle(l, t, r, b) {
+      output(figure([[l, t], [r, t], [r, b], [l, b]], true), { fill: true, stroke: true });
+    },
+
+    roundRect(l, t, r, b, cw, ch) {
+      const rx = Math.min(Math.abs(cw) / 2, Math.abs(r - l) / 2);
+      const ry = Math.min(Math.abs(ch) / 2, Math.abs(b - t) / 2);
+      const kx = rx * (1 - KAPPA);
+      const ky = ry * (1 - KAPPA);
+      const d = `M${pt(l + rx, t)}L${pt(r - rx, t)}C${pt(r - kx, t)} ${pt(r, t + ky)} ${pt(r, t + ry)}`
+        + `L${pt(r, b - ry)}C${pt(r, b - ky)} ${pt(r - kx, b)} ${pt(r - rx, b)}`
+        + `L${pt(l + rx, b)}C${pt(l + kx, b)} ${pt(l, b - ky)} ${pt(l, b - ry)}`
+        + `L${pt(l, t + ry)}C${pt(l, t + ky)} ${pt(l + kx, t)} ${pt(l + rx, t)}Z`;
+      output(d, { fill: true, stroke: true });
+    },
+
+    ellipse(l, t, r, b) {
+      output(ellipsePath(l, t, r, b), { fill: true, stroke: true });
+    },
+
+    /**
+     * Elliptical arc and the shapes built on it.
+     * @param {'arc'|'arcTo'|'chord'|'pie'} kind
+     */
+    arc(kind, l, t, r, b, xs, ys, xe, ye) {
+      const points = arcPoints(l, t, r, b, xs, ys, xe, ye);
+      if (kind === 'arcTo') {
+        this.poly(points, { fromCurrent: true });
+        return;
+      }
+      if (kind === 'pie') points.push([(l + r) / 2, (t + b) / 2]);
+      const closed = kind !== 'arc';
+      output(figure(points, closed), { fill: closed, stroke: true });
+    },
+
+    closeFigure() {
+      if (path && path.length) path.push('Z');
+    },
+
+    beginPath() {
+      path = [];
+    },
+
+    endPath() {
+      if (path) {
+        dc.path = path.join('');
+        path = null;
+      }
+    },
+
+    abortPath() {
+      path = null;
+      dc.path = null;
+    },
+
+    /**
+     * Draw the path closed by endPath().
+     * @param {{ fill?: boolean, stroke?: boolean }} paint
+     */
+    drawPath(paint) {
+      if (path) this.endPath();
+      draw(dc.path, paint);
+      dc.path = null;
+    },
+
+    /**
+     * Clip to the path closed by endPath().
+     * @param {number} mode - Region combine mode
+     */
+    clipPath(mode) {
+      if (path) this.endPath();
+      if (dc.path) setClip(`<path d="${dc.path}"/>`, mode);
+      dc.path = null;
+    },
+
+    intersectClipRect(l, t, r, b) {
+      setClip(`<path d="${figure([[l, t], [r, t], [r, b], [l, b]], true)}"/>`, RGN_AND);
+    },
+
+    /**
+     * Clip to a region of device-space rectangles; an empty region with
+     * RGN_COPY removes the clip.
+     * @param {number[][]} rects - [left, top, right, bottom] in device units
+     * @param {number} mode
+     */
+    clipRegion(rects, mode) {
+      if (rects.length === 0) {
+        if (mode === RGN_COPY) dc.clip = null;
+        return;
+      }
+      setClip(`<path d="${deviceRects(rects)}"/>`, mode);
+    },
+
+    /**
+     * Fill device-space rectangles with a brush (region painting).
+     * @param {number[][]} rects
+     * @param {object} [brush] - Defaults to the selected brush
+     */
+    fillRegion(rects, brush) {
+      if (rects.length === 0) return;
+      const selected = dc.brush;
+      if (brush) dc.brush = brush;
+      const attrs = { d: deviceRects(rects), ...fillAttrs() };
+      dc.brush = selected;
+      if (attrs.fill !== 'none') emit('path', attrs);
+    },
+
+    /**
+     * Fill a logical rectangle with the selected brush and no outline (PatBlt).
+     */
+    fillRect(l, t, r, b) {
+      draw(figure([[l, t], [r, t], [r, b], [l, b]], true), { fill: true });
+    },
+
+    /**
+     * Draw a bitmap into a logical rectangle.
+     * @param {number} x
+     * @param {number} y
+     * @param {number} w - Negative widths mirror the image
+     * @param {number} h
+     * @param {{ href: string }} bitmap - From decodeDib()
+     */
+    image(x, y, w, h, bitmap) {
+      const [x0, y0] = toDevice(x, y);
+      const [x1, y1] = toDevice(x + w, y + h);
+      const width = Math.abs(x1 - x0);
+      const height = Math.abs(y1 - y0);
+      if (width === 0 || height === 0) return;
+      const attrs = {
+        x: fmt(Math.min(x0, x1)),
+        y: fmt(Math.min(y0, y1)),
+        width: fmt(width),
+        height: fmt(height),
+        preserveAspectRatio: 'none',
+        href: bitmap.href,
+      };
+      // Mirrored destinations flip the image about its centre
+      const sx = x1 < x0 ? -1 : 1;
+      const sy = y1 < y0 ? -1 : 1;
+      if (sx < 0 || sy < 0) {
+        const cx = (x0 + x1) / 2;
+        const cy = (y0 + y1) / 2;
+        attrs.transform = `translate(${fmt(cx)} ${fmt(cy)}) scale(${sx} ${sy}) translate(${fmt(-cx)} ${fmt(-cy)})`;
+      }
+      emit('image', attrs);
+    },
+
+    /**
+     * Draw a text string at a logical reference point.
+     * @param {number} x
+     * @param {number} y
+     * @param {string} text
+     */
+    text(x, y, text) {
+      if (!text) return;
+      const [dx, dy] = toDevice(x, y);
+      const font = dc.font || DEFAULT_FONT;
+      const size = Math.abs(font.height || 12) * lengthScale();
+      const attrs = {
+        x: fmt(dx),
+        y: fmt(dy),
+        'font-family': escapeXml(font.face || 'Arial'),
+        'font-size': fmt(size),
+        fill: `#${dc.textColor}`,
+      };
+      if (font.weight >= 600) attrs['font-weight'] = 'bold';
+      if (font.italic) attrs['font-style'] = 'italic';
+      const decoration = [font.underline && 'underline', font.strikeOut && 'line-through'].filter(Boolean);
+      if (decoration.length) attrs['text-decoration'] = decoration.join(' ');
+
+      const align = dc.textAlign;
+      if ((align & TA_CENTER) === TA_CENTER) attrs['text-anchor'] = 'middle';
+      else if (align & TA_RIGHT) attrs['text-anchor'] = 'end';
+      if ((align & TA_BASELINE) === TA_BASELINE) attrs['dominant-baseline'] = 'alphabetic';
+      else if (align & TA_BOTTOM) attrs['dominant-baseline'] = 'text-after-edge';
+      else attrs['dominant-baseline'] = 'text-before-edge';
+
+      // Escapement is in tenths of a degree, counterclockwise
+      if (font.escapement) attrs.transform = `rotate(${fmt(-font.escapement / 10)} ${fmt(dx)} ${fmt(dy)})`;
+      emit('text', attrs, escapeXml(text));
+    },
+
+    /** Number of elements drawn so far. */
+    get drawnCount() {
+      return drawn;
+    },
+
+    /**
+     * Serialise the drawing.
+     * @param {number[]} viewBox - [x, y, width, height] in device units
+     * @param {{ width: number, height: number }} size - Output size in pixels
+     * @returns {string}
+     */
+    toSvg(viewBox, size) {
+      return '<svg xmlns="http://www.w3.org/2000/svg"'
+        + ` width="${fmt(size.width)}" height="${fmt(size.height)}" viewBox="${viewBox.map(fmt).join(' ')}">`
+        + (defs.length ? `<defs>${defs.join('')}</defs>` : '')
+        + body.join('')
+        + '</svg>';
+    },
+  };
+}
+
+/**
+ * Decode a device-independent bitmap (BITMAPINFO + bits) into an image
+ * usable by the surface. JPEG and PNG payloads pass through; uncompressed
+ * 1/4/8/16/24/32-bit bitmaps are converted to PNG.
+ *
+ * @param {Buffer} buffer - Record data
+ * @param {number} bmiOffset - Offset of the BITMAPINFO header
+ * @param {number} [bitsOffset] - Offset of the pixel data; omitted for a
+ *   packed DIB, where the bits follow the colour table (WMF)
+ * @param {number} [bitsSize] - Size of the pixel data
+ * @returns {{ href: string, width: number, height: number }}
+ * @throws {Error} For palette-index colour tables and RLE compression
+ */
+export function decodeDib(buffer, bmiOffset, bitsOffset, bitsSize) {
+  const headerSize = buffer.readUInt32LE(bmiOffset);
+  const core = headerSize === 12;
+  const width = core ? buffer.readUInt16LE(bmiOffset + 4) : buffer.readInt32LE(bmiOffset + 4);
+  const rawHeight = core ? buffer.readInt16LE(bmiOffset + 6) : buffer.readInt32LE(bmiOffset + 8);
+  const bitCount = buffer.readUInt16LE(bmiOffset + (core ? 10 : 14));
+  const compression = core ? 0 : buffer.readUInt32LE(bmiOffset + 16);
+  const height = Math.abs(rawHeight);
+  const colorsUsed = core ? 0 : buffer.readUInt32LE(bmiOffset + 32);
+  if (bitsOffset == null) {
+    const masksSize = compression === 3 && headerSize === 40 ? 12 : 0;
+    const tableSize = (colorsUsed || (bitCount <= 8 ? 1 << bitCount : 0)) * (core ? 3 : 4);
+    bitsOffset = bmiOffset + headerSize + masksSize + tableSize;
+    bitsSize = buffer.length - bitsOffset;
+  }
+  const bits = buffer.subarray(bitsOffset, bitsOffset + bitsSize);
+
+  if (compression === 4 || compression === 5) {
+    const mime = compression === 4 ? 'image/jpeg' : 'image/png';
+    return { href: `data:${mime};base64,${bits.toString('base64')}`, width, height };
+  }
+  if (compression !== 0 && compression !== 3) {
+    throw new Error(`unsupported bitmap compression ${compression}`);
+  }
+  if (!(width > 0) || !(height > 0) || width * height > 16e6) {
+    throw new Error('invalid bitmap size');
+  }
+
+  // Colour table (RGBQUAD, or RGBTRIPLE for core headers)
+  const palette = [];
+  if (bitCount <= 8) {
+    const entrySize = core ? 3 : 4;
+    const count = colorsUsed || 1 << bitCount;
+    for (let i = 0; i < count; i++) {
+      const at = bmiOffset + headerSize + i * entrySize;
+      palette.push([buffer[at + 2], buffer[at + 1], buffer[at]]);
+    }
+  }
+
+  // Channel masks for 16/32-bit bitfields (after the header, or inside V4/V5 headers)
+  let masks = bitCount === 16 ? [0x7c00, 0x03e0, 0x001f] : [0xff0000, 0xff00, 0xff];
+  if (compression === 3) {
+    const at = bmiOffset + (headerSize >= 52 ? 40 : headerSize);
+    masks = [buffer.readUInt32LE(at), buffer.readUInt32LE(at + 4), buffer.readUInt32LE(at + 8)];
+  }
+
+  const stride = Math.ceil((width * bitCount) / 32) * 4;
+  if (bits.length < stride * height) throw new Error('truncated bitmap');
+  const rgba = new Uint8Array(width * height * 4);
+  let hasAlpha = false;
+
+  for (let row = 0; row < height; row++) {
+    // Bottom-up unless the height is negative
+    const src = (rawHeight > 0 ? height - 1 - row : row) * stride;
+    for (let x = 0; x < width; x++) {
+      const out = (row * width + x) * 4;
+      let rgb;
+      let alpha = 255;
+      if (bitCount <= 8) {
+        const bitOffset = x * bitCount;
+        const byte = bits[src + (bitOffset >> 3)];
+        const index = (byte >> (8 - bitCount - (bitOffset & 7))) & ((1 << bitCount) - 1);
+        rgb = palette[index] || [0, 0, 0];
+      } else if (bitCount === 24) {
+        const at = src + x * 3;
+        rgb = [bits[at + 2], bits[at + 1], bits[at]];
+      } else if (bitCount === 16 || bitCount === 32) {
+        const value = bitCount === 16 ? bits.readUInt16LE(src + x * 2) : bits.readUInt32LE(src + x * 4);
+        rgb = masks.map((mask) => channel(value, mask));
+        if (bitCount === 32 && compression === 0) {
+          alpha = bits[src + x * 4 + 3];
+          if (alpha) hasAlpha = true;
+        }
+      } else {
+        throw new Error(`unsupported bitmap depth ${bitCount}`);
+      }
+      rgba[out] = rgb[0];
+      rgba[out + 1] = rgb[1];
+      rgba[out + 2] = rgb[2];
+      rgba[out + 3] = alpha;
+    }
+  }
+
+  // 32-bit bitmaps usually leave the alpha byte at 0 — treat them as opaque
+  if (bitCount === 32 && !hasAlpha) {
+    for (let i = 3; i < rgba.length; i += 4) rgba[i] = 255;
+  }
+
+  const png = encodePng(width, height, rgba);
+  return { href: `data:image/png;base64,${png.toString('base64')}`, width, height };
+}
+
+/**
+ * Convert a COLORREF (0x00BBGGRR) to a hex colour.
+ * @param {number} value
+ * @returns {string} e.g. 'FF0000'
+ */
+export function colorRef(value) {
+  const r = value & 0xff;
+  const g = (value >> 8) & 0xff;
+  const b = (value >> 16) & 0xff;
+  return [r, g, b].map((c) => c.toString(16).padStart(2, '0')).join('').toUpperCase();
+}
+
+// --- Internal helpers ---
+
+/**
+ * Initial device context: black cosmetic pen, white brush, MM_TEXT.
+ * @returns {object}
+ */
+function defaultState() {
+  return {
+    mapMode: 1,
+    windowOrg: [0, 0],
+    windowExt: [1, 1],
+    viewportOrg: [0, 0],
+    viewportExt: [1, 1],
+    xform: [1, 0, 0, 1, 0, 0],
+    pen: STOCK_OBJECTS[7],
+    brush: STOCK_OBJECTS[0],
+    font: DEFAULT_FONT,
+    textColor: '000000',
+    bkColor: 'FFFFFF',
+    bkMode: OPAQUE,
+    textAlign: 0,
+    polyFillMode: 1,
+    arcDirection: 1,
+    position: [0, 0],
+    clip: null,
+    path: null,
+  };
+}
+
+/**
+ * Compose two affine matrices: `first` applied before `second`.
+ * @param {number[]} first
+ * @param {number[]} second
+ * @returns {number[]}
+ */
+function multiply(first, second) {
+  const [a1, b1, c1, d1, e1, f1] = first;
+  const [a2, b2, c2, d2, e2, f2] = second;
+  return [
+    a1 * a2 + b1 * c2,
+    a1 * b2 + b1 * d2,
+    c1 * a2 + d1 * c2,
+    c1 * b2 + d1 * d2,
+    e1 * a2 + f1 * c2 + e2,
+    e1 * b2 + f1 * d2 + f2,
+  ];
+}
+
+/**
+ * Path data for device-space rectangles.
+ * @param {number[][]} rects - [left, top, right, bottom]
+ * @returns {string}
+ */
+function deviceRects(rects) {
+  return rects.map(([l, t, r, b]) => `M${fmt(l)} ${fmt(t)}H${fmt(r)}V${fmt(b)}H${fmt(l)}Z`).join('');
+}
+
+/**
+ * Extract an 8-bit channel from a packed pixel with a bit mask.
+ * @param {number} value
+ * @param {number} mask
+ * @returns {number}
+ */
+function channel(value, mask) {
+  if (!mask) return 0;
+  let shift = 0;
+  while (((mask >>> shift) & 1) === 0) shift++;
+  const max = mask >>> shift;
+  return Math.round((((value & mask) >>> shift) / max) * 255);
+}
+
+/**
+ * Format a coordinate with at most two decimals.
+ * @param {number} n
+ * @returns {string}
+ */
+function fmt(n) {
+  return String(Math.round(n * 100) / 100 || 0);
+}
+
+/**
+ * Escape text for XML content and attributes.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeXml(text) {
+  return String(text).replace(/[<>&"]/g, (c) => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;' }[c]));
+}
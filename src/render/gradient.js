@@ -0,0 +1,197 @@
+/**
+ * Gradient rasterizer — renders OOXML gradient fills (a:gradFill) to PNG.
+ *
+ * PptxGenJS has no gradient fill, so shapes and backgrounds with
+ * gradients are emitted as images. Supports linear gradients (a:lin,
+ * including the `scaled` flag) and path gradients (a:path circle/rect,
+ * with a:fillToRect as the focus). Stop positions, colors and alpha are
+ * interpolated per pixel.
+ */
+
+import { hexToRgb } from '../parser/colors.js';
+import { toArray, isTrue } from '../parser/utils.js';
+import { encodePng, rasterSize, mediaFilename, maskCorners } from './png.js';
+
+/**
+ * Parse an a:gradFill element into a render spec.
+ *
+ * @param {object} gradFill - Raw a:gradFill element
+ * @param {{ resolve: Function }} colorResolver - Color resolver
+ * @returns {{
+ *   type: 'linear'|'circle'|'rect'|'shape',
+ *   angle: number,
+ *   scaled: boolean,
+ *   focus: { l: number, t: number, r: number, b: number },
+ *   stops: Array<{ pos: number, rgb: number[], alpha: number }>,
+ * }|null} null when no stop resolves to a color
+ */
+export function parseGradient(gradFill, colorResolver) {
+  if (!gradFill) return null;
+
+  const stops = [];
+  for (const gs of toArray(gradFill['a:gsLst']?.['a:gs'])) {
+    const resolved = colorResolver?.resolve(gs);
+    if (!resolved?.color) continue;
+    stops.push({
+      pos: Number(gs['@_pos'] || 0) / 100000,
+      rgb: hexToRgb(resolved.color),
+      alpha: resolved.transparency != null ? 1 - resolved.transparency / 100 : 1,
+    });
+  }
+  if (stops.length === 0) return null;
+  stops.sort((a, b) => a.pos - b.pos);
+
+  const lin = gradFill['a:lin'];
+  const path = gradFill['a:path'];
+  const fillToRect = path?.['a:fillToRect'] || {};
+
+  return {
+    type: path ? path['@_path'] || 'shape' : 'linear',
+    angle: lin?.['@_ang'] != null ? Number(lin['@_ang']) / 60000 : 0,
+    scaled: isTrue(lin?.['@_scaled']),
+    focus: {
+      l: Number(fillToRect['@_l'] || 0) / 100000,
+      t: Number(fillToRect['@_t'] || 0) / 100000,
+      r: Number(fillToRect['@_r'] || 0) / 100000,
+      b: Number(fillToRect['@_b'] || 0) / 100000,
+    },
+    stops,
+  };
+}
+
+/**
+ * Render a gradient spec to raw RGBA pixels.
+ *
+ * @param {object} spec - Spec from parseGradient()
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @returns {Uint8Array} RGBA pixels
+ */
+export function renderGradient(spec, width, height) {
+  const rgba = new Uint8Array(width * height * 4);
+  const position = positionFunction(spec, width, height);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const [r, g, b, a] = colorAt(spec.stops, position(x + 0.5, y + 0.5));
+      const i = (y * width + x) * 4;
+      rgba[i] = r;
+      rgba[i + 1] = g;
+      rgba[i + 2] = b;
+      rgba[i + 3] = a;
+    }
+  }
+
+  return rgba;
+}
+
+/**
+ * Render an a:gradFill element to raw RGBA pixels.
+ *
+ * @param {object} gradFill - Raw a:gradFill element
+ * @param {{ resolve: Function }} colorResolver - Color resolver
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @returns {Uint8Array|null} RGBA pixels, or null when the gradient has no usable stops
+ */
+export function renderGradientFill(gradFill, colorResolver, width, height) {
+  const spec = parseGradient(gradFill, colorResolver);
+  return spec ? renderGradient(spec, width, height) : null;
+}
+
+/**
+ * Render an a:gradFill element to a PNG covering a box of the given size.
+ *
+ * @param {object} gradFill - Raw a:gradFill element
+ * @param {{ resolve: Function }} colorResolver - Color resolver
+ * @param {number} w - Box width in inches
+ * @param {number} h - Box height in inches
+ * @param {{ radius?: number }} [options] - Corner radius in inches (for roundRect)
+ * @returns {{ filename: string, buffer: Buffer }|null} null when the gradient has no usable stops
+ */
+export function rasterizeGradient(gradFill, colorResolver, w, h, options = {}) {
+  const { width, height } = rasterSize(w, h);
+  const rgba = renderGradientFill(gradFill, colorResolver, width, height);
+  if (!rgba) return null;
+  if (options.radius) maskCorners(rgba, width, height, (options.radius / w) * width);
+  const buffer = encodePng(width, height, rgba);
+  return { filename: mediaFilename('gradient', buffer), buffer };
+}
+
+// --- Internal helpers ---
+
+/**
+ * Build a function mapping a pixel centre to a gradient position (0–1).
+ *
+ * @param {object} spec - Gradient spec
+ * @param {number} width
+ * @param {number} height
+ * @returns {(x: number, y: number) => number}
+ */
+function positionFunction(spec, width, height) {
+  if (spec.type === 'linear') {
+    // 0° runs left → right, angles increase clockwise (y points down).
+    // Scaled gradients take the angle in a unit square stretched to the box.
+    const theta = (spec.angle * Math.PI) / 180;
+    const cos = Math.cos(theta);
+    const sin = Math.sin(theta);
+    const sx = spec.scaled ? 1 / width : 1;
+    const sy = spec.scaled ? 1 / height : 1;
+    const extent = Math.abs(width * sx * cos) + Math.abs(height * sy * sin) || 1;
+    return (x, y) => ((x - width / 2) * sx * cos + (y - height / 2) * sy * sin) / extent + 0.5;
+  }
+
+  // Path gradients grow outward from the focus rectangle (a:fillToRect)
+  const left = spec.focus.l * width;
+  const right = (1 - spec.focus.r) * width;
+  const top = spec.focus.t * height;
+  const bottom = (1 - spec.focus.b) * height;
+
+  if (spec.type === 'circle') {
+    const cx = (left + right) / 2;
+    const cy = (top + bottom) / 2;
+    const reach = Math.max(
+      Math.hypot(cx / width, cy / height),
+      Math.hypot((width - cx) / width, cy / height),
+      Math.hypot(cx / width, (height - cy) / height),
+      Math.hypot((width - cx) / width, (height - cy) / height),
+    ) || 1;
+    return (x, y) => Math.hypot((x - cx) / width, (y - cy) / height) / reach;
+  }
+
+  // 'rect' (and 'shape', approximated by the bounding box)
+  const axis = (v, lo, hi, size) => {
+    if (v < lo) return lo > 0 ? (lo - v) / lo : 0;
+    if (v > hi) return hi < size ? (v - hi) / (size - hi) : 0;
+    return 0;
+  };
+  return (x, y) => Math.max(axis(x, left, right, width), axis(y, top, bottom, height));
+}
+
+/**
+ * Interpolate the gradient color at a position.
+ *
+ * @param {Array<{ pos: number, rgb: number[], alpha: number }>} stops - Sorted stops
+ * @param {number} t - Gradient position (clamped to the stop range)
+ * @returns {number[]} [r, g, b, a] in 0–255
+ */
+function colorAt(stops, t) {
+  const first = stops[0];
+  const last = stops[stops.length - 1];
+  if (t <= first.pos) return [...first.rgb, Math.round(first.alpha * 255)];
+  if (t >= last.pos) return [...last.rgb, Math.round(last.alpha * 255)];
+
+  let i = 1;
+  while (i < stops.length - 1 && stops[i].pos < t) i++;
+  const a = stops[i - 1];
+  const b = stops[i];
+  const span = b.pos - a.pos;
+  const f = span > 0 ? (t - a.pos) / span : 0;
+
+  return [
+    Math.round(a.rgb[0] + (b.rgb[0] - a.rgb[0]) * f),
+    Math.round(a.rgb[1] + (b.rgb[1] - a.rgb[1]) * f),
+    Math.round(a.rgb[2] + (b.rgb[2] - a.rgb[2]) * f),
+    Math.round((a.alpha + (b.alpha - a.alpha) * f) * 255),
+  ];
+}
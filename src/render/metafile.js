@@ -0,0 +1,40 @@
+/**
+ * Metafile conversion — turns EMF and WMF pictures into SVG, which
+ * PptxGenJS and browsers can display. The formats' records are played by
+ * emf.js and wmf.js onto a shared GDI surface (gdi.js).
+ */
+
+import { isEmf, emfToSvg } from './emf.js';
+import { isWmf, wmfToSvg } from './wmf.js';
+
+/**
+ * Whether a media path names a metafile, judging by its extension.
+ *
+ * @param {string} path
+ * @returns {boolean}
+ */
+export function isMetafilePath(path) {
+  return /\.(emf|wmf)$/i.test(path || '');
+}
+
+/**
+ * Convert an EMF or WMF file to SVG.
+ *
+ * @param {Buffer} buffer - Metafile contents
+ * @returns {{ format: 'EMF'|'WMF', svg: Buffer, width: number, height: number }}
+ *   SVG file contents and its natural size in pixels at 96 DPI
+ * @throws {Error} When the file isn't a metafile, is damaged, or holds
+ *   nothing the converter can draw; the message gives the reason
+ */
+export function metafileToSvg(buffer) {
+  const format = isEmf(buffer) ? 'EMF' : isWmf(buffer) ? 'WMF' : null;
+  if (!format) throw new Error('unrecognised metafile header');
+  try {
+    const { svg, width, height } = format === 'EMF' ? emfToSvg(buffer) : wmfToSvg(buffer);
+    return { format, svg: Buffer.from(svg, 'utf-8'), width, height };
+  } catch (err) {
+    // Reads past the end of a record
+    if (err instanceof RangeError) throw new Error('damaged record data');
+    throw err;
+  }
+}
@@ -0,0 +1,321 @@
+/**
+ * Path rasterizer — renders custom geometry (a:custGeom) to PNG when it
+ * can't be expressed as PptxGenJS custGeom points: paths that mix filled
+ * and stroke-only parts, or freeforms with gradient and pattern fills.
+ *
+ * Paths are flattened to polylines, filled with the even-odd rule (four
+ * sub-scanlines per pixel, exact horizontal coverage) and stroked with
+ * round joins and caps.
+ */
+
+import { hexToRgb } from '../parser/colors.js';
+import { renderFillPixels } from './fill.js';
+import { encodePng, rasterSize, mediaFilename } from './png.js';
+
+// Sub-scanlines per pixel row when filling
+const SUBSAMPLES = 4;
+
+// Default outline width in points (a:ln without @w)
+const DEFAULT_LINE_WIDTH = 0.75;
+
+/**
+ * Flatten normalised path commands into pixel-space polylines.
+ *
+ * @param {Array<object>} commands - Commands from extractCustomGeometry()
+ * @param {number} width - Box width in pixels
+ * @param {number} height - Box height in pixels
+ * @returns {Array<{ points: number[][], closed: boolean }>}
+ */
+export function flattenPath(commands, width, height) {
+  const subpaths = [];
+  let current = null;
+  let last = [0, 0];
+
+  const begin = (pt) => {
+    current = { points: [pt], closed: false };
+    subpaths.push(current);
+  };
+  const lineTo = (pt) => {
+    if (!current) begin(last);
+    current.points.push(pt);
+  };
+  const px = (x, y) => [x * width, y * height];
+
+  for (const cmd of commands) {
+    if (cmd.type === 'moveTo') {
+      begin(px(cmd.x, cmd.y));
+    } else if (cmd.type === 'lnTo') {
+      lineTo(px(cmd.x, cmd.y));
+    } else if (cmd.type === 'cubicBezTo' || cmd.type === 'quadBezTo') {
+      const p0 = last;
+      const p1 = px(cmd.x1, cmd.y1);
+      const p2 = cmd.type === 'cubicBezTo' ? px(cmd.x2, cmd.y2) : null;
+      const p3 = px(cmd.x, cmd.y);
+      const steps = segmentCount(Math.hypot(p1[0] - p0[0], p1[1] - p0[1]) + Math.hypot(p3[0] - p1[0], p3[1] - p1[1]));
+      for (let i = 1; i <= steps; i++) {
+        lineTo(p2 ? cubicPoint(p0, p1, p2, p3, i / steps) : quadPoint(p0, p1, p3, i / steps));
+      }
+    } else if (cmd.type === 'arcTo') {
+      const rx = cmd.wR * width;
+      const ry = cmd.hR * height;
+      const cx = last[0] - rx * Math.cos(cmd.start);
+      const cy = last[1] - ry * Math.sin(cmd.start);
+      const steps = segmentCount(Math.abs(cmd.sweep) * Math.max(rx, ry));
+      for (let i = 1; i <= steps; i++) {
+        const t = cmd.start + (cmd.sweep * i) / steps;
+        lineTo([cx + rx * Math.cos(t), cy + ry * Math.sin(t)]);
+      }
+    } else if (cmd.type === 'close' && current) {
+      current.closed = true;
+      last = current.points[0];
+      current = null;
+      continue;
+    }
+    if (current) last = current.points[current.points.length - 1];
+  }
+
+  return subpaths;
+}
+
+/**
+ * Compute even-odd fill coverage (0–1 per pixel) of polylines. Open
+ * subpaths are closed implicitly.
+ *
+ * @param {Array<{ points: number[][] }>} subpaths - From flattenPath()
+ * @param {number} width
+ * @param {number} height
+ * @returns {Float32Array}
+ */
+export function fillCoverage(subpaths, width, height) {
+  const coverage = new Float32Array(width * height);
+  const edges = [];
+  for (const { points } of subpaths) {
+    for (let i = 0; i < points.length; i++) {
+      const [x0, y0] = points[i];
+      const [x1, y1] = points[(i + 1) % points.length];
+      if (y0 !== y1) edges.push({ x0, y0, x1, y1, top: Math.min(y0, y1), bottom: Math.max(y0, y1) });
+    }
+  }
+  edges.sort((a, b) => a.top - b.top);
+
+  const weight = 1 / SUBSAMPLES;
+  let next = 0;
+  let active = [];
+  for (let row = 0; row < height; row++) {
+    for (let s = 0; s < SUBSAMPLES; s++) {
+      const sy = row + (s + 0.5) / SUBSAMPLES;
+      while (next < edges.length && edges[next].top <= sy) active.push(edges[next++]);
+      active = active.filter((e) => e.bottom > sy);
+
+      const xs = [];
+      for (const e of active) {
+        if (e.top <= sy) xs.push(e.x0 + ((sy - e.y0) / (e.y1 - e.y0)) * (e.x1 - e.x0));
+      }
+      xs.sort((a, b) => a - b);
+      for (let i = 0; i + 1 < xs.length; i += 2) {
+        addSpan(coverage, row * width, width, xs[i], xs[i + 1], weight);
+      }
+    }
+  }
+  return coverage;
+}
+
+/**
+ * Compute stroke coverage (0–1 per pixel) of polylines with round joins
+ * and caps.
+ *
+ * @param {Array<{ points: number[][], closed: boolean }>} subpaths - From flattenPath()
+ * @param {number} width
+ * @param {number} height
+ * @param {number} lineWidth - Stroke width in pixels
+ * @param {number} [offset=0] - Pixels added before each axis (padding around the box)
+ * @returns {Float32Array}
+ */
+export function strokeCoverage(subpaths, width, height, lineWidth, offset = 0) {
+  const coverage = new Float32Array(width * height);
+  const half = Math.max(lineWidth, 1) / 2;
+
+  for (const { points, closed } of subpaths) {
+    const count = points.length === 1 ? 1 : closed ? points.length : points.length - 1;
+    for (let i = 0; i < count; i++) {
+      const [ax, ay] = points[i].map((v) => v + offset);
+      const [bx, by] = points[(i + 1) % points.length].map((v) => v + offset);
+      const minX = Math.max(0, Math.floor(Math.min(ax, bx) - half - 1));
+      const maxX = Math.min(width - 1, Math.ceil(Math.max(ax, bx) + half + 1));
+      const minY = Math.max(0, Math.floor(Math.min(ay, by) - half - 1));
+      const maxY = Math.min(height - 1, Math.ceil(Math.max(ay, by) + half + 1));
+      for (let y = minY; y <= maxY; y++) {
+        for (let x = minX; x <= maxX; x++) {
+          const d = segmentDistance(x + 0.5, y + 0.5, ax, ay, bx, by);
+          const c = Math.min(1, half + 0.5 - d);
+          const idx = y * width + x;
+          if (c > coverage[idx]) coverage[idx] = c;
+        }
+      }
+    }
+  }
+  return coverage;
+}
+
+/**
+ * Render custom geometry paths to a PNG covering the shape's box, padded
+ * on every side by half the outline width so strokes aren't clipped.
+ *
+ * @param {Array<{ fill: boolean, stroke: boolean, commands: Array<object> }>} paths - From extractCustomGeometry()
+ * @param {{ fill?: { type: string, element: object }|null, line?: { color?: string, width?: number }|null }} paint -
+ *   Shape fill and resolved outline (from resolveLine())
+ * @param {{ resolve: Function }} colorResolver - Color resolver
+ * @param {number} w - Box width in inches
+ * @param {number} h - Box height in inches
+ * @returns {{ filename: string, buffer: Buffer, padding: number }|null} padding in inches;
+ *   null when the box has no size or nothing is visible
+ */
+export function rasterizePath(paths, paint, colorResolver, w, h) {
+  const pixels = renderPathPixels(paths, paint, colorResolver, w, h);
+  if (!pixels) return null;
+
+  const buffer = encodePng(pixels.width, pixels.height, pixels.rgba);
+  return { filename: mediaFilename('shape', buffer), buffer, padding: pixels.padding / pixels.pixelsPerInch };
+}
+
+/**
+ * Render custom geometry paths to raw RGBA pixels, padded like
+ * rasterizePath(), for renderers that post-process the shape.
+ *
+ * @param {Array<{ fill: boolean, stroke: boolean, commands: Array<object> }>} paths - From extractCustomGeometry()
+ * @param {{ fill?: { type: string, element: object }|null, line?: { color?: string, width?: number }|null }} paint
+ * @param {{ resolve: Function }} colorResolver - Color resolver
+ * @param {number} w - Box width in inches
+ * @param {number} h - Box height in inches
+ * @returns {{ rgba: Uint8Array, width: number, height: number, padding: number, pixelsPerInch: number }|null}
+ *   padding in pixels on every side; null when the box has no size or nothing is visible
+ */
+export function renderPathPixels(paths, paint, colorResolver, w, h) {
+  if (!(w > 0) || !(h > 0)) return null;
+
+  const { width, height } = rasterSize(w, h);
+  const pixelsPerInch = width / w;
+  const fill = renderFillPixels(paint.fill, colorResolver, width, height);
+  const stroke = paint.line?.color
+    ? { rgb: hexToRgb(paint.line.color), width: ((paint.line.width ?? DEFAULT_LINE_WIDTH) / 72) * pixelsPerInch }
+    : null;
+  if (!fill && !stroke) return null;
+
+  const pad = stroke ? Math.ceil(stroke.width / 2) : 0;
+  const outW = width + pad * 2;
+  const outH = height + pad * 2;
+  const rgba = new Uint8Array(outW * outH * 4);
+
+  for (const path of paths) {
+    const subpaths = flattenPath(path.commands, width, height);
+
+    if (fill && path.fill) {
+      const coverage = fillCoverage(subpaths, width, height);
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          const c = Math.min(1, coverage[y * width + x]);
+          if (c <= 0) continue;
+          const src = (y * width + x) * 4;
+          blend(rgba, ((y + pad) * outW + x + pad) * 4, fill, src, c);
+        }
+      }
+    }
+
+    if (stroke && path.stroke) {
+      const coverage = strokeCoverage(subpaths, outW, outH, stroke.width, pad);
+      const pixel = [...stroke.rgb, 255];
+      for (let i = 0; i < coverage.length; i++) {
+        if (coverage[i] > 0) blend(rgba, i * 4, pixel, 0, coverage[i]);
+      }
+    }
+  }
+
+  return { rgba, width: outW, height: outH, padding: pad, pixelsPerInch };
+}
+
+// --- Internal helpers ---
+
+/**
+ * Number of line segments for a curve of the given approximate length.
+ * @param {number} length - Pixels
+ * @returns {number}
+ */
+function segmentCount(length) {
+  return Math.max(8, Math.min(128, Math.ceil(length / 3)));
+}
+
+/**
+ * Point on a cubic Bézier curve.
+ * @returns {number[]}
+ */
+function cubicPoint(p0, p1, p2, p3, t) {
+  const u = 1 - t;
+  return [0, 1].map((k) => u * u * u * p0[k] + 3 * u * u * t * p1[k] + 3 * u * t * t * p2[k] + t * t * t * p3[k]);
+}
+
+/**
+ * Point on a quadratic Bézier curve.
+ * @returns {number[]}
+ */
+function quadPoint(p0, p1, p2, t) {
+  const u = 1 - t;
+  return [0, 1].map((k) => u * u * p0[k] + 2 * u * t * p1[k] + t * t * p2[k]);
+}
+
+/**
+ * Add weighted coverage for the span [a, b) of one pixel row, with exact
+ * partial coverage of the end pixels.
+ * @param {Float32Array} coverage
+ * @param {number} rowStart - Index of the row's first pixel
+ * @param {number} width
+ * @param {number} a
+ * @param {number} b
+ * @param {number} weight
+ */
+function addSpan(coverage, rowStart, width, a, b, weight) {
+  a = Math.max(0, a);
+  b = Math.min(width, b);
+  if (b <= a) return;
+
+  const first = Math.floor(a);
+  const last = Math.floor(b);
+  if (first === last) {
+    coverage[rowStart + first] += (b - a) * weight;
+    return;
+  }
+  coverage[rowStart + first] += (first + 1 - a) * weight;
+  for (let x = first + 1; x < last; x++) coverage[rowStart + x] += weight;
+  if (last < width) coverage[rowStart + last] += (b - last) * weight;
+}
+
+/**
+ * Distance from a point to a line segment.
+ * @returns {number}
+ */
+function segmentDistance(px, py, ax, ay, bx, by) {
+  const dx = bx - ax;
+  const dy = by - ay;
+  const lengthSq = dx * dx + dy * dy;
+  const t = lengthSq > 0 ? Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / lengthSq)) : 0;
+  return Math.hypot(px - (ax + t * dx), py - (ay + t * dy));
+}
+
+/**
+ * Composite a source pixel over a destination pixel (source-over), scaling
+ * the source alpha by a coverage factor.
+ * @param {Uint8Array} dst
+ * @param {number} di - Destination byte index
+ * @param {ArrayLike<number>} src
+ * @param {number} si - Source byte index
+ * @param {number} coverage - 0–1
+ */
+function blend(dst, di, src, si, coverage) {
+  const sa = (src[si + 3] / 255) * coverage;
+  if (sa <= 0) return;
+  const da = dst[di + 3] / 255;
+  const oa = sa + da * (1 - sa);
+  for (let k = 0; k < 3; k++) {
+    dst[di + k] = Math.round((src[si + k] * sa + dst[di + k] * da * (1 - sa)) / oa);
+  }
+  dst[di + 3] = Math.round(oa * 255);
+}
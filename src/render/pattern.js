@@ -0,0 +1,175 @@
+/**
+ * Pattern rasterizer — renders OOXML preset pattern fills (a:pattFill) to PNG.
+ *
+ * Each preset is an 8×8 bitmap tiled across the box, drawn with the
+ * foreground color where a bit is set and the background color elsewhere.
+ * One bitmap pixel maps to one image pixel, like PowerPoint at 100% zoom.
+ */
+
+import { hexToRgb } from '../parser/colors.js';
+import { encodePng, rasterSize, mediaFilename, maskCorners } from './png.js';
+
+// 8×8 preset bitmaps, one byte per row; the high bit is the leftmost pixel
+const PATTERNS = {
+  // Percentage tints (dark presets are the inverse of the light ones)
+  pct5: [0x80, 0x00, 0x00, 0x00, 0x08, 0x00, 0x00, 0x00],
+  pct10: [0x80, 0x00, 0x08, 0x00, 0x80, 0x00, 0x08, 0x00],
+  pct20: [0x88, 0x00, 0x22, 0x00, 0x88, 0x00, 0x22, 0x00],
+  pct25: [0x88, 0x22, 0x88, 0x22, 0x88, 0x22, 0x88, 0x22],
+  pct30: [0xaa, 0x44, 0xaa, 0x11, 0xaa, 0x44, 0xaa, 0x11],
+  pct40: [0xaa, 0x44, 0xaa, 0x55, 0xaa, 0x44, 0xaa, 0x55],
+  pct50: [0xaa, 0x55, 0xaa, 0x55, 0xaa, 0x55, 0xaa, 0x55],
+  pct60: invert([0xaa, 0x44, 0xaa, 0x55, 0xaa, 0x44, 0xaa, 0x55]),
+  pct70: invert([0xaa, 0x44, 0xaa, 0x11, 0xaa, 0x44, 0xaa, 0x11]),
+  pct75: invert([0x88, 0x22, 0x88, 0x22, 0x88, 0x22, 0x88, 0x22]),
+  pct80: invert([0x88, 0x00, 0x22, 0x00, 0x88, 0x00, 0x22, 0x00]),
+  pct90: invert([0x80, 0x00, 0x08, 0x00, 0x80, 0x00, 0x08, 0x00]),
+
+  // Horizontal and vertical lines
+  horz: [0xff, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00],
+  ltHorz: [0xff, 0x00, 0x00, 0x00, 0xff, 0x00, 0x00, 0x00],
+  narHorz: [0xff, 0x00, 0xff, 0x00, 0xff, 0x00, 0xff, 0x00],
+  dkHorz: [0xff, 0xff, 0x00, 0x00, 0xff, 0xff, 0x00, 0x00],
+  dashHorz: [0xf0, 0x00, 0x00, 0x00, 0x0f, 0x00, 0x00, 0x00],
+  vert: [0x80, 0x80, 0x80, 0x80, 0x80, 0x80, 0x80, 0x80],
+  ltVert: [0x88, 0x88, 0x88, 0x88, 0x88, 0x88, 0x88, 0x88],
+  narVert: [0xaa, 0xaa, 0xaa, 0xaa, 0xaa, 0xaa, 0xaa, 0xaa],
+  dkVert: [0xcc, 0xcc, 0xcc, 0xcc, 0xcc, 0xcc, 0xcc, 0xcc],
+  dashVert: [0x80, 0x80, 0x80, 0x80, 0x08, 0x08, 0x08, 0x08],
+
+  // Diagonals ("down" runs from top-left to bottom-right)
+  dnDiag: [0x88, 0x44, 0x22, 0x11, 0x88, 0x44, 0x22, 0x11],
+  upDiag: [0x11, 0x22, 0x44, 0x88, 0x11, 0x22, 0x44, 0x88],
+  ltDnDiag: [0x80, 0x40, 0x20, 0x10, 0x08, 0x04, 0x02, 0x01],
+  ltUpDiag: [0x01, 0x02, 0x04, 0x08, 0x10, 0x20, 0x40, 0x80],
+  dkDnDiag: [0xcc, 0x66, 0x33, 0x99, 0xcc, 0x66, 0x33, 0x99],
+  dkUpDiag: [0x33, 0x66, 0xcc, 0x99, 0x33, 0x66, 0xcc, 0x99],
+  wdDnDiag: [0xc1, 0xe0, 0x70, 0x38, 0x1c, 0x0e, 0x07, 0x83],
+  wdUpDiag: [0x83, 0x07, 0x0e, 0x1c, 0x38, 0x70, 0xe0, 0xc1],
+  dashDnDiag: [0x88, 0x44, 0x22, 0x11, 0x00, 0x00, 0x00, 0x00],
+  dashUpDiag: [0x11, 0x22, 0x44, 0x88, 0x00, 0x00, 0x00, 0x00],
+
+  // Grids, crosses and checks
+  cross: [0xff, 0x80, 0x80, 0x80, 0x80, 0x80, 0x80, 0x80],
+  diagCross: [0x81, 0x42, 0x24, 0x18, 0x18, 0x24, 0x42, 0x81],
+  smGrid: [0xff, 0x88, 0x88, 0x88, 0xff, 0x88, 0x88, 0x88],
+  lgGrid: [0xff, 0x80, 0x80, 0x80, 0x80, 0x80, 0x80, 0x80],
+  dotGrid: [0xaa, 0x00, 0x80, 0x00, 0x80, 0x00, 0x80, 0x00],
+  smCheck: [0xcc, 0xcc, 0x33, 0x33, 0xcc, 0xcc, 0x33, 0x33],
+  lgCheck: [0xf0, 0xf0, 0xf0, 0xf0, 0x0f, 0x0f, 0x0f, 0x0f],
+  trellis: [0xff, 0x66, 0xff, 0x99, 0xff, 0x66, 0xff, 0x99],
+
+  // Confetti, bricks, diamonds and textures
+  smConfetti: [0x80, 0x10, 0x02, 0x40, 0x04, 0x20, 0x01, 0x08],
+  lgConfetti: [0xb1, 0x30, 0x03, 0x1b, 0xd8, 0xc0, 0x0c, 0x8d],
+  horzBrick: [0xff, 0x80, 0x80, 0x80, 0xff, 0x08, 0x08, 0x08],
+  diagBrick: [0x01, 0x02, 0x04, 0x08, 0x18, 0x24, 0x42, 0x81],
+  solidDmnd: [0x10, 0x38, 0x7c, 0xfe, 0x7c, 0x38, 0x10, 0x00],
+  openDmnd: [0x80, 0x41, 0x22, 0x14, 0x08, 0x14, 0x22, 0x41],
+  dotDmnd: [0x80, 0x00, 0x22, 0x00, 0x08, 0x00, 0x22, 0x00],
+  plaid: [0xaa, 0x55, 0xaa, 0x55, 0xf0, 0xf0, 0xf0, 0xf0],
+  sphere: [0x77, 0x89, 0x8f, 0x8f, 0x77, 0x98, 0xf8, 0xf8],
+  weave: [0x88, 0x54, 0x22, 0x45, 0x88, 0x14, 0x22, 0x51],
+  divot: [0x00, 0x08, 0x04, 0x08, 0x00, 0x80, 0x01, 0x80],
+  shingle: [0x03, 0x84, 0x48, 0x30, 0x0c, 0x02, 0x01, 0x01],
+  wave: [0x00, 0x18, 0xa4, 0x03, 0x00, 0x18, 0xa4, 0x03],
+  zigZag: [0x81, 0x42, 0x24, 0x18, 0x81, 0x42, 0x24, 0x18],
+};
+
+// OOXML defaults when a:fgClr / a:bgClr are omitted
+const DEFAULT_FG = { color: '000000' };
+const DEFAULT_BG = { color: 'FFFFFF' };
+
+/**
+ * Names of all supported preset patterns.
+ * @returns {string[]}
+ */
+export function patternNames() {
+  return Object.keys(PATTERNS);
+}
+
+/**
+ * Render a preset pattern to raw RGBA pixels.
+ *
+ * @param {string} prst - Preset name (a:pattFill @prst)
+ * @param {{ color: string, transparency?: number }} fg - Foreground color
+ * @param {{ color: string, transparency?: number }} bg - Background color
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @returns {Uint8Array|null} RGBA pixels, or null for an unknown preset
+ */
+export function renderPattern(prst, fg, bg, width, height) {
+  const bitmap = PATTERNS[prst];
+  if (!bitmap) return null;
+
+  const fgPixel = toPixel(fg);
+  const bgPixel = toPixel(bg);
+  const rgba = new Uint8Array(width * height * 4);
+
+  for (let y = 0; y < height; y++) {
+    const row = bitmap[y % 8];
+    for (let x = 0; x < width; x++) {
+      const px = row & (0x80 >> (x % 8)) ? fgPixel : bgPixel;
+      rgba.set(px, (y * width + x) * 4);
+    }
+  }
+
+  return rgba;
+}
+
+/**
+ * Render an a:pattFill element to raw RGBA pixels.
+ *
+ * @param {object} pattFill - Raw a:pattFill element
+ * @param {{ resolve: Function }} colorResolver - Color resolver
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @returns {Uint8Array|null} RGBA pixels, or null for an unknown preset
+ */
+export function renderPatternFill(pattFill, colorResolver, width, height) {
+  const prst = pattFill?.['@_prst'] || 'pct5';
+  const fg = (pattFill?.['a:fgClr'] && colorResolver?.resolve(pattFill['a:fgClr'])) || DEFAULT_FG;
+  const bg = (pattFill?.['a:bgClr'] && colorResolver?.resolve(pattFill['a:bgClr'])) || DEFAULT_BG;
+  return renderPattern(prst, fg, bg, width, height);
+}
+
+/**
+ * Render an a:pattFill element to a PNG covering a box of the given size.
+ *
+ * @param {object} pattFill - Raw a:pattFill element
+ * @param {{ resolve: Function }} colorResolver - Color resolver
+ * @param {number} w - Box width in inches
+ * @param {number} h - Box height in inches
+ * @param {{ radius?: number }} [options] - Corner radius in inches (for roundRect)
+ * @returns {{ filename: string, buffer: Buffer }|null} null for unknown presets
+ */
+export function rasterizePattern(pattFill, colorResolver, w, h, options = {}) {
+  const { width, height } = rasterSize(w, h);
+  const rgba = renderPatternFill(pattFill, colorResolver, width, height);
+  if (!rgba) return null;
+
+  if (options.radius) maskCorners(rgba, width, height, (options.radius / w) * width);
+  const buffer = encodePng(width, height, rgba);
+  return { filename: mediaFilename('pattern', buffer), buffer };
+}
+
+// --- Internal helpers ---
+
+/**
+ * Invert an 8×8 bitmap (swap foreground and background bits).
+ * @param {number[]} rows
+ * @returns {number[]}
+ */
+function invert(rows) {
+  return rows.map((row) => ~row & 0xff);
+}
+
+/**
+ * Convert a resolved color to an RGBA tuple.
+ * @param {{ color: string, transparency?: number }} resolved
+ * @returns {number[]}
+ */
+function toPixel(resolved) {
+  const alpha = resolved.transparency != null ? 1 - resolved.transparency / 100 : 1;
+  return [...hexToRgb(resolved.color), Math.round(alpha * 255)];
+}
@@ -0,0 +1,149 @@
+/**
+ * Minimal PNG encoder — writes 8-bit RGBA images with Node's zlib, so
+ * rendered fills need no native image dependencies.
+ */
+
+import { deflateSync } from 'zlib';
+import { createHash } from 'crypto';
+
+// Raster resolution for rendered fills (pixels per inch)
+const PIXELS_PER_INCH = 96;
+
+// Longest edge of a rendered image, in pixels
+const MAX_EDGE = 2000;
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+let crcTable = null;
+
+/**
+ * Encode raw RGBA pixels as a PNG file.
+ *
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {Uint8Array} rgba - Pixel data, 4 bytes per pixel, row-major
+ * @returns {Buffer} PNG file contents
+ */
+export function encodePng(width, height, rgba) {
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = 8; // bit depth
+  ihdr[9] = 6; // colour type: RGBA
+  ihdr[10] = 0; // compression
+  ihdr[11] = 0; // filter
+  ihdr[12] = 0; // interlace
+
+  // Each scanline is prefixed with filter type 0 (None)
+  const stride = width * 4;
+  const raw = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    raw[y * (stride + 1)] = 0;
+    Buffer.from(rgba.buffer, rgba.byteOffset + y * stride, stride).copy(raw, y * (stride + 1) + 1);
+  }
+
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    chunk('IHDR', ihdr),
+    chunk('IDAT', deflateSync(raw)),
+    chunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+/**
+ * Pixel dimensions for rendering a fill of the given size in inches.
+ * Keeps the aspect ratio and caps the longest edge at MAX_EDGE.
+ *
+ * @param {number} w - Width in inches
+ * @param {number} h - Height in inches
+ * @returns {{ width: number, height: number }}
+ */
+export function rasterSize(w, h) {
+  let width = Math.max(1, Math.round((w || 0) * PIXELS_PER_INCH));
+  let height = Math.max(1, Math.round((h || 0) * PIXELS_PER_INCH));
+  const scale = Math.min(1, MAX_EDGE / Math.max(width, height));
+  width = Math.max(1, Math.round(width * scale));
+  height = Math.max(1, Math.round(height * scale));
+  return { width, height };
+}
+
+/**
+ * Build a stable media filename for rendered content, so identical fills
+ * share one file across layouts.
+ *
+ * @param {string} prefix - Filename prefix (e.g. 'gradient')
+ * @param {Buffer} png - Encoded PNG
+ * @returns {string} e.g. 'gradient-1a2b3c4d.png'
+ */
+export function mediaFilename(prefix, png) {
+  const hash = createHash('sha1').update(png).digest('hex').slice(0, 8);
+  return `${prefix}-${hash}.png`;
+}
+
+/**
+ * Clip RGBA pixels to a rounded rectangle (roundRect shapes), scaling the
+ * alpha of corner pixels with one pixel of antialiasing.
+ *
+ * @param {Uint8Array} rgba - Pixels (mutated in place)
+ * @param {number} width
+ * @param {number} height
+ * @param {number} radius - Corner radius in pixels
+ */
+export function maskCorners(rgba, width, height, radius) {
+  if (!(radius > 0)) return;
+
+  for (let y = 0; y < height; y++) {
+    const py = y + 0.5;
+    const cy = py < radius ? radius : py > height - radius ? height - radius : py;
+    if (cy === py) continue;
+    for (let x = 0; x < width; x++) {
+      const px = x + 0.5;
+      const cx = px < radius ? radius : px > width - radius ? width - radius : px;
+      if (cx === px) continue;
+      const coverage = Math.max(0, Math.min(1, radius - Math.hypot(px - cx, py - cy) + 0.5));
+      const i = (y * width + x) * 4 + 3;
+      rgba[i] = Math.round(rgba[i] * coverage);
+    }
+  }
+}
+
+// --- Internal helpers ---
+
+/**
+ * Build a PNG chunk (length, type, data, CRC).
+ * @param {string} type - Four-letter chunk type
+ * @param {Buffer} data
+ * @returns {Buffer}
+ */
+function chunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length, 0);
+  const typeAndData = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(typeAndData), 0);
+  return Buffer.concat([length, typeAndData, crc]);
+}
+
+/**
+ * CRC-32 as used by PNG (ISO 3309).
+ * @param {Buffer} buf
+ * @returns {number}
+ */
+function crc32(buf) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (let i = 0; i < buf.length; i++) {
+    crc = crcTable[(crc ^ buf[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
@@ -0,0 +1,396 @@
+/**
+ * WMF player — decodes Windows Metafile records (MS-WMF) and draws them on
+ * a GDI surface (see gdi.js).
+ *
+ * The picture's frame is the placeable header's bounding box, or the first
+ * window origin and extent when the file has no placeable header; later
+ * window changes are mapped onto that frame, as Windows does when it plays
+ * a metafile into a picture box. Viewport and mapping-mode records are
+ * ignored for the same reason.
+ */
+
+import { createGdiCanvas, decodeDib, colorRef, BS_SOLID, BS_NULL, BS_HATCHED } from './gdi.js';
+
+// Record functions (META_*)
+const META = {
+  EOF: 0x0000,
+  SAVEDC: 0x001e,
+  SETBKMODE: 0x0102,
+  SETPOLYFILLMODE: 0x0106,
+  RESTOREDC: 0x0127,
+  SELECTOBJECT: 0x012d,
+  SETTEXTALIGN: 0x012e,
+  DIBCREATEPATTERNBRUSH: 0x0142,
+  DELETEOBJECT: 0x01f0,
+  CREATEPATTERNBRUSH: 0x01f9,
+  SETBKCOLOR: 0x0201,
+  SETTEXTCOLOR: 0x0209,
+  SETWINDOWORG: 0x020b,
+  SETWINDOWEXT: 0x020c,
+  OFFSETWINDOWORG: 0x020f,
+  LINETO: 0x0213,
+  MOVETO: 0x0214,
+  CREATEPENINDIRECT: 0x02fa,
+  CREATEFONTINDIRECT: 0x02fb,
+  CREATEBRUSHINDIRECT: 0x02fc,
+  POLYGON: 0x0324,
+  POLYLINE: 0x0325,
+  SCALEWINDOWEXT: 0x0410,
+  INTERSECTCLIPRECT: 0x0416,
+  ELLIPSE: 0x0418,
+  RECTANGLE: 0x041b,
+  TEXTOUT: 0x0521,
+  POLYPOLYGON: 0x0538,
+  ROUNDRECT: 0x061c,
+  PATBLT: 0x061d,
+  CREATEREGION: 0x06ff,
+  ARC: 0x0817,
+  PIE: 0x081a,
+  CHORD: 0x0830,
+  DIBBITBLT: 0x0940,
+  EXTTEXTOUT: 0x0a32,
+  DIBSTRETCHBLT: 0x0b41,
+  STRETCHDIB: 0x0f43,
+  CREATEPALETTE: 0x00f7,
+};
+
+// Records that add an object to the table
+const CREATE_RECORDS = [
+  META.CREATEPENINDIRECT, META.CREATEBRUSHINDIRECT, META.CREATEFONTINDIRECT,
+  META.DIBCREATEPATTERNBRUSH, META.CREATEPATTERNBRUSH, META.CREATEPALETTE, META.CREATEREGION,
+];
+
+const PLACEABLE_KEY = 0x9ac6cdd7;
+const PLACEABLE_SIZE = 22;
+const MM_ANISOTROPIC = 8;
+
+// Raster operations that paint without a source bitmap
+const PATCOPY = 0x00f00021;
+const BLACKNESS = 0x00000042;
+const WHITENESS = 0x00ff0062;
+
+// ExtTextOut options that add a clipping/opaquing rectangle
+const ETO_OPAQUE = 2;
+const ETO_CLIPPED = 4;
+
+/**
+ * Whether a buffer holds a WMF file (placeable or not).
+ *
+ * @param {Buffer} buffer
+ * @returns {boolean}
+ */
+export function isWmf(buffer) {
+  if (buffer.length >= PLACEABLE_SIZE + 18 && buffer.readUInt32LE(0) === PLACEABLE_KEY) return true;
+  return buffer.length >= 18 && [1, 2].includes(buffer.readUInt16LE(0)) && buffer.readUInt16LE(2) === 9
+    && [0x100, 0x300].includes(buffer.readUInt16LE(4));
+}
+
+/**
+ * Play a WMF file into SVG.
+ *
+ * @param {Buffer} buffer - WMF file contents
+ * @returns {{ svg: string, width: number, height: number }} SVG markup and
+ *   its size in pixels (96 DPI; 1 logical unit per pixel without a
+ *   placeable header)
+ * @throws {Error} When the header is invalid or nothing could be drawn
+ */
+export function wmfToSvg(buffer) {
+  if (!isWmf(buffer)) throw new Error('not a WMF file');
+
+  const placeable = buffer.readUInt32LE(0) === PLACEABLE_KEY;
+  const start = (placeable ? PLACEABLE_SIZE : 0) + buffer.readUInt16LE(placeable ? PLACEABLE_SIZE + 2 : 2) * 2;
+  const records = readRecords(buffer, start);
+
+  let frame;
+  let width;
+  let height;
+  if (placeable) {
+    const [l, t, r, b] = [6, 8, 10, 12].map((at) => buffer.readInt16LE(at));
+    const inch = buffer.readUInt16LE(14) || 1440;
+    frame = [Math.min(l, r), Math.min(t, b), Math.abs(r - l), Math.abs(b - t)];
+    width = (frame[2] / inch) * 96;
+    height = (frame[3] / inch) * 96;
+  } else {
+    frame = initialWindow(records);
+    width = Math.abs(frame[2]);
+    height = Math.abs(frame[3]);
+  }
+  if (!frame || !frame[2] || !frame[3]) throw new Error('empty picture frame');
+
+  // Map the current window onto the frame; a negative window extent flips
+  // the drawing within it
+  const viewBox = [
+    Math.min(frame[0], frame[0] + frame[2]),
+    Math.min(frame[1], frame[1] + frame[3]),
+    Math.abs(frame[2]),
+    Math.abs(frame[3]),
+  ];
+  const canvas = createGdiCanvas();
+  const dc = canvas.dc;
+  dc.mapMode = MM_ANISOTROPIC;
+  dc.windowOrg = [frame[0], frame[1]];
+  dc.windowExt = [frame[2], frame[3]];
+  dc.viewportOrg = [viewBox[0], viewBox[1]];
+  dc.viewportExt = [viewBox[2], viewBox[3]];
+
+  const objects = [];
+  for (const { fn, rec } of records) {
+    if (fn === META.EOF) break;
+    playRecord(rec, fn, canvas, objects);
+  }
+
+  if (canvas.drawnCount === 0) throw new Error('no supported drawing records');
+  return { svg: canvas.toSvg(viewBox, { width, height }), width, height };
+}
+
+// --- Internal helpers ---
+
+/**
+ * Split the record stream. Each record's `rec` starts at its parameters.
+ * @param {Buffer} buffer
+ * @param {number} offset - First record
+ * @returns {Array<{ fn: number, rec: Buffer }>}
+ */
+function readRecords(buffer, offset) {
+  const records = [];
+  while (offset + 6 <= buffer.length) {
+    const size = buffer.readUInt32LE(offset) * 2;
+    const fn = buffer.readUInt16LE(offset + 4);
+    if (size < 6 || offset + size > buffer.length) break;
+    records.push({ fn, rec: buffer.subarray(offset + 6, offset + size) });
+    if (fn === META.EOF) break;
+    offset += size;
+  }
+  return records;
+}
+
+/**
+ * Frame of a file without a placeable header: its first window origin and extent.
+ * @param {Array<{ fn: number, rec: Buffer }>} records
+ * @returns {number[]|null} [x, y, width, height]
+ */
+function initialWindow(records) {
+  let org = null;
+  let ext = null;
+  for (const { fn, rec } of records) {
+    if (fn === META.SETWINDOWORG && !org && rec.length >= 4) org = [rec.readInt16LE(2), rec.readInt16LE(0)];
+    if (fn === META.SETWINDOWEXT && !ext && rec.length >= 4) ext = [rec.readInt16LE(2), rec.readInt16LE(0)];
+  }
+  return ext ? [...(org || [0, 0]), ...ext] : null;
+}
+
+/**
+ * Play one record.
+ * @param {Buffer} rec - Record parameters
+ * @param {number} fn - Record function
+ * @param {object} canvas - GDI surface
+ * @param {Array<object|null>} objects - Object table
+ */
+function playRecord(rec, fn, canvas, objects) {
+  const dc = canvas.dc;
+  // Parameters are 16-bit words, with coordinates usually stored y first
+  const word = (i) => rec.readInt16LE(i * 2);
+
+  if (CREATE_RECORDS.includes(fn)) {
+    // New objects take the lowest free slot
+    let slot = objects.indexOf(null);
+    if (slot === -1) slot = objects.length;
+    objects[slot] = createObject(rec, fn);
+    return;
+  }
+
+  switch (fn) {
+    case META.POLYGON:
+    case META.POLYLINE:
+      canvas.poly(readPoints(rec, 2, rec.readUInt16LE(0)), { close: fn === META.POLYGON });
+      break;
+    case META.POLYPOLYGON: {
+      const count = rec.readUInt16LE(0);
+      let at = 2 + count * 2;
+      const polys = [];
+      for (let i = 0; i < count; i++) {
+        const points = rec.readUInt16LE(2 + i * 2);
+        polys.push(readPoints(rec, at, points));
+        at += points * 4;
+      }
+      canvas.polyPoly(polys, true);
+      break;
+    }
+    case META.RECTANGLE:
+      canvas.rectangle(word(3), word(2), word(1), word(0));
+      break;
+    case META.ELLIPSE:
+      canvas.ellipse(word(3), word(2), word(1), word(0));
+      break;
+    case META.ROUNDRECT:
+      canvas.roundRect(word(5), word(4), word(3), word(2), word(1), word(0));
+      break;
+    case META.ARC:
+    case META.PIE:
+    case META.CHORD: {
+      const kind = { [META.ARC]: 'arc', [META.PIE]: 'pie', [META.CHORD]: 'chord' }[fn];
+      canvas.arc(kind, word(7), word(6), word(5), word(4), word(3), word(2), word(1), word(0));
+      break;
+    }
+    case META.MOVETO:
+      canvas.moveTo(word(1), word(0));
+      break;
+    case META.LINETO:
+      canvas.lineTo(word(1), word(0));
+      break;
+    case META.INTERSECTCLIPRECT:
+      canvas.intersectClipRect(word(3), word(2), word(1), word(0));
+      break;
+
+    case META.SETWINDOWORG:
+      dc.windowOrg = [word(1), word(0)];
+      break;
+    case META.SETWINDOWEXT:
+      dc.windowExt = [word(1), word(0)];
+      break;
+    case META.OFFSETWINDOWORG:
+      dc.windowOrg = [dc.windowOrg[0] + word(1), dc.windowOrg[1] + word(0)];
+      break;
+    case META.SCALEWINDOWEXT:
+      // yDenom, yNum, xDenom, xNum
+      if (word(0) && word(2)) dc.windowExt = [(dc.windowExt[0] * word(3)) / word(2), (dc.windowExt[1] * word(1)) / word(0)];
+      break;
+    case META.SAVEDC:
+      canvas.save();
+      break;
+    case META.RESTOREDC:
+      canvas.restore(word(0));
+      break;
+
+    case META.SETBKMODE:
+      dc.bkMode = rec.readUInt16LE(0);
+      break;
+    case META.SETPOLYFILLMODE:
+      dc.polyFillMode = rec.readUInt16LE(0);
+      break;
+    case META.SETTEXTALIGN:
+      dc.textAlign = rec.readUInt16LE(0);
+      break;
+    case META.SETTEXTCOLOR:
+      dc.textColor = colorRef(rec.readUInt32LE(0));
+      break;
+    case META.SETBKCOLOR:
+      dc.bkColor = colorRef(rec.readUInt32LE(0));
+      break;
+
+    case META.SELECTOBJECT:
+      canvas.select(objects[rec.readUInt16LE(0)] || null);
+      break;
+    case META.DELETEOBJECT: {
+      const index = rec.readUInt16LE(0);
+      if (index < objects.length) objects[index] = null;
+      break;
+    }
+
+    case META.TEXTOUT: {
+      const length = rec.readUInt16LE(0);
+      const at = 2 + length + (length % 2);
+      const text = rec.toString('latin1', 2, 2 + length);
+      canvas.text(rec.readInt16LE(at + 2), rec.readInt16LE(at), text);
+      break;
+    }
+    case META.EXTTEXTOUT: {
+      const length = rec.readUInt16LE(4);
+      const options = rec.readUInt16LE(6);
+      const at = 8 + (options & (ETO_OPAQUE | ETO_CLIPPED) ? 8 : 0);
+      canvas.text(word(1), word(0), rec.toString('latin1', at, at + length));
+      break;
+    }
+
+    case META.PATBLT:
+      paintWithoutSource(canvas, rec.readUInt32LE(0), word(5), word(4), word(3), word(2));
+      break;
+    case META.DIBBITBLT:
+      // Without a bitmap the record carries an extra reserved word
+      if (rec.length === 18) paintWithoutSource(canvas, rec.readUInt32LE(0), word(8), word(7), word(6), word(5));
+      else canvas.image(word(7), word(6), word(5), word(4), decodeDib(rec, 16));
+      break;
+    case META.DIBSTRETCHBLT:
+      if (rec.length === 22) paintWithoutSource(canvas, rec.readUInt32LE(0), word(10), word(9), word(8), word(7));
+      else canvas.image(word(9), word(8), word(7), word(6), decodeDib(rec, 20));
+      break;
+    case META.STRETCHDIB:
+      canvas.image(word(10), word(9), word(8), word(7), decodeDib(rec, 22));
+      break;
+
+    default:
+      // Palettes, ROP2, stretch modes, escapes and viewport/map-mode records don't draw
+      break;
+  }
+}
+
+/**
+ * Build a table object from a create record.
+ * @param {Buffer} rec
+ * @param {number} fn
+ * @returns {object} Pens, brushes and fonts; other objects are placeholders
+ */
+function createObject(rec, fn) {
+  switch (fn) {
+    case META.CREATEPENINDIRECT:
+      return { kind: 'pen', style: rec.readUInt16LE(0), width: rec.readInt16LE(2), color: colorRef(rec.readUInt32LE(6)) };
+    case META.CREATEBRUSHINDIRECT: {
+      const style = rec.readUInt16LE(0);
+      return {
+        kind: 'brush',
+        style: style === BS_HATCHED || style === BS_NULL ? style : BS_SOLID,
+        color: colorRef(rec.readUInt32LE(2)),
+        hatch: rec.readUInt16LE(6),
+      };
+    }
+    case META.DIBCREATEPATTERNBRUSH:
+      return { kind: 'brush', style: 3, image: decodeDib(rec, 4) };
+    case META.CREATEFONTINDIRECT: {
+      const faceEnd = rec.indexOf(0, 18);
+      return {
+        kind: 'font',
+        height: rec.readInt16LE(0),
+        escapement: rec.readInt16LE(4),
+        weight: rec.readInt16LE(8),
+        italic: rec[10] !== 0,
+        underline: rec[11] !== 0,
+        strikeOut: rec[12] !== 0,
+        face: rec.toString('latin1', 18, faceEnd === -1 ? Math.min(rec.length, 50) : faceEnd),
+      };
+    }
+    default:
+      return { kind: 'other' };
+  }
+}
+
+/**
+ * Blits without a source bitmap: pattern copies and constant fills.
+ * @param {object} canvas
+ * @param {number} rop - Raster operation
+ */
+function paintWithoutSource(canvas, rop, x, y, w, h) {
+  if (rop === PATCOPY) {
+    canvas.fillRect(x, y, x + w, y + h);
+  } else if (rop === BLACKNESS || rop === WHITENESS) {
+    const selected = canvas.dc.brush;
+    canvas.select({ kind: 'brush', style: BS_SOLID, color: rop === BLACKNESS ? '000000' : 'FFFFFF' });
+    canvas.fillRect(x, y, x + w, y + h);
+    canvas.select(selected);
+  }
+}
+
+/**
+ * Read 16-bit x/y point pairs.
+ * @param {Buffer} rec
+ * @param {number} at
+ * @param {number} count
+ * @returns {number[][]}
+ */
+function readPoints(rec, at, count) {
+  const available = Math.min(count, Math.floor((rec.length - at) / 4));
+  const points = [];
+  for (let i = 0; i < available; i++) {
+    points.push([rec.readInt16LE(at + i * 4), rec.readInt16LE(at + i * 4 + 2)]);
+  }
+  return points;
+}
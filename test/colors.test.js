@@ -496,6 +496,27 @@ describe('createColorResolver', () => {
       expect(result).toEqual({ color: '000000' });
     });
 
+    it('resolves phClr to the color given by withPlaceholderColor', () => {
+      const resolver = createColorResolver(themeColors, clrMap, fonts).withPlaceholderColor('4472C4');
+      expect(resolver.resolve({ 'a:schemeClr': { '@_val': 'phClr' } })).toEqual({ color: '4472C4' });
+      expect(resolver.resolve({
+        'a:schemeClr': { '@_val': 'phClr', 'a:alpha': { '@_val': '50000' } },
+      })).toEqual({ color: '4472C4', transparency: 50 });
+    });
+
+    it('applies phClr modifiers on top of the placeholder color', () => {
+      const resolver = createColorResolver(themeColors, clrMap, fonts).withPlaceholderColor('000000');
+      const result = resolver.resolve({ 'a:schemeClr': { '@_val': 'phClr', 'a:tint': { '@_val': '50000' } } });
+      expect(result.color).toBe('808080');
+    });
+
+    it('keeps the theme mapping in derived resolvers', () => {
+      const base = createColorResolver(themeColors, clrMap, fonts);
+      const derived = base.withPlaceholderColor('FF0000');
+      expect(derived.resolve({ 'a:schemeClr': { '@_val': 'tx1' } })).toEqual(base.resolve({ 'a:schemeClr': { '@_val': 'tx1' } }));
+      expect(base.withPlaceholderColor(undefined).resolve({ 'a:schemeClr': { '@_val': 'phClr' } })).toEqual({ color: '000000' });
+    });
+
     it('resolves a:prstClr with named color value', () => {
       const resolver = createColorResolver(themeColors, clrMap, fonts);
       const result = resolver.resolve({
@@ -9,6 +9,7 @@ import {
 } from '../src/generator/code.js';
 import { generateReport } from '../src/generator/report.js';
 import { generatePreview } from '../src/generator/preview.js';
+import JSZip from 'jszip';
 
 // --- Shared fixtures ---
 
@@ -160,6 +161,24 @@ function makeExtractionResult() {
   };
 }
 
+/** Master with a single 1×1 table alongside a regular rect. */
+function makeTableMasterData() {
+  return [{
+    name: 'Data Table',
+    background: null,
+    slideNumber: null,
+    objects: [
+      { rect: { x: 0, y: 0, w: 10, h: 0.5, fill: { color: '003366' } } },
+      {
+        table: {
+          rows: [[{ text: 'Region', options: { bold: true, border: [{ type: 'solid', pt: 1, color: '000000' }, { type: 'none' }, { type: 'none' }, { type: 'none' }] } }]],
+          options: { x: 1, y: 1, w: 4, h: 0.5, colW: [4], rowH: [0.5] },
+        },
+      },
+    ],
+  }];
+}
+
 // --- toUpperSnakeCase ---
 
 describe('toUpperSnakeCase', () => {
@@ -238,7 +257,7 @@ describe('generateMastersCode', () => {
       themeFonts,
     });
 
-    expect(code).toContain('export { THEME_COLORS, PALETTE, HEADING_FONT, BODY_FONT, THEME, POS, CHART_COLORS, FONT }');
+    expect(code).toContain('export { THEME_COLORS, PALETTE, HEADING_FONT, BODY_FONT, FONTS, THEME, POS, CHART_COLORS, FONT, TEXT_STYLES }');
   });
 
   it('exports registerMasters function', () => {
@@ -456,6 +475,178 @@ describe('generateMastersCode', () => {
 
     expect(code).toContain('./media/bg.png');
   });
+
+  it('emits a decorate() hook per master', () => {
+    const code = generateMastersCode(makeMasterData(), {
+      templateName: 'test.potx',
+      dimensions,
+      themeColors,
+      themeFonts,
+    });
+
+    expect(code).toContain('export const MASTERS = {');
+    expect(code).toContain('  TITLE_SLIDE: {');
+    expect(code).toContain('    decorate(slide) {');
+    // No tables, so addSlide is left alone
+    expect(code).not.toContain('pptx.addSlide =');
+  });
+
+  it('moves tables out of defineSlideMaster into decorate()', () => {
+    const code = generateMastersCode(makeTableMasterData(), {
+      templateName: 'test.potx',
+      dimensions,
+      themeColors,
+      themeFonts,
+    });
+
+    const decorate = code.slice(code.indexOf('export const MASTERS'), code.indexOf('export function registerMasters'));
+    const register = code.slice(code.indexOf('export function registerMasters'));
+    expect(decorate).toContain('slide.addTable(');
+    expect(decorate).toContain('"text": "Region"');
+    expect(decorate).toContain('"colW"');
+    expect(register).not.toContain('"table"');
+    expect(register).toContain('"rect"');
+    expect(register).toContain('MASTERS[props?.masterName]?.decorate(slide);');
+  });
+
+  it('adds rich text boxes in decorate() as text-run arrays', () => {
+    const runs = [
+      { text: 'Acme', options: { bold: true, breakLine: true } },
+      { text: 'Tagline', options: { color: '808080' } },
+    ];
+    const masterData = [{
+      name: 'Footer',
+      background: null,
+      slideNumber: null,
+      objects: [{ richText: { text: runs, options: { x: 0.5, y: 7, w: 6, h: 0.4 } } }],
+    }];
+    const code = generateMastersCode(masterData, {
+      templateName: 'test.potx',
+      dimensions,
+      themeColors,
+      themeFonts,
+    });
+
+    const testable = code.replace(/^export /gm, '').replace(/^import .*/gm, '');
+    const registerMasters = new Function(`${testable}\nreturn registerMasters;`)();
+    const defined = [];
+    const texts = [];
+    const pptx = {
+      defineSlideMaster: (def) => defined.push(def),
+      addSlide: () => ({ addText: (text, opts) => texts.push({ text, opts }) }),
+    };
+    registerMasters(pptx);
+    pptx.addSlide({ masterName: 'FOOTER' });
+
+    expect(defined[0].objects).toEqual([]);
+    expect(texts).toEqual([{ text: runs, opts: { x: 0.5, y: 7, w: 6, h: 0.4 } }]);
+  });
+
+  it('exports TEXT_STYLES per master and a bullets() helper that levels nested arrays', () => {
+    const levels = [
+      { indentLevel: 0, fontSize: 28, bullet: { characterCode: '2022', indent: 18 } },
+      { indentLevel: 1, fontSize: 24, bullet: { type: 'number', style: 'alphaLcParenR', indent: 27 } },
+    ];
+    const masterData = makeMasterData().map((m) => ({ ...m, textStyles: levels }));
+    const code = generateMastersCode(masterData, {
+      templateName: 'test.potx',
+      dimensions,
+      themeColors,
+      themeFonts,
+    });
+
+    const testable = code.replace(/^export /gm, '').replace(/^import .*/gm, '');
+    const { TEXT_STYLES, bullets } = new Function(`${testable}\nreturn { TEXT_STYLES, bullets };`)();
+    expect(TEXT_STYLES).toEqual({ default: levels });
+
+    const runs = bullets(['Point', ['Sub-point', ['Deeper'], { text: 'Bold', options: { bold: true } }], 'Last']);
+    expect(runs.map((r) => [r.text, r.options.indentLevel, r.options.fontSize])).toEqual([
+      ['Point', 0, 28],
+      ['Sub-point', 1, 24],
+      ['Deeper', 2, 24],
+      ['Bold', 1, 24],
+      ['Last', 0, 28],
+    ]);
+    expect(runs[1].options.bullet).toEqual({ type: 'number', style: 'alphaLcParenR', indent: 27 });
+    expect(runs[3].options.bold).toBe(true);
+    expect(runs.slice(0, -1).every((r) => r.options.breakLine)).toBe(true);
+    expect(runs[4].options.breakLine).toBeUndefined();
+  });
+
+  it('registers shape objects as master text objects with the shape option', () => {
+    const masterData = [{
+      name: 'Badge',
+      background: null,
+      slideNumber: null,
+      objects: [
+        { rect: { x: 0, y: 0, w: 10, h: 0.5 } },
+        { shape: { type: 'ellipse', text: 'New', options: { x: 1, y: 1, w: 1, h: 1, fill: { color: 'FF0000' } } } },
+      ],
+    }];
+    const code = generateMastersCode(masterData, {
+      templateName: 'test.potx',
+      dimensions,
+      themeColors,
+      themeFonts,
+    });
+
+    expect(code).toContain('"shape": "ellipse"');
+    expect(code).not.toContain('toMasterObject');
+
+    const testable = code.replace(/^export /gm, '').replace(/^import .*/gm, '');
+    const registerMasters = new Function(`${testable}\nreturn registerMasters;`)();
+    const defined = [];
+    registerMasters({ defineSlideMaster: (def) => defined.push(def) });
+
+    expect(defined[0].objects).toEqual([
+      { rect: { x: 0, y: 0, w: 10, h: 0.5 } },
+      { text: { text: 'New', options: { x: 1, y: 1, w: 1, h: 1, fill: { color: 'FF0000' }, shape: 'ellipse' } } },
+    ]);
+  });
+
+  it('writes rectRadius unrounded', () => {
+    const masterData = [{
+      name: 'Tabs',
+      background: null,
+      slideNumber: null,
+      objects: [
+        { shape: { type: 'roundRect', options: { x: 1.23456, y: 1, w: 2, h: 1, rectRadius: 0.123456 } } },
+        { shape: { type: 'plus', options: { x: 1, y: 1, w: 1, h: 1, rectRadius: 0.000001 } } },
+      ],
+    }];
+    const code = generateMastersCode(masterData, { templateName: 'test.potx', dimensions, themeColors, themeFonts });
+    expect(code).toContain('"x": 1.2346');
+    expect(code).toContain('"rectRadius": 0.123456');
+    expect(code).toContain('"rectRadius": 0.000001');
+  });
+
+  it('decorates slides added after registerMasters()', () => {
+    const code = generateMastersCode(makeTableMasterData(), {
+      templateName: 'test.potx',
+      dimensions,
+      themeColors,
+      themeFonts,
+    });
+
+    const testable = code.replace(/^export /gm, '').replace(/^import .*/gm, '');
+    const registerMasters = new Function(`${testable}\nreturn registerMasters;`)();
+
+    const tables = [];
+    const pptx = {
+      defineSlideMaster() {},
+      addSlide() {
+        return { addTable: (rows, opts) => tables.push({ rows, opts }) };
+      },
+    };
+    registerMasters(pptx);
+    pptx.addSlide({ masterName: 'DATA_TABLE' });
+    pptx.addSlide({ masterName: 'OTHER' });
+    pptx.addSlide();
+
+    expect(tables).toHaveLength(1);
+    expect(tables[0].rows[0][0].text).toBe('Region');
+    expect(tables[0].opts).toMatchObject({ x: 1, y: 1, colW: [4] });
+  });
 });
 
 // --- generateThemeJson ---
@@ -486,6 +677,25 @@ describe('generateThemeJson', () => {
     expect(result.fonts.body).toBe('Calibri');
   });
 
+  it('includes the full font scheme', () => {
+    const scheme = {
+      heading: { latin: 'Calibri Light', ea: 'Meiryo', cs: 'Arial', scripts: { Jpan: 'Yu Gothic' } },
+      body: { latin: 'Calibri', ea: '', cs: '', scripts: {} },
+    };
+    const result = generateThemeJson(themeColors, { ...themeFonts, scheme }, dimensions);
+    expect(result.fonts.scheme).toEqual(scheme);
+
+    const code = generateMastersCode(makeMasterData(), {
+      templateName: 'test.potx',
+      dimensions,
+      themeColors,
+      themeFonts: { ...themeFonts, scheme },
+    });
+    const FONTS = new Function(`${code.slice(code.indexOf('const FONTS'), code.indexOf('};', code.indexOf('const FONTS')) + 2)}\nreturn FONTS;`)();
+    expect(FONTS.heading.ea).toBe('Meiryo');
+    expect(FONTS.heading.scripts.Jpan).toBe('Yu Gothic');
+  });
+
   it('includes dimensions', () => {
     const result = generateThemeJson(themeColors, themeFonts, dimensions);
 
@@ -637,7 +847,7 @@ describe('generateReport', () => {
     expect(report).toContain("What's Not Supported (v1)");
     expect(report).toContain('Gradient fills');
     expect(report).toContain('Pattern fills');
-    expect(report).toContain('Grouped shapes');
+    expect(report).not.toContain('Grouped shapes');
     expect(report).toContain('Animations and transitions');
     expect(report).toContain('SmartArt');
     expect(report).toContain('3D effects');
@@ -661,6 +871,38 @@ describe('generateReport', () => {
     expect(report).toContain('## Warnings');
   });
 
+  it('lists hyperlinks with the layouts they appear on', () => {
+    const result = makeExtractionResult();
+    const logo = { image: { x: 0, y: 0, w: 1, h: 1, path: './media/logo.png', hyperlink: { url: 'https://acme.example/' } } };
+    const footer = {
+      richText: {
+        text: [
+          { text: 'Acme', options: { bold: true } },
+          { text: 'Privacy | Terms', options: { hyperlink: { url: 'https://acme.example/privacy' } } },
+        ],
+        options: { x: 0, y: 7, w: 4, h: 0.3 },
+      },
+    };
+    const button = { rect: { x: 1, y: 2, w: 1, h: 0.5, hyperlink: { url: 'https://acme.example/shop' } } };
+    const badge = { shape: { type: 'ellipse', options: { x: 5, y: 7, w: 1, h: 1, hyperlink: { url: 'https://acme.example/' } } } };
+    result.layouts = [
+      { name: 'Title Slide', placeholders: [], objects: [logo, footer, button] },
+      { name: 'Blank', placeholders: [], objects: [logo, badge] },
+    ];
+    const report = generateReport(result);
+
+    expect(report).toContain('## Hyperlinks');
+    expect(report).toContain('| Image `./media/logo.png` | https://acme.example/ | Title Slide, Blank |');
+    expect(report).toContain('| Text "Privacy \\| Terms" | https://acme.example/privacy | Title Slide |');
+    expect(report).toContain('| Shape at 1, 2 | https://acme.example/shop | Title Slide |');
+    expect(report).toContain('| Shape at 5, 7 | https://acme.example/ | Blank |');
+  });
+
+  it('reports when there are no hyperlinks', () => {
+    const report = generateReport(makeExtractionResult());
+    expect(report).toContain('No hyperlinks.');
+  });
+
   it('handles layout with no placeholders', () => {
     const result = makeExtractionResult();
     result.layouts = [{
@@ -710,6 +952,77 @@ describe('generatePreview', () => {
     expect(result[1]).toBe(0x4b);
   });
 
+  it('adds master tables to the sample slide', async () => {
+    const result = await generatePreview(
+      makeTableMasterData(),
+      themeColors,
+      themeFonts,
+      dimensions,
+    );
+
+    const zip = await JSZip.loadAsync(result);
+    const slideXml = await zip.file('ppt/slides/slide1.xml').async('string');
+    expect(slideXml).toContain('<a:tbl>');
+    expect(slideXml).toContain('Region');
+  });
+
+  it('keeps hyperlinks on rich text decorations', async () => {
+    const masterData = [{
+      name: 'Footer',
+      background: null,
+      slideNumber: null,
+      objects: [{
+        richText: {
+          text: [{ text: 'Privacy', options: { hyperlink: { url: 'https://acme.example/privacy' } } }],
+          options: { x: 0, y: 7, w: 4, h: 0.3 },
+        },
+      }],
+    }];
+
+    const result = await generatePreview(masterData, themeColors, themeFonts, dimensions);
+    const zip = await JSZip.loadAsync(result);
+    const slideXml = await zip.file('ppt/slides/slide1.xml').async('string');
+    const relsXml = await zip.file('ppt/slides/_rels/slide1.xml.rels').async('string');
+    expect(slideXml).toContain('<a:hlinkClick r:id=');
+    expect(relsXml).toContain('Target="https://acme.example/privacy" TargetMode="External"');
+  });
+
+  it('adds linked preset shapes to the slide, where links keep their relationship', async () => {
+    const masterData = [{
+      name: 'Badge',
+      background: null,
+      slideNumber: null,
+      objects: [{ shape: { type: 'ellipse', options: { x: 1, y: 1, w: 1, h: 1, hyperlink: { url: 'https://acme.example/' } } } }],
+    }];
+
+    const code = generateMastersCode(masterData, { templateName: 'test.potx', dimensions, themeColors, themeFonts });
+    expect(code).toContain("slide.addShape('ellipse', {");
+
+    const result = await generatePreview(masterData, themeColors, themeFonts, dimensions);
+    const zip = await JSZip.loadAsync(result);
+    const slideXml = await zip.file('ppt/slides/slide1.xml').async('string');
+    const relsXml = await zip.file('ppt/slides/_rels/slide1.xml.rels').async('string');
+    expect(slideXml).toContain('<a:prstGeom prst="ellipse">');
+    expect(slideXml).not.toContain('rIdundefined');
+    expect(relsXml).toContain('Target="https://acme.example/" TargetMode="External"');
+  });
+
+  it('draws preset shapes on the master', async () => {
+    const masterData = [{
+      name: 'Shapes',
+      background: null,
+      slideNumber: null,
+      objects: [
+        { shape: { type: 'star5', options: { x: 1, y: 1, w: 1, h: 1, fill: { color: 'FFCC00' } } } },
+      ],
+    }];
+
+    const result = await generatePreview(masterData, themeColors, themeFonts, dimensions);
+    const zip = await JSZip.loadAsync(result);
+    const layoutXml = await zip.file('ppt/slideLayouts/slideLayout2.xml').async('string');
+    expect(layoutXml).toContain('<a:prstGeom prst="star5">');
+  });
+
   it('handles master with only static shapes (no placeholders)', async () => {
     const masterData = [{
       name: 'Blank',
@@ -736,6 +1049,15 @@ describe('generatePreview', () => {
 // --- generateAgentInstructions ---
 
 describe('generateAgentInstructions', () => {
+  it('names the masters whose placeholders shrink text on overflow', () => {
+    const masterData = makeMasterData();
+    const body = masterData[0].objects.find((o) => o.placeholder?.options?.type === 'body');
+    body.placeholder.options.fit = 'shrink';
+    const md = generateAgentInstructions(masterData, themeColors, themeFonts, dimensions, 'test.potx');
+
+    expect(md).toContain("shrink text on overflow in the template (TITLE_SLIDE) keep `fit: 'shrink'`");
+  });
+
   it('includes template name in title', () => {
     const md = generateAgentInstructions(
       makeMasterData(),
@@ -876,6 +1198,21 @@ describe('generateAgentInstructions', () => {
     expect(md).toContain('Static shapes: 1');
   });
 
+  it('lists master tables separately from static shapes', () => {
+    const md = generateAgentInstructions(
+      makeTableMasterData(),
+      themeColors,
+      themeFonts,
+      dimensions,
+      'test.potx',
+    );
+
+    expect(md).toContain('Static shapes: 1');
+    expect(md).toContain('Tables: 1');
+    expect(md).toContain('MASTERS.DATA_TABLE.decorate(slide)');
+    expect(md).toContain('| `MASTERS` |');
+  });
+
   it('handles empty master data', () => {
     const md = generateAgentInstructions(
       [],
@@ -1246,6 +1583,101 @@ describe('generateThemeJson (limited palette)', () => {
   });
 });
 
+describe('master families', () => {
+  const darkColors = { ...themeColors, dk1: 'FFFFFF', lt1: '111111', accent1: 'FF6600' };
+  const families = [
+    { key: 'light', name: 'Light', themeColors, themeFonts },
+    { key: 'dark', name: 'Dark', themeColors: darkColors, themeFonts },
+  ];
+
+  function makeFamilyMasterData() {
+    const [title, content] = makeMasterData();
+    return [
+      { ...title, title: 'LIGHT_TITLE_SLIDE', family: 'light' },
+      { ...content, title: 'LIGHT_TITLE_AND_CONTENT', family: 'light' },
+      { ...title, title: 'DARK_TITLE_SLIDE', family: 'dark', tables: [] },
+    ];
+  }
+
+  function evaluate(code, names) {
+    const body = code.replace(/^export \{.*/gm, '').replace(/^export /gm, '').replace(/^import .*/gm, '');
+    return new Function(`${body}\nreturn { ${names.join(', ')} };`)();
+  }
+
+  it('groups MASTERS by family, with the registered title per layout', () => {
+    const code = generateMastersCode(makeFamilyMasterData(), {
+      templateName: 'families.pptx', dimensions, themeColors, themeFonts, families,
+    });
+    const { MASTERS } = evaluate(code, ['MASTERS']);
+    expect(Object.keys(MASTERS)).toEqual(['light', 'dark']);
+    expect(MASTERS.light.TITLE_SLIDE.title).toBe('LIGHT_TITLE_SLIDE');
+    expect(MASTERS.dark.TITLE_SLIDE.title).toBe('DARK_TITLE_SLIDE');
+    expect(code).toContain("title: 'DARK_TITLE_SLIDE'");
+  });
+
+  it('keys TEXT_STYLES by master family, with bullets() defaulting to the first', () => {
+    const light = [{ indentLevel: 0, fontSize: 28, bullet: { characterCode: '2022', indent: 18 } }];
+    const dark = [{ indentLevel: 0, fontSize: 20, bullet: false }];
+    const masterData = makeFamilyMasterData().map((m) => ({ ...m, textStyles: m.family === 'light' ? light : dark }));
+    const code = generateMastersCode(masterData, {
+      templateName: 'families.pptx', dimensions, themeColors, themeFonts, families,
+    });
+    const { TEXT_STYLES, bullets } = evaluate(code, ['TEXT_STYLES', 'bullets']);
+    expect(TEXT_STYLES).toEqual({ light, dark });
+    expect(bullets(['Point'])[0].options.fontSize).toBe(28);
+    expect(bullets(['Point'], TEXT_STYLES.dark)[0].options.fontSize).toBe(20);
+  });
+
+  it('exports THEMES and PALETTES from each family\'s own theme', () => {
+    const code = generateMastersCode(makeFamilyMasterData(), {
+      templateName: 'families.pptx', dimensions, themeColors, themeFonts, families,
+    });
+    expect(code).toMatch(/export \{.*THEME, .*THEMES, PALETTES \}/);
+    const { THEME, THEMES, PALETTES } = evaluate(code, ['THEME', 'THEMES', 'PALETTES']);
+    expect(THEMES.light.brand).toBe('4F81BD');
+    expect(THEMES.dark.brand).toBe('FF6600');
+    expect(THEMES.dark.text).toBe('FFFFFF');
+    expect(PALETTES.dark.accent1.base).toBe('FF6600');
+    // THEME stays the presentation theme's
+    expect(THEME.brand).toBe('4F81BD');
+  });
+
+  it('leaves single-master output ungrouped', () => {
+    const code = generateMastersCode(makeMasterData(), {
+      templateName: 'test.potx', dimensions, themeColors, themeFonts,
+    });
+    expect(code).not.toContain('THEMES');
+    expect(code).not.toContain('HOOKS');
+  });
+
+  it('documents the families in SLIDE_MASTERS.md', () => {
+    const md = generateAgentInstructions(
+      makeFamilyMasterData(), themeColors, themeFonts, dimensions, 'families.pptx', families,
+    );
+    expect(md).toContain('## Master Families');
+    expect(md).toContain('| `dark` | Dark | `DARK_TITLE_SLIDE` | #FF6600 |');
+    expect(md).toContain('MASTERS.light.TITLE_SLIDE.title');
+    expect(md).toContain('| `THEMES` |');
+  });
+
+  it('points decoration notes at the family hook path in SLIDE_MASTERS.md', () => {
+    const [table] = makeTableMasterData();
+    const masterData = [
+      ...makeFamilyMasterData(),
+      { ...table, name: 'Data Table', title: 'DARK_DATA_TABLE', family: 'dark' },
+    ];
+    const md = generateAgentInstructions(masterData, themeColors, themeFonts, dimensions, 'families.pptx', families);
+    expect(md).toContain('- Tables: 1 (re-added by `MASTERS.dark.DATA_TABLE.decorate(slide)`');
+    expect(md).not.toContain('MASTERS.DARK_DATA_TABLE');
+
+    const code = generateMastersCode(masterData, {
+      templateName: 'families.pptx', dimensions, themeColors, themeFonts, families,
+    });
+    const { MASTERS } = evaluate(code, ['MASTERS']);
+    expect(typeof MASTERS.dark.DATA_TABLE.decorate).toBe('function');
+  });
+});
+
 describe('getMasterDescription improvements', () => {
   it('includes background color indicator in descriptions', () => {
     const md = generateAgentInstructions(
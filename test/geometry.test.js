@@ -0,0 +1,166 @@
+import { describe, it, expect } from 'vitest';
+import { XMLParser } from 'fast-xml-parser';
+import { extractCustomGeometry, evaluateFormula } from '../src/parser/geometry.js';
+
+// Same options as parser/zip.js: a:pathLst is kept as raw XML
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  allowBooleanAttributes: true,
+  stopNodes: ['*.a:pathLst'],
+});
+
+// Parser without the stop node, producing the grouped object form
+const groupedParser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  allowBooleanAttributes: true,
+});
+
+/** Parse an a:custGeom inside a 2in × 1in p:spPr. */
+function parseSpPr(custGeom, p = parser) {
+  const xml = `<p:spPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="1828800" cy="914400"/></a:xfrm>${custGeom}</p:spPr>`;
+  const spPr = p.parse(xml)['p:spPr'];
+  return extractCustomGeometry(spPr['a:custGeom'], spPr['a:xfrm']);
+}
+
+describe('extractCustomGeometry', () => {
+  it('returns null without custom geometry', () => {
+    expect(extractCustomGeometry(undefined, null)).toBeNull();
+  });
+
+  it('keeps path commands in document order, normalised to the path size', () => {
+    const geometry = parseSpPr(`<a:custGeom><a:pathLst><a:path w="200" h="100">
+      <a:moveTo><a:pt x="0" y="100"/></a:moveTo>
+      <a:lnTo><a:pt x="100" y="0"/></a:lnTo>
+      <a:cubicBezTo><a:pt x="150" y="0"/><a:pt x="200" y="50"/><a:pt x="200" y="100"/></a:cubicBezTo>
+      <a:lnTo><a:pt x="100" y="100"/></a:lnTo>
+      <a:quadBezTo><a:pt x="50" y="50"/><a:pt x="0" y="100"/></a:quadBezTo>
+      <a:close/>
+    </a:path></a:pathLst></a:custGeom>`);
+
+    expect(geometry.error).toBeUndefined();
+    expect(geometry.paths).toHaveLength(1);
+    expect(geometry.paths[0]).toMatchObject({ fill: true, stroke: true });
+    expect(geometry.paths[0].commands).toEqual([
+      { type: 'moveTo', x: 0, y: 1 },
+      { type: 'lnTo', x: 0.5, y: 0 },
+      { type: 'cubicBezTo', x1: 0.75, y1: 0, x2: 1, y2: 0.5, x: 1, y: 1 },
+      { type: 'lnTo', x: 0.5, y: 1 },
+      { type: 'quadBezTo', x1: 0.25, y1: 0.5, x: 0, y: 1 },
+      { type: 'close' },
+    ]);
+  });
+
+  it('uses the shape extent when the path has no size', () => {
+    const geometry = parseSpPr(`<a:custGeom><a:pathLst><a:path>
+      <a:moveTo><a:pt x="914400" y="457200"/></a:moveTo>
+    </a:path></a:pathLst></a:custGeom>`);
+    expect(geometry.paths[0].commands[0]).toEqual({ type: 'moveTo', x: 0.5, y: 0.5 });
+  });
+
+  it('resolves coordinates through built-in and custom guides', () => {
+    const geometry = parseSpPr(`<a:custGeom>
+      <a:avLst><a:gd name="adj" fmla="val 25000"/></a:avLst>
+      <a:gdLst><a:gd name="x1" fmla="*/ w adj 100000"/></a:gdLst>
+      <a:pathLst><a:path>
+        <a:moveTo><a:pt x="x1" y="t"/></a:moveTo>
+        <a:lnTo><a:pt x="r" y="vc"/></a:lnTo>
+      </a:path></a:pathLst></a:custGeom>`);
+    expect(geometry.paths[0].commands).toEqual([
+      { type: 'moveTo', x: 0.25, y: 0 },
+      { type: 'lnTo', x: 1, y: 0.5 },
+    ]);
+  });
+
+  it('converts arcs to parametric angles with their end point', () => {
+    const geometry = parseSpPr(`<a:custGeom><a:pathLst><a:path w="100" h="100">
+      <a:moveTo><a:pt x="0" y="50"/></a:moveTo>
+      <a:arcTo wR="50" hR="50" stAng="10800000" swAng="10800000"/>
+    </a:path></a:pathLst></a:custGeom>`);
+    const arc = geometry.paths[0].commands[1];
+    expect(arc.type).toBe('arcTo');
+    expect(arc.wR).toBe(0.5);
+    expect(arc.hR).toBe(0.5);
+    expect(arc.start).toBeCloseTo(Math.PI);
+    expect(arc.sweep).toBeCloseTo(Math.PI);
+    expect(arc.x).toBeCloseTo(1);
+    expect(arc.y).toBeCloseTo(0.5);
+  });
+
+  it('maps visual arc angles onto elliptical arcs', () => {
+    // 45° visual on a 2:1 ellipse is not 45° parametric
+    const geometry = parseSpPr(`<a:custGeom><a:pathLst><a:path w="200" h="100">
+      <a:moveTo><a:pt x="200" y="50"/></a:moveTo>
+      <a:arcTo wR="100" hR="50" stAng="0" swAng="2700000"/>
+    </a:path></a:pathLst></a:custGeom>`);
+    const arc = geometry.paths[0].commands[1];
+    expect(arc.sweep).toBeCloseTo(Math.atan2(2, 1));
+    // The end point lies on the 45° ray from the centre (0.5, 0.5) in path units
+    expect((arc.y - 0.5) * 100).toBeCloseTo((arc.x - 0.5) * 200);
+  });
+
+  it('reads fill and stroke flags per path', () => {
+    const geometry = parseSpPr(`<a:custGeom><a:pathLst>
+      <a:path w="10" h="10"><a:moveTo><a:pt x="0" y="0"/></a:moveTo><a:lnTo><a:pt x="10" y="10"/></a:lnTo></a:path>
+      <a:path w="10" h="10" fill="none"><a:moveTo><a:pt x="0" y="10"/></a:moveTo><a:lnTo><a:pt x="10" y="0"/></a:lnTo></a:path>
+      <a:path w="10" h="10" stroke="0"><a:moveTo><a:pt x="0" y="0"/></a:moveTo><a:lnTo><a:pt x="10" y="0"/></a:lnTo></a:path>
+    </a:pathLst></a:custGeom>`);
+    expect(geometry.paths.map((p) => [p.fill, p.stroke])).toEqual([[true, true], [false, true], [true, false]]);
+  });
+
+  it('accepts the grouped object form when the order is unambiguous', () => {
+    const geometry = parseSpPr(`<a:custGeom><a:pathLst><a:path w="10" h="10">
+      <a:moveTo><a:pt x="0" y="0"/></a:moveTo>
+      <a:lnTo><a:pt x="10" y="0"/></a:lnTo>
+      <a:lnTo><a:pt x="10" y="10"/></a:lnTo>
+      <a:close/>
+    </a:path></a:pathLst></a:custGeom>`, groupedParser);
+    expect(geometry.paths[0].commands.map((c) => c.type)).toEqual(['moveTo', 'lnTo', 'lnTo', 'close']);
+  });
+
+  it('reports an error when the grouped form has lost the command order', () => {
+    const geometry = parseSpPr(`<a:custGeom><a:pathLst><a:path w="10" h="10">
+      <a:moveTo><a:pt x="0" y="0"/></a:moveTo>
+      <a:lnTo><a:pt x="10" y="0"/></a:lnTo>
+      <a:quadBezTo><a:pt x="10" y="10"/><a:pt x="0" y="10"/></a:quadBezTo>
+    </a:path></a:pathLst></a:custGeom>`, groupedParser);
+    expect(geometry.paths).toEqual([]);
+    expect(geometry.error).toMatch(/order/);
+  });
+
+  it('reports unknown guides', () => {
+    const geometry = parseSpPr(`<a:custGeom><a:pathLst><a:path>
+      <a:moveTo><a:pt x="missing" y="0"/></a:moveTo>
+    </a:path></a:pathLst></a:custGeom>`);
+    expect(geometry.error).toBe('unknown guide "missing"');
+  });
+
+  it('reports geometry without paths', () => {
+    expect(parseSpPr('<a:custGeom><a:avLst/></a:custGeom>').error).toBe('no paths');
+  });
+});
+
+describe('evaluateFormula', () => {
+  const guides = { w: 1000, h: 500 };
+
+  it('evaluates arithmetic operators', () => {
+    expect(evaluateFormula('val 42', guides)).toBe(42);
+    expect(evaluateFormula('*/ w 1 4', guides)).toBe(250);
+    expect(evaluateFormula('+- w h 100', guides)).toBe(1400);
+    expect(evaluateFormula('+/ w h 3', guides)).toBe(500);
+    expect(evaluateFormula('?: -1 w h', guides)).toBe(500);
+    expect(evaluateFormula('pin 0 w 600', guides)).toBe(600);
+    expect(evaluateFormula('min w h', guides)).toBe(500);
+  });
+
+  it('evaluates trigonometry in 60000ths of a degree', () => {
+    expect(evaluateFormula('cos w 5400000', guides)).toBeCloseTo(0);
+    expect(evaluateFormula('sin w 5400000', guides)).toBeCloseTo(1000);
+    expect(evaluateFormula('at2 1 1', guides)).toBeCloseTo(2700000);
+  });
+
+  it('throws on unknown operators', () => {
+    expect(() => evaluateFormula('foo 1', guides)).toThrow('unsupported guide formula');
+  });
+});
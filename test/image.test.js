@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest';
+import { readImageSize, imageSizeInches } from '../src/parser/image.js';
+import { encodePng } from '../src/render/png.js';
+
+/** Insert a pHYs chunk (pixels per metre) after IHDR. CRC is not checked by the reader. */
+function withPhys(png, ppm) {
+  const data = Buffer.alloc(9);
+  data.writeUInt32BE(ppm, 0);
+  data.writeUInt32BE(ppm, 4);
+  data[8] = 1;
+  const chunk = Buffer.alloc(21);
+  chunk.writeUInt32BE(9, 0);
+  chunk.write('pHYs', 4, 'ascii');
+  data.copy(chunk, 8);
+  return Buffer.concat([png.subarray(0, 33), chunk, png.subarray(33)]);
+}
+
+/** Minimal JPEG header: SOI, JFIF APP0, SOF0. */
+function jpegHeader({ width, height, units = 1, density = 72 }) {
+  const app0 = Buffer.from([
+    0xff, 0xe0, 0x00, 0x10, 0x4a, 0x46, 0x49, 0x46, 0x00, 0x01, 0x01, units,
+    density >> 8, density & 0xff, density >> 8, density & 0xff, 0x00, 0x00,
+  ]);
+  const sof = Buffer.from([0xff, 0xc0, 0x00, 0x11, 0x08, height >> 8, height & 0xff, width >> 8, width & 0xff, 0x03]);
+  return Buffer.concat([Buffer.from([0xff, 0xd8]), app0, sof, Buffer.alloc(16)]);
+}
+
+describe('readImageSize', () => {
+  it('reads PNG size at 96 DPI by default', () => {
+    const png = encodePng(3, 2, new Uint8Array(3 * 2 * 4));
+    expect(readImageSize(png)).toEqual({ width: 3, height: 2, dpiX: 96, dpiY: 96 });
+  });
+
+  it('reads PNG resolution from pHYs', () => {
+    const png = withPhys(encodePng(300, 150, new Uint8Array(300 * 150 * 4)), 11811);
+    const size = readImageSize(png);
+    expect(size.dpiX).toBeCloseTo(300, 0);
+    expect(imageSizeInches(size).w).toBeCloseTo(1, 2);
+  });
+
+  it('reads JPEG size and JFIF density', () => {
+    expect(readImageSize(jpegHeader({ width: 640, height: 480 }))).toEqual({ width: 640, height: 480, dpiX: 72, dpiY: 72 });
+    expect(readImageSize(jpegHeader({ width: 10, height: 10, units: 0 })).dpiX).toBe(96);
+  });
+
+  it('reads GIF size', () => {
+    const gif = Buffer.concat([Buffer.from('GIF89a', 'ascii'), Buffer.from([0x20, 0x00, 0x10, 0x00]), Buffer.alloc(20)]);
+    expect(readImageSize(gif)).toEqual({ width: 32, height: 16, dpiX: 96, dpiY: 96 });
+  });
+
+  it('returns null for unknown formats', () => {
+    expect(readImageSize(Buffer.alloc(32))).toBeNull();
+    expect(readImageSize(null)).toBeNull();
+  });
+});
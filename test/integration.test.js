@@ -1,12 +1,14 @@
 import { describe, it, expect, beforeAll, afterAll } from 'vitest';
 import { resolve, join } from 'path';
-import { mkdir, rm, readFile, access } from 'fs/promises';
+import { mkdir, rm, readFile, writeFile, access } from 'fs/promises';
 import { execFile } from 'child_process';
 import { promisify } from 'util';
+import { pathToFileURL } from 'url';
 import { extract } from '../src/index.js';
 import { generateMastersCode, generateThemeJson, generateAgentInstructions } from '../src/generator/code.js';
 import { generateReport } from '../src/generator/report.js';
 import { generatePreview } from '../src/generator/preview.js';
+import JSZip from 'jszip';
 
 const execFileAsync = promisify(execFile);
 
@@ -15,6 +17,10 @@ const CLI = resolve('src/cli.js');
 const OUTPUT_DIR = resolve('test/output-integration');
 const OUTPUT_FILTERED = resolve('test/output-filtered');
 const OUTPUT_MINIMAL = resolve('test/output-minimal');
+const OUTPUT_REORDERED = resolve('test/output-reordered');
+const OUTPUT_MULTI_MASTER = resolve('test/output-multi-master');
+const OUTPUT_BULLETS = resolve('test/output-bullets');
+const OUTPUT_RUNTIME = resolve('test/output-runtime');
 
 async function fileExists(path) {
   try {
@@ -133,6 +139,22 @@ describe('code generation integration', () => {
       expect(code).toContain(master.title);
     }
   });
+
+  it('exports the slide master\'s body text levels, not a layout\'s', () => {
+    const code = generateMastersCode(result.masterData, {
+      templateName: result.templateName,
+      dimensions: result.dimensions,
+      themeColors: result.themeColors,
+      themeFonts: result.themeFonts,
+    });
+    const body = code.replace(/^export \{.*/gm, '').replace(/^export /gm, '');
+    const { TEXT_STYLES, bullets } = new Function(`${body}\nreturn { TEXT_STYLES, bullets };`)();
+
+    expect(Object.keys(TEXT_STYLES)).toEqual(['default']);
+    // The master's p:bodyStyle: level 1 is a 32pt "•" bullet
+    expect(TEXT_STYLES.default[0]).toMatchObject({ fontSize: 32, bullet: { characterCode: '2022' } });
+    expect(bullets(['Point'])[0].options.fontSize).toBe(32);
+  });
 });
 
 // --- Theme.json generation ---
@@ -297,6 +319,27 @@ describe('layout filtering', () => {
     expect(result.masterData.length).toBe(3);
   });
 
+  it('orders and numbers layouts by the master\'s layout list, not their filenames', async () => {
+    const zip = await JSZip.loadAsync(await readFile(FIXTURE));
+    const masterPath = 'ppt/slideMasters/slideMaster1.xml';
+    const masterXml = await zip.file(masterPath).async('string');
+    zip.file(masterPath, masterXml.replace(
+      /<p:sldLayoutIdLst>.*?<\/p:sldLayoutIdLst>/s,
+      '<p:sldLayoutIdLst><p:sldLayoutId id="1" r:id="rId3"/><p:sldLayoutId id="2" r:id="rId1"/></p:sldLayoutIdLst>',
+    ));
+    await mkdir(OUTPUT_REORDERED, { recursive: true });
+    const reordered = join(OUTPUT_REORDERED, 'reordered.pptx');
+    await writeFile(reordered, await zip.generateAsync({ type: 'nodebuffer' }));
+
+    const result = await extract(reordered);
+    // Layouts the list leaves out follow, by filename
+    expect(result.layouts.map((l) => l.name)).toEqual(['CONTENT_SLIDE', 'DEFAULT', 'TITLE_SLIDE']);
+
+    const picked = await extract(reordered, { layouts: ['1'] });
+    expect(picked.masterData.map((m) => m.name)).toEqual(['CONTENT_SLIDE']);
+    await rm(OUTPUT_REORDERED, { recursive: true, force: true });
+  });
+
   it('returns empty when filter matches nothing', async () => {
     const result = await extract(FIXTURE, { layouts: ['nonexistent'] });
     expect(result.masterData.length).toBe(0);
@@ -304,8 +347,208 @@ describe('layout filtering', () => {
   });
 });
 
+// --- Master body styles ---
+
+describe('master body styles', () => {
+  it('reports warnings from the master\'s body style once, not per layout', async () => {
+    const zip = await JSZip.loadAsync(await readFile(FIXTURE));
+    const masterPath = 'ppt/slideMasters/slideMaster1.xml';
+    const masterXml = await zip.file(masterPath).async('string');
+    zip.file(masterPath, masterXml.replace(
+      /(<p:bodyStyle>\s*<a:lvl1pPr[^>]*>.*?)<a:buChar char="•"\/>/s,
+      '$1<a:buBlip><a:blip r:embed="rId99"/></a:buBlip>',
+    ));
+    await mkdir(OUTPUT_BULLETS, { recursive: true });
+    const path = join(OUTPUT_BULLETS, 'picture-bullet.pptx');
+    await writeFile(path, await zip.generateAsync({ type: 'nodebuffer' }));
+
+    const result = await extract(path);
+    const bulletWarnings = result.warnings.filter((w) => w.includes('bullet is a picture'));
+    expect(bulletWarnings).toEqual([
+      '[Slide master slideMaster1.xml] Body text level 1 bullet is a picture that could not be resolved; using a "\u2022" bullet',
+    ]);
+    expect(result.masterData.length).toBe(3);
+    await rm(OUTPUT_BULLETS, { recursive: true, force: true });
+  });
+});
+
+// --- Multiple slide masters ---
+
+// minimal.pptx plus a "Dark" master with its own theme (accent1 FF6600)
+// and a TITLE_SLIDE layout whose background is accent1
+async function buildMultiMasterFixture(dir = OUTPUT_MULTI_MASTER) {
+  const zip = await JSZip.loadAsync(await readFile(FIXTURE));
+  const read = (path) => zip.file(path).async('string');
+
+  const masterXml = await read('ppt/slideMasters/slideMaster1.xml');
+  zip.file('ppt/slideMasters/slideMaster1.xml', masterXml.replace('<p:cSld>', '<p:cSld name="Light">'));
+  zip.file('ppt/slideMasters/slideMaster2.xml', masterXml
+    .replace('<p:cSld>', '<p:cSld name="Dark">')
+    .replace(/<p:sldLayoutIdLst>.*?<\/p:sldLayoutIdLst>/s,
+      '<p:sldLayoutIdLst><p:sldLayoutId id="2147483700" r:id="rId1"/></p:sldLayoutIdLst>'));
+  zip.file('ppt/slideMasters/_rels/slideMaster2.xml.rels', rels([
+    ['rId1', 'slideLayout', '../slideLayouts/slideLayout4.xml'],
+    ['rId2', 'theme', '../theme/theme2.xml'],
+  ]));
+
+  const layoutXml = await read('ppt/slideLayouts/slideLayout2.xml');
+  zip.file('ppt/slideLayouts/slideLayout4.xml', layoutXml.replace('<a:srgbClr val="003366"/>', '<a:schemeClr val="accent1"/>'));
+  zip.file('ppt/slideLayouts/_rels/slideLayout4.xml.rels', rels([
+    ['rId1', 'slideMaster', '../slideMasters/slideMaster2.xml'],
+  ]));
+
+  const themeXml = await read('ppt/theme/theme1.xml');
+  zip.file('ppt/theme/theme2.xml', themeXml
+    .replace('name="Office Theme"', 'name="Dark Theme"')
+    .replace('<a:accent1><a:srgbClr val="4472C4"/>', '<a:accent1><a:srgbClr val="FF6600"/>'));
+
+  const presentationXml = await read('ppt/presentation.xml');
+  zip.file('ppt/presentation.xml', presentationXml.replace('</p:sldMasterIdLst>',
+    '<p:sldMasterId id="2147483699" r:id="rId9"/></p:sldMasterIdLst>'));
+  const presRels = await read('ppt/_rels/presentation.xml.rels');
+  zip.file('ppt/_rels/presentation.xml.rels', presRels.replace('</Relationships>',
+    '<Relationship Id="rId9" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/slideMaster" '
+    + 'Target="slideMasters/slideMaster2.xml"/></Relationships>'));
+
+  const contentTypes = await read('[Content_Types].xml');
+  const override = (part, type) => `<Override PartName="/ppt/${part}" ContentType="application/vnd.openxmlformats-officedocument.${type}+xml"/>`;
+  zip.file('[Content_Types].xml', contentTypes.replace('</Types>', override('slideMasters/slideMaster2.xml', 'presentationml.slideMaster')
+    + override('slideLayouts/slideLayout4.xml', 'presentationml.slideLayout')
+    + override('theme/theme2.xml', 'theme') + '</Types>'));
+
+  await mkdir(dir, { recursive: true });
+  const path = join(dir, 'multi-master.pptx');
+  await writeFile(path, await zip.generateAsync({ type: 'nodebuffer' }));
+  return path;
+}
+
+function rels(entries) {
+  const items = entries.map(([id, type, target]) => `<Relationship Id="${id}" `
+    + `Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/${type}" Target="${target}"/>`);
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">${items.join('')}</Relationships>`;
+}
+
+describe('multiple slide masters', () => {
+  let result;
+
+  beforeAll(async () => {
+    result = await extract(await buildMultiMasterFixture());
+  });
+
+  afterAll(async () => {
+    await rm(OUTPUT_MULTI_MASTER, { recursive: true, force: true });
+  });
+
+  it('resolves each layout\'s colors from its own master\'s theme', () => {
+    const dark = result.masterData.find((m) => m.family === 'dark');
+    expect(dark.name).toBe('TITLE_SLIDE');
+    expect(dark.background.color).toBe('FF6600');
+    // The presentation theme is unchanged
+    expect(result.themeColors.accent1).toBe('4472C4');
+  });
+
+  it('names a family per master and gives layouts unique titles', () => {
+    expect(result.families.map((f) => [f.key, f.name])).toEqual([['light', 'Light'], ['dark', 'Dark']]);
+    expect(result.families[1].themeColors.accent1).toBe('FF6600');
+    const titles = result.masterData.map((m) => m.title);
+    expect(titles).toContain('LIGHT_TITLE_SLIDE');
+    expect(titles).toContain('DARK_TITLE_SLIDE');
+    expect(new Set(titles).size).toBe(titles.length);
+  });
+
+  it('groups masters.js by family', () => {
+    const code = generateMastersCode(result.masterData, {
+      templateName: 'multi-master.pptx',
+      dimensions: result.dimensions,
+      themeColors: result.themeColors,
+      themeFonts: result.themeFonts,
+      families: result.families,
+    });
+    expect(code).toContain("title: 'DARK_TITLE_SLIDE'");
+    expect(code).toMatch(/dark: \{ text: '[0-9A-F]{6}', background: '[0-9A-F]{6}', brand: 'FF6600'/);
+  });
+});
+
 // --- Error handling ---
 
+// --- Generated masters.js at runtime ---
+
+describe('generated masters.js at runtime', () => {
+  // A two-run text box on the TITLE_SLIDE layouts: mixed formatting makes
+  // it rich text, which only a decorate() hook can add to the slide
+  const TAGLINE = '<p:sp><p:nvSpPr><p:cNvPr id="20" name="Tagline"/><p:cNvSpPr txBox="1"/><p:nvPr/></p:nvSpPr>'
+    + '<p:spPr><a:xfrm><a:off x="457200" y="4572000"/><a:ext cx="4572000" cy="365760"/></a:xfrm>'
+    + '<a:prstGeom prst="rect"><a:avLst/></a:prstGeom></p:spPr>'
+    + '<p:txBody><a:bodyPr/><a:lstStyle/><a:p><a:r><a:rPr lang="en-US" b="1"/><a:t>Acme</a:t></a:r>'
+    + '<a:r><a:rPr lang="en-US"/><a:t>Confidential</a:t></a:r></a:p></p:txBody></p:sp>';
+
+  async function addTagline(path, layouts) {
+    const zip = await JSZip.loadAsync(await readFile(path));
+    for (const layout of layouts) {
+      const xml = await zip.file(`ppt/slideLayouts/${layout}`).async('string');
+      zip.file(`ppt/slideLayouts/${layout}`, xml.replace('</p:spTree>', `${TAGLINE}</p:spTree>`));
+    }
+    await writeFile(path, await zip.generateAsync({ type: 'nodebuffer' }));
+    return path;
+  }
+
+  // Run the CLI, import its masters.js, add one slide per master and
+  // write the deck; returns the written deck
+  async function buildDeck(template, dir, titles) {
+    await execFileAsync('node', [CLI, template, '-o', dir]);
+    const masters = await import(pathToFileURL(join(dir, 'masters.js')).href);
+    const pptx = await masters.createPresentation('Runtime');
+    for (const title of titles(masters.MASTERS)) pptx.addSlide({ masterName: title });
+    const buffer = await pptx.write({ outputType: 'nodebuffer' });
+    await writeFile(join(dir, 'deck.pptx'), buffer);
+    return JSZip.loadAsync(buffer);
+  }
+
+  async function slideXml(deck, n) {
+    return deck.file(`ppt/slides/slide${n}.xml`).async('string');
+  }
+
+  afterAll(async () => {
+    await rm(OUTPUT_RUNTIME, { recursive: true, force: true });
+  });
+
+  it('decorates slides from a single-master template', async () => {
+    await mkdir(OUTPUT_RUNTIME, { recursive: true });
+    const template = join(OUTPUT_RUNTIME, 'single.pptx');
+    await writeFile(template, await readFile(FIXTURE));
+    await addTagline(template, ['slideLayout2.xml']);
+
+    const dir = join(OUTPUT_RUNTIME, 'single');
+    const deck = await buildDeck(template, dir, (MASTERS) => [MASTERS.DEFAULT.title, MASTERS.TITLE_SLIDE.title]);
+
+    expect(await fileExists(join(dir, 'deck.pptx'))).toBe(true);
+    expect(await slideXml(deck, 1)).not.toContain('Confidential');
+    const titleSlide = await slideXml(deck, 2);
+    expect(titleSlide).toContain('>Acme<');
+    expect(titleSlide).toContain('>Confidential<');
+  }, 60000);
+
+  it('decorates slides from each family of a multi-master template', async () => {
+    const template = await addTagline(await buildMultiMasterFixture(OUTPUT_RUNTIME), ['slideLayout2.xml', 'slideLayout4.xml']);
+
+    const dir = join(OUTPUT_RUNTIME, 'multi');
+    const deck = await buildDeck(template, dir, (MASTERS) => [
+      MASTERS.light.DEFAULT.title,
+      MASTERS.light.TITLE_SLIDE.title,
+      MASTERS.dark.TITLE_SLIDE.title,
+    ]);
+
+    expect(await fileExists(join(dir, 'deck.pptx'))).toBe(true);
+    expect(await slideXml(deck, 1)).not.toContain('Confidential');
+    expect(await slideXml(deck, 2)).toContain('>Confidential<');
+    expect(await slideXml(deck, 3)).toContain('>Confidential<');
+    const rels = await deck.file('ppt/slides/_rels/slide3.xml.rels').async('string');
+    const layout = rels.match(/slideLayouts\/(slideLayout\d+\.xml)/)[1];
+    expect(await deck.file(`ppt/slideLayouts/${layout}`).async('string')).toContain('name="DARK_TITLE_SLIDE"');
+  }, 60000);
+});
+
 describe('extract() error handling', () => {
   it('throws a useful error for a non-existent file path', async () => {
     await expect(extract('/tmp/does-not-exist.pptx')).rejects.toThrow();
@@ -444,6 +687,15 @@ describe('CLI', () => {
     }
   });
 
+  it('unknown --image-format exits with error', async () => {
+    try {
+      await execFileAsync('node', [CLI, FIXTURE, '--image-format', 'gif', '-o', OUTPUT_MINIMAL]);
+      expect.unreachable('Expected error');
+    } catch (err) {
+      expect(err.stderr).toContain('Invalid image format: gif');
+    }
+  });
+
   it('--version prints version', async () => {
     const { stdout } = await execFileAsync('node', [CLI, '--version']);
     expect(stdout.trim()).toMatch(/^\d+\.\d+\.\d+$/);
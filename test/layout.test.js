@@ -1,8 +1,10 @@
 import { describe, it, expect, beforeAll } from 'vitest';
 import { XMLParser } from 'fast-xml-parser';
-import { parseSlideLayout, parsePresentation } from '../src/parser/layout.js';
+import { parseSlideLayout, parsePresentation, parseMasterIdList } from '../src/parser/layout.js';
+import { recordShapeOrder } from '../src/parser/shapeTree.js';
 import { extractPptx } from '../src/parser/zip.js';
 import { emuToInches } from '../src/mapper/units.js';
+import { createColorResolver } from '../src/parser/colors.js';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 
@@ -338,6 +340,33 @@ describe('parseSlideLayout (mock)', () => {
     expect(result.staticShapes[0].rotation).toBe(90);
   });
 
+  it('extracts flips from xfrm on shapes and pictures', () => {
+    const xml = xmlParser.parse(`
+      <p:sldLayout>
+        <p:cSld>
+          <p:spTree>
+            <p:sp>
+              <p:nvSpPr><p:cNvPr id="2" name="Corner Accent"/><p:nvPr/></p:nvSpPr>
+              <p:spPr>
+                <a:xfrm flipH="1"><a:off x="0" y="0"/><a:ext cx="914400" cy="914400"/></a:xfrm>
+                <a:prstGeom prst="rtTriangle"/>
+              </p:spPr>
+            </p:sp>
+            <p:pic>
+              <p:nvPicPr><p:cNvPr id="3" name="Logo"/><p:nvPr/></p:nvPicPr>
+              <p:blipFill><a:blip r:embed="rId2"/></p:blipFill>
+              <p:spPr><a:xfrm flipV="1"><a:off x="0" y="0"/><a:ext cx="914400" cy="914400"/></a:xfrm></p:spPr>
+            </p:pic>
+          </p:spTree>
+        </p:cSld>
+      </p:sldLayout>
+    `);
+
+    const [shape, picture] = parseSlideLayout(xml, null).staticShapes;
+    expect(shape).toMatchObject({ flipH: true, flipV: false });
+    expect(picture).toMatchObject({ flipH: false, flipV: true });
+  });
+
   it('separates placeholders from static shapes', () => {
     const xml = xmlParser.parse(`
       <p:sldLayout>
@@ -401,6 +430,55 @@ describe('parseSlideLayout (mock)', () => {
     expect(result.staticShapes[0].name).toBe('Logo');
     expect(result.staticShapes[0].imageRef).toBe('rId5');
     expect(result.staticShapes[0].position).toBeDefined();
+    expect(result.staticShapes[0].crop).toBeUndefined();
+    expect(result.staticShapes[0].tile).toBeUndefined();
+  });
+
+  it('extracts picture crop, stretch insets and tiling', () => {
+    const pic = (name, fill) => `
+      <p:pic>
+        <p:nvPicPr><p:cNvPr id="4" name="${name}"/><p:cNvPicPr/><p:nvPr/></p:nvPicPr>
+        <p:blipFill><a:blip r:embed="rId5"/>${fill}</p:blipFill>
+        <p:spPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="914400" cy="914400"/></a:xfrm></p:spPr>
+      </p:pic>`;
+    const xml = xmlParser.parse(`
+      <p:sldLayout><p:cSld><p:spTree>
+        ${pic('Cropped', '<a:srcRect l="10000" t="-5000" r="25000"/><a:stretch><a:fillRect/></a:stretch>')}
+        ${pic('Inset', '<a:srcRect/><a:stretch><a:fillRect l="50000"/></a:stretch>')}
+        ${pic('Tiled', '<a:tile tx="914400" ty="0" sx="50000" sy="50000" flip="xy" algn="ctr"/>')}
+      </p:spTree></p:cSld></p:sldLayout>
+    `);
+
+    const [cropped, inset, tiled] = parseSlideLayout(xml, null).staticShapes;
+    expect(cropped.crop).toEqual({ l: 0.1, t: -0.05, r: 0.25, b: 0 });
+    expect(cropped.fillRect).toBeUndefined();
+    expect(inset.crop).toBeUndefined();
+    expect(inset.fillRect).toEqual({ l: 0.5, t: 0, r: 0, b: 0 });
+    expect(tiled.tile).toEqual({ tx: 1, ty: 0, sx: 0.5, sy: 0.5, flip: 'xy', algn: 'ctr' });
+  });
+
+  it('extracts the SVG version of a picture from the svgBlip extension', () => {
+    const xml = xmlParser.parse(`
+      <p:sldLayout><p:cSld><p:spTree>
+        <p:pic>
+          <p:nvPicPr><p:cNvPr id="4" name="Logo"/><p:cNvPicPr/><p:nvPr/></p:nvPicPr>
+          <p:blipFill>
+            <a:blip r:embed="rId2">
+              <a:extLst>
+                <a:ext uri="{28A0092B-C50C-407E-A947-70E740481C1C}"><a14:useLocalDpi val="0"/></a:ext>
+                <a:ext uri="{96DAC541-7B7A-43D3-8B79-37D633B846F1}"><asvg:svgBlip r:embed="rId3"/></a:ext>
+              </a:extLst>
+            </a:blip>
+            <a:stretch><a:fillRect/></a:stretch>
+          </p:blipFill>
+          <p:spPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="914400" cy="914400"/></a:xfrm></p:spPr>
+        </p:pic>
+      </p:spTree></p:cSld></p:sldLayout>
+    `);
+
+    const [logo] = parseSlideLayout(xml, null).staticShapes;
+    expect(logo.imageRef).toBe('rId2');
+    expect(logo.svgRef).toBe('rId3');
   });
 
   it('handles p:pic placeholder', () => {
@@ -432,16 +510,36 @@ describe('parseSlideLayout (mock)', () => {
     expect(result.placeholders[0].imageRef).toBe('rId6');
   });
 
-  it('warns about grouped shapes', () => {
+  it('flattens grouped shapes into static shapes', () => {
     const xml = xmlParser.parse(`
       <p:sldLayout>
         <p:cSld>
           <p:spTree>
             <p:grpSp>
               <p:nvGrpSpPr><p:cNvPr id="10" name="Group 1"/></p:nvGrpSpPr>
+              <p:grpSpPr>
+                <a:xfrm>
+                  <a:off x="914400" y="914400"/>
+                  <a:ext cx="1828800" cy="914400"/>
+                  <a:chOff x="0" y="0"/>
+                  <a:chExt cx="914400" cy="914400"/>
+                </a:xfrm>
+              </p:grpSpPr>
+              <p:sp>
+                <p:nvSpPr><p:cNvPr id="11" name="Bar"/><p:nvPr/></p:nvSpPr>
+                <p:spPr>
+                  <a:xfrm><a:off x="457200" y="0"/><a:ext cx="457200" cy="914400"/></a:xfrm>
+                  <a:prstGeom prst="rect"/>
+                </p:spPr>
+              </p:sp>
             </p:grpSp>
             <p:grpSp>
-              <p:nvGrpSpPr><p:cNvPr id="11" name="Group 2"/></p:nvGrpSpPr>
+              <p:nvGrpSpPr><p:cNvPr id="12" name="Group 2"/></p:nvGrpSpPr>
+              <p:pic>
+                <p:nvPicPr><p:cNvPr id="13" name="Logo"/><p:cNvPicPr/><p:nvPr/></p:nvPicPr>
+                <p:blipFill><a:blip r:embed="rId2"/></p:blipFill>
+                <p:spPr/>
+              </p:pic>
             </p:grpSp>
           </p:spTree>
         </p:cSld>
@@ -449,17 +547,67 @@ describe('parseSlideLayout (mock)', () => {
     `);
 
     const result = parseSlideLayout(xml, null);
-    expect(result.warnings).toHaveLength(1);
-    expect(result.warnings[0]).toContain('2 grouped shape(s)');
+    expect(result.warnings).toHaveLength(0);
+    expect(result.staticShapes).toHaveLength(2);
+
+    const bar = result.staticShapes.find((s) => s.name === 'Bar');
+    expect(bar.position).toEqual({ x: 2, y: 1, w: 1, h: 1 });
+
+    const logo = result.staticShapes.find((s) => s.name === 'Logo');
+    expect(logo.type).toBe('picture');
+    expect(logo.imageRef).toBe('rId2');
   });
 
-  it('warns about connection shapes', () => {
+  it('numbers placeholders and static shapes by their place in the shape tree', () => {
+    const source = `
+      <p:sldLayout>
+        <p:cSld>
+          <p:spTree>
+            <p:pic>
+              <p:nvPicPr><p:cNvPr id="2" name="Photo"/><p:cNvPicPr/><p:nvPr/></p:nvPicPr>
+              <p:blipFill><a:blip r:embed="rId2"/></p:blipFill>
+              <p:spPr/>
+            </p:pic>
+            <p:sp>
+              <p:nvSpPr><p:cNvPr id="3" name="Title"/><p:nvPr><p:ph type="title"/></p:nvPr></p:nvSpPr>
+              <p:spPr/>
+            </p:sp>
+            <p:sp>
+              <p:nvSpPr><p:cNvPr id="4" name="Scrim"/><p:nvPr/></p:nvSpPr>
+              <p:spPr><a:prstGeom prst="rect"/></p:spPr>
+            </p:sp>
+          </p:spTree>
+        </p:cSld>
+      </p:sldLayout>
+    `;
+
+    const result = parseSlideLayout(recordShapeOrder(xmlParser.parse(source), source), null);
+    const photo = result.staticShapes.find((s) => s.name === 'Photo');
+    const scrim = result.staticShapes.find((s) => s.name === 'Scrim');
+    expect(photo.zOrder).toBe(0);
+    expect(result.placeholders[0].zOrder).toBe(1);
+    expect(scrim.zOrder).toBe(2);
+  });
+
+  it('extracts connection shapes as lines', () => {
     const xml = xmlParser.parse(`
       <p:sldLayout>
         <p:cSld>
           <p:spTree>
             <p:cxnSp>
-              <p:nvCxnSpPr><p:cNvPr id="12" name="Connector 1"/></p:nvCxnSpPr>
+              <p:nvCxnSpPr><p:cNvPr id="12" name="Connector 1"/><p:cNvCxnSpPr/><p:nvPr/></p:nvCxnSpPr>
+              <p:spPr>
+                <a:xfrm flipV="1">
+                  <a:off x="457200" y="914400"/>
+                  <a:ext cx="8229600" cy="0"/>
+                </a:xfrm>
+                <a:prstGeom prst="straightConnector1"><a:avLst/></a:prstGeom>
+                <a:ln w="12700">
+                  <a:solidFill><a:srgbClr val="C00000"/></a:solidFill>
+                  <a:prstDash val="dash"/>
+                  <a:tailEnd type="triangle"/>
+                </a:ln>
+              </p:spPr>
             </p:cxnSp>
           </p:spTree>
         </p:cSld>
@@ -467,8 +615,158 @@ describe('parseSlideLayout (mock)', () => {
     `);
 
     const result = parseSlideLayout(xml, null);
-    expect(result.warnings.length).toBeGreaterThan(0);
-    expect(result.warnings[0]).toContain('connection shape');
+    expect(result.warnings).toHaveLength(0);
+    expect(result.staticShapes).toHaveLength(1);
+
+    const cxn = result.staticShapes[0];
+    expect(cxn.type).toBe('connector');
+    expect(cxn.name).toBe('Connector 1');
+    expect(cxn.geometry).toBe('line');
+    expect(cxn.connectorType).toBe('straightConnector1');
+    expect(cxn.flipV).toBe(true);
+    expect(cxn.flipH).toBe(false);
+    expect(cxn.position.w).toBe(emuToInches(8229600));
+    expect(cxn.line['a:tailEnd']['@_type']).toBe('triangle');
+  });
+
+  describe('p:style references', () => {
+    const formatScheme = {
+      fillStyleLst: { 'a:solidFill': { 'a:schemeClr': { '@_val': 'phClr' } } },
+      lnStyleLst: {
+        'a:ln': [
+          { '@_w': '6350', 'a:solidFill': { 'a:schemeClr': { '@_val': 'phClr' } }, 'a:prstDash': { '@_val': 'solid' } },
+          { '@_w': '12700', 'a:solidFill': { 'a:schemeClr': { '@_val': 'phClr' } } },
+        ],
+      },
+      effectStyleLst: { 'a:effectStyle': { 'a:effectLst': '' } },
+      bgFillStyleLst: null,
+    };
+    const resolver = createColorResolver({}, {}, { heading: 'Calibri Light', body: 'Calibri' });
+    const style = `
+      <p:style>
+        <a:lnRef idx="2"><a:srgbClr val="2F528F"/></a:lnRef>
+        <a:fillRef idx="1"><a:srgbClr val="4472C4"/></a:fillRef>
+        <a:effectRef idx="1"><a:srgbClr val="4472C4"/></a:effectRef>
+        <a:fontRef idx="minor"><a:srgbClr val="FFFFFF"/></a:fontRef>
+      </p:style>
+    `;
+
+    function parseStyled(spXml) {
+      const xml = xmlParser.parse(`<p:sldLayout><p:cSld><p:spTree>${spXml}</p:spTree></p:cSld></p:sldLayout>`);
+      return parseSlideLayout(xml, null, null, { colorResolver: resolver, formatScheme }).staticShapes[0];
+    }
+
+    it('takes fill, line, effect and font from the theme', () => {
+      const shape = parseStyled(`
+        <p:sp>
+          <p:nvSpPr><p:cNvPr id="4" name="Styled"/><p:cNvSpPr/><p:nvPr/></p:nvSpPr>
+          <p:spPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="914400" cy="914400"/></a:xfrm><a:prstGeom prst="rect"/></p:spPr>
+          ${style}
+          <p:txBody><a:bodyPr/><a:p><a:r><a:t>Hi</a:t></a:r></a:p></p:txBody>
+        </p:sp>
+      `);
+      expect(shape.fill).toEqual({ type: 'solidFill', element: { 'a:srgbClr': { '@_val': '4472C4' } } });
+      expect(shape.line['@_w']).toBe('12700');
+      expect(shape.line['a:solidFill']['a:srgbClr']['@_val']).toBe('2F528F');
+      expect(shape.effect).toEqual({ 'a:effectLst': '' });
+      expect(shape.textProps.styleFont).toEqual({ color: 'FFFFFF', fontFace: 'Calibri' });
+      expect(shape.textProps.paragraphs[0].runs[0].color).toBeUndefined();
+    });
+
+    it('lets explicit spPr values override the style', () => {
+      const shape = parseStyled(`
+        <p:sp>
+          <p:nvSpPr><p:cNvPr id="4" name="Styled"/><p:cNvSpPr/><p:nvPr/></p:nvSpPr>
+          <p:spPr>
+            <a:prstGeom prst="rect"/>
+            <a:noFill/>
+            <a:ln w="38100"><a:solidFill><a:srgbClr val="FF0000"/></a:solidFill></a:ln>
+          </p:spPr>
+          ${style}
+          <p:txBody><a:bodyPr/><a:p><a:r><a:rPr><a:solidFill><a:srgbClr val="000000"/></a:solidFill></a:rPr><a:t>Hi</a:t></a:r></a:p></p:txBody>
+        </p:sp>
+      `);
+      expect(shape.fill.type).toBe('noFill');
+      expect(shape.line['@_w']).toBe('38100');
+      expect(shape.line['a:solidFill']['a:srgbClr']['@_val']).toBe('FF0000');
+      expect(shape.textProps.paragraphs[0].runs[0].color).toBe('000000');
+    });
+
+    it('resolves connector lines from lnRef', () => {
+      const cxn = parseStyled(`
+        <p:cxnSp>
+          <p:nvCxnSpPr><p:cNvPr id="5" name="Connector"/><p:cNvCxnSpPr/><p:nvPr/></p:nvCxnSpPr>
+          <p:spPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="914400" cy="0"/></a:xfrm><a:prstGeom prst="line"/></p:spPr>
+          <p:style>
+            <a:lnRef idx="1"><a:srgbClr val="4472C4"/></a:lnRef>
+            <a:fillRef idx="0"><a:srgbClr val="4472C4"/></a:fillRef>
+            <a:effectRef idx="0"><a:srgbClr val="4472C4"/></a:effectRef>
+            <a:fontRef idx="minor"><a:srgbClr val="000000"/></a:fontRef>
+          </p:style>
+        </p:cxnSp>
+      `);
+      expect(cxn.line['@_w']).toBe('6350');
+      expect(cxn.line['a:solidFill']['a:srgbClr']['@_val']).toBe('4472C4');
+      expect(cxn.effect).toBeNull();
+    });
+
+    it('reads spPr effect lists on shapes, pictures and connectors', () => {
+      const effectLst = '<a:effectLst><a:outerShdw blurRad="50800" dist="38100" dir="2700000"><a:srgbClr val="000000"/></a:outerShdw></a:effectLst>';
+      const xml = xmlParser.parse(`
+        <p:sldLayout><p:cSld><p:spTree>
+          <p:sp>
+            <p:nvSpPr><p:cNvPr id="4" name="Styled"/><p:cNvSpPr/><p:nvPr/></p:nvSpPr>
+            <p:spPr><a:prstGeom prst="rect"/>${effectLst}</p:spPr>
+            ${style}
+          </p:sp>
+          <p:pic>
+            <p:nvPicPr><p:cNvPr id="5" name="Logo"/><p:cNvPicPr/><p:nvPr/></p:nvPicPr>
+            <p:blipFill><a:blip r:embed="rId2"/></p:blipFill>
+            <p:spPr><a:prstGeom prst="rect"/><a:effectLst><a:softEdge rad="63500"/></a:effectLst></p:spPr>
+          </p:pic>
+          <p:cxnSp>
+            <p:nvCxnSpPr><p:cNvPr id="6" name="Connector"/><p:cNvCxnSpPr/><p:nvPr/></p:nvCxnSpPr>
+            <p:spPr><a:prstGeom prst="line"/>${effectLst}</p:spPr>
+          </p:cxnSp>
+        </p:spTree></p:cSld></p:sldLayout>
+      `);
+      const [shape, pic, cxn] = parseSlideLayout(xml, null, null, { colorResolver: resolver, formatScheme }).staticShapes;
+      expect(shape.effect['a:effectLst']['a:outerShdw']['@_dist']).toBe('38100');
+      expect(pic.effect).toEqual({ 'a:effectLst': { 'a:softEdge': { '@_rad': '63500' } } });
+      expect(cxn.effect['a:effectLst']['a:outerShdw']['@_dir']).toBe('2700000');
+    });
+  });
+
+  it('reads click hyperlinks on pictures', () => {
+    const xml = xmlParser.parse(`
+      <p:sldLayout><p:cSld><p:spTree>
+        <p:pic>
+          <p:nvPicPr><p:cNvPr id="5" name="Logo"><a:hlinkClick r:id="rId7"/></p:cNvPr><p:cNvPicPr/><p:nvPr/></p:nvPicPr>
+          <p:blipFill><a:blip r:embed="rId2"/></p:blipFill>
+          <p:spPr><a:prstGeom prst="rect"/></p:spPr>
+        </p:pic>
+      </p:spTree></p:cSld></p:sldLayout>
+    `);
+    const [pic] = parseSlideLayout(xml, null).staticShapes;
+    expect(pic.hyperlink).toEqual({ rId: 'rId7', tooltip: null, action: null });
+  });
+
+  it('reads click hyperlinks on shapes and connectors', () => {
+    const xml = xmlParser.parse(`
+      <p:sldLayout><p:cSld><p:spTree>
+        <p:sp>
+          <p:nvSpPr><p:cNvPr id="6" name="Button"><a:hlinkClick r:id="rId8" tooltip="Shop"/></p:cNvPr><p:cNvSpPr/><p:nvPr/></p:nvSpPr>
+          <p:spPr><a:prstGeom prst="rect"/></p:spPr>
+        </p:sp>
+        <p:cxnSp>
+          <p:nvCxnSpPr><p:cNvPr id="7" name="Rule"><a:hlinkClick r:id="rId9"/></p:cNvPr><p:cNvCxnSpPr/><p:nvPr/></p:nvCxnSpPr>
+          <p:spPr><a:prstGeom prst="line"/></p:spPr>
+        </p:cxnSp>
+      </p:spTree></p:cSld></p:sldLayout>
+    `);
+    const [shape, connector] = parseSlideLayout(xml, null).staticShapes;
+    expect(shape.hyperlink).toEqual({ rId: 'rId8', tooltip: 'Shop', action: null });
+    expect(connector.hyperlink).toEqual({ rId: 'rId9', tooltip: null, action: null });
   });
 
   it('warns about graphic frames', () => {
@@ -489,6 +787,37 @@ describe('parseSlideLayout (mock)', () => {
     expect(result.warnings[0]).toContain('graphic frame');
   });
 
+  it('extracts table graphic frames as static shapes', () => {
+    const xml = xmlParser.parse(`
+      <p:sldLayout>
+        <p:cSld>
+          <p:spTree>
+            <p:graphicFrame>
+              <p:nvGraphicFramePr><p:cNvPr id="13" name="Table 1"/></p:nvGraphicFramePr>
+              <p:xfrm><a:off x="0" y="0"/><a:ext cx="914400" cy="457200"/></p:xfrm>
+              <a:graphic>
+                <a:graphicData uri="http://schemas.openxmlformats.org/drawingml/2006/table">
+                  <a:tbl>
+                    <a:tblGrid><a:gridCol w="914400"/></a:tblGrid>
+                    <a:tr h="457200">
+                      <a:tc><a:txBody><a:bodyPr/><a:p><a:r><a:t>Cell</a:t></a:r></a:p></a:txBody><a:tcPr/></a:tc>
+                    </a:tr>
+                  </a:tbl>
+                </a:graphicData>
+              </a:graphic>
+            </p:graphicFrame>
+          </p:spTree>
+        </p:cSld>
+      </p:sldLayout>
+    `);
+
+    const result = parseSlideLayout(xml, null);
+    expect(result.warnings).toEqual([]);
+    expect(result.staticShapes).toHaveLength(1);
+    expect(result.staticShapes[0].type).toBe('table');
+    expect(result.staticShapes[0].rows[0].cells[0].textProps.plainText).toBe('Cell');
+  });
+
   it('extracts shape fill types', () => {
     const xml = xmlParser.parse(`
       <p:sldLayout>
@@ -720,6 +1049,44 @@ describe('parseSlideLayout (position inheritance)', () => {
     const result = parseSlideLayout(xml, null, null, {});
     expect(result.placeholders[0].position).toBeNull();
   });
+
+  it('inherits autofit, direction and columns the layout body leaves unset', () => {
+    const xml = xmlParser.parse(`
+      <p:sldLayout>
+        <p:cSld>
+          <p:spTree>
+            <p:sp>
+              <p:nvSpPr>
+                <p:cNvPr id="2" name="Content"/>
+                <p:cNvSpPr/>
+                <p:nvPr>
+                  <p:ph type="body" idx="1"/>
+                </p:nvPr>
+              </p:nvSpPr>
+              <p:spPr/>
+              <p:txBody>
+                <a:bodyPr wrap="square" vert="horz"/>
+                <a:p><a:r><a:t>Text</a:t></a:r></a:p>
+              </p:txBody>
+            </p:sp>
+          </p:spTree>
+        </p:cSld>
+      </p:sldLayout>
+    `);
+
+    const masterDefaults = {
+      body: {
+        position: { x: 1, y: 2, w: 8, h: 4 },
+        textProps: { bodyProps: { autoFit: 'shrink', vert: 'vert', wrap: false, columns: { count: 2, spacing: 0.1 } } },
+      },
+    };
+
+    const { bodyProps } = parseSlideLayout(xml, null, null, { masterDefaults }).placeholders[0].textProps;
+    expect(bodyProps.autoFit).toBe('shrink');
+    expect(bodyProps.columns).toEqual({ count: 2, spacing: 0.1 });
+    expect(bodyProps.vert).toBe('horz');
+    expect(bodyProps.wrap).toBe(true);
+  });
 });
 
 // --- showMasterSp behavior ---
@@ -815,3 +1182,64 @@ describe('parsePresentation', () => {
     expect(dims.height).toBe(7.5);
   });
 });
+
+describe('parseMasterIdList', () => {
+  it('lists master relationship IDs in presentation order', () => {
+    const xml = xmlParser.parse(`
+      <p:presentation>
+        <p:sldMasterIdLst>
+          <p:sldMasterId id="2147483660" r:id="rId3"/>
+          <p:sldMasterId id="2147483648" r:id="rId1"/>
+        </p:sldMasterIdLst>
+      </p:presentation>
+    `);
+    expect(parseMasterIdList(xml)).toEqual(['rId3', 'rId1']);
+  });
+
+  it('returns an empty list without p:sldMasterIdLst', () => {
+    expect(parseMasterIdList({ 'p:presentation': {} })).toEqual([]);
+    expect(parseMasterIdList(null)).toEqual([]);
+  });
+});
+
+// --- Custom geometry ---
+
+describe('parseSlideLayout custom geometry', () => {
+  it('marks freeforms as custGeom and carries their paths', () => {
+    const xml = xmlParser.parse(`
+      <p:sldLayout xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main"
+                   xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main">
+        <p:cSld name="Freeform">
+          <p:spTree>
+            <p:sp>
+              <p:nvSpPr><p:cNvPr id="2" name="Freeform 1"/><p:cNvSpPr/><p:nvPr/></p:nvSpPr>
+              <p:spPr>
+                <a:xfrm><a:off x="914400" y="914400"/><a:ext cx="914400" cy="914400"/></a:xfrm>
+                <a:custGeom>
+                  <a:pathLst>
+                    <a:path w="10" h="10">
+                      <a:moveTo><a:pt x="0" y="10"/></a:moveTo>
+                      <a:lnTo><a:pt x="5" y="0"/></a:lnTo>
+                      <a:lnTo><a:pt x="10" y="10"/></a:lnTo>
+                      <a:close/>
+                    </a:path>
+                  </a:pathLst>
+                </a:custGeom>
+                <a:solidFill><a:srgbClr val="FF0000"/></a:solidFill>
+              </p:spPr>
+            </p:sp>
+          </p:spTree>
+        </p:cSld>
+      </p:sldLayout>
+    `);
+
+    const [shape] = parseSlideLayout(xml, null).staticShapes;
+    expect(shape.geometry).toBe('custGeom');
+    expect(shape.custGeom.paths[0].commands).toEqual([
+      { type: 'moveTo', x: 0, y: 1 },
+      { type: 'lnTo', x: 0.5, y: 0 },
+      { type: 'lnTo', x: 1, y: 1 },
+      { type: 'close' },
+    ]);
+  });
+});
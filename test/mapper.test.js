@@ -7,9 +7,11 @@ import {
   resolveShadow,
   mapTextPropsToOptions,
 } from '../src/mapper/shapes.js';
+import { mapTable } from '../src/mapper/tables.js';
 import { mapPlaceholder } from '../src/mapper/placeholders.js';
 import { mapBackground } from '../src/mapper/backgrounds.js';
 import { mapSlideNumberAndFooters, extractSlideNumberFromShape } from '../src/mapper/slideNumber.js';
+import { mergeListStyles, mapTextStyles } from '../src/mapper/textStyles.js';
 
 // Shared test fixtures
 const themeColors = {
@@ -286,6 +288,43 @@ describe('resolveShadow', () => {
     expect(result.color).toBe('333333');
   });
 
+  it('keeps a centred shadow (dist="0") centred', () => {
+    const effectLst = {
+      'a:outerShdw': { '@_blurRad': '63500', '@_dist': '0', '@_dir': '0', 'a:srgbClr': { '@_val': '000000' } },
+    };
+    const result = resolveShadow(effectLst, makeResolver());
+    // PptxGenJS would turn 0 into its 4pt default offset and 270° angle
+    expect(result.offset).toBeGreaterThan(0);
+    expect(result.offset).toBeLessThan(0.01);
+    expect(result.angle).toBeGreaterThan(0);
+    expect(result.angle).toBeLessThan(0.01);
+    expect(result.blur).toBe(5);
+  });
+
+  it('defaults a missing dir, dist and blurRad to OOXML\'s 0', () => {
+    const effectLst = { 'a:outerShdw': { '@_dist': '38100', 'a:srgbClr': { '@_val': '000000' } } };
+    const result = resolveShadow(effectLst, makeResolver());
+    expect(result.offset).toBe(3);
+    // Pointing right (0°), not PptxGenJS's default of up (270°)
+    expect(result.angle).toBeLessThan(0.01);
+    expect(result.blur).toBeLessThan(0.01);
+  });
+
+  it('warns about scaled or skewed shadows', () => {
+    const warnings = [];
+    const effectLst = {
+      'a:outerShdw': { '@_dist': '38100', '@_sx': '90000', '@_ky': '-800000', '@_algn': 'bl', 'a:srgbClr': { '@_val': '000000' } },
+    };
+    expect(resolveShadow(effectLst, makeResolver(), warnings, 'Shape "Card"')).not.toBeNull();
+    expect(warnings).toEqual([
+      'Shape "Card" has a scaled or skewed shadow (sx, sy, kx, ky, algn), which PptxGenJS can\'t express; drawn unscaled',
+    ]);
+
+    const plain = [];
+    resolveShadow({ 'a:outerShdw': { '@_sx': '100000', '@_algn': 'ctr' } }, makeResolver(), plain);
+    expect(plain).toEqual([]);
+  });
+
   it('returns null for null effectLst', () => {
     expect(resolveShadow(null, makeResolver())).toBeNull();
   });
@@ -314,6 +353,22 @@ describe('resolveShadow', () => {
 // --- mapTextPropsToOptions ---
 
 describe('mapTextPropsToOptions', () => {
+  it('emits fit, vert and wrap from body properties', () => {
+    const opts = mapTextPropsToOptions({
+      bodyProps: { autoFit: 'shrink', vert: 'vert270', wrap: false },
+      paragraphs: [],
+      plainText: '',
+    });
+    expect(opts.fit).toBe('shrink');
+    expect(opts.vert).toBe('vert270');
+    expect(opts.wrap).toBe(false);
+
+    const plain = mapTextPropsToOptions({ bodyProps: { autoFit: 'none', vert: 'horz', wrap: true }, paragraphs: [], plainText: '' });
+    expect(plain.fit).toBeUndefined();
+    expect(plain.vert).toBeUndefined();
+    expect(plain.wrap).toBeUndefined();
+  });
+
   it('extracts body props and first paragraph styling', () => {
     const textProps = {
       bodyProps: {
@@ -476,8 +531,158 @@ describe('mapShape', () => {
     };
 
     const { object } = mapShape(shape, makeResolver(), themeFonts, relationships);
-    expect(object.rect.rectRadius).toBe(0.1);
-    expect(object.rect.fill.color).toBe('FF0000');
+    expect(object.shape.type).toBe('roundRect');
+    expect(object.shape.options.rectRadius).toBe(0.1);
+    expect(object.shape.options.fill.color).toBe('FF0000');
+  });
+
+  it('maps preset geometry to a shape object with its adjustments', () => {
+    const shape = {
+      type: 'shape',
+      name: 'Pie 4',
+      position: { x: 1, y: 1, w: 2, h: 2 },
+      geometry: 'pie',
+      avLst: { adj1: 5400000, adj2: 16200000 },
+      fill: { type: 'solidFill', element: { 'a:srgbClr': { '@_val': '00FF00' } } },
+      line: null,
+      textProps: null,
+      rotation: 15,
+    };
+
+    const { object, warnings } = mapShape(shape, makeResolver(), themeFonts, relationships);
+    expect(object.shape).toEqual({
+      type: 'pie',
+      options: { x: 1, y: 1, w: 2, h: 2, angleRange: [90, 270], fill: { color: '00FF00' }, rotate: 15 },
+    });
+    expect(warnings).toEqual([]);
+  });
+
+  it('keeps text on preset shapes', () => {
+    const shape = {
+      type: 'shape',
+      name: 'Oval 2',
+      position: { x: 0, y: 0, w: 2, h: 1 },
+      geometry: 'ellipse',
+      fill: { type: 'solidFill', element: { 'a:srgbClr': { '@_val': '0000FF' } } },
+      line: null,
+      textProps: { plainText: 'Step 1', paragraphs: [{ runs: [{ text: 'Step 1', bold: true }] }] },
+    };
+
+    const { object } = mapShape(shape, makeResolver(), themeFonts, relationships);
+    expect(object.shape.type).toBe('ellipse');
+    expect(object.shape.text).toBe('Step 1');
+    expect(object.shape.options).toMatchObject({ x: 0, y: 0, w: 2, h: 1, bold: true, fill: { color: '0000FF' } });
+  });
+
+  it('keeps mixed run formatting as a text-run array', () => {
+    const shape = {
+      type: 'shape',
+      name: 'Footer Text',
+      position: { x: 0.5, y: 7, w: 6, h: 0.4 },
+      geometry: 'rect',
+      fill: null,
+      line: null,
+      textProps: {
+        plainText: 'Acme Corp | Confidential',
+        paragraphs: [{
+          align: 'left',
+          runs: [
+            { text: 'Acme Corp', bold: true, fontSize: 12, color: '003366' },
+            { text: ' | Confidential', fontSize: 10, color: '808080', italic: true },
+          ],
+        }],
+      },
+    };
+
+    const { object } = mapShape(shape, makeResolver(), themeFonts, relationships);
+    expect(object.text).toBeUndefined();
+    expect(object.richText.text).toEqual([
+      { text: 'Acme Corp', options: { align: 'left', fontSize: 12, color: '003366', bold: true } },
+      { text: ' | Confidential', options: { align: 'left', fontSize: 10, color: '808080', italic: true } },
+    ]);
+    expect(object.richText.options).toMatchObject({ x: 0.5, y: 7, w: 6, h: 0.4 });
+    expect(object.richText.options.bold).toBeUndefined();
+    expect(object.richText.options.fontSize).toBeUndefined();
+  });
+
+  it('ends paragraphs with breakLine and keeps line breaks as soft breaks', () => {
+    const shape = {
+      type: 'shape',
+      name: 'Address',
+      position: { x: 0, y: 0, w: 4, h: 1 },
+      geometry: 'ellipse',
+      fill: null,
+      line: null,
+      textProps: {
+        plainText: 'Head\nStreet\nTown',
+        paragraphs: [
+          { align: 'center', runs: [{ text: 'Head', bold: true }] },
+          { align: 'center', runs: [{ text: 'Street' }, { isBreak: true }, { text: 'Town' }] },
+        ],
+      },
+    };
+
+    const { object } = mapShape(shape, makeResolver(), themeFonts, relationships);
+    expect(object.richText.options.shape).toBe('ellipse');
+    expect(object.richText.text.map((run) => [run.text, run.options.breakLine, run.options.softBreakBefore])).toEqual([
+      ['Head', true, undefined],
+      ['Street', undefined, undefined],
+      ['Town', undefined, true],
+    ]);
+  });
+
+  it('warns about adjustments PptxGenJS cannot carry', () => {
+    const shape = {
+      type: 'shape',
+      name: 'Arrow 7',
+      position: { x: 0, y: 0, w: 3, h: 1 },
+      geometry: 'rightArrow',
+      avLst: { adj1: 30000, adj2: 60000 },
+      fill: null,
+      line: null,
+      textProps: null,
+    };
+
+    const { object, warnings } = mapShape(shape, makeResolver(), themeFonts, relationships);
+    expect(object.shape.type).toBe('rightArrow');
+    expect(object.shape.options.adj1).toBeUndefined();
+    expect(warnings).toEqual([
+      'Shape "Arrow 7" (rightArrow) adjustments adj1, adj2 have no PptxGenJS equivalent; preset defaults used',
+    ]);
+  });
+
+  it('draws presets without a PptxGenJS equivalent as rectangles + warning', () => {
+    const shape = {
+      type: 'shape',
+      name: 'Folded 1',
+      position: { x: 0, y: 0, w: 1, h: 1 },
+      geometry: 'foldedCorner',
+      fill: { type: 'solidFill', element: { 'a:srgbClr': { '@_val': 'FFFF00' } } },
+      line: null,
+      textProps: null,
+    };
+
+    const { object, warnings } = mapShape(shape, makeResolver(), themeFonts, relationships);
+    expect(object.rect).toMatchObject({ x: 0, y: 0, w: 1, h: 1, fill: { color: 'FFFF00' } });
+    expect(warnings).toEqual([
+      'Shape "Folded 1" uses preset geometry "foldedCorner", which has no PptxGenJS equivalent; drawn as a rectangle',
+    ]);
+  });
+
+  it('maps connector presets on p:sp shapes as lines', () => {
+    const shape = {
+      type: 'shape',
+      name: 'Elbow 2',
+      position: { x: 0, y: 0, w: 2, h: 1 },
+      geometry: 'bentConnector3',
+      fill: null,
+      line: null,
+      textProps: null,
+    };
+
+    const { object, warnings } = mapShape(shape, makeResolver(), themeFonts, relationships);
+    expect(object.line).toMatchObject({ x: 0, y: 0, w: 2, h: 1 });
+    expect(warnings).toEqual(['Connector "Elbow 2" (bentConnector3) rendered as a straight line']);
   });
 
   it('maps a line shape', () => {
@@ -504,6 +709,59 @@ describe('mapShape', () => {
     expect(object.line.line.width).toBe(2);
   });
 
+  it('maps a connector to a line with flips and arrowheads', () => {
+    const shape = {
+      type: 'connector',
+      name: 'Connector 1',
+      position: { x: 1, y: 1, w: 3, h: 2 },
+      flipH: false,
+      flipV: true,
+      geometry: 'line',
+      connectorType: 'straightConnector1',
+      fill: null,
+      line: {
+        '@_w': '12700',
+        'a:solidFill': { 'a:srgbClr': { '@_val': 'C00000' } },
+        'a:prstDash': { '@_val': 'dash' },
+        'a:headEnd': { '@_type': 'oval' },
+        'a:tailEnd': { '@_type': 'triangle' },
+      },
+      textProps: null,
+    };
+
+    const { object, warnings } = mapShape(shape, makeResolver(), themeFonts, relationships);
+    expect(warnings).toHaveLength(0);
+    expect(object.line.flipV).toBe(true);
+    expect(object.line.flipH).toBeUndefined();
+    expect(object.line.line).toEqual({
+      width: 1,
+      color: 'C00000',
+      dashType: 'dash',
+      beginArrowType: 'oval',
+      endArrowType: 'triangle',
+    });
+  });
+
+  it('maps elbow connectors to straight lines with a warning', () => {
+    const shape = {
+      type: 'connector',
+      name: 'Elbow Connector 3',
+      position: { x: 1, y: 1, w: 3, h: 2 },
+      geometry: 'line',
+      connectorType: 'bentConnector3',
+      fill: null,
+      line: null,
+      textProps: null,
+    };
+
+    const { object, warnings } = mapShape(shape, makeResolver(), themeFonts, relationships);
+    expect(object.line).toBeDefined();
+    expect(object.line.w).toBe(3);
+    expect(warnings).toHaveLength(1);
+    expect(warnings[0]).toContain('Elbow Connector 3');
+    expect(warnings[0]).toContain('bentConnector3');
+  });
+
   it('maps a text box shape', () => {
     const shape = {
       type: 'shape',
@@ -591,6 +849,447 @@ describe('mapShape', () => {
     expect(object.image.rotate).toBe(90);
   });
 
+  it('includes flips on shapes, text boxes and lines', () => {
+    const base = {
+      type: 'shape',
+      name: 'Accent',
+      position: { x: 0, y: 0, w: 2, h: 1 },
+      flipH: true,
+      flipV: true,
+      fill: null,
+      line: null,
+      textProps: null,
+    };
+
+    const rect = mapShape({ ...base, geometry: 'rect' }, makeResolver(), themeFonts, relationships).object;
+    expect(rect.rect).toMatchObject({ flipH: true, flipV: true });
+
+    const arrow = mapShape({ ...base, geometry: 'rightArrow', flipV: false }, makeResolver(), themeFonts, relationships).object;
+    expect(arrow.shape.options.flipH).toBe(true);
+    expect(arrow.shape.options.flipV).toBeUndefined();
+
+    const textBox = mapShape({ ...base, geometry: 'rect', textProps: { plainText: 'Hi', paragraphs: [] } }, makeResolver(), themeFonts, relationships).object;
+    expect(textBox.text.options).toMatchObject({ flipH: true, flipV: true });
+
+    // A flipped line runs between the other pair of corners of its box
+    const line = mapShape({ ...base, geometry: 'line', flipV: false }, makeResolver(), themeFonts, relationships).object;
+    expect(line.line).toMatchObject({ x: 0, y: 0, w: 2, h: 1, flipH: true });
+  });
+
+  it('includes flips on images', () => {
+    const shape = {
+      type: 'picture',
+      name: 'Mirrored Image',
+      position: { x: 0, y: 0, w: 2, h: 2 },
+      flipH: true,
+      geometry: undefined,
+      fill: null,
+      line: null,
+      textProps: null,
+      imageRef: 'rId2',
+    };
+
+    const { object } = mapShape(shape, makeResolver(), themeFonts, relationships);
+    expect(object.image.flipH).toBe(true);
+    expect(object.image.flipV).toBeUndefined();
+  });
+
+  describe('hyperlinks', () => {
+    const linkRels = {
+      rId2: { type: 'image', target: '../media/logo.jpg' },
+      rId5: { type: 'hyperlink', target: 'https://acme.example/', external: true },
+      rId6: { type: 'slide', target: '../slides/slide2.xml' },
+    };
+
+    it('links pictures to external targets', () => {
+      const shape = {
+        type: 'picture',
+        name: 'Logo',
+        position: { x: 0, y: 0, w: 1, h: 1 },
+        imageRef: 'rId2',
+        hyperlink: { rId: 'rId5', tooltip: 'Home', action: null },
+      };
+
+      const { object, warnings } = mapShape(shape, makeResolver(), themeFonts, linkRels);
+      expect(object.image.hyperlink).toEqual({ url: 'https://acme.example/', tooltip: 'Home' });
+      expect(warnings).toEqual([]);
+    });
+
+    it('keeps linked text as rich text runs', () => {
+      const shape = {
+        type: 'shape',
+        name: 'Footer',
+        position: { x: 0, y: 7, w: 4, h: 0.3 },
+        geometry: 'rect',
+        fill: null,
+        line: null,
+        textProps: {
+          plainText: 'Privacy policy',
+          paragraphs: [{ runs: [{ text: 'Privacy policy', hyperlink: { rId: 'rId5', tooltip: null, action: null } }] }],
+        },
+      };
+
+      const { object, warnings } = mapShape(shape, makeResolver(), themeFonts, linkRels);
+      expect(object.richText.text).toEqual([
+        { text: 'Privacy policy', options: { hyperlink: { url: 'https://acme.example/' } } },
+      ]);
+      expect(warnings).toEqual([]);
+    });
+
+    it('carries links on whole shapes, lines and text boxes', () => {
+      const link = { rId: 'rId5', tooltip: 'Home', action: null };
+      const expected = { url: 'https://acme.example/', tooltip: 'Home' };
+      const base = { type: 'shape', position: { x: 1, y: 1, w: 2, h: 1 }, fill: null, line: null, textProps: null, hyperlink: link };
+
+      const rect = mapShape({ ...base, name: 'Button', geometry: 'rect' }, makeResolver(), themeFonts, linkRels);
+      expect(rect.object.rect.hyperlink).toEqual(expected);
+
+      const line = mapShape({ ...base, type: 'connector', name: 'Rule', geometry: 'line' }, makeResolver(), themeFonts, linkRels);
+      expect(line.object.line.hyperlink).toEqual(expected);
+
+      const ellipse = mapShape({ ...base, name: 'Badge', geometry: 'ellipse' }, makeResolver(), themeFonts, linkRels);
+      expect(ellipse.object.shape.options.hyperlink).toEqual(expected);
+
+      const textBox = mapShape({
+        ...base,
+        name: 'Visit',
+        geometry: 'rect',
+        textProps: { plainText: 'Visit us', paragraphs: [{ runs: [{ text: 'Visit us', bold: true }] }] },
+      }, makeResolver(), themeFonts, linkRels);
+      // PptxGenJS only writes relationships for run links
+      expect(textBox.object.richText.text).toEqual([{ text: 'Visit us', options: { bold: true, hyperlink: expected } }]);
+      expect(textBox.object.richText.options.hyperlink).toBeUndefined();
+      expect(textBox.warnings).toEqual([]);
+    });
+
+    it('drops links that jump within the presentation, with a warning', () => {
+      const shape = {
+        type: 'shape',
+        name: 'Nav',
+        position: { x: 0, y: 0, w: 2, h: 0.5 },
+        geometry: 'rect',
+        fill: null,
+        line: null,
+        textProps: {
+          plainText: 'NextAgenda',
+          paragraphs: [{
+            runs: [
+              { text: 'Next', hyperlink: { rId: null, tooltip: null, action: 'ppaction://hlinkshowjump?jump=nextslide' } },
+              { text: 'Agenda', hyperlink: { rId: 'rId6', tooltip: null, action: 'ppaction://hlinksldjump' } },
+            ],
+          }],
+        },
+      };
+
+      const { object, warnings } = mapShape(shape, makeResolver(), themeFonts, linkRels);
+      expect(object.text.text).toBe('NextAgenda');
+      expect(warnings).toEqual([
+        'Text "Next" in "Nav" jumps within the presentation (ppaction://hlinkshowjump?jump=nextslide), which slide masters can\'t; link dropped',
+        'Text "Agenda" in "Nav" jumps within the presentation (ppaction://hlinksldjump), which slide masters can\'t; link dropped',
+      ]);
+    });
+
+    it('warns about links to parts of the template and unknown ids', () => {
+      const shape = {
+        type: 'picture',
+        name: 'Logo',
+        position: { x: 0, y: 0, w: 1, h: 1 },
+        imageRef: 'rId2',
+        hyperlink: { rId: 'rId6', tooltip: null, action: null },
+      };
+
+      const internal = mapShape(shape, makeResolver(), themeFonts, linkRels);
+      expect(internal.object.image.hyperlink).toBeUndefined();
+      expect(internal.warnings).toEqual([
+        'Picture "Logo" links to "../slides/slide2.xml" inside the template, which slide masters can\'t; link dropped',
+      ]);
+
+      const unknown = mapShape({ ...shape, hyperlink: { rId: 'rId9', tooltip: null, action: null } }, makeResolver(), themeFonts, linkRels);
+      expect(unknown.warnings).toEqual(['Picture "Logo" has a link (rId9) that could not be resolved; link dropped']);
+    });
+  });
+
+  describe('effects', () => {
+    const shadowLst = {
+      'a:outerShdw': {
+        '@_blurRad': '50800', '@_dist': '38100', '@_dir': '2700000',
+        'a:srgbClr': { '@_val': '000000', 'a:alpha': { '@_val': '40000' } },
+      },
+    };
+    const glowLst = {
+      'a:glow': { '@_rad': '63500', 'a:srgbClr': { '@_val': 'FFC000' } },
+      'a:softEdge': { '@_rad': '25400' },
+    };
+    const solid = { type: 'solidFill', element: { 'a:srgbClr': { '@_val': '4472C4' } } };
+    const expectedShadow = { type: 'outer', blur: 4, offset: 3, angle: 45, color: '000000', opacity: 0.4 };
+
+    function makeShape(effectLst, overrides = {}) {
+      return {
+        type: 'shape',
+        name: 'Card',
+        position: { x: 1, y: 1, w: 2, h: 1 },
+        geometry: 'rect',
+        fill: solid,
+        line: null,
+        effect: { 'a:effectLst': effectLst },
+        textProps: null,
+        ...overrides,
+      };
+    }
+
+    it('sets the shadow on rectangles, text, lines and images', () => {
+      const text = { plainText: 'Hi', paragraphs: [{ runs: [{ text: 'Hi' }] }] };
+      const rect = mapShape(makeShape(shadowLst), makeResolver(), themeFonts, relationships);
+      const textBox = mapShape(makeShape(shadowLst, { textProps: text }), makeResolver(), themeFonts, relationships);
+      const line = mapShape(makeShape(shadowLst, { geometry: 'line', fill: null }), makeResolver(), themeFonts, relationships);
+      const image = mapShape(
+        makeShape(shadowLst, { type: 'picture', geometry: undefined, imageRef: 'rId2' }),
+        makeResolver(), themeFonts, relationships,
+      );
+      expect(rect.object.rect.shadow).toEqual(expectedShadow);
+      expect(textBox.object.text.options.shadow).toEqual(expectedShadow);
+      expect(line.object.line.shadow).toEqual(expectedShadow);
+      expect(image.object.image.shadow).toEqual(expectedShadow);
+      expect(rect.warnings).toEqual([]);
+    });
+
+    it('sets the shadow on the rendered fill behind a shape', () => {
+      const gradient = {
+        type: 'gradFill',
+        element: { 'a:gsLst': { 'a:gs': [
+          { '@_pos': '0', 'a:srgbClr': { '@_val': 'FF0000' } },
+          { '@_pos': '100000', 'a:srgbClr': { '@_val': '0000FF' } },
+        ] } },
+      };
+      const text = { plainText: 'Hi', paragraphs: [{ runs: [{ text: 'Hi' }] }] };
+      const result = mapShape(makeShape(shadowLst, { fill: gradient, textProps: text }), makeResolver(), themeFonts, relationships);
+      expect(result.underlay.image.shadow).toEqual(expectedShadow);
+      expect(result.object.text.options.shadow).toBeUndefined();
+    });
+
+    it('warns about effects PptxGenJS cannot express, naming the shape', () => {
+      const result = mapShape(makeShape({ ...shadowLst, ...glowLst }), makeResolver(), themeFonts, relationships);
+      expect(result.object.rect.shadow).toEqual(expectedShadow);
+      expect(result.warnings).toHaveLength(1);
+      expect(result.warnings[0]).toContain('"Card" has glow and soft edge effects');
+      expect(result.warnings[0]).toContain('--bake-effects');
+    });
+
+    it('bakes effects into an image on request', () => {
+      const result = mapShape(makeShape(glowLst), makeResolver(), themeFonts, relationships, { bakeEffects: true });
+      const { image } = result.object;
+      expect(image.path).toMatch(/^\.\/media\/effects-[0-9a-f]{8}\.png$/);
+      expect(image.x).toBeLessThan(1);
+      expect(image.w).toBeGreaterThan(2);
+      expect(image.x + image.w / 2).toBeCloseTo(2);
+      expect(result.media[0].buffer.subarray(1, 4).toString()).toBe('PNG');
+      expect(result.warnings).toEqual(['Shape "Card" has glow and soft edge effects; rendered as an image']);
+    });
+
+    it('keeps baked text editable over the image', () => {
+      const text = { plainText: 'Hi', paragraphs: [{ runs: [{ text: 'Hi' }] }] };
+      const result = mapShape(
+        makeShape(glowLst, { geometry: 'ellipse', textProps: text }),
+        makeResolver(), themeFonts, relationships, { bakeEffects: true },
+      );
+      expect(result.underlay.image.path).toMatch(/effects-/);
+      expect(result.object.text.text).toBe('Hi');
+      expect(result.object.text.options).toMatchObject({ x: 1, y: 1, w: 2, h: 1 });
+      expect(result.object.text.options.fill).toBeUndefined();
+    });
+
+    it('warns when a shape cannot be baked', () => {
+      const result = mapShape(
+        makeShape(glowLst, { type: 'picture', geometry: undefined, imageRef: 'rId2' }),
+        makeResolver(), themeFonts, relationships, { bakeEffects: true },
+      );
+      expect(result.object.image.path).toBe('./media/logo.jpg');
+      expect(result.warnings[0]).toContain('can be baked');
+    });
+  });
+
+  describe('picture cropping and fill modes', () => {
+    function makePicture(overrides = {}) {
+      return {
+        type: 'picture',
+        name: 'Logo',
+        position: { x: 1, y: 1, w: 2, h: 1 },
+        fill: null,
+        line: null,
+        textProps: null,
+        imageRef: 'rId2',
+        ...overrides,
+      };
+    }
+
+    it('crops through PptxGenJS crop sizing', () => {
+      const shape = makePicture({ crop: { l: 0.1, t: 0.2, r: 0.3, b: 0 } });
+      const { object, warnings } = mapShape(shape, makeResolver(), themeFonts, relationships);
+      // The whole image would be 2 / 0.6 × 1 / 0.8; the visible window stays 2 × 1 at (1, 1)
+      expect(object.image).toEqual({
+        x: 1, y: 1, w: 3.3333, h: 1.25,
+        path: './media/logo.jpg',
+        sizing: { type: 'crop', x: 0.3333, y: 0.25, w: 2, h: 1 },
+      });
+      expect(warnings).toEqual([]);
+    });
+
+    it('draws stretch insets inside the box and crops what falls outside', () => {
+      const inset = mapShape(makePicture({ fillRect: { l: 0.25, t: 0, r: 0.25, b: 0 } }), makeResolver(), themeFonts, relationships);
+      expect(inset.object.image).toEqual({ x: 1.5, y: 1, w: 1, h: 1, path: './media/logo.jpg' });
+
+      const outset = mapShape(makePicture({ fillRect: { l: 0, t: -0.5, r: 0, b: -0.5 } }), makeResolver(), themeFonts, relationships);
+      expect(outset.object.image.sizing).toEqual({ type: 'crop', x: 0, y: 0.5, w: 2, h: 1 });
+      expect(outset.object.image.h).toBe(2);
+    });
+
+    it('ignores crops that leave nothing + warning', () => {
+      const shape = makePicture({ crop: { l: 0.6, t: 0, r: 0.5, b: 0 } });
+      const { object, warnings } = mapShape(shape, makeResolver(), themeFonts, relationships);
+      expect(object.image.sizing).toBeUndefined();
+      expect(warnings).toEqual(['Picture "Logo" crops away its whole image; drawn uncropped']);
+    });
+
+    it('expands tiled pictures into a grid of cropped images', () => {
+      const shape = makePicture({
+        position: { x: 0, y: 0, w: 2.5, h: 1 },
+        tile: { tx: 0, ty: 0, sx: 1, sy: 1, flip: 'x', algn: 'tl' },
+        imageSize: { width: 96, height: 96, dpiX: 96, dpiY: 96 },
+      });
+      const { object, objects, warnings } = mapShape(shape, makeResolver(), themeFonts, relationships);
+      expect(object).toBeUndefined();
+      expect(objects.map((o) => o.image)).toEqual([
+        { x: 0, y: 0, w: 1, h: 1, path: './media/logo.jpg' },
+        // Every other column is mirrored
+        { x: 1, y: 0, w: 1, h: 1, path: './media/logo.jpg', flipH: true },
+        { x: 2, y: 0, w: 1, h: 1, path: './media/logo.jpg', sizing: { type: 'crop', x: 0, y: 0, w: 0.5, h: 1 } },
+      ]);
+      expect(warnings).toEqual([]);
+    });
+
+    it('aligns and scales the tile grid', () => {
+      const shape = makePicture({
+        position: { x: 0, y: 0, w: 1, h: 1 },
+        tile: { tx: 0, ty: 0, sx: 0.5, sy: 0.5, flip: 'none', algn: 'ctr' },
+        imageSize: { width: 192, height: 192, dpiX: 192, dpiY: 192 },
+      });
+      const { objects } = mapShape(shape, makeResolver(), themeFonts, relationships);
+      // 0.5in tiles centred on a 1in box: a whole tile in the middle, quarters at the corners
+      expect(objects).toHaveLength(9);
+      expect(objects[4].image).toEqual({ x: 0.25, y: 0.25, w: 0.5, h: 0.5, path: './media/logo.jpg' });
+      expect(objects[0].image.sizing).toEqual({ type: 'crop', x: 0.25, y: 0.25, w: 0.25, h: 0.25 });
+    });
+
+    it('stretches tiled pictures whose image size is unknown + warning', () => {
+      const shape = makePicture({ tile: { tx: 0, ty: 0, sx: 1, sy: 1, flip: 'none', algn: 'tl' } });
+      const { object, warnings } = mapShape(shape, makeResolver(), themeFonts, relationships);
+      expect(object.image).toEqual({ x: 1, y: 1, w: 2, h: 1, path: './media/logo.jpg' });
+      expect(warnings).toEqual(['Picture "Logo" is tiled, but its image size could not be read; drawn stretched over its box']);
+    });
+
+    it('stretches tiled pictures with too many tiles + warning', () => {
+      const shape = makePicture({
+        tile: { tx: 0, ty: 0, sx: 0.01, sy: 0.01, flip: 'none', algn: 'tl' },
+        imageSize: { width: 96, height: 96, dpiX: 96, dpiY: 96 },
+      });
+      const { object, warnings } = mapShape(shape, makeResolver(), themeFonts, relationships);
+      expect(object.image.path).toBe('./media/logo.jpg');
+      expect(warnings[0]).toMatch(/^Picture "Logo" tiles its image 20000 times \(more than 100\)/);
+    });
+
+    it('turns tiles about the centre of a rotated picture', () => {
+      const shape = makePicture({
+        position: { x: 0, y: 0, w: 2, h: 1 },
+        rotation: 180,
+        tile: { tx: 0, ty: 0, sx: 1, sy: 1, flip: 'none', algn: 'tl' },
+        imageSize: { width: 96, height: 96, dpiX: 96, dpiY: 96 },
+      });
+      const { objects } = mapShape(shape, makeResolver(), themeFonts, relationships);
+      expect(objects.map((o) => [o.image.x, o.image.y, o.image.rotate])).toEqual([[1, 0, 180], [0, 0, 180]]);
+    });
+    it('mirrors stretch insets and tiles of flipped pictures', () => {
+      const inset = mapShape(makePicture({ flipH: true, fillRect: { l: 0.5, t: 0, r: 0, b: 0 } }), makeResolver(), themeFonts, relationships);
+      // Inset from the left, mirrored to the left half of the box
+      expect(inset.object.image).toEqual({ x: 1, y: 1, w: 1, h: 1, path: './media/logo.jpg', flipH: true });
+
+      const shape = makePicture({
+        position: { x: 0, y: 0, w: 2, h: 1 },
+        flipH: true,
+        tile: { tx: 0, ty: 0, sx: 1, sy: 1, flip: 'x', algn: 'tl' },
+        imageSize: { width: 96, height: 96, dpiX: 96, dpiY: 96 },
+      });
+      const { objects } = mapShape(shape, makeResolver(), themeFonts, relationships);
+      // The unflipped first tile moves right and is mirrored; the tile flipped by the grid is drawn unmirrored
+      expect(objects.map((o) => [o.image.x, Boolean(o.image.flipH)])).toEqual([[1, true], [0, false]]);
+    });
+  });
+
+  describe('SVG pictures', () => {
+    const svgRelationships = {
+      rId2: { type: 'image', target: '../media/image2.png' },
+      rId3: { type: 'image', target: '../media/image3.svg' },
+    };
+    const logo = {
+      type: 'picture',
+      name: 'Logo',
+      position: { x: 0, y: 0, w: 1, h: 1 },
+      fill: null,
+      line: null,
+      textProps: null,
+      imageRef: 'rId2',
+      svgRef: 'rId3',
+    };
+
+    it('references the SVG version by default', () => {
+      const { object, warnings } = mapShape(logo, makeResolver(), themeFonts, svgRelationships);
+      expect(object.image.path).toBe('./media/image3.svg');
+      expect(warnings).toEqual([]);
+    });
+
+    it('references the PNG fallback with imageFormat png', () => {
+      const { object } = mapShape(logo, makeResolver(), themeFonts, svgRelationships, { imageFormat: 'png' });
+      expect(object.image.path).toBe('./media/image2.png');
+    });
+
+    it('falls back to the PNG + warning when the SVG is not resolvable', () => {
+      const { object, warnings } = mapShape({ ...logo, svgRef: 'rId9' }, makeResolver(), themeFonts, svgRelationships);
+      expect(object.image.path).toBe('./media/image2.png');
+      expect(warnings).toEqual(['SVG version of picture "Logo" could not be resolved; using its PNG fallback']);
+    });
+  });
+
+  describe('metafile pictures', () => {
+    const emfRelationships = { rId2: { type: 'image', target: '../media/image2.emf' } };
+    const logo = {
+      type: 'picture',
+      name: 'Logo',
+      position: { x: 0, y: 0, w: 1, h: 1 },
+      fill: null,
+      line: null,
+      textProps: null,
+      imageRef: 'rId2',
+    };
+
+    it('references the SVG conversion and queues it as media', () => {
+      const svg = Buffer.from('<svg/>');
+      const shape = { ...logo, metafile: { format: 'EMF', filename: 'image2-emf.svg', svg, width: 96, height: 96 } };
+      const { object, media, warnings } = mapShape(shape, makeResolver(), themeFonts, emfRelationships);
+      expect(object.image.path).toBe('./media/image2-emf.svg');
+      expect(media).toEqual([{ filename: 'image2-emf.svg', buffer: svg }]);
+      expect(warnings).toEqual([]);
+    });
+
+    it('keeps the original + warning when the conversion failed', () => {
+      const shape = { ...logo, metafile: { format: 'EMF', error: 'no supported drawing records' } };
+      const { object, media, warnings } = mapShape(shape, makeResolver(), themeFonts, emfRelationships);
+      expect(object.image.path).toBe('./media/image2.emf');
+      expect(media).toBeUndefined();
+      expect(warnings).toEqual([
+        'EMF picture "Logo" could not be converted to SVG (no supported drawing records); it is referenced as-is and may not display',
+      ]);
+    });
+  });
+
   it('warns on unresolved image reference', () => {
     const shape = {
       type: 'picture',
@@ -607,6 +1306,122 @@ describe('mapShape', () => {
     expect(warnings.some((w) => w.includes('rId999'))).toBe(true);
   });
 
+  it('bakes the autofit scale into static text and warns about columns', () => {
+    const shape = {
+      type: 'shape',
+      name: 'Shrunk',
+      position: { x: 1, y: 1, w: 4, h: 1 },
+      geometry: 'rect',
+      fill: null,
+      line: null,
+      textProps: {
+        bodyProps: { autoFit: 'shrink', fontScale: 0.5, lineSpacingReduction: 0.1, columns: { count: 2, spacing: 0.1 } },
+        paragraphs: [
+          { align: 'left', lineSpacingMultiple: 1.2, runs: [{ text: 'Long text', fontFace: 'Arial', fontSize: 20 }] },
+        ],
+        plainText: 'Long text',
+      },
+    };
+
+    const { object, warnings } = mapShape(shape, makeResolver(), themeFonts, {});
+    expect(object.text.options.fit).toBe('shrink');
+    expect(object.text.options.fontSize).toBe(10);
+    expect(object.text.options.lineSpacingMultiple).toBe(1.08);
+    expect(shape.textProps.paragraphs[0].runs[0].fontSize).toBe(20);
+    expect(warnings).toContain('Text in "Shrunk" is set in 2 columns, which PptxGenJS can\'t express; laid out in one column');
+  });
+
+  it('carries typography onto static text and capitalises all-caps runs', () => {
+    const shape = {
+      type: 'shape',
+      name: 'Styled',
+      position: { x: 1, y: 1, w: 4, h: 1 },
+      geometry: 'rect',
+      fill: null,
+      line: null,
+      textProps: {
+        bodyProps: {},
+        paragraphs: [{
+          runs: [{
+            text: 'Heading', fontSize: 20, caps: 'all', charSpacing: 2, underline: 'dbl', underlineColor: 'FF0000',
+            outline: { color: '00FF00', size: 1 },
+          }],
+        }],
+        plainText: 'Heading',
+      },
+    };
+
+    const { object, warnings } = mapShape(shape, makeResolver(), themeFonts, {});
+    expect(object.text.text).toBe('HEADING');
+    expect(object.text.options).toMatchObject({
+      charSpacing: 2,
+      underline: { style: 'dbl', color: 'FF0000' },
+      outline: { color: '00FF00', size: 1 },
+    });
+    expect(warnings).toEqual([]);
+  });
+
+  it('gives each rich text run its own typography and warns about gradient text, small caps and kerning', () => {
+    const shape = {
+      type: 'shape',
+      name: 'Mixed',
+      position: { x: 1, y: 1, w: 4, h: 1 },
+      geometry: 'rect',
+      fill: null,
+      line: null,
+      textProps: {
+        bodyProps: {},
+        paragraphs: [{
+          runs: [
+            { text: 'Spaced ', fontSize: 20, charSpacing: 3, color: '4472C4', gradientFill: true },
+            { text: 'small', fontSize: 14, caps: 'small', strike: 'sngStrike', kerning: 12 },
+            { text: ' plain', fontSize: 14, kerning: 0 },
+          ],
+        }],
+        plainText: 'Spaced small',
+      },
+    };
+
+    const { object, warnings } = mapShape(shape, makeResolver(), themeFonts, {});
+    const [first, second] = object.richText.text;
+    expect(object.richText.options.charSpacing).toBeUndefined();
+    expect(first.options.charSpacing).toBe(3);
+    expect(second.options.charSpacing).toBeUndefined();
+    expect(second.options.strike).toBe('sngStrike');
+    expect(second.text).toBe('small');
+    expect(second.options.kerning).toBeUndefined();
+    expect(warnings).toEqual([
+      'Text in "Mixed" has gradient-filled text, which PptxGenJS can\'t express; using its first color',
+      'Text in "Mixed" uses small caps, which PptxGenJS can\'t express; drawn in normal case',
+      'Text in "Mixed" is kerned, which PptxGenJS can\'t express; drawn without kerning',
+    ]);
+  });
+
+  it('puts the p:style font under the lstStyle and paragraph defaults', () => {
+    const makeStyled = (runs) => ({
+      type: 'shape',
+      name: 'Styled',
+      position: { x: 1, y: 1, w: 4, h: 1 },
+      geometry: 'rect',
+      fill: null,
+      line: null,
+      textProps: {
+        bodyProps: {},
+        lstStyleProps: { 1: { defaultRunProps: { color: 'AA0000' } } },
+        paragraphs: [{ level: 1, runs }],
+        plainText: runs.map((run) => run.text).join(''),
+        styleFont: { fontFace: 'Calibri', color: 'FFFFFF' },
+      },
+    });
+
+    const plain = mapShape(makeStyled([{ text: 'Hello' }]), makeResolver(), themeFonts, {});
+    expect(plain.object.text.options).toMatchObject({ color: 'AA0000', fontFace: 'Calibri' });
+
+    const rich = mapShape(makeStyled([{ text: 'Hello ' }, { text: 'world', bold: true }]), makeResolver(), themeFonts, {});
+    expect(rich.object.richText.text.map((run) => run.options.color)).toEqual(['AA0000', 'AA0000']);
+    expect(rich.object.richText.text.map((run) => run.options.fontFace)).toEqual(['Calibri', 'Calibri']);
+  });
+
   it('maps text box with multiple paragraphs using paragraph breaks', () => {
     const shape = {
       type: 'shape',
@@ -740,11 +1555,11 @@ describe('mapShape', () => {
     expect(object.rect.fill).toBeUndefined();
   });
 
-  it('maps shape with gradient fill + warning', () => {
-    const shape = {
+  function makeGradientShape(overrides = {}) {
+    return {
       type: 'shape',
       name: 'Gradient',
-      position: { x: 0, y: 0, w: 2, h: 2 },
+      position: { x: 1, y: 1, w: 2, h: 2 },
       geometry: 'rect',
       fill: {
         type: 'gradFill',
@@ -755,17 +1570,93 @@ describe('mapShape', () => {
               { '@_pos': '100000', 'a:srgbClr': { '@_val': '0000FF' } },
             ],
           },
+          'a:lin': { '@_ang': '2700000', '@_scaled': '1' },
         },
       },
       line: null,
       textProps: null,
+      ...overrides,
     };
+  }
 
-    const { object, warnings } = mapShape(shape, makeResolver(), themeFonts, relationships);
+  it('renders gradient fill to a PNG image object', () => {
+    const { object, media, warnings } = mapShape(makeGradientShape(), makeResolver(), themeFonts, relationships);
+    expect(object.rect).toBeUndefined();
+    expect(object.image).toMatchObject({ x: 1, y: 1, w: 2, h: 2 });
+    expect(object.image.path).toMatch(/^\.\/media\/gradient-[0-9a-f]{8}\.png$/);
+    expect(media).toHaveLength(1);
+    expect(`./media/${media[0].filename}`).toBe(object.image.path);
+    expect(media[0].buffer.subarray(1, 4).toString('ascii')).toBe('PNG');
+    expect(warnings).toEqual([]);
+  });
+
+  it('keeps the outline of bordered gradient shapes above the image', () => {
+    const shape = makeGradientShape({ line: { '@_w': '12700', 'a:solidFill': { 'a:srgbClr': { '@_val': '000000' } } } });
+    const { object, underlay } = mapShape(shape, makeResolver(), themeFonts, relationships);
+    expect(underlay.image.path).toMatch(/gradient-/);
+    expect(object.rect.fill).toBeUndefined();
+    expect(object.rect.line.color).toBe('000000');
+  });
+
+  it('places gradient-filled text boxes over the rendered image', () => {
+    const shape = makeGradientShape({
+      textProps: { bodyProps: {}, paragraphs: [{ runs: [{ text: 'Hello' }] }], plainText: 'Hello' },
+    });
+    const { object, underlay } = mapShape(shape, makeResolver(), themeFonts, relationships);
+    expect(object.text.text).toBe('Hello');
+    expect(object.text.options.fill).toBeUndefined();
+    expect(underlay.image).toMatchObject({ x: 1, y: 1, w: 2, h: 2 });
+  });
+
+  it('falls back to the first stop color + warning when the shape has no size', () => {
+    const shape = makeGradientShape({ position: { x: 0, y: 0, w: 0, h: 0 } });
+    const { object, media, warnings } = mapShape(shape, makeResolver(), themeFonts, relationships);
     expect(object.rect.fill.color).toBe('FF0000');
+    expect(media).toBeUndefined();
     expect(warnings.some((w) => w.includes('Gradient'))).toBe(true);
   });
 
+  it('falls back to a flat color with a named warning on presets the renderer can\'t outline', () => {
+    const shape = makeGradientShape({ name: 'Arrow', geometry: 'chevron' });
+    const { object, media, warnings } = mapShape(shape, makeResolver(), themeFonts, relationships);
+    expect(object.shape.options.fill.color).toBe('FF0000');
+    expect(media).toBeUndefined();
+    expect(warnings).toEqual([
+      'Shape "Arrow" (chevron) has a gradient fill, which is only rendered to PNG on rectangles and rounded rectangles; using its first stop color',
+    ]);
+
+    const pattern = makeGradientShape({
+      name: 'Dots',
+      geometry: 'ellipse',
+      fill: { type: 'pattFill', element: { '@_prst': 'pct50', 'a:fgClr': { 'a:srgbClr': { '@_val': '000000' } } } },
+      textProps: { bodyProps: {}, paragraphs: [{ runs: [{ text: 'Hi' }] }], plainText: 'Hi' },
+    });
+    const text = mapShape(pattern, makeResolver(), themeFonts, relationships);
+    expect(text.object.shape.options.fill.color).toBe('000000');
+    expect(text.warnings).toEqual([
+      'Shape "Dots" (ellipse) has a pattern fill, which is only rendered to PNG on rectangles and rounded rectangles; using its foreground color',
+    ]);
+  });
+
+  it('renders pattern fill to a tiled PNG image object', () => {
+    const shape = makeGradientShape({
+      name: 'Pattern',
+      geometry: 'roundRect',
+      fill: {
+        type: 'pattFill',
+        element: {
+          '@_prst': 'dkDnDiag',
+          'a:fgClr': { 'a:srgbClr': { '@_val': '000000' } },
+          'a:bgClr': { 'a:srgbClr': { '@_val': 'FFFFFF' } },
+        },
+      },
+    });
+    const { object, media, warnings } = mapShape(shape, makeResolver(), themeFonts, relationships);
+    expect(object.image.path).toMatch(/^\.\/media\/pattern-[0-9a-f]{8}\.png$/);
+    expect(`./media/${media[0].filename}`).toBe(object.image.path);
+    expect(warnings).toEqual([]);
+  });
+
   it('maps line shape with no line properties', () => {
     const shape = {
       type: 'shape',
@@ -782,11 +1673,275 @@ describe('mapShape', () => {
     expect(object.line.x).toBe(0);
     expect(object.line.w).toBe(5);
   });
+
+  describe('custom geometry', () => {
+    const arrow = [
+      { type: 'moveTo', x: 0, y: 0.5 },
+      { type: 'lnTo', x: 0.5, y: 0 },
+      { type: 'cubicBezTo', x1: 0.75, y1: 0, x2: 1, y2: 0.25, x: 1, y: 0.5 },
+      { type: 'quadBezTo', x1: 1, y1: 1, x: 0.5, y: 1 },
+      { type: 'close' },
+    ];
+
+    function makeFreeform(overrides = {}) {
+      return {
+        type: 'shape',
+        name: 'Freeform 3',
+        position: { x: 1, y: 1, w: 2, h: 1 },
+        geometry: 'custGeom',
+        custGeom: { paths: [{ fill: true, stroke: true, commands: arrow }] },
+        fill: { type: 'solidFill', element: { 'a:srgbClr': { '@_val': 'FF0000' } } },
+        line: { '@_w': '12700', 'a:solidFill': { 'a:srgbClr': { '@_val': '000000' } } },
+        textProps: null,
+        ...overrides,
+      };
+    }
+
+    it('maps paths to custGeom points scaled to the shape box', () => {
+      const { object, warnings } = mapShape(makeFreeform({ rotation: 30 }), makeResolver(), themeFonts, relationships);
+      const { type, text, options } = object.shape;
+      expect(type).toBe('custGeom');
+      expect(text).toBeUndefined();
+      expect(options).toMatchObject({
+        x: 1, y: 1, w: 2, h: 1, rotate: 30,
+        fill: { color: 'FF0000' },
+        line: { color: '000000', width: 1 },
+      });
+      expect(options.points).toEqual([
+        { x: 0, y: 0.5, moveTo: true },
+        { x: 1, y: 0 },
+        { x: 2, y: 0.5, curve: { type: 'cubic', x1: 1.5, y1: 0, x2: 2, y2: 0.25 } },
+        { x: 1, y: 1, curve: { type: 'quadratic', x1: 2, y1: 1 } },
+        { close: true },
+      ]);
+      expect(warnings).toEqual([]);
+    });
+
+    it('keeps points in shape space and flips through the xfrm', () => {
+      const plain = mapShape(makeFreeform(), makeResolver(), themeFonts, relationships).object.shape.options;
+      const flipped = mapShape(makeFreeform({ flipH: true, flipV: true }), makeResolver(), themeFonts, relationships).object.shape.options;
+      expect(flipped.points).toEqual(plain.points);
+      expect(flipped).toMatchObject({ flipH: true, flipV: true });
+    });
+
+    it('maps arcs to visual angles for the scaled radii', () => {
+      const commands = [
+        { type: 'moveTo', x: 1, y: 0.5 },
+        // Quarter of the ellipse inscribed in the box, starting at 0°
+        { type: 'arcTo', wR: 0.5, hR: 0.5, start: 0, sweep: Math.PI / 4, x: 0.85, y: 0.85 },
+      ];
+      const shape = makeFreeform({ custGeom: { paths: [{ fill: true, stroke: true, commands }] } });
+      const { object } = mapShape(shape, makeResolver(), themeFonts, relationships);
+      const { curve } = object.shape.options.points[1];
+      expect(curve).toMatchObject({ type: 'arc', wR: 1, hR: 0.5, stAng: 0 });
+      // 45° parametric on a 2:1 ellipse is atan(0.5) visually
+      expect(curve.swAng).toBeCloseTo((Math.atan(0.5) * 180) / Math.PI, 3);
+    });
+
+    it('keeps the shape text on the custom shape', () => {
+      const shape = makeFreeform({
+        textProps: {
+          plainText: 'Badge',
+          paragraphs: [{ runs: [{ text: 'Badge', bold: true }] }],
+        },
+      });
+      const { object } = mapShape(shape, makeResolver(), themeFonts, relationships);
+      expect(object.shape.text).toBe('Badge');
+      expect(object.shape.type).toBe('custGeom');
+      expect(object.shape.options.bold).toBe(true);
+    });
+
+    it('omits fill and outline that all paths switch off', () => {
+      const shape = makeFreeform({ custGeom: { paths: [{ fill: false, stroke: false, commands: arrow }] } });
+      const { object } = mapShape(shape, makeResolver(), themeFonts, relationships);
+      expect(object.shape.options.fill).toBeUndefined();
+      expect(object.shape.options.line).toBeUndefined();
+    });
+
+    it('renders paths mixing filled and outline-only parts to a PNG + warning', () => {
+      const paths = [
+        { fill: true, stroke: true, commands: arrow },
+        { fill: false, stroke: true, commands: [{ type: 'moveTo', x: 0, y: 0 }, { type: 'lnTo', x: 1, y: 1 }] },
+      ];
+      const { object, media, warnings } = mapShape(
+        makeFreeform({ custGeom: { paths } }), makeResolver(), themeFonts, relationships,
+      );
+      expect(object.image.path).toMatch(/^\.\/media\/shape-[0-9a-f]{8}\.png$/);
+      expect(`./media/${media[0].filename}`).toBe(object.image.path);
+      // Padded by half the 1pt outline on every side
+      expect(object.image.x).toBeLessThan(1);
+      expect(object.image.w).toBeGreaterThan(2);
+      expect(warnings).toEqual(['Custom geometry "Freeform 3" mixes filled and outline-only paths; rendered as an image']);
+    });
+
+    it('renders gradient freeforms to a PNG behind the shape text', () => {
+      const shape = makeFreeform({
+        fill: {
+          type: 'gradFill',
+          element: { 'a:gsLst': { 'a:gs': [{ '@_pos': '0', 'a:srgbClr': { '@_val': 'FF0000' } }] } },
+        },
+        textProps: { plainText: 'Go', paragraphs: [{ runs: [{ text: 'Go' }] }] },
+      });
+      const { object, underlay, media, warnings } = mapShape(shape, makeResolver(), themeFonts, relationships);
+      expect(underlay.image.path).toBe(`./media/${media[0].filename}`);
+      expect(object.text.text).toBe('Go');
+      expect(object.text.options.shape).toBeUndefined();
+      expect(object.text.options.fill).toBeUndefined();
+      expect(warnings).toEqual([]);
+    });
+
+    it('falls back to the bounding box + warning when the geometry could not be read', () => {
+      const shape = makeFreeform({ custGeom: { paths: [], error: 'unknown guide "x9"' } });
+      const { object, warnings } = mapShape(shape, makeResolver(), themeFonts, relationships);
+      expect(object.rect).toMatchObject({ x: 1, y: 1, w: 2, h: 1, fill: { color: 'FF0000' } });
+      expect(warnings).toEqual([
+        'Custom geometry "Freeform 3" could not be read (unknown guide "x9"); drawn as its bounding box',
+      ]);
+    });
+  });
+});
+
+// --- mapTable ---
+
+describe('mapTable', () => {
+  function makeCell(text, overrides = {}) {
+    return {
+      textProps: {
+        bodyProps: {},
+        paragraphs: [{ align: 'left', runs: [{ text, bold: true, fontSize: 12 }] }],
+        plainText: text,
+      },
+      fill: null,
+      borders: { top: null, right: null, bottom: null, left: null },
+      margin: { top: 0.05, right: 0.1, bottom: 0.05, left: 0.1 },
+      valign: undefined,
+      colspan: undefined,
+      rowspan: undefined,
+      merged: false,
+      ...overrides,
+    };
+  }
+
+  function makeTable(rows, extra = {}) {
+    return {
+      type: 'table',
+      name: 'Table 1',
+      position: { x: 1, y: 1, w: 4, h: 1 },
+      columns: [2, 2],
+      rows,
+      ...extra,
+    };
+  }
+
+  it('is dispatched from mapShape for table shapes', () => {
+    const table = makeTable([{ height: 0.5, cells: [makeCell('A'), makeCell('B')] }]);
+    const { object } = mapShape(table, makeResolver(), themeFonts, {});
+    expect(object.table.options).toEqual({ x: 1, y: 1, w: 4, h: 1, colW: [2, 2], rowH: [0.5] });
+  });
+
+  it('maps cell text and run formatting', () => {
+    const { object } = mapTable(makeTable([{ height: 0.5, cells: [makeCell('A'), makeCell('B')] }]), makeResolver());
+    const [cell] = object.table.rows[0];
+    expect(cell.text).toBe('A');
+    expect(cell.options).toMatchObject({ bold: true, fontSize: 12, align: 'left', margin: [0.05, 0.1, 0.05, 0.1] });
+    expect(cell.options.valign).toBeUndefined();
+  });
+
+  it('maps fills and borders in TRBL order', () => {
+    const cell = makeCell('A', {
+      fill: { type: 'solidFill', element: { 'a:schemeClr': { '@_val': 'accent1' } } },
+      borders: {
+        top: { '@_w': '25400', 'a:solidFill': { 'a:srgbClr': { '@_val': 'FF0000' } } },
+        right: null,
+        bottom: { 'a:noFill': '' },
+        left: { '@_w': '12700', 'a:prstDash': { '@_val': 'dash' } },
+      },
+      valign: 'middle',
+    });
+    const { object } = mapTable(makeTable([{ height: 0.5, cells: [cell] }]), makeResolver());
+    const { options } = object.table.rows[0][0];
+    expect(options.fill).toEqual({ color: '4472C4' });
+    expect(options.border).toEqual([
+      { type: 'solid', pt: 2, color: 'FF0000' },
+      { type: 'none' },
+      { type: 'none' },
+      { type: 'dash', pt: 1 },
+    ]);
+    expect(options.valign).toBe('middle');
+  });
+
+  it('emits spans and omits merged cells', () => {
+    const rows = [
+      { height: 0.5, cells: [makeCell('Span', { colspan: 2, rowspan: 2 }), makeCell('', { merged: true })] },
+      { height: 0.5, cells: [makeCell('', { merged: true }), makeCell('', { merged: true })] },
+    ];
+    const { object } = mapTable(makeTable(rows), makeResolver());
+    expect(object.table.rows[0]).toHaveLength(1);
+    expect(object.table.rows[0][0].options).toMatchObject({ colspan: 2, rowspan: 2 });
+    expect(object.table.rows[1]).toEqual([]);
+  });
+
+  it('warns when the table relies on a table style', () => {
+    const table = makeTable([{ height: 0.5, cells: [makeCell('A')] }], { styleId: '{ABC}' });
+    const { warnings } = mapTable(table, makeResolver());
+    expect(warnings.some((w) => w.includes('Table "Table 1"') && w.includes('table style'))).toBe(true);
+  });
+
+  it('skips tables without rows', () => {
+    const { object, warnings } = mapTable(makeTable([]), makeResolver());
+    expect(object).toBeNull();
+    expect(warnings[0]).toContain('no rows');
+  });
 });
 
 // --- mapPlaceholder ---
 
 describe('mapPlaceholder', () => {
+  it('carries autofit, vertical text and wrapping, and warns about columns', () => {
+    const ph = {
+      type: 'body',
+      idx: 1,
+      name: 'Content',
+      position: { x: 0.5, y: 1.5, w: 9, h: 5 },
+      textProps: {
+        bodyProps: { autoFit: 'shrink', vert: 'eaVert', wrap: false, columns: { count: 3, spacing: 0.25 } },
+        paragraphs: [],
+        plainText: '',
+      },
+      shapeProps: { geometry: 'rect', fill: null, line: null },
+    };
+
+    const { placeholder, warnings } = mapPlaceholder(ph, makeResolver(), themeFonts);
+    expect(placeholder.options).toMatchObject({ fit: 'shrink', vert: 'eaVert', wrap: false });
+    expect(warnings).toEqual(['Placeholder "Content" is set in 3 columns, which PptxGenJS can\'t express; laid out in one column']);
+  });
+
+  it('carries typography from the master text style and warns about all caps', () => {
+    const ph = {
+      type: 'title',
+      idx: 0,
+      name: 'Title',
+      position: { x: 0.5, y: 0.5, w: 9, h: 1.5 },
+      textProps: {
+        bodyProps: {},
+        paragraphs: [{ runs: [{ text: '', fontSize: 36, charSpacing: -1 }] }],
+        plainText: '',
+      },
+      shapeProps: { geometry: 'rect', fill: null, line: null },
+    };
+    const defaults = { caps: 'all', charSpacing: 4, underline: 'sng', outline: { color: 'FFFFFF', size: 0.5 } };
+
+    const { placeholder, warnings } = mapPlaceholder(ph, makeResolver(), themeFonts, defaults);
+    expect(placeholder.options).toMatchObject({
+      charSpacing: -1,
+      underline: { style: 'sng' },
+      outline: { color: 'FFFFFF', size: 0.5 },
+    });
+    expect(warnings).toEqual([
+      'Placeholder "Title" is set in all caps, which PptxGenJS placeholders can\'t carry; type its text in capitals',
+    ]);
+  });
+
   it('maps title placeholder', () => {
     const ph = {
       type: 'title',
@@ -1201,6 +2356,53 @@ describe('mapBackground', () => {
     expect(background.color).toBe('ABCDEF');
   });
 
+  describe('bgRef theme styles', () => {
+    const theme = {
+      formatScheme: {
+        fillStyleLst: null,
+        bgFillStyleLst: {
+          'a:solidFill': { 'a:schemeClr': { '@_val': 'phClr' } },
+          'a:gradFill': {
+            'a:gsLst': {
+              'a:gs': [
+                { '@_pos': '0', 'a:schemeClr': { '@_val': 'phClr', 'a:tint': { '@_val': '50000' } } },
+                { '@_pos': '100000', 'a:schemeClr': { '@_val': 'phClr' } },
+              ],
+            },
+            'a:lin': { '@_ang': '5400000' },
+          },
+          'a:blipFill': { 'a:blip': { '@_r:embed': 'rId1' } },
+        },
+      },
+      relationships: { rId1: { type: 'image', target: '../media/image1.jpeg' } },
+      path: 'ppt/theme/theme1.xml',
+    };
+    const bgRef = (idx) => ({ bgRef: { '@_idx': String(idx), 'a:srgbClr': { '@_val': '1A2B3C' } } });
+
+    it('resolves solid styles with phClr replaced by the ref color', () => {
+      const { background, warnings } = mapBackground(bgRef(1001), makeResolver(), relationships, undefined, theme);
+      expect(background).toEqual({ color: '1A2B3C' });
+      expect(warnings).toEqual([]);
+    });
+
+    it('renders gradient styles', () => {
+      const { background, media } = mapBackground(bgRef(1002), makeResolver(), relationships, { width: 10, height: 7.5 }, theme);
+      expect(background.path).toBe(`./media/${media[0].filename}`);
+      expect(media[0].filename).toMatch(/^gradient-/);
+    });
+
+    it('resolves image styles through the theme relationships', () => {
+      const { background, media } = mapBackground(bgRef(1003), makeResolver(), relationships, undefined, theme);
+      expect(background).toEqual({ path: './media/image1.jpeg' });
+      expect(media).toEqual([{ archivePath: 'ppt/media/image1.jpeg', filename: 'image1.jpeg' }]);
+    });
+
+    it('falls back to the ref color when the style is missing', () => {
+      const { background } = mapBackground(bgRef(1009), makeResolver(), relationships, undefined, theme);
+      expect(background.color).toBe('1A2B3C');
+    });
+  });
+
   it('warns on bgRef without resolvable color', () => {
     const bg = { bgRef: {} };
     const { background, warnings } = mapBackground(bg, makeResolver(), relationships);
@@ -1208,6 +2410,45 @@ describe('mapBackground', () => {
     expect(warnings.some((w) => w.includes('bgRef'))).toBe(true);
   });
 
+  it('renders gradient backgrounds at slide size when dimensions are given', () => {
+    const bg = {
+      'a:gradFill': {
+        'a:gsLst': {
+          'a:gs': [
+            { '@_pos': '0', 'a:srgbClr': { '@_val': '1A2B3C' } },
+            { '@_pos': '100000', 'a:srgbClr': { '@_val': 'FFFFFF' } },
+          ],
+        },
+      },
+    };
+    const { background, media, warnings } = mapBackground(bg, makeResolver(), relationships, { width: 10, height: 7.5 });
+    expect(background.path).toBe(`./media/${media[0].filename}`);
+    expect(media[0].filename).toMatch(/^gradient-/);
+    expect(warnings).toEqual([]);
+  });
+
+  it('renders pattern backgrounds at slide size when dimensions are given', () => {
+    const bg = {
+      'a:pattFill': {
+        '@_prst': 'smGrid',
+        'a:fgClr': { 'a:srgbClr': { '@_val': '1A2B3C' } },
+        'a:bgClr': { 'a:srgbClr': { '@_val': 'FFFFFF' } },
+      },
+    };
+    const { background, media, warnings } = mapBackground(bg, makeResolver(), relationships, { width: 10, height: 7.5 });
+    expect(background.path).toBe(`./media/${media[0].filename}`);
+    expect(media[0].filename).toMatch(/^pattern-/);
+    expect(warnings).toEqual([]);
+  });
+
+  it('falls back to the foreground color for unknown pattern presets', () => {
+    const bg = { 'a:pattFill': { '@_prst': 'bogus', 'a:fgClr': { 'a:srgbClr': { '@_val': '1A2B3C' } } } };
+    const { background, media, warnings } = mapBackground(bg, makeResolver(), relationships, { width: 10, height: 7.5 });
+    expect(background.color).toBe('1A2B3C');
+    expect(media).toBeUndefined();
+    expect(warnings.some((w) => w.includes('Pattern'))).toBe(true);
+  });
+
   it('handles gradient with single stop', () => {
     const bg = {
       'a:gradFill': {
@@ -1773,3 +3014,99 @@ describe('extractSlideNumberFromShape', () => {
     expect(extractSlideNumberFromShape(shape)).toBeNull();
   });
 });
+
+describe('mergeListStyles', () => {
+  it('lets later styles override earlier ones property by property', () => {
+    const master = {
+      1: { marginLeft: 0.25, bullet: { type: 'char', characterCode: '2022' }, defaultRunProps: { fontSize: 28, color: '000000' } },
+      2: { marginLeft: 0.75, defaultRunProps: { fontSize: 24 } },
+    };
+    const placeholder = {
+      1: { marginLeft: undefined, defaultRunProps: { fontSize: 20, color: undefined } },
+    };
+
+    const levels = mergeListStyles(master, null, placeholder);
+    expect(levels[1].marginLeft).toBe(0.25);
+    expect(levels[1].bullet.characterCode).toBe('2022');
+    expect(levels[1].defaultRunProps).toEqual({ fontSize: 20, color: '000000' });
+    expect(levels[2].defaultRunProps.fontSize).toBe(24);
+  });
+});
+
+describe('mapTextStyles', () => {
+  it('maps each level to PptxGenJS paragraph options', () => {
+    const { styles, warnings } = mapTextStyles({
+      1: {
+        marginLeft: 0.25,
+        align: 'left',
+        lineSpacingMultiple: 0.9,
+        paraSpaceBefore: 10,
+        bullet: { type: 'char', characterCode: '2022', fontFace: 'Arial' },
+        defaultRunProps: { fontFace: 'Calibri', fontSize: 28, color: '000000' },
+      },
+      2: {
+        marginLeft: 0.75,
+        bullet: { type: 'number', numberType: 'alphaLcParenR' },
+        defaultRunProps: { fontSize: 24 },
+      },
+    });
+
+    expect(styles).toEqual([
+      {
+        indentLevel: 0,
+        align: 'left',
+        lineSpacingMultiple: 0.9,
+        paraSpaceBefore: 10,
+        fontFace: 'Calibri',
+        fontSize: 28,
+        color: '000000',
+        bullet: { characterCode: '2022', indent: 18 },
+      },
+      {
+        indentLevel: 1,
+        fontSize: 24,
+        bullet: { type: 'number', numberType: 'alphaLcParenR', style: 'alphaLcParenR', indent: 27 },
+      },
+    ]);
+    expect(warnings).toEqual([]);
+  });
+
+  it('keeps buNone as bullet: false and fills gaps up to the deepest level', () => {
+    const { styles } = mapTextStyles({ 1: { bullet: false }, 3: { defaultRunProps: { fontSize: 16 } } });
+    expect(styles).toHaveLength(3);
+    expect(styles[0].bullet).toBe(false);
+    expect(styles[1]).toEqual({ indentLevel: 1 });
+    expect(styles[2]).toEqual({ indentLevel: 2, fontSize: 16 });
+  });
+
+  it('carries startAt and keeps schemes numberType lacks in style', () => {
+    const { styles, warnings } = mapTextStyles({
+      1: { bullet: { type: 'number', numberType: 'romanUcParenR', startAt: 4 } },
+      2: { bullet: { type: 'number', numberType: 'thaiNumParenBoth' } },
+      3: { bullet: { type: 'number', numberType: 'ea1JpnKorPlain', startAt: 1 } },
+      4: { bullet: { type: 'number', numberType: 'bogusScheme' } },
+    });
+
+    expect(styles[0].bullet).toEqual({ type: 'number', numberType: 'romanUcParenR', style: 'romanUcParenR', numberStartAt: 4 });
+    // PptxGenJS writes `style` into a:buAutoNum as-is
+    expect(styles[1].bullet).toEqual({ type: 'number', numberType: 'arabicParenBoth', style: 'thaiNumParenBoth' });
+    expect(styles[2].bullet).toEqual({ type: 'number', numberType: 'arabicPlain', style: 'ea1JpnKorPlain' });
+    expect(styles[3].bullet).toEqual({ type: 'number', numberType: 'arabicPeriod', style: 'arabicPeriod' });
+    expect(warnings).toEqual([
+      'Body text level 4 numbering "bogusScheme" is not an OOXML scheme; using "arabicPeriod"',
+    ]);
+  });
+
+  it('draws picture bullets as a character bullet and queues the picture for media/', () => {
+    const { styles, warnings, media } = mapTextStyles({
+      1: { marginLeft: 0.25, bullet: { type: 'picture', imageRef: 'rId3', archivePath: 'ppt/media/image5.png' } },
+      2: { bullet: { type: 'picture', imageRef: 'rId9' } },
+    });
+
+    expect(styles[0].bullet).toEqual({ characterCode: '2022', indent: 18 });
+    expect(styles[1].bullet).toEqual({ characterCode: '2022' });
+    expect(media).toEqual([{ archivePath: 'ppt/media/image5.png', filename: 'image5.png' }]);
+    expect(warnings[0]).toContain('level 1 bullet is a picture (media/image5.png)');
+    expect(warnings[1]).toContain('level 2 bullet is a picture that could not be resolved');
+  });
+});
@@ -132,6 +132,14 @@ describe('parseSlideMaster (fixture)', () => {
     expect(themeRel.target).toContain('theme1.xml');
   });
 
+  it('lists the layout relationships in gallery order', () => {
+    expect(result.layoutIds).toEqual(['rId1', 'rId2', 'rId3']);
+  });
+
+  it('returns an empty name for an unnamed master', () => {
+    expect(result.name).toBe('');
+  });
+
   it('extracts placeholderDefaults from fixture', () => {
     // The minimal.pptx master has at least a sldNum placeholder
     expect(Object.keys(result.placeholderDefaults).length).toBeGreaterThan(0);
@@ -160,6 +168,11 @@ describe('parseSlideMaster (mock)', () => {
     expect(result.shapes).toEqual([]);
   });
 
+  it('extracts the master name', () => {
+    const xml = xmlParser.parse('<p:sldMaster><p:cSld name="Dark"><p:spTree/></p:cSld></p:sldMaster>');
+    expect(parseSlideMaster(xml, null).name).toBe('Dark');
+  });
+
   it('extracts inline background (p:bgPr)', () => {
     const xml = xmlParser.parse(`
       <p:sldMaster>
@@ -279,6 +292,56 @@ describe('parseSlideMaster (mock)', () => {
     expect(result.shapes[0].type).toBe('p:pic');
   });
 
+  it('extracts flips on static shapes and pictures', () => {
+    const xml = xmlParser.parse(`
+      <p:sldMaster>
+        <p:cSld>
+          <p:spTree>
+            <p:sp>
+              <p:nvSpPr><p:cNvPr id="2" name="Corner Accent"/><p:nvPr/></p:nvSpPr>
+              <p:spPr><a:xfrm flipV="1"><a:off x="0" y="0"/><a:ext cx="914400" cy="914400"/></a:xfrm></p:spPr>
+            </p:sp>
+            <p:pic>
+              <p:nvPicPr><p:cNvPr id="3" name="Logo"/><p:nvPr/></p:nvPicPr>
+              <p:blipFill><a:blip r:embed="rId2"/></p:blipFill>
+              <p:spPr><a:xfrm flipH="1"><a:off x="0" y="0"/><a:ext cx="914400" cy="914400"/></a:xfrm></p:spPr>
+            </p:pic>
+          </p:spTree>
+        </p:cSld>
+        <p:clrMap bg1="lt1"/>
+      </p:sldMaster>
+    `);
+
+    const [shape, picture] = parseSlideMaster(xml, null).staticShapes;
+    expect(shape).toMatchObject({ type: 'shape', flipH: false, flipV: true });
+    expect(picture).toMatchObject({ type: 'picture', flipH: true, flipV: false });
+  });
+
+  it('extracts effect lists on static shapes and pictures', () => {
+    const xml = xmlParser.parse(`
+      <p:sldMaster>
+        <p:cSld>
+          <p:spTree>
+            <p:sp>
+              <p:nvSpPr><p:cNvPr id="2" name="Card"/><p:nvPr/></p:nvSpPr>
+              <p:spPr><a:effectLst><a:glow rad="63500"><a:srgbClr val="4472C4"/></a:glow></a:effectLst></p:spPr>
+            </p:sp>
+            <p:pic>
+              <p:nvPicPr><p:cNvPr id="3" name="Logo"/><p:nvPr/></p:nvPicPr>
+              <p:blipFill><a:blip r:embed="rId2"/></p:blipFill>
+              <p:spPr><a:effectLst><a:outerShdw dist="38100"><a:srgbClr val="000000"/></a:outerShdw></a:effectLst></p:spPr>
+            </p:pic>
+          </p:spTree>
+        </p:cSld>
+        <p:clrMap bg1="lt1"/>
+      </p:sldMaster>
+    `);
+
+    const [shape, picture] = parseSlideMaster(xml, null).staticShapes;
+    expect(shape.effect['a:effectLst']['a:glow']['@_rad']).toBe('63500');
+    expect(picture.effect['a:effectLst']['a:outerShdw']['@_dist']).toBe('38100');
+  });
+
   it('parses relationships from rels XML', () => {
     const masterXml = xmlParser.parse(`
       <p:sldMaster>
@@ -384,4 +447,38 @@ describe('parseSlideMaster (mock)', () => {
     );
   });
 
+  it('includes connectors and grouped shapes in staticShapes', () => {
+    const xml = xmlParser.parse(`
+      <p:sldMaster>
+        <p:cSld>
+          <p:spTree>
+            <p:cxnSp>
+              <p:nvCxnSpPr><p:cNvPr id="4" name="Footer Rule"/><p:cNvCxnSpPr/><p:nvPr/></p:nvCxnSpPr>
+              <p:spPr>
+                <a:xfrm><a:off x="0" y="6400800"/><a:ext cx="9144000" cy="0"/></a:xfrm>
+                <a:prstGeom prst="line"/>
+              </p:spPr>
+            </p:cxnSp>
+            <p:grpSp>
+              <p:nvGrpSpPr><p:cNvPr id="5" name="Logo Lockup"/></p:nvGrpSpPr>
+              <p:grpSpPr/>
+              <p:sp>
+                <p:nvSpPr><p:cNvPr id="6" name="Mark"/><p:nvPr/></p:nvSpPr>
+                <p:spPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="914400" cy="914400"/></a:xfrm></p:spPr>
+              </p:sp>
+            </p:grpSp>
+          </p:spTree>
+        </p:cSld>
+        <p:clrMap bg1="lt1"/>
+      </p:sldMaster>
+    `);
+
+    const result = parseSlideMaster(xml, null);
+    const names = result.staticShapes.map((s) => s.name);
+    expect(names).toContain('Footer Rule');
+    expect(names).toContain('Mark');
+    const rule = result.staticShapes.find((s) => s.name === 'Footer Rule');
+    expect(rule.type).toBe('connector');
+    expect(rule.geometry).toBe('line');
+  });
 });
@@ -0,0 +1,237 @@
+import { describe, it, expect } from 'vitest';
+import { metafileToSvg, isMetafilePath } from '../src/render/metafile.js';
+
+/** One EMF record from 32-bit little-endian values (a Buffer value is appended raw). */
+function emfRecord(type, ...values) {
+  const parts = values.map((v) => {
+    if (Buffer.isBuffer(v)) return v;
+    const b = Buffer.alloc(4);
+    b.writeInt32LE(v | 0);
+    return b;
+  });
+  const data = Buffer.concat(parts);
+  const head = Buffer.alloc(8);
+  head.writeUInt32LE(type, 0);
+  head.writeUInt32LE(8 + data.length, 4);
+  return Buffer.concat([head, data]);
+}
+
+/** EMF file: a 1in × 1in frame on a 96 DPI reference device, then the records and EOF. */
+function emf(records) {
+  const header = Buffer.alloc(88);
+  header.writeUInt32LE(1, 0);
+  header.writeUInt32LE(88, 4);
+  [0, 0, 95, 95].forEach((v, i) => header.writeInt32LE(v, 8 + i * 4));
+  [0, 0, 2540, 2540].forEach((v, i) => header.writeInt32LE(v, 24 + i * 4));
+  header.writeUInt32LE(0x464d4520, 40);
+  header.writeUInt32LE(0x10000, 44);
+  [960, 960, 254, 254].forEach((v, i) => header.writeInt32LE(v, 72 + i * 4));
+  return Buffer.concat([header, ...records, emfRecord(14, 0, 0, 20)]);
+}
+
+/** 16-bit points packed two per 32-bit value. */
+function points16(...pairs) {
+  const b = Buffer.alloc(pairs.length * 4);
+  pairs.forEach(([x, y], i) => {
+    b.writeInt16LE(x, i * 4);
+    b.writeInt16LE(y, i * 4 + 2);
+  });
+  return b;
+}
+
+/** 2×1 24-bit bottom-up DIB: BITMAPINFOHEADER + bits (red, blue). */
+function dib24() {
+  const header = Buffer.alloc(40);
+  header.writeUInt32LE(40, 0);
+  header.writeInt32LE(2, 4);
+  header.writeInt32LE(1, 8);
+  header.writeUInt16LE(1, 12);
+  header.writeUInt16LE(24, 14);
+  const bits = Buffer.from([0, 0, 255, 255, 0, 0, 0, 0]);
+  return { header, bits };
+}
+
+/** One WMF record from 16-bit words (a Buffer value is appended raw). */
+function wmfRecord(fn, ...words) {
+  const data = Buffer.concat(words.map((w) => {
+    if (Buffer.isBuffer(w)) return w;
+    const b = Buffer.alloc(2);
+    b.writeInt16LE(w);
+    return b;
+  }));
+  const head = Buffer.alloc(6);
+  head.writeUInt32LE((6 + data.length) / 2, 0);
+  head.writeUInt16LE(fn, 4);
+  return Buffer.concat([head, data]);
+}
+
+/** Placeable WMF with a 0–1440 × 0–720 box at 1440 units per inch. */
+function wmf(records) {
+  const placeable = Buffer.alloc(22);
+  placeable.writeUInt32LE(0x9ac6cdd7, 0);
+  [0, 0, 1440, 720].forEach((v, i) => placeable.writeInt16LE(v, 6 + i * 2));
+  placeable.writeUInt16LE(1440, 14);
+  const header = Buffer.alloc(18);
+  header.writeUInt16LE(1, 0);
+  header.writeUInt16LE(9, 2);
+  header.writeUInt16LE(0x300, 4);
+  return Buffer.concat([placeable, header, ...records, wmfRecord(0)]);
+}
+
+/** COLORREF split into two 16-bit words. */
+function colorWords(rgb) {
+  const value = ((rgb & 0xff) << 16) | (rgb & 0xff00) | ((rgb >> 16) & 0xff);
+  return [value & 0xffff, value >>> 16].map((w) => (w > 0x7fff ? w - 0x10000 : w));
+}
+
+describe('isMetafilePath', () => {
+  it('matches EMF and WMF media by extension', () => {
+    expect(isMetafilePath('../media/image1.emf')).toBe(true);
+    expect(isMetafilePath('../media/IMAGE2.WMF')).toBe(true);
+    expect(isMetafilePath('../media/image3.png')).toBe(false);
+  });
+});
+
+describe('metafileToSvg — EMF', () => {
+  it('sizes the SVG from the header frame', () => {
+    const result = metafileToSvg(emf([emfRecord(43, 10, 10, 50, 50)]));
+    expect(result.format).toBe('EMF');
+    expect(result.width).toBeCloseTo(96);
+    expect(result.height).toBeCloseTo(96);
+    expect(result.svg.toString()).toMatch(/^<svg xmlns="http:\/\/www.w3.org\/2000\/svg" width="96" height="96" viewBox="0 0 96 96">/);
+  });
+
+  it('fills and outlines polygons with the selected brush and pen', () => {
+    const svg = metafileToSvg(emf([
+      emfRecord(39, 1, 0, 0x0000ff, 0), // CREATEBRUSHINDIRECT: red
+      emfRecord(38, 2, 0, 3, 0, 0xff0000), // CREATEPEN: blue, 3 units
+      emfRecord(37, 1),
+      emfRecord(37, 2),
+      emfRecord(86, 0, 0, 0, 0, 3, points16([0, 0], [90, 0], [45, 60])), // POLYGON16
+    ])).svg.toString();
+    expect(svg).toContain('<path d="M0 0L90 0L45 60Z" fill="#FF0000" fill-rule="evenodd" stroke="#0000FF" stroke-width="3"');
+  });
+
+  it('draws polylines unfilled and Béziers as cubic curves', () => {
+    const svg = metafileToSvg(emf([
+      emfRecord(87, 0, 0, 0, 0, 2, points16([0, 0], [10, 10])), // POLYLINE16
+      emfRecord(85, 0, 0, 0, 0, 4, points16([0, 0], [10, 0], [20, 10], [20, 20])), // POLYBEZIER16
+    ])).svg.toString();
+    expect(svg).toContain('<path d="M0 0L10 10" fill="none" stroke="#000000" stroke-width="1"');
+    expect(svg).toContain('d="M0 0C10 0 20 10 20 20"');
+  });
+
+  it('applies the window-to-viewport mapping', () => {
+    const svg = metafileToSvg(emf([
+      emfRecord(17, 8), // MM_ANISOTROPIC
+      emfRecord(9, 1000, 1000), // window extent
+      emfRecord(11, 96, 96), // viewport extent
+      emfRecord(43, 0, 0, 500, 250),
+    ])).svg.toString();
+    expect(svg).toContain('d="M0 0L48 0L48 24L0 24Z"');
+  });
+
+  it('fills path brackets and honours null pens and brushes', () => {
+    const svg = metafileToSvg(emf([
+      emfRecord(37, 0x80000008), // NULL_PEN
+      emfRecord(59), // BEGINPATH
+      emfRecord(27, 0, 0), // MOVETOEX
+      emfRecord(54, 10, 0), // LINETO
+      emfRecord(54, 10, 10),
+      emfRecord(61), // CLOSEFIGURE
+      emfRecord(60), // ENDPATH
+      emfRecord(62, 0, 0, 0, 0), // FILLPATH
+      emfRecord(37, 0x80000005), // NULL_BRUSH
+      emfRecord(43, 0, 0, 5, 5),
+    ])).svg.toString();
+    expect(svg).toContain('<path d="M0 0L10 0L10 10Z" fill="#FFFFFF" fill-rule="evenodd" stroke="none"/>');
+    // A rectangle with neither pen nor brush draws nothing
+    expect(svg.match(/<path/g)).toHaveLength(1);
+  });
+
+  it('embeds DIB bitmaps as PNG images', () => {
+    const { header, bits } = dib24();
+    const svg = metafileToSvg(emf([
+      // STRETCHDIBITS: bounds, dest x/y, src x/y/w/h, bmi/bits offsets and sizes, usage, rop, dest w/h
+      emfRecord(81, 0, 0, 0, 0, 10, 20, 0, 0, 2, 1, 80, 40, 120, 8, 0, 0x00cc0020, 40, 20, header, bits),
+    ])).svg.toString();
+    expect(svg).toMatch(/<image x="10" y="20" width="40" height="20" preserveAspectRatio="none" href="data:image\/png;base64,[A-Za-z0-9+/=]+"\/>/);
+  });
+
+  it('clips to intersected rectangles', () => {
+    const svg = metafileToSvg(emf([
+      emfRecord(30, 0, 0, 20, 20), // INTERSECTCLIPRECT
+      emfRecord(42, 0, 0, 40, 40), // ELLIPSE
+    ])).svg.toString();
+    expect(svg).toContain('<clipPath id="c1"><path d="M0 0L20 0L20 20L0 20Z"/></clipPath>');
+    expect(svg).toMatch(/<path d="M40 20C[^"]+Z"[^>]* clip-path="url\(#c1\)"\/>/);
+  });
+
+  it('draws text in the selected font and colour', () => {
+    const face = Buffer.alloc(64);
+    face.write('Georgia', 'utf16le');
+    const text = Buffer.from('Hi', 'utf16le');
+    const svg = metafileToSvg(emf([
+      // EXTCREATEFONTINDIRECTW: handle, height, width, escapement, orientation, weight, italic/underline/strikeout/charset, 4 bytes, face
+      emfRecord(82, 1, -20, 0, 0, 0, 700, 0x00000001, 0, face),
+      emfRecord(37, 1),
+      emfRecord(24, 0x00ff00), // text colour
+      // EXTTEXTOUTW: bounds, mode, scales, reference point, nChars, offString, options, rect, offDx
+      emfRecord(84, 0, 0, 0, 0, 1, 0, 0, 5, 30, 2, 76, 0, 0, 0, 0, 0, 0, text),
+    ])).svg.toString();
+    expect(svg).toContain('<text x="5" y="30" font-family="Georgia" font-size="20" fill="#00FF00" font-weight="bold" font-style="italic" dominant-baseline="text-before-edge">Hi</text>');
+  });
+
+  it('fails when nothing can be drawn (EMF+ only)', () => {
+    expect(() => metafileToSvg(emf([emfRecord(70, 8, 0x2b464d45, 0)]))).toThrow('no supported drawing records');
+  });
+
+  it('fails on damaged records', () => {
+    expect(() => metafileToSvg(emf([emfRecord(38, 1)]))).toThrow('damaged record data');
+  });
+
+  it('fails on unknown formats', () => {
+    expect(() => metafileToSvg(Buffer.alloc(100))).toThrow('unrecognised metafile header');
+  });
+});
+
+describe('metafileToSvg — WMF', () => {
+  it('sizes the SVG from the placeable header', () => {
+    const result = metafileToSvg(wmf([wmfRecord(0x041b, 720, 1440, 0, 0)]));
+    expect(result.format).toBe('WMF');
+    expect(result.width).toBe(96);
+    expect(result.height).toBe(48);
+    expect(result.svg.toString()).toContain('viewBox="0 0 1440 720"');
+  });
+
+  it('draws polygons with objects from the lowest free table slot', () => {
+    const svg = metafileToSvg(wmf([
+      wmfRecord(0x02fc, 0, ...colorWords(0x00ff00), 0), // brush → slot 0
+      wmfRecord(0x02fc, 0, ...colorWords(0xff0000), 0), // brush → slot 1
+      wmfRecord(0x01f0, 0), // delete slot 0
+      wmfRecord(0x02fa, 0, 20, 0, ...colorWords(0x0000ff)), // pen → slot 0
+      wmfRecord(0x012d, 0),
+      wmfRecord(0x012d, 1),
+      wmfRecord(0x0324, 3, 0, 0, 100, 0, 50, 80), // POLYGON
+    ])).svg.toString();
+    expect(svg).toContain('<path d="M0 0L100 0L50 80Z" fill="#FF0000" fill-rule="evenodd" stroke="#0000FF" stroke-width="20"');
+  });
+
+  it('maps later window changes onto the picture frame', () => {
+    const svg = metafileToSvg(wmf([
+      wmfRecord(0x020b, 100, 100), // window origin (y, x)
+      wmfRecord(0x020c, 72, 144), // window extent (y, x)
+      wmfRecord(0x041b, 172, 244, 100, 100), // RECTANGLE (bottom, right, top, left)
+    ])).svg.toString();
+    expect(svg).toContain('d="M0 0L1440 0L1440 720L0 720Z"');
+  });
+
+  it('embeds packed DIB bitmaps', () => {
+    const { header, bits } = dib24();
+    const svg = metafileToSvg(wmf([
+      // STRETCHDIB: rop (2 words), usage, src h/w/y/x, dest h/w/y/x, DIB
+      wmfRecord(0x0f43, 0x0020, 0x00cc, 0, 1, 2, 0, 0, 360, 720, 0, 0, header, bits),
+    ])).svg.toString();
+    expect(svg).toMatch(/<image x="0" y="0" width="720" height="360" preserveAspectRatio="none" href="data:image\/png;base64,/);
+  });
+});
@@ -0,0 +1,98 @@
+import { describe, it, expect } from 'vitest';
+import { XMLParser } from 'fast-xml-parser';
+import {
+  PRESET_SHAPE_TYPES,
+  presetShapeType,
+  isConnectorPreset,
+  mapPresetAdjustments,
+} from '../src/mapper/presets.js';
+import { extractAvLst } from '../src/parser/utils.js';
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  allowBooleanAttributes: true,
+});
+
+describe('presetShapeType', () => {
+  it('maps preset names to the matching ShapeType value', () => {
+    expect(presetShapeType('ellipse')).toBe('ellipse');
+    expect(presetShapeType('flowChartDecision')).toBe('flowChartDecision');
+    expect(presetShapeType('wedgeRoundRectCallout')).toBe('wedgeRoundRectCallout');
+    expect(Object.keys(PRESET_SHAPE_TYPES).length).toBeGreaterThan(170);
+  });
+
+  it('treats missing geometry as a rectangle', () => {
+    expect(presetShapeType(undefined)).toBe('rect');
+  });
+
+  it('returns null for presets without an equivalent', () => {
+    expect(presetShapeType('foldedCorner')).toBeNull();
+    expect(presetShapeType('toString')).toBeNull();
+  });
+});
+
+describe('isConnectorPreset', () => {
+  it('recognises straight, elbow and curved connectors', () => {
+    expect(isConnectorPreset('straightConnector1')).toBe(true);
+    expect(isConnectorPreset('bentConnector3')).toBe(true);
+    expect(isConnectorPreset('curvedConnector5')).toBe(true);
+    expect(isConnectorPreset('rect')).toBe(false);
+  });
+});
+
+describe('mapPresetAdjustments', () => {
+  const pos = { w: 2, h: 1 };
+
+  it('defaults roundRect to a 0.1in radius', () => {
+    expect(mapPresetAdjustments('roundRect', null, pos)).toEqual({ options: { rectRadius: 0.1 }, unsupported: [] });
+  });
+
+  it('converts adj to rectRadius against the shorter side', () => {
+    expect(mapPresetAdjustments('roundRect', { adj: 25000 }, pos).options).toEqual({ rectRadius: 0.25 });
+    expect(mapPresetAdjustments('snip1Rect', { adj: 50000 }, pos).options).toEqual({ rectRadius: 0.5 });
+  });
+
+  it('keeps adj unrounded', () => {
+    expect(mapPresetAdjustments('roundRect', { adj: 16667 }, pos).options.rectRadius).toBeCloseTo(0.16667, 10);
+    expect(mapPresetAdjustments('chevron', { adj: 12345 }, { w: 1, h: 1 }).options.rectRadius).toBeCloseTo(0.12345, 10);
+  });
+
+  it('carries a zero adj as a radius PptxGenJS rounds back to adj 0', () => {
+    for (const geometry of ['roundRect', 'plus']) {
+      const { options, unsupported } = mapPresetAdjustments(geometry, { adj: 0 }, pos);
+      expect(unsupported).toEqual([]);
+      expect(options.rectRadius).toBeGreaterThan(0);
+      // PptxGenJS: Math.round(rectRadius × EMU × 100000 / min(cx, cy))
+      expect(Math.round((options.rectRadius * 914400 * 100000) / (1 * 914400))).toBe(0);
+    }
+  });
+
+  it('converts arc angles and keeps the other default', () => {
+    expect(mapPresetAdjustments('arc', { adj2: 5400000 }, pos).options).toEqual({ angleRange: [270, 90] });
+    expect(mapPresetAdjustments('chord', { adj1: 0, adj2: 10800000 }, pos).options).toEqual({ angleRange: [0, 180] });
+  });
+
+  it('converts blockArc thickness', () => {
+    expect(mapPresetAdjustments('blockArc', { adj3: 10000 }, pos).options).toEqual({
+      angleRange: [180, 0],
+      arcThicknessRatio: 0.2,
+    });
+  });
+
+  it('lists adjustments without an option', () => {
+    expect(mapPresetAdjustments('star5', { adj: 19098, hf: 105146, vf: 110557 }, pos)).toEqual({
+      options: { rectRadius: 0.19098 },
+      unsupported: ['hf', 'vf'],
+    });
+  });
+});
+
+describe('extractAvLst', () => {
+  it('reads negative adjust values', () => {
+    const spPr = parser.parse(`<p:spPr><a:prstGeom prst="wedgeRectCallout"><a:avLst>
+      <a:gd name="adj1" fmla="val -20833"/><a:gd name="adj2" fmla="val 62500"/>
+    </a:avLst></a:prstGeom></p:spPr>`)['p:spPr'];
+    expect(extractAvLst(spPr)).toEqual({ adj1: -20833, adj2: 62500 });
+  });
+});
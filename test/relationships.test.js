@@ -34,6 +34,17 @@ describe('parseRelationships', () => {
     expect(rels.rId3).toEqual({ type: 'theme', target: '../theme/theme1.xml' });
   });
 
+  it('flags external targets', () => {
+    const xml = `<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+      <Relationship Id="rId4" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/hyperlink" Target="https://example.com/" TargetMode="External"/>
+      <Relationship Id="rId5" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/slide" Target="slide2.xml"/>
+    </Relationships>`;
+
+    const rels = parseRelationships(xmlParser.parse(xml));
+    expect(rels.rId4).toEqual({ type: 'hyperlink', target: 'https://example.com/', external: true });
+    expect(rels.rId5).toEqual({ type: 'slide', target: 'slide2.xml' });
+  });
+
   it('simplifies type URL to last segment', () => {
     const xml = `<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
       <Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/slideMaster" Target="slideMasters/slideMaster1.xml"/>
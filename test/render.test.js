@@ -0,0 +1,464 @@
+import { describe, it, expect } from 'vitest';
+import { inflateSync } from 'zlib';
+import { createColorResolver } from '../src/parser/colors.js';
+import { encodePng, rasterSize, mediaFilename, maskCorners } from '../src/render/png.js';
+import { parseGradient, renderGradient, rasterizeGradient } from '../src/render/gradient.js';
+import { patternNames, renderPattern, rasterizePattern } from '../src/render/pattern.js';
+import { rasterizeFill, renderFillPixels } from '../src/render/fill.js';
+import { flattenPath, fillCoverage, strokeCoverage, rasterizePath } from '../src/render/path.js';
+import { rasterizeEffects } from '../src/render/effects.js';
+
+const resolver = createColorResolver(
+  { dk1: '000000', lt1: 'FFFFFF', accent1: '4472C4' },
+  { tx1: 'dk1', bg1: 'lt1' },
+  { heading: 'Calibri Light', body: 'Calibri' },
+);
+
+/** Decode an 8-bit RGBA PNG written by encodePng (filter type 0 only). */
+function decodePng(png) {
+  let offset = 8;
+  let width = 0;
+  let height = 0;
+  const idat = [];
+  while (offset < png.length) {
+    const length = png.readUInt32BE(offset);
+    const type = png.toString('ascii', offset + 4, offset + 8);
+    const data = png.subarray(offset + 8, offset + 8 + length);
+    if (type === 'IHDR') {
+      width = data.readUInt32BE(0);
+      height = data.readUInt32BE(4);
+    } else if (type === 'IDAT') {
+      idat.push(data);
+    }
+    offset += length + 12;
+  }
+  const raw = inflateSync(Buffer.concat(idat));
+  const pixels = Buffer.alloc(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    raw.copy(pixels, y * width * 4, y * (width * 4 + 1) + 1, (y + 1) * (width * 4 + 1));
+  }
+  return { width, height, pixels };
+}
+
+/** RGBA tuple at pixel (x, y). */
+function pixel(rgba, width, x, y) {
+  const i = (y * width + x) * 4;
+  return [rgba[i], rgba[i + 1], rgba[i + 2], rgba[i + 3]];
+}
+
+function gradFill(stops, extra = {}) {
+  return {
+    'a:gsLst': {
+      'a:gs': stops.map(([pos, hex, alpha]) => ({
+        '@_pos': String(pos),
+        'a:srgbClr': alpha != null ? { '@_val': hex, 'a:alpha': { '@_val': String(alpha) } } : { '@_val': hex },
+      })),
+    },
+    ...extra,
+  };
+}
+
+describe('encodePng', () => {
+  it('round-trips RGBA pixels', () => {
+    const rgba = new Uint8Array([255, 0, 0, 255, 0, 255, 0, 128, 0, 0, 255, 0, 10, 20, 30, 40]);
+    const png = encodePng(2, 2, rgba);
+    expect(png.subarray(0, 8)).toEqual(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]));
+
+    const decoded = decodePng(png);
+    expect(decoded.width).toBe(2);
+    expect(decoded.height).toBe(2);
+    expect([...decoded.pixels]).toEqual([...rgba]);
+  });
+});
+
+describe('rasterSize', () => {
+  it('renders at 96 pixels per inch', () => {
+    expect(rasterSize(2, 1)).toEqual({ width: 192, height: 96 });
+  });
+
+  it('caps the longest edge and keeps at least one pixel', () => {
+    const { width, height } = rasterSize(100, 1);
+    expect(width).toBe(2000);
+    expect(height).toBe(20);
+    expect(rasterSize(0, 0)).toEqual({ width: 1, height: 1 });
+  });
+});
+
+describe('mediaFilename', () => {
+  it('is stable for identical content', () => {
+    const png = encodePng(1, 1, new Uint8Array([1, 2, 3, 4]));
+    expect(mediaFilename('gradient', png)).toBe(mediaFilename('gradient', Buffer.from(png)));
+    expect(mediaFilename('gradient', png)).toMatch(/^gradient-[0-9a-f]{8}\.png$/);
+  });
+});
+
+describe('maskCorners', () => {
+  it('clears pixels outside the rounded corners', () => {
+    const rgba = new Uint8Array(40 * 40 * 4).fill(255);
+    maskCorners(rgba, 40, 40, 10);
+    expect(pixel(rgba, 40, 0, 0)[3]).toBe(0);
+    expect(pixel(rgba, 40, 39, 39)[3]).toBe(0);
+    expect(pixel(rgba, 40, 20, 20)[3]).toBe(255);
+    expect(pixel(rgba, 40, 20, 0)[3]).toBe(255);
+  });
+});
+
+describe('parseGradient', () => {
+  it('returns null without resolvable stops', () => {
+    expect(parseGradient(null, resolver)).toBeNull();
+    expect(parseGradient({ 'a:gsLst': {} }, resolver)).toBeNull();
+  });
+
+  it('reads sorted stops with alpha, angle and scaling', () => {
+    const spec = parseGradient(gradFill(
+      [[100000, 'FFFFFF'], [0, '000000', 50000]],
+      { 'a:lin': { '@_ang': '5400000', '@_scaled': '1' } },
+    ), resolver);
+
+    expect(spec.type).toBe('linear');
+    expect(spec.angle).toBe(90);
+    expect(spec.scaled).toBe(true);
+    expect(spec.stops).toEqual([
+      { pos: 0, rgb: [0, 0, 0], alpha: 0.5 },
+      { pos: 1, rgb: [255, 255, 255], alpha: 1 },
+    ]);
+  });
+
+  it('resolves scheme color stops', () => {
+    const spec = parseGradient({ 'a:gsLst': { 'a:gs': { '@_pos': '0', 'a:schemeClr': { '@_val': 'accent1' } } } }, resolver);
+    expect(spec.stops[0].rgb).toEqual([0x44, 0x72, 0xc4]);
+  });
+
+  it('reads path gradients with their focus rectangle', () => {
+    const spec = parseGradient(gradFill([[0, 'FFFFFF'], [100000, '000000']], {
+      'a:path': { '@_path': 'circle', 'a:fillToRect': { '@_l': '50000', '@_t': '50000', '@_r': '50000', '@_b': '50000' } },
+    }), resolver);
+    expect(spec.type).toBe('circle');
+    expect(spec.focus).toEqual({ l: 0.5, t: 0.5, r: 0.5, b: 0.5 });
+  });
+});
+
+describe('renderGradient', () => {
+  const blackToWhite = [[0, '000000'], [100000, 'FFFFFF']];
+
+  it('runs 0° linear gradients left to right', () => {
+    const spec = parseGradient(gradFill(blackToWhite, { 'a:lin': { '@_ang': '0' } }), resolver);
+    const rgba = renderGradient(spec, 100, 10);
+    expect(pixel(rgba, 100, 0, 5)[0]).toBeLessThan(5);
+    expect(pixel(rgba, 100, 99, 5)[0]).toBeGreaterThan(250);
+    expect(pixel(rgba, 100, 50, 0)[0]).toBe(pixel(rgba, 100, 50, 9)[0]);
+  });
+
+  it('runs 90° linear gradients top to bottom', () => {
+    const spec = parseGradient(gradFill(blackToWhite, { 'a:lin': { '@_ang': '5400000' } }), resolver);
+    const rgba = renderGradient(spec, 10, 100);
+    expect(pixel(rgba, 10, 5, 0)[0]).toBeLessThan(5);
+    expect(pixel(rgba, 10, 5, 99)[0]).toBeGreaterThan(250);
+  });
+
+  it('maps scaled 45° gradients corner to corner on wide boxes', () => {
+    const spec = parseGradient(gradFill(blackToWhite, { 'a:lin': { '@_ang': '2700000', '@_scaled': '1' } }), resolver);
+    const rgba = renderGradient(spec, 200, 50);
+    expect(pixel(rgba, 200, 0, 0)[0]).toBeLessThan(5);
+    expect(pixel(rgba, 200, 199, 49)[0]).toBeGreaterThan(250);
+    // Top-right and bottom-left corners sit on the same (middle) gradient line
+    expect(Math.abs(pixel(rgba, 200, 199, 0)[0] - pixel(rgba, 200, 0, 49)[0])).toBeLessThan(3);
+  });
+
+  it('honours stop positions', () => {
+    const spec = parseGradient(gradFill([[0, '000000'], [50000, 'FF0000'], [100000, 'FF0000']]), resolver);
+    const rgba = renderGradient(spec, 100, 1);
+    expect(pixel(rgba, 100, 60, 0)).toEqual([255, 0, 0, 255]);
+    expect(pixel(rgba, 100, 25, 0)[0]).toBeGreaterThan(100);
+    expect(pixel(rgba, 100, 25, 0)[0]).toBeLessThan(160);
+  });
+
+  it('interpolates alpha between stops', () => {
+    const spec = parseGradient(gradFill([[0, 'FF0000', 0], [100000, 'FF0000', 100000]]), resolver);
+    const rgba = renderGradient(spec, 100, 1);
+    expect(pixel(rgba, 100, 0, 0)[3]).toBeLessThan(5);
+    expect(pixel(rgba, 100, 99, 0)[3]).toBeGreaterThan(250);
+  });
+
+  it('radiates circle path gradients from the focus point', () => {
+    const spec = parseGradient(gradFill(blackToWhite, {
+      'a:path': { '@_path': 'circle', 'a:fillToRect': { '@_l': '50000', '@_t': '50000', '@_r': '50000', '@_b': '50000' } },
+    }), resolver);
+    const rgba = renderGradient(spec, 101, 101);
+    expect(pixel(rgba, 101, 50, 50)[0]).toBeLessThan(5);
+    expect(pixel(rgba, 101, 0, 0)[0]).toBeGreaterThan(245);
+    expect(pixel(rgba, 101, 50, 0)[0]).toBe(pixel(rgba, 101, 0, 50)[0]);
+  });
+
+  it('grows rect path gradients from a corner focus', () => {
+    const spec = parseGradient(gradFill(blackToWhite, {
+      'a:path': { '@_path': 'rect', 'a:fillToRect': { '@_r': '100000', '@_b': '100000' } },
+    }), resolver);
+    const rgba = renderGradient(spec, 100, 100);
+    expect(pixel(rgba, 100, 0, 0)[0]).toBeLessThan(5);
+    expect(pixel(rgba, 100, 99, 99)[0]).toBeGreaterThan(250);
+    // Square contours: (80, 10) and (10, 80) share a level with (80, 80)
+    expect(pixel(rgba, 100, 80, 10)[0]).toBe(pixel(rgba, 100, 80, 80)[0]);
+  });
+});
+
+describe('rasterizeGradient', () => {
+  it('renders a PNG sized from inches', () => {
+    const result = rasterizeGradient(gradFill([[0, '000000'], [100000, 'FFFFFF']]), resolver, 1, 0.5);
+    const { width, height } = decodePng(result.buffer);
+    expect(width).toBe(96);
+    expect(height).toBe(48);
+    expect(result.filename).toMatch(/^gradient-[0-9a-f]{8}\.png$/);
+  });
+
+  it('returns null when no stop resolves', () => {
+    expect(rasterizeGradient({}, resolver, 1, 1)).toBeNull();
+  });
+});
+
+describe('renderPattern', () => {
+  const black = { color: '000000' };
+  const white = { color: 'FFFFFF' };
+
+  it('covers every OOXML preset', () => {
+    expect(patternNames()).toHaveLength(54);
+    for (const name of patternNames()) {
+      expect(renderPattern(name, black, white, 8, 8)).toHaveLength(256);
+    }
+  });
+
+  it('returns null for unknown presets', () => {
+    expect(renderPattern('bogus', black, white, 8, 8)).toBeNull();
+  });
+
+  it('tiles the 8×8 bitmap with foreground and background colors', () => {
+    const rgba = renderPattern('horz', { color: 'FF0000' }, { color: '0000FF', transparency: 50 }, 16, 16);
+    expect(pixel(rgba, 16, 3, 0)).toEqual([255, 0, 0, 255]);
+    expect(pixel(rgba, 16, 3, 8)).toEqual([255, 0, 0, 255]);
+    expect(pixel(rgba, 16, 3, 1)).toEqual([0, 0, 255, 128]);
+  });
+
+  it('draws dark percentages as the inverse of light ones', () => {
+    const light = renderPattern('pct25', black, white, 8, 8);
+    const dark = renderPattern('pct75', black, white, 8, 8);
+    for (let i = 0; i < light.length; i += 4) {
+      expect(dark[i]).toBe(255 - light[i]);
+    }
+  });
+});
+
+describe('rasterizePattern', () => {
+  it('resolves fgClr/bgClr and renders at the box size', () => {
+    const result = rasterizePattern({
+      '@_prst': 'vert',
+      'a:fgClr': { 'a:schemeClr': { '@_val': 'accent1' } },
+      'a:bgClr': { 'a:srgbClr': { '@_val': 'FFFFFF' } },
+    }, resolver, 1, 0.5);
+    const { width, height, pixels } = decodePng(result.buffer);
+    expect([width, height]).toEqual([96, 48]);
+    expect(pixel(pixels, width, 0, 0)).toEqual([0x44, 0x72, 0xc4, 255]);
+    expect(pixel(pixels, width, 1, 0)).toEqual([255, 255, 255, 255]);
+    expect(result.filename).toMatch(/^pattern-[0-9a-f]{8}\.png$/);
+  });
+
+  it('defaults to pct5 in black on white', () => {
+    const { pixels } = decodePng(rasterizePattern({}, resolver, 0.1, 0.1).buffer);
+    expect(pixel(pixels, 10, 0, 0)).toEqual([0, 0, 0, 255]);
+    expect(pixel(pixels, 10, 1, 0)).toEqual([255, 255, 255, 255]);
+  });
+});
+
+describe('rasterizeFill', () => {
+  it('dispatches gradient and pattern fills', () => {
+    const gradient = rasterizeFill({ type: 'gradFill', element: gradFill([[0, '000000']]) }, resolver, 1, 1);
+    const pattern = rasterizeFill({ type: 'pattFill', element: { '@_prst': 'cross' } }, resolver, 1, 1);
+    expect(gradient.filename).toMatch(/^gradient-/);
+    expect(pattern.filename).toMatch(/^pattern-/);
+  });
+
+  it('returns null for other fills and empty boxes', () => {
+    expect(rasterizeFill({ type: 'solidFill', element: {} }, resolver, 1, 1)).toBeNull();
+    expect(rasterizeFill({ type: 'pattFill', element: {} }, resolver, 0, 1)).toBeNull();
+    expect(rasterizeFill(null, resolver, 1, 1)).toBeNull();
+  });
+});
+
+describe('renderFillPixels', () => {
+  it('renders solid, gradient and pattern fills to raw pixels', () => {
+    const solid = renderFillPixels({ type: 'solidFill', element: { 'a:schemeClr': { '@_val': 'accent1' } } }, resolver, 2, 2);
+    expect(pixel(solid, 2, 1, 1)).toEqual([0x44, 0x72, 0xc4, 255]);
+
+    const gradient = renderFillPixels({ type: 'gradFill', element: gradFill([[0, 'FF0000']]) }, resolver, 2, 2);
+    expect(pixel(gradient, 2, 0, 0)).toEqual([255, 0, 0, 255]);
+
+    const pattern = renderFillPixels({ type: 'pattFill', element: { '@_prst': 'horz' } }, resolver, 8, 8);
+    expect(pixel(pattern, 8, 0, 0)).toEqual([0, 0, 0, 255]);
+    expect(pixel(pattern, 8, 0, 1)).toEqual([255, 255, 255, 255]);
+  });
+
+  it('returns null for fills it cannot render', () => {
+    expect(renderFillPixels({ type: 'blipFill', element: {} }, resolver, 2, 2)).toBeNull();
+    expect(renderFillPixels(null, resolver, 2, 2)).toBeNull();
+  });
+});
+
+// Right triangle filling the lower-left half of the unit box
+const triangle = [
+  { type: 'moveTo', x: 0, y: 0 },
+  { type: 'lnTo', x: 0, y: 1 },
+  { type: 'lnTo', x: 1, y: 1 },
+  { type: 'close' },
+];
+
+describe('flattenPath', () => {
+  it('scales commands to pixels and marks closed subpaths', () => {
+    expect(flattenPath(triangle, 10, 20)).toEqual([{ points: [[0, 0], [0, 20], [10, 20]], closed: true }]);
+  });
+
+  it('samples curves and arcs ending at their end points', () => {
+    const [curve] = flattenPath([
+      { type: 'moveTo', x: 0, y: 0 },
+      { type: 'quadBezTo', x1: 1, y1: 0, x: 1, y: 1 },
+      { type: 'arcTo', wR: 0.5, hR: 0.5, start: 0, sweep: Math.PI, x: 0, y: 1 },
+    ], 100, 100);
+    expect(curve.points.length).toBeGreaterThan(10);
+    const [x, y] = curve.points[curve.points.length - 1];
+    expect(x).toBeCloseTo(0);
+    expect(y).toBeCloseTo(100);
+  });
+});
+
+describe('fillCoverage', () => {
+  it('covers the inside of a path with antialiased edges', () => {
+    const coverage = fillCoverage(flattenPath(triangle, 10, 10), 10, 10);
+    expect(coverage[9 * 10 + 0]).toBe(1);
+    expect(coverage[0 * 10 + 9]).toBe(0);
+    const diagonal = coverage[5 * 10 + 5];
+    expect(diagonal).toBeGreaterThan(0.3);
+    expect(diagonal).toBeLessThan(0.7);
+  });
+
+  it('leaves holes with the even-odd rule', () => {
+    const square = (a, b) => [
+      { type: 'moveTo', x: a, y: a },
+      { type: 'lnTo', x: b, y: a },
+      { type: 'lnTo', x: b, y: b },
+      { type: 'lnTo', x: a, y: b },
+      { type: 'close' },
+    ];
+    const coverage = fillCoverage(flattenPath([...square(0, 1), ...square(0.25, 0.75)], 8, 8), 8, 8);
+    expect(coverage[0]).toBe(1);
+    expect(coverage[4 * 8 + 4]).toBe(0);
+  });
+});
+
+describe('strokeCoverage', () => {
+  it('covers pixels within half the line width of the path', () => {
+    const coverage = strokeCoverage([{ points: [[0, 5], [10, 5]], closed: false }], 10, 10, 2);
+    expect(coverage[4 * 10 + 5]).toBe(1);
+    expect(coverage[5 * 10 + 5]).toBe(1);
+    expect(coverage[8 * 10 + 5]).toBe(0);
+  });
+});
+
+describe('rasterizePath', () => {
+  const solid = { type: 'solidFill', element: { 'a:srgbClr': { '@_val': 'FF0000' } } };
+
+  it('renders filled paths clipped to their outline', () => {
+    const result = rasterizePath([{ fill: true, stroke: true, commands: triangle }], { fill: solid }, resolver, 1, 1);
+    const { width, pixels } = decodePng(result.buffer);
+    expect(width).toBe(96);
+    expect(result.padding).toBe(0);
+    expect(pixel(pixels, width, 2, 93)).toEqual([255, 0, 0, 255]);
+    expect(pixel(pixels, width, 93, 2)).toEqual([0, 0, 0, 0]);
+    expect(result.filename).toMatch(/^shape-[0-9a-f]{8}\.png$/);
+  });
+
+  it('pads the image for the outline and skips stroke-less paths', () => {
+    const line = { color: '0000FF', width: 6 };
+    const paths = [
+      { fill: false, stroke: true, commands: [{ type: 'moveTo', x: 0, y: 0 }, { type: 'lnTo', x: 1, y: 0 }] },
+      { fill: true, stroke: false, commands: triangle },
+    ];
+    const result = rasterizePath(paths, { fill: solid, line }, resolver, 1, 1);
+    const { width, height, pixels } = decodePng(result.buffer);
+    expect([width, height]).toEqual([104, 104]);
+    expect(result.padding).toBeCloseTo(4 / 96);
+    // Top edge stroked in blue, the triangle's diagonal left unstroked
+    expect(pixel(pixels, width, 52, 4)).toEqual([0, 0, 255, 255]);
+    expect(pixel(pixels, width, 10, 90)).toEqual([255, 0, 0, 255]);
+    expect(pixel(pixels, width, 60, 56)[2]).toBe(0);
+  });
+
+  it('returns null for empty boxes and invisible paths', () => {
+    const paths = [{ fill: true, stroke: true, commands: triangle }];
+    expect(rasterizePath(paths, { fill: solid }, resolver, 0, 1)).toBeNull();
+    expect(rasterizePath(paths, { fill: null, line: null }, resolver, 1, 1)).toBeNull();
+  });
+});
+
+describe('rasterizeEffects', () => {
+  const solid = { type: 'solidFill', element: { 'a:srgbClr': { '@_val': 'FF0000' } } };
+  const square = [{
+    fill: true,
+    stroke: true,
+    commands: [
+      { type: 'moveTo', x: 0, y: 0 },
+      { type: 'lnTo', x: 1, y: 0 },
+      { type: 'lnTo', x: 1, y: 1 },
+      { type: 'lnTo', x: 0, y: 1 },
+      { type: 'close' },
+    ],
+  }];
+
+  it('draws a glow around the shape, padding the image evenly', () => {
+    const effectLst = { 'a:glow': { '@_rad': '228600', 'a:srgbClr': { '@_val': '00FF00' } } }; // 0.25in
+    const result = rasterizeEffects(square, { fill: solid }, effectLst, resolver, 1, 1);
+    const { width, height, pixels } = decodePng(result.buffer);
+    expect([width, height]).toEqual([144, 144]);
+    expect(result.padding).toEqual({ x: 0.25, y: 0.25 });
+    expect(result.filename).toMatch(/^effects-[0-9a-f]{8}\.png$/);
+    expect(pixel(pixels, width, 72, 72)).toEqual([255, 0, 0, 255]);
+    const halo = pixel(pixels, width, 20, 72);
+    expect(halo.slice(0, 3)).toEqual([0, 255, 0]);
+    expect(halo[3]).toBeGreaterThan(0);
+    expect(pixel(pixels, width, 0, 0)[3]).toBe(0);
+  });
+
+  it('fades soft edges inwards', () => {
+    const effectLst = { 'a:softEdge': { '@_rad': '228600' } };
+    const result = rasterizeEffects(square, { fill: solid }, effectLst, resolver, 1, 1);
+    const { width, pixels } = decodePng(result.buffer);
+    expect(width).toBe(96);
+    expect(pixel(pixels, width, 48, 48)[3]).toBe(255);
+    expect(pixel(pixels, width, 1, 48)[3]).toBeLessThan(64);
+  });
+
+  it('mirrors the shape below itself for reflections', () => {
+    const effectLst = { 'a:reflection': { '@_stA': '50000', '@_endA': '0', '@_endPos': '50000', '@_dist': '0' } };
+    const result = rasterizeEffects(square, { fill: solid }, effectLst, resolver, 1, 1);
+    const { width, height, pixels } = decodePng(result.buffer);
+    expect([width, height]).toEqual([96, 192]);
+    expect(result.padding).toEqual({ x: 0, y: 0.5 });
+    const reflected = pixel(pixels, width, 48, 145);
+    expect(reflected.slice(0, 3)).toEqual([255, 0, 0]);
+    expect(reflected[3]).toBeGreaterThan(100);
+    expect(reflected[3]).toBeLessThan(130);
+    expect(pixel(pixels, width, 48, 190)[3]).toBeLessThan(10);
+    expect(pixel(pixels, width, 48, 20)[3]).toBe(0);
+  });
+
+  it('draws outer shadows offset in their direction', () => {
+    const effectLst = { 'a:outerShdw': { '@_dist': '91440', '@_dir': '0', 'a:srgbClr': { '@_val': '000000' } } }; // 0.1in right
+    const result = rasterizeEffects(square, { fill: solid }, effectLst, resolver, 1, 1);
+    const { width, pixels } = decodePng(result.buffer);
+    const right = 10 + 96 + 5;
+    expect(pixel(pixels, width, right, 58)).toEqual([0, 0, 0, 255]);
+    expect(pixel(pixels, width, 5, 58)[3]).toBe(0);
+  });
+
+  it('returns null when nothing is visible', () => {
+    const effectLst = { 'a:glow': { '@_rad': '63500', 'a:srgbClr': { '@_val': '00FF00' } } };
+    expect(rasterizeEffects(square, { fill: null, line: null }, effectLst, resolver, 1, 1)).toBeNull();
+  });
+});
@@ -0,0 +1,206 @@
+import { describe, it, expect } from 'vitest';
+import { XMLParser } from 'fast-xml-parser';
+import { extractShapeTree, flattenGroup, recordShapeOrder } from '../src/parser/shapeTree.js';
+
+const xmlParser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  allowBooleanAttributes: true,
+});
+
+/** Parse a p:grpSp snippet and return the group element. */
+function parseGroup(xml) {
+  return xmlParser.parse(xml)['p:grpSp'];
+}
+
+/** Build a simple p:sp snippet with the given xfrm attributes and offsets. */
+function sp(name, x, y, cx, cy, xfrmAttrs = '') {
+  return `
+    <p:sp>
+      <p:nvSpPr><p:cNvPr id="2" name="${name}"/><p:nvPr/></p:nvSpPr>
+      <p:spPr>
+        <a:xfrm ${xfrmAttrs}><a:off x="${x}" y="${y}"/><a:ext cx="${cx}" cy="${cy}"/></a:xfrm>
+      </p:spPr>
+    </p:sp>`;
+}
+
+function xfrmOf(shape) {
+  const xfrm = shape.element['p:spPr']['a:xfrm'];
+  return {
+    x: Number(xfrm['a:off']['@_x']),
+    y: Number(xfrm['a:off']['@_y']),
+    cx: Number(xfrm['a:ext']['@_cx']),
+    cy: Number(xfrm['a:ext']['@_cy']),
+    rot: xfrm['@_rot'] != null ? Number(xfrm['@_rot']) : 0,
+    flipH: xfrm['@_flipH'] === '1',
+    flipV: xfrm['@_flipV'] === '1',
+  };
+}
+
+describe('extractShapeTree', () => {
+  it('returns empty array for null input', () => {
+    expect(extractShapeTree(null)).toEqual([]);
+  });
+
+  it('collects top-level shapes by type', () => {
+    const spTree = xmlParser.parse(`
+      <p:spTree>
+        ${sp('A', 0, 0, 100, 100)}
+        <p:pic><p:nvPicPr><p:cNvPr id="3" name="Pic"/></p:nvPicPr></p:pic>
+        <p:cxnSp><p:nvCxnSpPr><p:cNvPr id="4" name="Cxn"/></p:nvCxnSpPr></p:cxnSp>
+      </p:spTree>
+    `)['p:spTree'];
+
+    const shapes = extractShapeTree(spTree);
+    expect(shapes.map((s) => s.type)).toEqual(['p:sp', 'p:pic', 'p:cxnSp']);
+  });
+
+  it('replaces groups with their children', () => {
+    const spTree = xmlParser.parse(`
+      <p:spTree>
+        <p:grpSp>
+          <p:grpSpPr/>
+          ${sp('Child A', 0, 0, 100, 100)}
+          ${sp('Child B', 200, 0, 100, 100)}
+        </p:grpSp>
+      </p:spTree>
+    `)['p:spTree'];
+
+    const shapes = extractShapeTree(spTree);
+    expect(shapes).toHaveLength(2);
+    expect(shapes.every((s) => s.type === 'p:sp')).toBe(true);
+  });
+
+  it('returns shapes in document order once it is recorded, including inside groups', () => {
+    const xml = `
+      <p:spTree>
+        ${sp('Band', 0, 0, 100, 100)}
+        <p:pic><p:nvPicPr><p:cNvPr id="3" name="Logo"/></p:nvPicPr></p:pic>
+        <p:grpSp>
+          <p:grpSpPr/>
+          <p:cxnSp><p:nvCxnSpPr><p:cNvPr id="5" name="Rule"/></p:nvCxnSpPr></p:cxnSp>
+          ${sp('Caption', 0, 0, 100, 100)}
+        </p:grpSp>
+        ${sp('Badge', 0, 0, 100, 100)}
+      </p:spTree>`;
+    const spTree = recordShapeOrder(xmlParser.parse(xml), xml)['p:spTree'];
+
+    const names = extractShapeTree(spTree).map(({ type, element }) => {
+      const nv = element['p:nvSpPr'] || element['p:nvPicPr'] || element['p:nvCxnSpPr'];
+      return `${type} ${nv['p:cNvPr']['@_name']}`;
+    });
+    expect(names).toEqual(['p:sp Band', 'p:pic Logo', 'p:cxnSp Rule', 'p:sp Caption', 'p:sp Badge']);
+  });
+});
+
+describe('flattenGroup', () => {
+  it('returns empty array for null input', () => {
+    expect(flattenGroup(null)).toEqual([]);
+  });
+
+  it('leaves children untouched when the group has no xfrm', () => {
+    const group = parseGroup(`<p:grpSp>${sp('A', 100, 200, 300, 400)}</p:grpSp>`);
+    const [child] = flattenGroup(group);
+    expect(xfrmOf(child)).toMatchObject({ x: 100, y: 200, cx: 300, cy: 400 });
+  });
+
+  it('applies the chOff/chExt child transform', () => {
+    const group = parseGroup(`
+      <p:grpSp>
+        <p:grpSpPr>
+          <a:xfrm>
+            <a:off x="1000" y="2000"/><a:ext cx="2000" cy="500"/>
+            <a:chOff x="100" y="100"/><a:chExt cx="1000" cy="1000"/>
+          </a:xfrm>
+        </p:grpSpPr>
+        ${sp('A', 600, 100, 500, 1000)}
+      </p:grpSp>
+    `);
+
+    const [child] = flattenGroup(group);
+    expect(xfrmOf(child)).toMatchObject({ x: 2000, y: 2000, cx: 1000, cy: 500 });
+  });
+
+  it('rotates children around the group centre', () => {
+    const group = parseGroup(`
+      <p:grpSp>
+        <p:grpSpPr>
+          <a:xfrm rot="5400000">
+            <a:off x="0" y="0"/><a:ext cx="2000" cy="2000"/>
+            <a:chOff x="0" y="0"/><a:chExt cx="2000" cy="2000"/>
+          </a:xfrm>
+        </p:grpSpPr>
+        ${sp('A', 0, 0, 1000, 1000)}
+      </p:grpSp>
+    `);
+
+    const [child] = flattenGroup(group);
+    // Top-left quadrant rotates 90° clockwise into the top-right quadrant
+    expect(xfrmOf(child)).toMatchObject({ x: 1000, y: 0, cx: 1000, cy: 1000, rot: 5400000 });
+  });
+
+  it('mirrors children and toggles their flip for flipH groups', () => {
+    const group = parseGroup(`
+      <p:grpSp>
+        <p:grpSpPr>
+          <a:xfrm flipH="1">
+            <a:off x="0" y="0"/><a:ext cx="2000" cy="1000"/>
+            <a:chOff x="0" y="0"/><a:chExt cx="2000" cy="1000"/>
+          </a:xfrm>
+        </p:grpSpPr>
+        ${sp('A', 0, 0, 500, 1000, 'rot="600000"')}
+      </p:grpSp>
+    `);
+
+    const [child] = flattenGroup(group);
+    const xfrm = xfrmOf(child);
+    expect(xfrm.x).toBe(1500);
+    expect(xfrm.flipH).toBe(true);
+    expect(xfrm.rot).toBe(21600000 - 600000);
+  });
+
+  it('resolves nested groups into slide coordinates', () => {
+    const group = parseGroup(`
+      <p:grpSp>
+        <p:grpSpPr>
+          <a:xfrm>
+            <a:off x="1000" y="1000"/><a:ext cx="1000" cy="1000"/>
+            <a:chOff x="0" y="0"/><a:chExt cx="1000" cy="1000"/>
+          </a:xfrm>
+        </p:grpSpPr>
+        <p:grpSp>
+          <p:grpSpPr>
+            <a:xfrm>
+              <a:off x="500" y="0"/><a:ext cx="500" cy="500"/>
+              <a:chOff x="0" y="0"/><a:chExt cx="1000" cy="1000"/>
+            </a:xfrm>
+          </p:grpSpPr>
+          ${sp('Inner', 0, 0, 1000, 1000)}
+        </p:grpSp>
+      </p:grpSp>
+    `);
+
+    const shapes = flattenGroup(group);
+    expect(shapes).toHaveLength(1);
+    expect(xfrmOf(shapes[0])).toMatchObject({ x: 1500, y: 1000, cx: 500, cy: 500 });
+  });
+
+  it('substitutes the group fill for a:grpFill children', () => {
+    const group = parseGroup(`
+      <p:grpSp>
+        <p:grpSpPr>
+          <a:solidFill><a:srgbClr val="FF0000"/></a:solidFill>
+        </p:grpSpPr>
+        <p:sp>
+          <p:nvSpPr><p:cNvPr id="2" name="A"/><p:nvPr/></p:nvSpPr>
+          <p:spPr><a:grpFill/></p:spPr>
+        </p:sp>
+      </p:grpSp>
+    `);
+
+    const [child] = flattenGroup(group);
+    const spPr = child.element['p:spPr'];
+    expect(spPr['a:grpFill']).toBeUndefined();
+    expect(spPr['a:solidFill']['a:srgbClr']['@_val']).toBe('FF0000');
+  });
+});
@@ -0,0 +1,236 @@
+import { describe, it, expect } from 'vitest';
+import { XMLParser } from 'fast-xml-parser';
+import { createColorResolver } from '../src/parser/colors.js';
+import {
+  listStyles,
+  recordStyleOrder,
+  resolveFillStyle,
+  applyPlaceholderColor,
+  placeholderResolverFor,
+  resolveShapeStyle,
+  mergeShapeStyle,
+  applyStyleFont,
+} from '../src/parser/styles.js';
+
+const xmlParser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  allowBooleanAttributes: true,
+});
+
+const resolver = createColorResolver(
+  { dk1: '000000', lt1: 'FFFFFF', accent1: '4472C4' },
+  { tx1: 'dk1', bg1: 'lt1' },
+  { heading: 'Calibri Light', body: 'Calibri' },
+);
+
+const fmtScheme = xmlParser.parse(`
+  <a:fmtScheme name="Office">
+    <a:fillStyleLst>
+      <a:solidFill><a:schemeClr val="phClr"/></a:solidFill>
+      <a:gradFill><a:gsLst><a:gs pos="0"><a:schemeClr val="phClr"><a:tint val="50000"/></a:schemeClr></a:gs></a:gsLst></a:gradFill>
+      <a:gradFill><a:gsLst><a:gs pos="0"><a:schemeClr val="phClr"/></a:gs></a:gsLst></a:gradFill>
+    </a:fillStyleLst>
+    <a:bgFillStyleLst>
+      <a:solidFill><a:schemeClr val="phClr"/></a:solidFill>
+      <a:gradFill><a:gsLst><a:gs pos="0"><a:schemeClr val="phClr"/></a:gs></a:gsLst></a:gradFill>
+      <a:blipFill><a:blip r:embed="rId1"/><a:stretch/></a:blipFill>
+    </a:bgFillStyleLst>
+  </a:fmtScheme>
+`)['a:fmtScheme'];
+
+const formatScheme = {
+  fillStyleLst: fmtScheme['a:fillStyleLst'],
+  bgFillStyleLst: fmtScheme['a:bgFillStyleLst'],
+};
+
+describe('listStyles', () => {
+  it('flattens grouped style entries in order', () => {
+    const styles = listStyles(formatScheme.fillStyleLst, ['a:solidFill', 'a:gradFill']);
+    expect(styles.map((s) => Object.keys(s)[0])).toEqual(['a:solidFill', 'a:gradFill', 'a:gradFill']);
+  });
+
+  it('keeps self-closing entries', () => {
+    const lst = xmlParser.parse('<l><a:noFill/><a:solidFill/></l>').l;
+    expect(listStyles(lst, ['a:noFill', 'a:solidFill'])).toHaveLength(2);
+  });
+
+  it('returns an empty list for missing input', () => {
+    expect(listStyles(null, ['a:solidFill'])).toEqual([]);
+  });
+});
+
+describe('recordStyleOrder', () => {
+  const xml = `
+    <a:fmtScheme name="Interleaved">
+      <a:fillStyleLst>
+        <a:solidFill><a:srgbClr val="111111"/></a:solidFill>
+        <a:gradFill><a:gsLst><a:gs pos="0"><a:srgbClr val="222222"/></a:gs></a:gsLst></a:gradFill>
+        <a:solidFill><a:srgbClr val="333333"/></a:solidFill>
+      </a:fillStyleLst>
+      <a:bgFillStyleLst>
+        <a:noFill/>
+        <a:pattFill prst="pct5"><a:fgClr><a:srgbClr val="444444"/></a:fgClr></a:pattFill>
+        <a:noFill/>
+        <a:solidFill><a:srgbClr val="555555"/></a:solidFill>
+      </a:bgFillStyleLst>
+    </a:fmtScheme>`;
+  const parsed = recordStyleOrder(xmlParser.parse(xml), xml)['a:fmtScheme'];
+  const scheme = { fillStyleLst: parsed['a:fillStyleLst'], bgFillStyleLst: parsed['a:bgFillStyleLst'] };
+
+  it('lists interleaved fill types in document order', () => {
+    const tags = listStyles(scheme.bgFillStyleLst, ['a:noFill', 'a:solidFill', 'a:pattFill']).map((s) => Object.keys(s)[0]);
+    expect(tags).toEqual(['a:noFill', 'a:pattFill', 'a:noFill', 'a:solidFill']);
+  });
+
+  it('resolves style indices against the interleaved order', () => {
+    expect(resolveFillStyle(scheme, 2)['a:gradFill']).toBeDefined();
+    expect(resolveFillStyle(scheme, 3)['a:solidFill']['a:srgbClr']['@_val']).toBe('333333');
+    expect(resolveFillStyle(scheme, 1002)['a:pattFill']).toBeDefined();
+    expect(resolveFillStyle(scheme, 1004)['a:solidFill']['a:srgbClr']['@_val']).toBe('555555');
+  });
+});
+
+describe('resolveFillStyle', () => {
+  it('selects fillStyleLst entries for 1–999', () => {
+    expect(resolveFillStyle(formatScheme, 1)['a:solidFill']).toBeDefined();
+    expect(resolveFillStyle(formatScheme, '3')['a:gradFill']).toBeDefined();
+  });
+
+  it('selects bgFillStyleLst entries for 1001+', () => {
+    expect(resolveFillStyle(formatScheme, 1001)['a:solidFill']).toBeDefined();
+    expect(resolveFillStyle(formatScheme, 1002)['a:gradFill']).toBeDefined();
+    expect(resolveFillStyle(formatScheme, 1003)['a:blipFill']).toBeDefined();
+  });
+
+  it('returns null for "no fill" and out-of-range indices', () => {
+    expect(resolveFillStyle(formatScheme, 0)).toBeNull();
+    expect(resolveFillStyle(formatScheme, 1000)).toBeNull();
+    expect(resolveFillStyle(formatScheme, 1009)).toBeNull();
+    expect(resolveFillStyle(null, 1001)).toBeNull();
+  });
+});
+
+describe('applyPlaceholderColor', () => {
+  it('resolves phClr, with its modifiers, through the placeholder resolver', () => {
+    const style = resolveFillStyle(formatScheme, 2);
+    const applied = applyPlaceholderColor(style, resolver.withPlaceholderColor('000000'));
+    const stop = applied['a:gradFill']['a:gsLst']['a:gs'];
+    expect(stop['a:schemeClr']).toBeUndefined();
+    // 50% tint of black
+    expect(stop['a:srgbClr']).toEqual({ '@_val': '808080' });
+    // Original theme element is untouched
+    expect(style['a:gradFill']['a:gsLst']['a:gs']['a:schemeClr']['@_val']).toBe('phClr');
+  });
+
+  it('carries transparency as alpha', () => {
+    const style = { 'a:solidFill': { 'a:schemeClr': { '@_val': 'phClr', 'a:alpha': { '@_val': '75000' } } } };
+    const applied = applyPlaceholderColor(style, resolver.withPlaceholderColor('FF0000'));
+    expect(applied['a:solidFill']['a:srgbClr']).toEqual({ '@_val': 'FF0000', 'a:alpha': { '@_val': '75000' } });
+  });
+
+  it('leaves other scheme colors and context-free styles alone', () => {
+    const el = { 'a:solidFill': { 'a:schemeClr': { '@_val': 'accent1' } } };
+    expect(applyPlaceholderColor(el, resolver.withPlaceholderColor('FF0000'))).toEqual(el);
+    expect(applyPlaceholderColor(resolveFillStyle(formatScheme, 1), null)).toEqual(resolveFillStyle(formatScheme, 1));
+  });
+});
+
+describe('placeholderResolverFor', () => {
+  it('uses the color carried by the reference', () => {
+    const bgRef = { '@_idx': '1001', 'a:schemeClr': { '@_val': 'accent1' } };
+    const styleResolver = placeholderResolverFor(bgRef, resolver);
+    expect(styleResolver.resolve({ 'a:schemeClr': { '@_val': 'phClr' } })).toEqual({ color: '4472C4' });
+  });
+
+  it('returns null when the reference has no color', () => {
+    expect(placeholderResolverFor({ '@_idx': '1001' }, resolver)).toBeNull();
+    expect(placeholderResolverFor(null, resolver)).toBeNull();
+  });
+});
+
+describe('resolveShapeStyle', () => {
+  const scheme = {
+    ...formatScheme,
+    lnStyleLst: { 'a:ln': { '@_w': '9525', 'a:solidFill': { 'a:schemeClr': { '@_val': 'phClr' } } } },
+    effectStyleLst: { 'a:effectStyle': [{ 'a:effectLst': '' }, { 'a:effectLst': { 'a:outerShdw': { '@_blurRad': '40000' } } }] },
+  };
+
+  it('returns null without a style', () => {
+    expect(resolveShapeStyle(undefined, scheme, resolver)).toBeNull();
+  });
+
+  it('resolves each reference with its own color', () => {
+    const style = resolveShapeStyle({
+      'a:lnRef': { '@_idx': '1', 'a:schemeClr': { '@_val': 'accent1', 'a:shade': { '@_val': '50000' } } },
+      'a:fillRef': { '@_idx': '1', 'a:schemeClr': { '@_val': 'accent1' } },
+      'a:effectRef': { '@_idx': '2', 'a:schemeClr': { '@_val': 'accent1' } },
+      'a:fontRef': { '@_idx': 'major', 'a:schemeClr': { '@_val': 'lt1' } },
+    }, scheme, resolver);
+
+    expect(style.fill).toEqual({ type: 'solidFill', element: { 'a:srgbClr': { '@_val': '4472C4' } } });
+    expect(style.line['a:solidFill']['a:srgbClr']['@_val']).not.toBe('4472C4');
+    expect(style.effect['a:effectLst']['a:outerShdw']).toBeDefined();
+    expect(style.font).toEqual({ fontFace: 'Calibri Light', color: 'FFFFFF' });
+  });
+
+  it('treats idx 0 as no fill, line or effect', () => {
+    const style = resolveShapeStyle({
+      'a:lnRef': { '@_idx': '0' },
+      'a:fillRef': { '@_idx': '0' },
+      'a:effectRef': { '@_idx': '0' },
+      'a:fontRef': { '@_idx': 'none' },
+    }, scheme, resolver);
+    expect(style).toEqual({ fill: null, line: null, effect: null, font: null });
+  });
+});
+
+describe('mergeShapeStyle', () => {
+  const shapeStyle = {
+    fill: { type: 'solidFill', element: { 'a:srgbClr': { '@_val': '4472C4' } } },
+    line: { '@_w': '12700', 'a:solidFill': { 'a:srgbClr': { '@_val': '2F528F' } }, 'a:prstDash': { '@_val': 'solid' } },
+    effect: null,
+  };
+
+  it('uses the style where spPr is silent', () => {
+    expect(mergeShapeStyle({ fill: null, line: null }, shapeStyle)).toEqual({
+      fill: shapeStyle.fill, line: shapeStyle.line, effect: null,
+    });
+  });
+
+  it('overrides line attributes but keeps the style line fill', () => {
+    const { line } = mergeShapeStyle({ fill: null, line: { '@_w': '38100' } }, shapeStyle);
+    expect(line['@_w']).toBe('38100');
+    expect(line['a:solidFill']['a:srgbClr']['@_val']).toBe('2F528F');
+  });
+
+  it('replaces the style line fill with an explicit one', () => {
+    const { line } = mergeShapeStyle({ fill: null, line: { 'a:noFill': '' } }, shapeStyle);
+    expect(line['a:solidFill']).toBeUndefined();
+    expect(line['a:noFill']).toBe('');
+    expect(line['@_w']).toBe('12700');
+  });
+
+  it('lets an spPr effect list replace the style effects', () => {
+    const styled = { ...shapeStyle, effect: { 'a:effectLst': { 'a:glow': { '@_rad': '63500' } } } };
+    const own = { 'a:effectLst': '' };
+    expect(mergeShapeStyle({ fill: null, line: null, effect: own }, styled).effect).toBe(own);
+    expect(mergeShapeStyle({ fill: null, line: null }, styled).effect).toBe(styled.effect);
+    expect(mergeShapeStyle({ fill: null, line: null, effect: own }, null).effect).toBe(own);
+  });
+
+  it('passes spPr values through without a style', () => {
+    const props = { fill: { type: 'noFill', element: '' }, line: null };
+    expect(mergeShapeStyle(props, null)).toEqual({ ...props, effect: null });
+  });
+});
+
+describe('applyStyleFont', () => {
+  it('attaches the font as text defaults without touching the runs', () => {
+    const runs = [{ text: 'a' }, { text: 'b', color: '000000', fontFace: 'Arial' }];
+    const textProps = { paragraphs: [{ runs: runs.map((run) => ({ ...run })) }] };
+    applyStyleFont(textProps, { fontFace: 'Calibri', color: 'FFFFFF' });
+    expect(textProps.paragraphs[0].runs).toEqual(runs);
+    expect(textProps.styleFont).toEqual({ fontFace: 'Calibri', color: 'FFFFFF' });
+  });
+});
@@ -0,0 +1,126 @@
+import { describe, it, expect } from 'vitest';
+import { XMLParser } from 'fast-xml-parser';
+import { extractTable, isTableFrame } from '../src/parser/table.js';
+
+const xmlParser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  allowBooleanAttributes: true,
+});
+
+/** Wrap a:tbl content in a p:graphicFrame and return the parsed frame. */
+function parseFrame(tblXml) {
+  return xmlParser.parse(`
+    <p:graphicFrame>
+      <p:nvGraphicFramePr><p:cNvPr id="5" name="Table 1"/></p:nvGraphicFramePr>
+      <p:xfrm><a:off x="914400" y="457200"/><a:ext cx="1828800" cy="914400"/></p:xfrm>
+      <a:graphic>
+        <a:graphicData uri="http://schemas.openxmlformats.org/drawingml/2006/table">
+          <a:tbl>${tblXml}</a:tbl>
+        </a:graphicData>
+      </a:graphic>
+    </p:graphicFrame>
+  `)['p:graphicFrame'];
+}
+
+const twoByTwo = `
+  <a:tblPr firstRow="1"/>
+  <a:tblGrid><a:gridCol w="914400"/><a:gridCol w="914400"/></a:tblGrid>
+  <a:tr h="457200">
+    <a:tc><a:txBody><a:bodyPr/><a:p><a:r><a:t>A1</a:t></a:r></a:p></a:txBody><a:tcPr/></a:tc>
+    <a:tc><a:txBody><a:bodyPr/><a:p><a:r><a:t>B1</a:t></a:r></a:p></a:txBody><a:tcPr/></a:tc>
+  </a:tr>
+  <a:tr h="457200">
+    <a:tc><a:txBody><a:bodyPr/><a:p><a:r><a:t>A2</a:t></a:r></a:p></a:txBody><a:tcPr/></a:tc>
+    <a:tc><a:txBody><a:bodyPr/><a:p><a:r><a:t>B2</a:t></a:r></a:p></a:txBody><a:tcPr/></a:tc>
+  </a:tr>
+`;
+
+describe('isTableFrame', () => {
+  it('detects a:tbl graphic data', () => {
+    expect(isTableFrame(parseFrame(twoByTwo))).toBe(true);
+  });
+
+  it('rejects chart frames and empty input', () => {
+    const chart = xmlParser.parse(`
+      <p:graphicFrame>
+        <a:graphic><a:graphicData uri="http://schemas.openxmlformats.org/drawingml/2006/chart"/></a:graphic>
+      </p:graphicFrame>
+    `)['p:graphicFrame'];
+    expect(isTableFrame(chart)).toBe(false);
+    expect(isTableFrame(null)).toBe(false);
+  });
+});
+
+describe('extractTable', () => {
+  it('returns null for non-table frames', () => {
+    expect(extractTable({}, null, null)).toBeNull();
+  });
+
+  it('extracts name, position, grid columns and row heights', () => {
+    const table = extractTable(parseFrame(twoByTwo), null, null);
+    expect(table.type).toBe('table');
+    expect(table.name).toBe('Table 1');
+    expect(table.position).toEqual({ x: 1, y: 0.5, w: 2, h: 1 });
+    expect(table.columns).toEqual([1, 1]);
+    expect(table.rows.map((r) => r.height)).toEqual([0.5, 0.5]);
+  });
+
+  it('extracts cell text', () => {
+    const table = extractTable(parseFrame(twoByTwo), null, null);
+    const text = table.rows.map((r) => r.cells.map((c) => c.textProps.plainText));
+    expect(text).toEqual([['A1', 'B1'], ['A2', 'B2']]);
+  });
+
+  it('extracts cell fill, borders, margins and anchor', () => {
+    const table = extractTable(parseFrame(`
+      <a:tblGrid><a:gridCol w="914400"/></a:tblGrid>
+      <a:tr h="457200">
+        <a:tc>
+          <a:txBody><a:bodyPr/><a:p/></a:txBody>
+          <a:tcPr marL="0" marT="91440" anchor="ctr">
+            <a:lnL w="12700"><a:solidFill><a:srgbClr val="FF0000"/></a:solidFill></a:lnL>
+            <a:lnB w="0"><a:noFill/></a:lnB>
+            <a:solidFill><a:srgbClr val="00FF00"/></a:solidFill>
+          </a:tcPr>
+        </a:tc>
+      </a:tr>
+    `), null, null);
+
+    const cell = table.rows[0].cells[0];
+    expect(cell.fill.type).toBe('solidFill');
+    expect(cell.borders.left['@_w']).toBe('12700');
+    expect(cell.borders.bottom['a:noFill']).toBeDefined();
+    expect(cell.borders.top).toBeNull();
+    expect(cell.margin).toEqual({ top: 0.1, right: 0.1, bottom: 0.05, left: 0 });
+    expect(cell.valign).toBe('middle');
+  });
+
+  it('extracts spans and flags merged cells', () => {
+    const table = extractTable(parseFrame(`
+      <a:tblGrid><a:gridCol w="914400"/><a:gridCol w="914400"/></a:tblGrid>
+      <a:tr h="457200">
+        <a:tc gridSpan="2" rowSpan="2"><a:txBody><a:bodyPr/><a:p/></a:txBody><a:tcPr/></a:tc>
+        <a:tc hMerge="1"><a:txBody><a:bodyPr/><a:p/></a:txBody><a:tcPr/></a:tc>
+      </a:tr>
+      <a:tr h="457200">
+        <a:tc vMerge="1"><a:txBody><a:bodyPr/><a:p/></a:txBody><a:tcPr/></a:tc>
+        <a:tc hMerge="1" vMerge="1"><a:txBody><a:bodyPr/><a:p/></a:txBody><a:tcPr/></a:tc>
+      </a:tr>
+    `), null, null);
+
+    const [first, covered] = table.rows[0].cells;
+    expect(first).toMatchObject({ colspan: 2, rowspan: 2, merged: false });
+    expect(covered.merged).toBe(true);
+    expect(table.rows[1].cells.every((c) => c.merged)).toBe(true);
+  });
+
+  it('records the table style id', () => {
+    const table = extractTable(parseFrame(`
+      <a:tblPr><a:tableStyleId>{5C22544A-7EE6-4342-B048-85BDC9FD1C3A}</a:tableStyleId></a:tblPr>
+      <a:tblGrid><a:gridCol w="914400"/></a:tblGrid>
+    `), null, null);
+    expect(table.styleId).toBe('{5C22544A-7EE6-4342-B048-85BDC9FD1C3A}');
+    expect(table.rows).toEqual([]);
+  });
+});
@@ -1,6 +1,6 @@
 import { describe, it, expect } from 'vitest';
 import { XMLParser } from 'fast-xml-parser';
-import { extractTextProps, extractDefaultTextStyle } from '../src/parser/text.js';
+import { extractTextProps, extractDefaultTextStyle, extractTextListStyle } from '../src/parser/text.js';
 import { createColorResolver } from '../src/parser/colors.js';
 import { emuToInches } from '../src/mapper/units.js';
 
@@ -200,6 +200,34 @@ describe('extractTextProps - body properties', () => {
     const result = extractTextProps(txBody, makeResolver(), themeFonts);
     expect(result.bodyProps.autoFit).toBeUndefined();
   });
+
+  it('extracts the normAutofit font scale and line spacing reduction', () => {
+    const txBody = parseTxBody(`
+      <a:txBody>
+        <a:bodyPr><a:normAutofit fontScale="62500" lnSpcReduction="20000"/></a:bodyPr>
+        <a:p><a:r><a:t>X</a:t></a:r></a:p>
+      </a:txBody>
+    `);
+
+    const result = extractTextProps(txBody, makeResolver(), themeFonts);
+    expect(result.bodyProps.autoFit).toBe('shrink');
+    expect(result.bodyProps.fontScale).toBe(0.625);
+    expect(result.bodyProps.lineSpacingReduction).toBe(0.2);
+  });
+
+  it('extracts wrapping and columns', () => {
+    const txBody = parseTxBody(`
+      <a:txBody>
+        <a:bodyPr wrap="none" numCol="2" spcCol="457200" vert="eaVert"/>
+        <a:p><a:r><a:t>X</a:t></a:r></a:p>
+      </a:txBody>
+    `);
+
+    const result = extractTextProps(txBody, makeResolver(), themeFonts);
+    expect(result.bodyProps.wrap).toBe(false);
+    expect(result.bodyProps.columns).toEqual({ count: 2, spacing: 0.5 });
+    expect(result.bodyProps.vert).toBe('eaVert');
+  });
 });
 
 // --- Paragraph properties ---
@@ -413,6 +441,46 @@ describe('extractTextProps - runs', () => {
     expect(result.paragraphs[0].runs[1].text).toBe('World');
   });
 
+  it('extracts click hyperlinks', () => {
+    const txBody = parseTxBody(`
+      <a:txBody>
+        <a:bodyPr/>
+        <a:p>
+          <a:r><a:rPr><a:hlinkClick r:id="rId3" tooltip="Privacy policy"/></a:rPr><a:t>Privacy</a:t></a:r>
+          <a:r><a:t>plain</a:t></a:r>
+        </a:p>
+      </a:txBody>
+    `);
+
+    const [linked, plain] = extractTextProps(txBody, makeResolver(), themeFonts).paragraphs[0].runs;
+    expect(linked.hyperlink).toEqual({ rId: 'rId3', tooltip: 'Privacy policy', action: null });
+    expect(plain.hyperlink).toBeUndefined();
+  });
+
+  it('uses the East Asian or complex script face for text in those scripts', () => {
+    const txBody = parseTxBody(`
+      <a:txBody>
+        <a:bodyPr/>
+        <a:p>
+          <a:r><a:rPr lang="ja-JP"><a:latin typeface="Arial"/><a:ea typeface="Meiryo"/></a:rPr><a:t>東京本社</a:t></a:r>
+          <a:r><a:rPr lang="en-US"><a:latin typeface="Arial"/><a:ea typeface="Meiryo"/></a:rPr><a:t>Tokyo</a:t></a:r>
+          <a:r><a:rPr lang="ar-SA"><a:latin typeface="Arial"/><a:cs typeface="+mn-cs"/></a:rPr><a:t>مرحبا</a:t></a:r>
+        </a:p>
+      </a:txBody>
+    `);
+    const fonts = {
+      ...themeFonts,
+      scheme: {
+        heading: { latin: 'Calibri Light', ea: '', cs: '', scripts: {} },
+        body: { latin: 'Calibri', ea: '', cs: '', scripts: { Arab: 'Times New Roman' } },
+      },
+    };
+
+    const runs = extractTextProps(txBody, createColorResolver(themeColors, clrMap, fonts), fonts).paragraphs[0].runs;
+    expect(runs.map((run) => run.fontFace)).toEqual(['Meiryo', 'Arial', 'Times New Roman']);
+    expect(runs[2].fontFaceCs).toBe('Times New Roman');
+  });
+
   it('extracts font size (hundredths of point / 100)', () => {
     const txBody = parseTxBody(`
       <a:txBody>
@@ -669,6 +737,55 @@ describe('extractTextProps - runs', () => {
     const result = extractTextProps(txBody, makeResolver(), themeFonts);
     expect(result.paragraphs[0].runs[0].charSpacing).toBe(3);
   });
+
+  it('extracts caps, kerning, underline color and text outline', () => {
+    const txBody = parseTxBody(`
+      <a:txBody>
+        <a:bodyPr/>
+        <a:p>
+          <a:r>
+            <a:rPr cap="all" kern="1200" u="dash">
+              <a:ln w="12700"><a:solidFill><a:srgbClr val="00FF00"/></a:solidFill></a:ln>
+              <a:uFill><a:solidFill><a:schemeClr val="accent2"/></a:solidFill></a:uFill>
+            </a:rPr>
+            <a:t>Styled</a:t>
+          </a:r>
+        </a:p>
+      </a:txBody>
+    `);
+
+    const run = extractTextProps(txBody, makeResolver(), themeFonts).paragraphs[0].runs[0];
+    expect(run.caps).toBe('all');
+    expect(run.kerning).toBe(12);
+    expect(run.underline).toBe('dash');
+    expect(run.underlineColor).toBe('ED7D31');
+    expect(run.outline).toEqual({ color: '00FF00', size: 1 });
+  });
+
+  it('flags gradient-filled text and uses its first stop as the color', () => {
+    const txBody = parseTxBody(`
+      <a:txBody>
+        <a:bodyPr/>
+        <a:p>
+          <a:r>
+            <a:rPr>
+              <a:gradFill>
+                <a:gsLst>
+                  <a:gs pos="0"><a:schemeClr val="accent1"/></a:gs>
+                  <a:gs pos="100000"><a:srgbClr val="FFFFFF"/></a:gs>
+                </a:gsLst>
+              </a:gradFill>
+            </a:rPr>
+            <a:t>Gradient</a:t>
+          </a:r>
+        </a:p>
+      </a:txBody>
+    `);
+
+    const run = extractTextProps(txBody, makeResolver(), themeFonts).paragraphs[0].runs[0];
+    expect(run.gradientFill).toBe(true);
+    expect(run.color).toBe('4472C4');
+  });
 });
 
 // --- Bullets ---
@@ -734,6 +851,24 @@ describe('extractTextProps - bullets', () => {
     expect(result.paragraphs[0].bullet.color).toBe('FF0000');
   });
 
+  it('resolves a phClr bullet color to the text color', () => {
+    const txBody = parseTxBody(`
+      <a:txBody>
+        <a:bodyPr/>
+        <a:p>
+          <a:pPr>
+            <a:buChar char="-"/>
+            <a:buClr><a:schemeClr val="phClr"/></a:buClr>
+          </a:pPr>
+          <a:r><a:rPr><a:solidFill><a:srgbClr val="00B050"/></a:solidFill></a:rPr><a:t>Green</a:t></a:r>
+        </a:p>
+      </a:txBody>
+    `);
+
+    const result = extractTextProps(txBody, makeResolver(), themeFonts);
+    expect(result.paragraphs[0].bullet.color).toBe('00B050');
+  });
+
   it('extracts bullet size percent', () => {
     const txBody = parseTxBody(`
       <a:txBody>
@@ -926,6 +1061,43 @@ describe('extractDefaultTextStyle', () => {
   });
 });
 
+describe('extractTextListStyle', () => {
+  it('extracts the levels of a master body style', () => {
+    const bodyStyle = xmlParser.parse(`<p:bodyStyle>
+      <a:lvl1pPr marL="228600" indent="-228600">
+        <a:buFont typeface="Arial"/><a:buChar char="•"/>
+        <a:defRPr sz="2800"><a:solidFill><a:schemeClr val="tx1"/></a:solidFill></a:defRPr>
+      </a:lvl1pPr>
+      <a:lvl2pPr marL="685800" indent="-228600">
+        <a:buAutoNum type="alphaLcParenR"/>
+        <a:defRPr sz="2400"/>
+      </a:lvl2pPr>
+    </p:bodyStyle>`)['p:bodyStyle'];
+
+    const levels = extractTextListStyle(bodyStyle, makeResolver(), themeFonts);
+    expect(levels[1].marginLeft).toBe(0.25);
+    expect(levels[1].bullet).toMatchObject({ type: 'char', characterCode: '2022', fontFace: 'Arial' });
+    expect(levels[1].defaultRunProps).toMatchObject({ fontSize: 28, color: '000000' });
+    expect(levels[2].bullet).toMatchObject({ type: 'number', numberType: 'alphaLcParenR' });
+    expect(levels[2].defaultRunProps.fontSize).toBe(24);
+  });
+
+  it('extracts picture bullets and numbering start values', () => {
+    const bodyStyle = xmlParser.parse(`<p:bodyStyle>
+      <a:lvl1pPr><a:buBlip><a:blip r:embed="rId4"/></a:buBlip></a:lvl1pPr>
+      <a:lvl2pPr><a:buAutoNum type="arabicParenR" startAt="3"/></a:lvl2pPr>
+    </p:bodyStyle>`)['p:bodyStyle'];
+
+    const levels = extractTextListStyle(bodyStyle, makeResolver(), themeFonts);
+    expect(levels[1].bullet).toEqual({ type: 'picture', imageRef: 'rId4' });
+    expect(levels[2].bullet).toEqual({ type: 'number', numberType: 'arabicParenR', startAt: 3 });
+  });
+
+  it('returns null without a list style', () => {
+    expect(extractTextListStyle(undefined, makeResolver(), themeFonts)).toBeNull();
+  });
+});
+
 // --- lstStyle parsing ---
 
 describe('extractTextProps - lstStyle', () => {
@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest';
-import { parseTheme, parseClrMap } from '../src/parser/theme.js';
+import { parseTheme, parseClrMap, resolveThemeFont } from '../src/parser/theme.js';
 import { extractPptx } from '../src/parser/zip.js';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
@@ -46,6 +46,14 @@ describe('parseTheme', () => {
     expect(theme.colors.hlink).toBe('0563C1');
   });
 
+  it('extracts the theme name', async () => {
+    const pptx = await extractPptx(fixturePath);
+    const themeXml = await pptx.getXml('ppt/theme/theme1.xml');
+    const theme = parseTheme(themeXml);
+
+    expect(theme.name).toBe('Office Theme');
+  });
+
   it('extracts heading font (majorFont latin typeface)', async () => {
     const pptx = await extractPptx(fixturePath);
     const themeXml = await pptx.getXml('ppt/theme/theme1.xml');
@@ -90,6 +98,66 @@ describe('parseTheme', () => {
     });
     expect(theme.colors).toEqual({});
   });
+
+  it('extracts East Asian, complex script and per-script fonts', () => {
+    const theme = parseTheme({
+      'a:theme': {
+        'a:themeElements': {
+          'a:fontScheme': {
+            'a:majorFont': {
+              'a:latin': { '@_typeface': 'Arial' },
+              'a:ea': { '@_typeface': 'Meiryo' },
+              'a:cs': { '@_typeface': '' },
+              'a:font': [
+                { '@_script': 'Jpan', '@_typeface': 'Yu Gothic' },
+                { '@_script': 'Arab', '@_typeface': 'Times New Roman' },
+              ],
+            },
+            'a:minorFont': {
+              'a:latin': { '@_typeface': 'Arial' },
+              'a:font': { '@_script': 'Hang', '@_typeface': 'Malgun Gothic' },
+            },
+          },
+        },
+      },
+    });
+
+    expect(theme.fonts.heading).toBe('Arial');
+    expect(theme.fonts.scheme.heading).toEqual({
+      latin: 'Arial',
+      ea: 'Meiryo',
+      cs: '',
+      scripts: { Jpan: 'Yu Gothic', Arab: 'Times New Roman' },
+    });
+    expect(theme.fonts.scheme.body).toEqual({ latin: 'Arial', ea: '', cs: '', scripts: { Hang: 'Malgun Gothic' } });
+  });
+});
+
+describe('resolveThemeFont', () => {
+  const fonts = {
+    heading: 'Arial',
+    body: 'Calibri',
+    scheme: {
+      heading: { latin: 'Arial', ea: 'Meiryo', cs: '', scripts: { Arab: 'Times New Roman' } },
+      body: { latin: 'Calibri', ea: '', cs: '', scripts: { Jpan: 'Yu Gothic', Hant: 'PMingLiU' } },
+    },
+  };
+
+  it('resolves East Asian and complex script references', () => {
+    expect(resolveThemeFont('+mj-lt', fonts)).toBe('Arial');
+    expect(resolveThemeFont('+mj-ea', fonts)).toBe('Meiryo');
+    expect(resolveThemeFont('+mj-cs', fonts, ['ar-SA'])).toBe('Times New Roman');
+  });
+
+  it('uses the per-script font for the run language, then the Latin face', () => {
+    expect(resolveThemeFont('+mn-ea', fonts, ['en-US', 'ja-JP'])).toBe('Yu Gothic');
+    expect(resolveThemeFont('+mn-ea', fonts, ['zh-TW'])).toBe('PMingLiU');
+    expect(resolveThemeFont('+mn-ea', fonts)).toBe('Calibri');
+  });
+
+  it('passes other names through', () => {
+    expect(resolveThemeFont('Georgia', fonts)).toBe('Georgia');
+  });
 });
 
 describe('parseClrMap', () => {
@@ -1,5 +1,6 @@
 import { describe, it, expect } from 'vitest';
 import { extractPptx } from '../src/parser/zip.js';
+import { listStyles } from '../src/parser/styles.js';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 
@@ -36,6 +37,36 @@ describe('extractPptx', () => {
     expect(buffer.length).toBeGreaterThan(0);
   });
 
+  it('keeps custom geometry path lists as raw XML', async () => {
+    const xml = '<p:sp><p:spPr><a:custGeom><a:pathLst><a:path w="1" h="1"><a:moveTo><a:pt x="0" y="0"/></a:moveTo><a:lnTo><a:pt x="1" y="1"/></a:lnTo></a:path></a:pathLst></a:custGeom></p:spPr></p:sp>';
+    const extractor = {
+      async extract() {
+        return { async getFile() { return Buffer.from(xml); }, listFiles: () => ['shape.xml'] };
+      },
+    };
+    const pptx = await extractPptx('unused.pptx', { extractor });
+    const sp = await pptx.getXml('shape.xml');
+
+    expect(sp['p:sp']['p:spPr']['a:custGeom']['a:pathLst']).toBe(
+      '<a:path w="1" h="1"><a:moveTo><a:pt x="0" y="0"/></a:moveTo><a:lnTo><a:pt x="1" y="1"/></a:lnTo></a:path>'
+    );
+  });
+
+  it('keeps the entry order of theme fill style lists', async () => {
+    const xml = '<a:theme><a:themeElements><a:fmtScheme><a:fillStyleLst><a:solidFill/><a:gradFill/><a:solidFill/></a:fillStyleLst></a:fmtScheme></a:themeElements></a:theme>';
+    const extractor = {
+      async extract() {
+        return { async getFile() { return Buffer.from(xml); }, listFiles: () => ['theme.xml'] };
+      },
+    };
+    const pptx = await extractPptx('unused.pptx', { extractor });
+    const theme = await pptx.getXml('theme.xml');
+    const list = theme['a:theme']['a:themeElements']['a:fmtScheme']['a:fillStyleLst'];
+
+    expect(listStyles(list, ['a:solidFill', 'a:gradFill']).map((s) => Object.keys(s)[0]))
+      .toEqual(['a:solidFill', 'a:gradFill', 'a:solidFill']);
+  });
+
   it('throws on non-existent file', async () => {
     await expect(extractPptx('/tmp/nonexistent-file.pptx')).rejects.toThrow();
   });